@@ -0,0 +1,162 @@
+import { readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { log } from '../src/logger.js';
+
+// Reply backends: what answers a request once no local skill has.
+//
+// Each `<name>.js` in the backends directory default-exports:
+//   {
+//     name: 'local',
+//     // true: the bridge keeps the conversation (bridge/memory-store.js) and passes it in `messages`
+//     memory: true,
+//     // Abandoned after this long, and the next backend of the chain tried; 0 = no limit
+//     timeoutMs: 120_000,
+//     // -> { reply, usage? } with usage { model, inputTokens, outputTokens }. Streams through
+//     // `onDelta` when given; must stop when `signal` aborts.
+//     async generate({ message, messages, summary, userId, guildId, channelId, agentId, persona, economy,
+//       locale, language, answerLength, timeZone, onDelta, signal, logger }) { ... },
+//     // Optional: called once at bridge startup when the backend is in the chain, and its state for /health
+//     start() { ... },
+//     health: () => ({ state: 'ready' })
+//   }
+// `messages` is the thread as chat messages ({ role, content }), ending with `message` from the user;
+// `summary` the thread's rolling summary ('' if none). An error thrown out of the chain carries the
+// `backend` that failed last, and code 'BACKEND_TIMEOUT' when it timed out. A request may carry its own
+// `signal` (the bot gave up on the turn): the backend working on it is stopped and nothing else is tried.
+
+function isBackend(backend) {
+  return Boolean(backend?.name && typeof backend.generate === 'function');
+}
+
+// Imports every backend in `dir`
+export async function loadBackends(dir) {
+  let files = [];
+  try {
+    files = readdirSync(dir)
+      .filter((name) => name.endsWith('.js'))
+      .sort();
+  } catch (err) {
+    log.error('backends_dir_unreadable', { dir, error: err.message });
+    return [];
+  }
+
+  const backends = [];
+  for (const file of files) {
+    try {
+      const backend = (await import(pathToFileURL(join(dir, file)).href)).default;
+      if (!isBackend(backend)) {
+        log.warn('backend_invalid', { file });
+        continue;
+      }
+      backends.push(backend);
+    } catch (err) {
+      log.error('backend_load_failed', { file, err });
+    }
+  }
+  return backends;
+}
+
+export function cancelledError(reason = 'cancelled') {
+  const err = new Error(`turn cancelled (${reason})`);
+  err.code = 'CANCELLED';
+  return err;
+}
+
+function timeoutError(name, ms) {
+  const err = new Error(`backend ${name} timed out after ${ms} ms`);
+  err.code = 'BACKEND_TIMEOUT';
+  return err;
+}
+
+// `chain`: backend names tried in order (BRIDGE_BACKEND=openclaw,local). A backend that fails moves the
+// request to the next one; with fallbackOn 'timeout' only timeouts do. A backend that has already
+// streamed part of its reply is never replaced: that text has been spoken.
+export function createBackendRegistry(backends, { chain, fallbackOn = 'error' }) {
+  const byName = new Map(backends.map((b) => [b.name, b]));
+  const unknown = chain.filter((name) => !byName.has(name));
+  if (!chain.length) throw new Error('No bridge backend configured');
+  if (unknown.length) {
+    throw new Error(`Unknown bridge backend: ${unknown.join(', ')} (available: ${[...byName.keys()].join(', ')})`);
+  }
+
+  return {
+    names: [...byName.keys()],
+    chain,
+    // The bridge keeps conversations when any backend of the chain reads them
+    memory: chain.some((name) => byName.get(name).memory),
+
+    start() {
+      for (const name of chain) byName.get(name).start?.();
+    },
+
+    // { name: state } for the backends of the chain that report one
+    health() {
+      const states = chain.filter((name) => byName.get(name).health).map((name) => [name, byName.get(name).health()]);
+      return Object.fromEntries(states);
+    },
+
+    // -> { reply, backend, usage? } (usage with `backend` added). onAttempt({ backend, outcome, seconds })
+    // reports every backend tried, outcome 'ok' | 'error' | 'timeout' | 'cancelled'; onDelta(text, backend).
+    async generate(request, { onAttempt } = {}) {
+      const logger = request.logger || log;
+      const cancel = request.signal;
+      for (const [i, name] of chain.entries()) {
+        if (cancel?.aborted) throw cancel.reason;
+        const backend = byName.get(name);
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        let streamed = false;
+        let timer = null;
+        let onCancel = null;
+        const timeout = new Promise((resolve, reject) => {
+          onCancel = () => {
+            controller.abort(cancel.reason);
+            reject(cancel.reason);
+          };
+          cancel?.addEventListener('abort', onCancel, { once: true });
+          if (!backend.timeoutMs) return;
+          timer = setTimeout(() => {
+            const err = timeoutError(name, backend.timeoutMs);
+            controller.abort(err);
+            reject(err);
+          }, backend.timeoutMs);
+        });
+        const onDelta = request.onDelta
+          ? (delta) => {
+              // Late output of a backend given up on
+              if (controller.signal.aborted) return;
+              streamed = true;
+              request.onDelta(delta, name);
+            }
+          : undefined;
+
+        try {
+          const result = await Promise.race([
+            backend.generate({ ...request, onDelta, signal: controller.signal }),
+            timeout
+          ]);
+          onAttempt?.({ backend: name, outcome: 'ok', seconds: (Date.now() - startedAt) / 1000 });
+          return {
+            reply: result?.reply || '',
+            backend: name,
+            ...(result?.usage ? { usage: { backend: name, ...result.usage } } : {})
+          };
+        } catch (err) {
+          const outcome = cancel?.aborted ? 'cancelled' : controller.signal.aborted ? 'timeout' : 'error';
+          onAttempt?.({ backend: name, outcome, seconds: (Date.now() - startedAt) / 1000 });
+          if (outcome === 'cancelled') throw cancel.reason;
+          const next = chain[i + 1];
+          if (!next || streamed || (fallbackOn === 'timeout' && outcome !== 'timeout')) {
+            err.backend ??= name;
+            throw err;
+          }
+          logger.warn('bridge_backend_fallback', { backend: name, next, reason: outcome, error: err.message });
+        } finally {
+          clearTimeout(timer);
+          cancel?.removeEventListener('abort', onCancel);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,52 @@
+import { ollamaChat, openaiChat } from '../chat-api.js';
+import { maxTokens, systemPrompt } from '../prompts.js';
+
+// A model served on this machine (or the LAN), with the bridge's conversation memory:
+// - LOCAL_LLM_API=ollama: Ollama's native /api/chat (default http://127.0.0.1:11434)
+// - LOCAL_LLM_API=openai: any OpenAI-compatible server, e.g. llama.cpp's llama-server (default
+//   http://127.0.0.1:8080), LM Studio or vLLM
+// Its tokens are reported under the `local` provider, which has no price in the usage ledger.
+
+const LOCAL_LLM_API = (process.env.LOCAL_LLM_API || 'ollama').toLowerCase();
+const LOCAL_LLM_URL = (
+  process.env.LOCAL_LLM_URL || (LOCAL_LLM_API === 'ollama' ? 'http://127.0.0.1:11434' : 'http://127.0.0.1:8080')
+).replace(/\/+$/, '');
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY || '';
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || 'llama3.2';
+const LOCAL_LLM_TEMPERATURE = Number(process.env.LOCAL_LLM_TEMPERATURE ?? 0.6);
+const LOCAL_LLM_MAX_TOKENS = Number(process.env.LOCAL_LLM_MAX_TOKENS || 220);
+// Loading a model can take a while on the first request
+const LOCAL_LLM_TIMEOUT = Number(process.env.LOCAL_LLM_TIMEOUT || 120);
+// Ollama: how long the model stays loaded after a request (e.g. 30m; seconds as a number, -1 = forever)
+const LOCAL_LLM_KEEP_ALIVE = process.env.LOCAL_LLM_KEEP_ALIVE || '';
+const keepAlive = /^-?\d+$/.test(LOCAL_LLM_KEEP_ALIVE) ? Number(LOCAL_LLM_KEEP_ALIVE) : LOCAL_LLM_KEEP_ALIVE;
+
+export default {
+  name: 'local',
+  memory: true,
+  timeoutMs: LOCAL_LLM_TIMEOUT * 1000,
+
+  async generate(request) {
+    const messages = [{ role: 'system', content: systemPrompt(request) }, ...request.messages];
+    const tokens = maxTokens(LOCAL_LLM_MAX_TOKENS, request);
+    const call = { baseUrl: LOCAL_LLM_URL, onDelta: request.onDelta, signal: request.signal, logger: request.logger };
+
+    const { text, usage } =
+      LOCAL_LLM_API === 'ollama'
+        ? await ollamaChat({
+            ...call,
+            body: {
+              model: LOCAL_LLM_MODEL,
+              messages,
+              options: { temperature: LOCAL_LLM_TEMPERATURE, num_predict: tokens },
+              ...(LOCAL_LLM_KEEP_ALIVE ? { keep_alive: keepAlive } : {})
+            }
+          })
+        : await openaiChat({
+            ...call,
+            apiKey: LOCAL_LLM_API_KEY,
+            body: { model: LOCAL_LLM_MODEL, messages, temperature: LOCAL_LLM_TEMPERATURE, max_tokens: tokens }
+          });
+    return { reply: text, ...(usage ? { usage: { model: LOCAL_LLM_MODEL, ...usage } } : {}) };
+  }
+};
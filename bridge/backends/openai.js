@@ -0,0 +1,44 @@
+import { openaiChat } from '../chat-api.js';
+import { maxTokens, systemPrompt } from '../prompts.js';
+
+// OpenAI chat completions, with the bridge's conversation memory
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com';
+const CHAT_MODEL = process.env.CHAT_MODEL || 'gpt-4o-mini';
+// Used when the bot is over its usage budget (request flag `economy`)
+const CHAT_ECONOMY_MODEL = process.env.CHAT_ECONOMY_MODEL || CHAT_MODEL;
+const CHAT_TEMPERATURE = Number(process.env.CHAT_TEMPERATURE ?? 0.6);
+// Normal-length answers; short ones and economy requests get about half, long ones twice as much
+const CHAT_MAX_TOKENS = Number(process.env.CHAT_MAX_TOKENS || 220);
+const CHAT_TIMEOUT = Number(process.env.CHAT_TIMEOUT || 60);
+
+export default {
+  name: 'openai',
+  memory: true,
+  timeoutMs: CHAT_TIMEOUT * 1000,
+
+  async generate(request) {
+    if (!OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY is not set on the bridge (backend=openai).');
+    }
+
+    const model = request.economy ? CHAT_ECONOMY_MODEL : CHAT_MODEL;
+    const { text, usage } = await openaiChat({
+      baseUrl: OPENAI_BASE_URL,
+      apiKey: OPENAI_API_KEY,
+      body: {
+        model,
+        messages: [{ role: 'system', content: systemPrompt(request) }, ...request.messages],
+        temperature: CHAT_TEMPERATURE,
+        max_tokens: maxTokens(CHAT_MAX_TOKENS, request)
+      },
+      onDelta: request.onDelta,
+      signal: request.signal,
+      logger: request.logger
+    });
+    // `economy` so the bot's ledger prices the tokens at the economy model's rate
+    const economy = request.economy ? { economy: true } : {};
+    return { reply: text, ...(usage ? { usage: { model, ...usage, ...economy } } : {}) };
+  }
+};
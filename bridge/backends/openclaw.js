@@ -0,0 +1,64 @@
+import { fileURLToPath } from 'node:url';
+import { voiceModeMessage } from '../prompts.js';
+import { createWorker } from '../worker.js';
+
+// The OpenClaw agent (the `openclaw` CLI must be on PATH and its Gateway running): the reply comes from
+// Niko, with OpenClaw's own session and memory, so the bridge's memory is not used. Turns go to a
+// long-lived worker process (bridge/openclaw-stdio.js, which keeps one `openclaw acp` running, unless
+// OPENCLAW_WORKER_COMMAND says otherwise), health-checked and restarted by bridge/worker.js.
+
+const OPENCLAW_AGENT_ID = process.env.OPENCLAW_AGENT_ID || 'main';
+const OPENCLAW_THINKING = process.env.OPENCLAW_THINKING ?? 'low'; // '' = the agent's own default
+const OPENCLAW_TIMEOUT = Number(process.env.OPENCLAW_TIMEOUT || 120);
+// Session of OPENCLAW_AGENT_ID's turns, e.g. agent:main:discord:channel:<id> (default: the agent's main session)
+const OPENCLAW_SESSION_KEY = process.env.OPENCLAW_SESSION_KEY || '';
+// Program and arguments, split on spaces
+const OPENCLAW_WORKER_COMMAND = (process.env.OPENCLAW_WORKER_COMMAND || '').trim();
+const OPENCLAW_WORKER_HEALTH_S = Number(process.env.OPENCLAW_WORKER_HEALTH_S ?? 30); // 0 = no pings
+
+const [command, ...args] = OPENCLAW_WORKER_COMMAND
+  ? OPENCLAW_WORKER_COMMAND.split(/\s+/)
+  : [process.execPath, fileURLToPath(new URL('../openclaw-stdio.js', import.meta.url))];
+
+// Created on first use, so loading the backends doesn't start it when openclaw is not configured
+let worker = null;
+function getWorker() {
+  worker ||= createWorker({ name: 'openclaw', command, args, healthIntervalMs: OPENCLAW_WORKER_HEALTH_S * 1000 });
+  return worker;
+}
+
+export default {
+  name: 'openclaw',
+  // A little over the worker's own timeout, so its error is the one reported
+  timeoutMs: OPENCLAW_TIMEOUT > 0 ? (OPENCLAW_TIMEOUT + 5) * 1000 : 0,
+
+  // Warm the worker up at bridge startup rather than on the first turn
+  start() {
+    getWorker()
+      .request({ type: 'ping' })
+      .catch(() => {
+        // logged by the worker; the first turn tries again
+      });
+  },
+
+  health: () => getWorker().status(),
+
+  async generate(request) {
+    const { onDelta, signal } = request;
+    const agentId = request.agentId || OPENCLAW_AGENT_ID;
+    const done = await getWorker().request(
+      {
+        type: 'agent',
+        message: voiceModeMessage(request),
+        agentId,
+        thinking: OPENCLAW_THINKING,
+        timeoutSeconds: OPENCLAW_TIMEOUT,
+        // A per-channel agent talks in its own main session
+        sessionKey: agentId === OPENCLAW_AGENT_ID ? OPENCLAW_SESSION_KEY : '',
+        stream: typeof onDelta === 'function'
+      },
+      { signal, onEvent: (event) => event.type === 'delta' && event.text && onDelta?.(event.text) }
+    );
+    return { reply: String(done.reply || '').trim() };
+  }
+};
@@ -0,0 +1,104 @@
+// HTTP chat clients shared by the backends: OpenAI-compatible /v1/chat/completions (OpenAI, the
+// llama.cpp server, vLLM, ...) and Ollama's native /api/chat. Both take the full message list and
+// return { text, usage }, `usage` being { inputTokens, outputTokens } when the server reports it.
+// onDelta (optional) switches to streaming and is called per piece of text; `signal` aborts the request.
+
+async function failOn(r, logger) {
+  if (r.ok) return;
+  const detail = await r.text();
+  logger.error('bridge_chat_error', { url: r.url, status: r.status, body: detail.slice(0, 500) });
+  throw new Error(`chat completion failed (${r.status})`);
+}
+
+// Complete lines of a streamed body, as they arrive
+async function* lines(body) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) yield line;
+    }
+  }
+  if (buf.trim()) yield buf.trim();
+}
+
+const openaiUsage = (usage) =>
+  usage ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null;
+
+// `body` is the request minus `stream`
+export async function openaiChat({ baseUrl, apiKey, body, onDelta, signal, logger }) {
+  const streaming = typeof onDelta === 'function';
+  const r = await fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      ...body,
+      stream: streaming,
+      ...(streaming ? { stream_options: { include_usage: true } } : {})
+    }),
+    signal
+  });
+  await failOn(r, logger);
+
+  if (!streaming) {
+    const json = await r.json();
+    return { text: (json.choices?.[0]?.message?.content || '').trim(), usage: openaiUsage(json.usage) };
+  }
+
+  // Server-sent events: `data: {...}` lines, terminated by `data: [DONE]`; usage comes in the last chunk
+  let text = '';
+  let usage = null;
+  for await (const line of lines(r.body)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice('data:'.length).trim();
+    if (data === '[DONE]') continue;
+    const event = JSON.parse(data);
+    usage = openaiUsage(event.usage) || usage;
+    const delta = event.choices?.[0]?.delta?.content || '';
+    if (!delta) continue;
+    text += delta;
+    onDelta(delta);
+  }
+  return { text: text.trim(), usage };
+}
+
+// `body` is { model, messages, options, keep_alive? } (https://github.com/ollama/ollama/blob/main/docs/api.md)
+export async function ollamaChat({ baseUrl, body, onDelta, signal, logger }) {
+  const streaming = typeof onDelta === 'function';
+  const r = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, stream: streaming }),
+    signal
+  });
+  await failOn(r, logger);
+
+  const usageOf = (json) =>
+    json.done ? { inputTokens: json.prompt_eval_count || 0, outputTokens: json.eval_count || 0 } : null;
+
+  if (!streaming) {
+    const json = await r.json();
+    return { text: (json.message?.content || '').trim(), usage: usageOf(json) };
+  }
+
+  // NDJSON: one {message:{content}} object per piece, the last one with `done: true` and the counts
+  let text = '';
+  let usage = null;
+  for await (const line of lines(r.body)) {
+    const event = JSON.parse(line);
+    if (event.error) throw new Error(`ollama: ${event.error}`);
+    usage = usageOf(event) || usage;
+    const delta = event.message?.content || '';
+    if (!delta) continue;
+    text += delta;
+    onDelta(delta);
+  }
+  return { text: text.trim(), usage };
+}
@@ -0,0 +1,154 @@
+import { appendFileSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { log } from '../src/logger.js';
+
+// Durable conversation memory for the backends that keep one (openai, local).
+//
+// Threads live in memory and every change is appended to a JSON-lines file, replayed on
+// startup and compacted (rewritten with only the live state) when it grows:
+//   {"type":"msg","key":"user:123","role":"user","content":"...","at":1700000000000}
+//   {"type":"summary","key":"user:123","summary":"...","upToAt":1700000000000,"at":...}
+//
+// When a thread holds more than `maxMessages`, the oldest messages are folded into a rolling
+// summary by `summarize(previousSummary, messages, key)`, which the caller injects in the prompt.
+// The summary replaces the messages up to `upToAt` (message times are unique), so messages expiring
+// meanwhile, or on a replay, never take newer ones with them. Messages (and summaries) older than
+// `ttlMs` are forgotten.
+
+export function createMemoryStore({ file, maxMessages = 16, ttlMs = 0, summarize, summaryBatch = 4 }) {
+  const threads = new Map();
+  let lines = 0;
+  let lastAt = 0;
+
+  const expired = (at) => ttlMs > 0 && Date.now() - at > ttlMs;
+
+  function thread(key) {
+    if (!threads.has(key)) threads.set(key, { summary: '', summaryAt: 0, messages: [], summarizing: false });
+    return threads.get(key);
+  }
+
+  function apply(event) {
+    const t = thread(event.key);
+    if (event.type === 'msg') {
+      t.messages.push({ role: event.role, content: event.content, at: event.at });
+      lastAt = Math.max(lastAt, event.at);
+    } else if (event.type === 'summary') {
+      t.summary = event.summary;
+      t.summaryAt = event.at;
+      if (event.upToAt) t.messages = t.messages.filter((m) => m.at > event.upToAt);
+      // Older logs counted the messages the summary replaced
+      else t.messages.splice(0, event.dropped || 0);
+    } else if (event.type === 'forget') {
+      threads.delete(event.key);
+    }
+  }
+
+  function append(event) {
+    apply(event);
+    if (!file) return;
+    try {
+      appendFileSync(file, `${JSON.stringify(event)}\n`);
+      lines += 1;
+      if (lines > Math.max(500, threads.size * maxMessages * 4)) compact();
+    } catch (err) {
+      log.error('bridge_memory_append_failed', { file, error: err.message });
+    }
+  }
+
+  // Rewrite the log with only what's still live.
+  function compact() {
+    if (!file) return;
+    const out = [];
+    for (const [key, t] of threads) {
+      prune(t);
+      if (t.summary) out.push({ type: 'summary', key, summary: t.summary, at: t.summaryAt });
+      for (const m of t.messages) out.push({ type: 'msg', key, ...m });
+    }
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, out.map((e) => `${JSON.stringify(e)}\n`).join(''));
+    renameSync(tmp, file);
+    lines = out.length;
+  }
+
+  function prune(t) {
+    while (t.messages.length && expired(t.messages[0].at)) t.messages.shift();
+    if (t.summary && expired(t.summaryAt) && !t.messages.length) {
+      t.summary = '';
+      t.summaryAt = 0;
+    }
+  }
+
+  async function maybeSummarize(key, t) {
+    const overflow = t.messages.length - maxMessages;
+    if (overflow <= 0 || t.summarizing) return;
+
+    // Fold whole batches; without a summarizer just drop the overflow like a ring buffer.
+    if (!summarize) {
+      const upToAt = t.messages[overflow - 1].at;
+      append({ type: 'summary', key, summary: t.summary, upToAt, at: t.summaryAt || Date.now() });
+      return;
+    }
+    if (overflow < summaryBatch) return;
+
+    const batch = t.messages.slice(0, overflow);
+    t.summarizing = true;
+    try {
+      const summary = await summarize(t.summary, batch, key);
+      append({ type: 'summary', key, summary, upToAt: batch.at(-1).at, at: Date.now() });
+    } catch (err) {
+      log.error('bridge_memory_summarize_failed', { key, error: err.message });
+      // Don't grow forever if the summarizer keeps failing
+      if (t.messages.length > maxMessages * 2) {
+        const upToAt = t.messages.at(-maxMessages - 1).at;
+        append({ type: 'summary', key, summary: t.summary, upToAt, at: Date.now() });
+      }
+    } finally {
+      t.summarizing = false;
+    }
+  }
+
+  function load() {
+    if (!file) return;
+    mkdirSync(dirname(file), { recursive: true });
+    let raw = '';
+    try {
+      raw = readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.error('bridge_memory_load_failed', { file, error: err.message });
+      return;
+    }
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch {
+        // A torn last line after a crash; skip it
+      }
+    }
+    compact();
+    log.info('bridge_memory_loaded', { file, threads: threads.size });
+  }
+
+  load();
+
+  return {
+    // { summary, messages: [{ role, content }] } with expired entries removed
+    getThread(key) {
+      const t = thread(key);
+      prune(t);
+      return {
+        summary: t.summary,
+        messages: t.messages.map(({ role, content }) => ({ role, content }))
+      };
+    },
+    pushMsg(key, role, content) {
+      // Unique times, for the summaries' upToAt
+      append({ type: 'msg', key, role, content, at: Math.max(Date.now(), lastAt + 1) });
+      const t = thread(key);
+      maybeSummarize(key, t).catch(() => {});
+    },
+    forget(key) {
+      append({ type: 'forget', key, at: Date.now() });
+    }
+  };
+}
@@ -0,0 +1,214 @@
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+import { pathToFileURL } from 'node:url';
+
+// The OpenClaw worker the bridge keeps running (protocol in bridge/worker.js). It starts one `openclaw acp`
+// process and sends every turn to it: OpenClaw's Agent Client Protocol bridge, line-delimited JSON-RPC over
+// stdio, which keeps its Gateway connection (and so the agent) up between turns. Nothing is spawned per turn.
+// Each session key gets one ACP session, whose turns run one at a time. Requests:
+//   {"id":"1","type":"agent","message":"...","agentId":"main","thinking":"low","timeoutSeconds":120,
+//    "sessionKey":"agent:main:...","stream":true}
+// Without a session key a turn goes to the agent's main session (agent:<agentId>:main). ACP has no thinking
+// level, so it goes in as OpenClaw's inline directive (`/think:low ...`), which applies to that turn only.
+// The reply is made of the agent's message chunks only: other stdout lines (logs), thoughts and tool calls
+// are never part of it.
+// Errors come back with OpenClaw's own message and a code: agent_failed (an error answer to the prompt),
+// refused, timeout, cancelled, agent_exited (the acp process died; the worker then exits too, to be restarted).
+
+function agentError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const stripAnsi = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+// A line of `openclaw acp` output -> the JSON-RPC message, or null for anything else (log lines)
+export function parseRpcLine(line) {
+  try {
+    const message = JSON.parse(stripAnsi(line).trim());
+    return message && typeof message === 'object' && message.jsonrpc === '2.0' ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+// A `session/update` notification -> the text it adds to the agent's reply, or ''
+export function replyChunk(params) {
+  const update = params?.update;
+  if (update?.sessionUpdate !== 'agent_message_chunk' || update.content?.type !== 'text') return '';
+  return String(update.content.text || '');
+}
+
+function main() {
+  const write = (event) => process.stdout.write(`${JSON.stringify(event)}\n`);
+  const fail = (message) => process.stderr.write(`${message}\n`, () => process.exit(1));
+
+  const acp = spawn('openclaw', ['acp'], { stdio: ['pipe', 'pipe', 'pipe'] });
+  let lastError = '';
+  let nextRpcId = 0;
+  // JSON-RPC id -> { resolve, reject }
+  const calls = new Map();
+  // session key -> { id: promise of the ACP session id, tail: promise of the turn before }
+  const sessions = new Map();
+  // ACP session id -> the turn it runs: { id, text, stream, timedOut }
+  const running = new Map();
+  // ids of requests in progress, and of those cancelled before their prompt was sent
+  const active = new Set();
+  const cancelled = new Set();
+
+  const send = (message) =>
+    acp.stdin.writable && acp.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+  const notify = (method, params) => send({ method, params });
+  function call(method, params) {
+    const id = ++nextRpcId;
+    return new Promise((resolve, reject) => {
+      calls.set(id, { resolve, reject });
+      send({ id, method, params });
+    });
+  }
+
+  function onRpc(message) {
+    const { id, method } = message;
+    if (!method) {
+      const pending = calls.get(id);
+      calls.delete(id);
+      if (message.error) pending?.reject(agentError(message.error.message || 'openclaw acp error', 'agent_failed'));
+      else pending?.resolve(message.result || {});
+      return;
+    }
+    if (method === 'session/update') {
+      const turn = running.get(message.params?.sessionId);
+      const text = replyChunk(message.params);
+      if (!turn || !text) return;
+      turn.text += text;
+      if (turn.stream) write({ id: turn.id, type: 'delta', text });
+      return;
+    }
+    if (id === undefined) return;
+    // The agent asking the client for something: a voice bridge grants no permissions and has no files
+    if (method === 'session/request_permission') return send({ id, result: { outcome: { outcome: 'cancelled' } } });
+    send({ id, error: { code: -32601, message: `${method} is not supported` } });
+  }
+
+  createInterface({ input: acp.stdout }).on('line', (line) => {
+    const message = parseRpcLine(line);
+    if (message) onRpc(message);
+    else if (line.trim()) process.stderr.write(`[acp] ${stripAnsi(line).slice(0, 300)}\n`);
+  });
+  createInterface({ input: acp.stderr }).on('line', (line) => {
+    if (!line.trim()) return;
+    lastError = stripAnsi(line).trim().slice(0, 300);
+    process.stderr.write(`[acp] ${lastError}\n`);
+  });
+  acp.stdin.on('error', () => {
+    // EPIPE after acp died: 'exit' takes care of it
+  });
+  acp.on('error', (err) => fail(err.code === 'ENOENT' ? 'openclaw CLI not found on PATH' : err.message));
+  // Without acp there is nothing to answer with: fail what is in flight and let the bridge restart the worker
+  acp.on('exit', (code, signal) => {
+    const message = lastError || `openclaw acp exited (code=${code}, signal=${signal})`;
+    for (const id of active) write({ id, type: 'error', code: 'agent_exited', error: message });
+    fail(`openclaw acp exited (code=${code}, signal=${signal})`);
+  });
+
+  function session(key) {
+    if (!sessions.has(key)) {
+      const id = call('session/new', { cwd: process.cwd(), mcpServers: [], _meta: { sessionKey: key } }).then(
+        (result) => result.sessionId,
+        (err) => {
+          sessions.delete(key);
+          throw err;
+        }
+      );
+      sessions.set(key, { id, tail: Promise.resolve() });
+    }
+    return sessions.get(key);
+  }
+
+  async function agent(request) {
+    const { id, stream, timeoutSeconds } = request;
+    const current = session(request.sessionKey || `agent:${request.agentId || 'main'}:main`);
+    // One turn at a time per session: wait for the one before
+    const previous = current.tail;
+    let release;
+    current.tail = new Promise((resolve) => (release = resolve));
+    try {
+      await previous;
+      const sessionId = await current.id;
+      if (cancelled.has(id)) throw agentError('cancelled', 'cancelled');
+
+      const turn = { id, text: '', stream, timedOut: false };
+      running.set(sessionId, turn);
+      const timer =
+        timeoutSeconds > 0 &&
+        setTimeout(() => {
+          turn.timedOut = true;
+          notify('session/cancel', { sessionId });
+        }, timeoutSeconds * 1000);
+      try {
+        const directive = request.thinking ? `/think:${request.thinking} ` : '';
+        const prompt = [{ type: 'text', text: directive + String(request.message || '') }];
+        const { stopReason } = await call('session/prompt', { sessionId, prompt });
+        if (turn.timedOut) throw agentError(`openclaw turn timed out after ${timeoutSeconds} s`, 'timeout');
+        if (stopReason === 'cancelled') throw agentError('cancelled', 'cancelled');
+        if (stopReason === 'refusal') throw agentError('the openclaw agent refused to answer', 'refused');
+        return turn.text.trim();
+      } finally {
+        clearTimeout(timer);
+        running.delete(sessionId);
+      }
+    } finally {
+      release();
+    }
+  }
+
+  function cancel(id) {
+    if (!active.has(id)) return;
+    cancelled.add(id);
+    for (const [sessionId, turn] of running) {
+      if (turn.id === id) notify('session/cancel', { sessionId });
+    }
+  }
+
+  function serve() {
+    const lines = createInterface({ input: process.stdin });
+    lines.on('line', (line) => {
+      let request;
+      try {
+        request = JSON.parse(line);
+      } catch {
+        process.stderr.write(`not a JSON request: ${line.slice(0, 200)}\n`);
+        return;
+      }
+      const { id, type } = request;
+      if (type === 'ping') return write({ id, type: 'pong' });
+      if (type === 'cancel') return cancel(id);
+      if (type !== 'agent') return write({ id, type: 'error', code: 'bad_request', error: `unknown type ${type}` });
+      active.add(id);
+      agent(request)
+        .then(
+          (reply) => write({ id, type: 'done', reply }),
+          (err) => write({ id, type: 'error', code: err.code || 'agent_failed', error: err.message })
+        )
+        .finally(() => {
+          active.delete(id);
+          cancelled.delete(id);
+        });
+    });
+    // The bridge went away
+    lines.on('close', () => {
+      acp.removeAllListeners('exit');
+      acp.kill();
+      process.exit(0);
+    });
+    write({ type: 'ready' });
+  }
+
+  const clientCapabilities = { fs: { readTextFile: false, writeTextFile: false }, terminal: false };
+  call('initialize', { protocolVersion: 1, clientCapabilities }).then(serve, (err) =>
+    fail(`openclaw acp did not initialize: ${err.message}`)
+  );
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
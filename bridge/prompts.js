@@ -0,0 +1,90 @@
+import { languageName, t } from '../src/i18n.js';
+
+// Instructions the backends wrap around a voice turn, worded in the request's `locale`. Reply language
+// and length come from the user's preferences (bot request fields `language` and `answerLength`);
+// without them: the locale's language, 1-3 sentences. In group conversation mode `group` is
+// { speakerName, present: [name], recent: [{ name, text, bot }] } and the prompts say who is talking.
+
+function replyLanguage(locale, language) {
+  if (language === 'auto') return t(locale, 'bridge.replyAuto');
+  return t(locale, 'bridge.replyIn', { language: languageName(locale, language || locale) });
+}
+
+function answerLengthText(locale, answerLength) {
+  return t(locale, `bridge.length.${answerLength || 'default'}`);
+}
+
+function nowParts(timeZone) {
+  const now = new Date();
+  const hh = new Intl.DateTimeFormat('it-IT', { timeZone, hour: '2-digit', hour12: false }).format(now);
+  // `minute: '2-digit'` alone still formats 7 as '7'
+  const mm = new Intl.DateTimeFormat('it-IT', { timeZone, minute: '2-digit' }).format(now).padStart(2, '0');
+  const dd = new Intl.DateTimeFormat('it-IT', { timeZone, day: '2-digit' }).format(now);
+  const mo = new Intl.DateTimeFormat('it-IT', { timeZone, month: '2-digit' }).format(now);
+  const yy = new Intl.DateTimeFormat('it-IT', { timeZone, year: 'numeric' }).format(now);
+  return { hh, mm, dd, mo, yy };
+}
+
+// Who is in the channel and what was said there lately
+function groupContext(locale, group) {
+  if (!group) return '';
+  const lines = group.recent
+    .map(({ name, text, bot }) => `${bot ? t(locale, 'bridge.summary.assistant') : name}: ${text}`)
+    .join('\n');
+  return (
+    t(locale, 'bridge.group.context', { present: group.present.join(', ') || group.speakerName }) +
+    (lines ? t(locale, 'bridge.group.recent', { lines }) : '')
+  );
+}
+
+// A user message as the chat backends see it (and their memory keeps it): prefixed with the speaker in a group
+export function speakerMessage({ message, group }) {
+  return group ? `${group.speakerName}: ${message}` : message;
+}
+
+// System prompt of the chat backends (openai, local); `summary` is the memory thread's rolling summary
+export function systemPrompt({ locale, language, answerLength, persona, summary, timeZone, group }) {
+  const style = answerLength
+    ? t(locale, 'bridge.style.length', { length: answerLengthText(locale, answerLength) })
+    : t(locale, 'bridge.style.default');
+  return (
+    t(locale, 'bridge.system', { language: replyLanguage(locale, language), style }) +
+    (persona ? `${persona} ` : '') +
+    t(locale, 'bridge.now', { timeZone, ...nowParts(timeZone) }) +
+    (summary ? t(locale, 'bridge.summaryContext', { summary }) : '') +
+    groupContext(locale, group)
+  );
+}
+
+// The whole message for an agent that keeps its own context (openclaw)
+export function voiceModeMessage({
+  message,
+  userId,
+  guildId,
+  channelId,
+  persona,
+  locale,
+  language,
+  answerLength,
+  group
+}) {
+  const says = { userId, guildId, channelId, message };
+  return (
+    t(locale, 'bridge.voiceMode', {
+      language: replyLanguage(locale, language),
+      length: answerLengthText(locale, answerLength)
+    }) +
+    groupContext(locale, group) +
+    '\n\n' +
+    (persona ? `${persona}\n\n` : '') +
+    (group
+      ? t(locale, 'bridge.group.userSays', { ...says, name: group.speakerName })
+      : t(locale, 'bridge.userSays', says))
+  );
+}
+
+// Reply token budget from a backend's default: shorter for `short` answers and economy requests
+export function maxTokens(base, { economy, answerLength }) {
+  if (economy || answerLength === 'short') return Math.round((base * 120) / 220);
+  return answerLength === 'long' ? Math.round((base * 450) / 220) : base;
+}
@@ -1,33 +1,141 @@
 import 'dotenv/config';
 import express from 'express';
-import { spawn } from 'node:child_process';
+import { chmodSync, lstatSync, unlinkSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { loadAccessPolicy } from '../src/access-policy.js';
+import { createRequestVerifier } from '../src/bridge-auth.js';
+import { normalizeLocale, t } from '../src/i18n.js';
+import { createMetrics } from '../src/metrics.js';
+import { configureLogger, log } from '../src/logger.js';
+import { cancelledError, createBackendRegistry, loadBackends } from './backend-registry.js';
+import { openaiChat } from './chat-api.js';
+import { speakerMessage } from './prompts.js';
+import { createMemoryStore } from './memory-store.js';
+import { createSkillRegistry, loadSkills } from './skill-registry.js';
+
+configureLogger({ service: 'bridge', file: process.env.BRIDGE_LOG_FILE || '' });
 
 const app = express();
-app.use(express.json({ limit: '2mb' }));
+// The raw body is kept for verifying request signatures
+app.use(express.json({ limit: '2mb', verify: (req, res, buf) => (req.rawBody = buf) }));
+
+// Prometheus metrics, served on GET /metrics
+const metrics = createMetrics({ prefix: 'voice_bridge_' });
+const requestsTotal = metrics.counter('requests_total', 'HTTP requests by route and status');
+const requestSeconds = metrics.histogram('request_seconds', 'HTTP request duration by route');
+const queueWaitSeconds = metrics.histogram('queue_wait_seconds', 'Time a turn waited behind the same memory thread');
+const backendSeconds = metrics.histogram('backend_seconds', 'Reply generation time by backend');
+const firstDeltaSeconds = metrics.histogram('first_delta_seconds', 'Time to the first streamed text by backend');
+const backendErrors = metrics.counter('backend_errors_total', 'Failed reply generations by backend');
+const backendTimeouts = metrics.counter('backend_timeouts_total', 'Reply generations abandoned by backend timeout');
+const skillHits = metrics.counter('skill_hits_total', 'Replies answered by a local skill instead of a backend');
+const authFailures = metrics.counter('auth_failures_total', 'Requests rejected by bot-to-bridge authentication');
+const turnsCancelled = metrics.counter('cancelled_total', 'Turns the bot gave up on, by how the bridge learned it');
+
+// Correlation id: the bot sends its turn id (X-Correlation-Id header or `turnId` in the body)
+let requestCounter = 0;
+function correlationId(req) {
+  const id = String(req.get('x-correlation-id') || req.body?.turnId || '');
+  if (/^[\w.-]{1,64}$/.test(id)) return id;
+  requestCounter += 1;
+  return `bridge-${Date.now().toString(36)}-${requestCounter}`;
+}
+
+app.use((req, res, next) => {
+  const startedAt = Date.now();
+  req.correlationId = correlationId(req);
+  req.log = log.child({ correlationId: req.correlationId });
+  res.setHeader('X-Correlation-Id', req.correlationId);
+
+  res.on('finish', () => {
+    const route = req.route?.path || 'other';
+    const ms = Date.now() - startedAt;
+    const level = route === '/health' || route === '/metrics' ? 'debug' : 'info';
+    req.log[level]('http_request', { method: req.method, route, status: res.statusCode, ms });
+    if (route === '/metrics') return;
+    requestsTotal.inc({ route, status: res.statusCode });
+    requestSeconds.observe({ route }, ms / 1000);
+  });
+  next();
+});
+
+// Bot-to-bridge authentication (src/bridge-auth.js): once BRIDGE_AUTH_SECRET or BRIDGE_AUTH_TOKEN is
+// set, every route but /health needs a valid signature or token (or, for /metrics, BRIDGE_METRICS_TOKEN)
+const verifyAuth = createRequestVerifier();
+if (!verifyAuth.enabled) {
+  log.warn('bridge_auth_disabled', { hint: 'set BRIDGE_AUTH_SECRET for the bot and the bridge' });
+}
+app.use((req, res, next) => {
+  if (!verifyAuth.enabled || req.path === '/health') return next();
+  const reason = verifyAuth({
+    timestamp: req.get('x-bridge-timestamp'),
+    signature: req.get('x-bridge-signature'),
+    authorization: req.get('authorization'),
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody?.toString('utf8') || ''
+  });
+  if (!reason) return next();
+  authFailures.inc({ reason });
+  req.log.warn('bridge_auth_failed', { reason, method: req.method, path: req.path, ip: req.ip });
+  res.status(401).json({ reply: '' });
+});
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com';
 const CHAT_MODEL = process.env.CHAT_MODEL || 'gpt-4o-mini';
 const TIME_ZONE = process.env.TIME_ZONE || 'Europe/Rome';
+// Wording of prompts, summaries and errors (src/locales) when a request carries no `locale`
+const BRIDGE_LOCALE = normalizeLocale(process.env.BRIDGE_LOCALE || process.env.BOT_LOCALE) || 'it';
 
-// Bridge backend:
+// Reply backends, one module per file (see bridge/backend-registry.js):
+// - openclaw: the OpenClaw agent through a long-lived `openclaw acp`, so the reply comes from Niko(OpenClaw)
 // - openai: direct /v1/chat/completions
-// - openclaw: call `openclaw agent` so the reply comes from Niko(OpenClaw)
-const BRIDGE_BACKEND = (process.env.BRIDGE_BACKEND || 'openclaw').toLowerCase();
-
-// OpenClaw agent integration
-const OPENCLAW_AGENT_ID = process.env.OPENCLAW_AGENT_ID || 'main';
-const OPENCLAW_THINKING = process.env.OPENCLAW_THINKING || 'low';
-const OPENCLAW_TIMEOUT = Number(process.env.OPENCLAW_TIMEOUT || 120);
-const OPENCLAW_SESSION_KEY = process.env.OPENCLAW_SESSION_KEY || ''; // e.g. agent:main:discord:channel:<id>
-const OPENCLAW_SESSION_ID = process.env.OPENCLAW_SESSION_ID || ''; // UUID; overrides session key resolution
-
-// Hard allowlist (defense-in-depth; bot already enforces)
-const ALLOWLIST = new Set(['323379312608673803', '381895367861600258']);
-
-// Very small rolling memory per user (in-process) (OpenAI backend only)
-const memory = new Map();
+// - local: a local model server (Ollama, llama.cpp)
+// BRIDGE_BACKEND may be a fallback chain, e.g. `openclaw,local`: the next backend answers when one fails
+// (BRIDGE_FALLBACK_ON=error, the default) or only when it times out (BRIDGE_FALLBACK_ON=timeout).
+const BACKENDS_DIR = process.env.BRIDGE_BACKENDS_DIR || fileURLToPath(new URL('./backends', import.meta.url));
+const BRIDGE_BACKEND = (process.env.BRIDGE_BACKEND || 'openclaw')
+  .toLowerCase()
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+const FALLBACK_ON = process.env.BRIDGE_FALLBACK_ON === 'timeout' ? 'timeout' : 'error';
+const backends = createBackendRegistry(await loadBackends(BACKENDS_DIR), {
+  chain: BRIDGE_BACKEND,
+  fallbackOn: FALLBACK_ON
+});
+log.info('bridge_backends_loaded', { dir: BACKENDS_DIR, backends: backends.names, chain: backends.chain });
+
+// Fast-path skills, one module per file (see bridge/skill-registry.js). BRIDGE_SKILLS_DISABLED
+// is a comma-separated list of skill names to leave out.
+const SKILLS_DIR = process.env.BRIDGE_SKILLS_DIR || fileURLToPath(new URL('./skills', import.meta.url));
+const SKILLS_DISABLED = (process.env.BRIDGE_SKILLS_DISABLED || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+const skills = createSkillRegistry(await loadSkills(SKILLS_DIR, { disabled: SKILLS_DISABLED }));
+log.info('bridge_skills_loaded', { dir: SKILLS_DIR, skills: skills.names });
+// Utterances kept per user and channel for the skills' `history`
+const RECENT_TEXTS = 5;
+const recentTexts = new Map();
+
+// Shared access policy (defense-in-depth; bot already enforces)
+const ACCESS_POLICY_FILE =
+  process.env.ACCESS_POLICY_FILE || fileURLToPath(new URL('../config/access-policy.json', import.meta.url));
+const access = loadAccessPolicy(ACCESS_POLICY_FILE);
+access.watch();
+
+// Persistent rolling memory (backends with `memory`: openai, local): per user, or shared per voice channel.
+// Turns beyond BRIDGE_MAX_TURNS are folded into a summary injected into the system prompt. Group
+// conversations (see groupContext) always share the channel's thread.
 const MAX_TURNS = Number(process.env.BRIDGE_MAX_TURNS || 8); // user+assistant messages
+const MEMORY_SCOPE = (process.env.BRIDGE_MEMORY_SCOPE || 'user').toLowerCase(); // user | channel
+const MEMORY_FILE =
+  process.env.BRIDGE_MEMORY_FILE || fileURLToPath(new URL('../data/bridge-memory.jsonl', import.meta.url));
+const MEMORY_TTL_HOURS = Number(process.env.BRIDGE_MEMORY_TTL_HOURS || 72); // 0 = keep forever
+const MEMORY_SUMMARY = process.env.BRIDGE_MEMORY_SUMMARY !== '0';
+const SUMMARY_MODEL = process.env.BRIDGE_SUMMARY_MODEL || CHAT_MODEL;
 
 // Serialize per-user runs to avoid overlapping voice turns
 const queues = new Map();
@@ -43,112 +151,310 @@ function enqueue(key, fn) {
   return next;
 }
 
-let cachedOpenClawSessionId = null;
-let cachedOpenClawSessionAt = 0;
+const memory = createMemoryStore({
+  file: MEMORY_FILE,
+  maxMessages: MAX_TURNS * 2,
+  ttlMs: MEMORY_TTL_HOURS * 60 * 60 * 1000,
+  summarize: MEMORY_SUMMARY && OPENAI_API_KEY ? summarizeThread : null
+});
 
-function getThread(userId) {
-  const key = String(userId || 'unknown');
-  if (!memory.has(key)) memory.set(key, []);
-  return memory.get(key);
+function threadKey({ userId, channelId, group }) {
+  if ((group || MEMORY_SCOPE === 'channel') && channelId) return `channel:${channelId}`;
+  return `user:${userId || 'unknown'}`;
 }
 
-function pushMsg(thread, role, content) {
-  thread.push({ role, content });
-  // keep only last MAX_TURNS*2-ish messages
-  const max = MAX_TURNS * 2;
-  if (thread.length > max) thread.splice(0, thread.length - max);
+function getThread(key) {
+  return memory.getThread(key);
 }
 
-function nowParts() {
-  const now = new Date();
-  const hh = new Intl.DateTimeFormat('it-IT', { timeZone: TIME_ZONE, hour: '2-digit', hour12: false }).format(now);
-  const mm = new Intl.DateTimeFormat('it-IT', { timeZone: TIME_ZONE, minute: '2-digit' }).format(now);
-  const dd = new Intl.DateTimeFormat('it-IT', { timeZone: TIME_ZONE, day: '2-digit' }).format(now);
-  const mo = new Intl.DateTimeFormat('it-IT', { timeZone: TIME_ZONE, month: '2-digit' }).format(now);
-  const yy = new Intl.DateTimeFormat('it-IT', { timeZone: TIME_ZONE, year: 'numeric' }).format(now);
-  return { hh, mm, dd, mo, yy };
+function pushMsg(key, role, content) {
+  memory.pushMsg(key, role, content);
 }
 
-function isTimeQuestion(text) {
-  return /\b(che\s+ore\s+sono|che\s+ora\s+e\b|che\s+ora\s+è\b|che\s+ore\s+e\b|che\s+ore\s+è\b|mi\s+dici\s+l['’]ora|ora\?|orario)\b/i.test(text);
+// Tokens the summaries of a thread spent, until a reply on that thread reports them to the bot (`summaryUsage`):
+// summaries run after the reply that triggered them, so they are billed with the next one.
+const summaryUsage = new Map();
+
+function takeSummaryUsage(key) {
+  const usage = summaryUsage.get(key);
+  summaryUsage.delete(key);
+  return usage;
+}
+
+// Fold older turns into the rolling summary
+async function summarizeThread(previousSummary, messages, key) {
+  const speaker = (m) => t(BRIDGE_LOCALE, m.role === 'user' ? 'bridge.summary.user' : 'bridge.summary.assistant');
+  const transcript = messages.map((m) => `${speaker(m)}: ${m.content}`).join('\n');
+
+  const { text, usage } = await openaiChat({
+    baseUrl: OPENAI_BASE_URL,
+    apiKey: OPENAI_API_KEY,
+    body: {
+      model: SUMMARY_MODEL,
+      temperature: 0.2,
+      max_tokens: 300,
+      messages: [
+        { role: 'system', content: t(BRIDGE_LOCALE, 'bridge.summary.system') },
+        {
+          role: 'user',
+          content: t(BRIDGE_LOCALE, 'bridge.summary.input', {
+            previous: previousSummary || t(BRIDGE_LOCALE, 'bridge.summary.none'),
+            messages: transcript
+          })
+        }
+      ]
+    },
+    logger: log
+  });
+  if (usage) {
+    const spent = summaryUsage.get(key) || { backend: 'openai', model: SUMMARY_MODEL, inputTokens: 0, outputTokens: 0 };
+    spent.inputTokens += usage.inputTokens;
+    spent.outputTokens += usage.outputTokens;
+    summaryUsage.set(key, spent);
+  }
+  if (!text) throw new Error('empty summary');
+  return text;
 }
 
-function extractJsonFromOutput(raw) {
-  const i = raw.indexOf('{');
-  const j = raw.lastIndexOf('}');
-  if (i === -1 || j === -1 || j <= i) throw new Error('No JSON object found in output');
-  return JSON.parse(raw.slice(i, j + 1));
+// Turns in progress by correlation id, for POST /cancel
+const inFlight = new Map();
+
+// A controller for the request's turn, aborted when the bot cancels it (POST /cancel) or hangs up
+// before the answer was sent (barge-in on the bot side aborts its fetch)
+function trackTurn(req, res) {
+  const controller = new AbortController();
+  const id = req.correlationId;
+  inFlight.set(id, controller);
+  res.on('close', () => {
+    if (inFlight.get(id) === controller) inFlight.delete(id);
+    if (res.writableFinished || controller.signal.aborted) return;
+    turnsCancelled.inc({ via: 'disconnect' });
+    controller.abort(cancelledError('client disconnected'));
+  });
+  return controller.signal;
 }
 
-async function resolveOpenClawSessionId() {
-  if (OPENCLAW_SESSION_ID) return OPENCLAW_SESSION_ID;
-  if (!OPENCLAW_SESSION_KEY) return '';
+// Settles with `promise`, or rejects as soon as `signal` aborts
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
 
-  // Cache for a bit to avoid spawning `openclaw sessions list` on every request
-  const now = Date.now();
-  if (cachedOpenClawSessionId && now - cachedOpenClawSessionAt < 60_000) return cachedOpenClawSessionId;
+// onDelta (optional): called with incremental text as the backend produces it.
+// onUsage (optional): called with { backend, model, inputTokens, outputTokens } (or null) when the backend reports
+// tokens or the thread has summary tokens not reported yet (the same, second argument; see summaryUsage).
+// signal (optional): cancels the turn, whether it is still queued or already with a backend.
+function generateReply({
+  message,
+  userId,
+  guildId,
+  channelId,
+  agentId,
+  persona,
+  economy,
+  locale,
+  language,
+  answerLength,
+  group,
+  onDelta,
+  onUsage,
+  signal,
+  logger = log
+}) {
+  // Turns sharing a memory thread must not overlap
+  const queueKey = threadKey({ userId, channelId, group });
+  const content = speakerMessage({ message, group });
+  const queuedAt = Date.now();
+
+  const queued = enqueue(queueKey, async () => {
+    // Cancelled while waiting its turn: never reaches a backend
+    signal?.throwIfAborted();
+    const startedAt = Date.now();
+    queueWaitSeconds.observe({}, (startedAt - queuedAt) / 1000);
+
+    const thread = getThread(queueKey);
+    const history = thread.messages.map(({ role, content }) => ({ role, content }));
+    const seenDelta = new Set();
+    const timedDelta = onDelta
+      ? (delta, backend) => {
+          if (!seenDelta.has(backend)) {
+            seenDelta.add(backend);
+            firstDeltaSeconds.observe({ backend }, (Date.now() - startedAt) / 1000);
+          }
+          onDelta(delta);
+        }
+      : undefined;
+
+    const result = await backends.generate(
+      {
+        message,
+        messages: [...history, { role: 'user', content }],
+        summary: thread.summary,
+        userId,
+        guildId,
+        channelId,
+        agentId,
+        persona,
+        economy,
+        locale,
+        language,
+        answerLength,
+        group,
+        timeZone: TIME_ZONE,
+        onDelta: timedDelta,
+        signal,
+        logger
+      },
+      {
+        onAttempt: ({ backend, outcome, seconds }) => {
+          backendSeconds.observe({ backend }, seconds);
+          if (outcome === 'ok' || outcome === 'cancelled') return;
+          backendErrors.inc({ backend });
+          if (outcome === 'timeout') backendTimeouts.inc({ backend });
+        }
+      }
+    );
 
-  const out = await new Promise((resolve, reject) => {
-    const p = spawn('openclaw', ['--no-color', 'sessions', 'list', '--json'], {
-      stdio: ['ignore', 'pipe', 'pipe']
-    });
-    let stdout = '';
-    let stderr = '';
-    p.stdout.on('data', (d) => (stdout += d.toString()));
-    p.stderr.on('data', (d) => (stderr += d.toString()));
-    p.on('error', reject);
-    p.on('exit', (code) => {
-      if (code === 0) return resolve(stdout);
-      reject(new Error(`openclaw sessions list failed (code=${code}): ${stderr}`));
-    });
+    // Whichever backend answered, so a fallback to one with memory knows the conversation
+    if (backends.memory) {
+      pushMsg(queueKey, 'user', content);
+      if (result.reply) pushMsg(queueKey, 'assistant', result.reply);
+    }
+    const summarized = takeSummaryUsage(queueKey);
+    if (result.usage || summarized) onUsage?.(result.usage || null, summarized || null);
+    return result.reply;
   });
+  return abortable(queued, signal);
+}
 
-  const json = extractJsonFromOutput(out);
-  const found = (json.sessions || []).find((s) => s.key === OPENCLAW_SESSION_KEY);
-  cachedOpenClawSessionId = found?.sessionId || '';
-  cachedOpenClawSessionAt = now;
-  return cachedOpenClawSessionId;
-}
-
-async function runOpenClawAgent({ message, userId, guildId, channelId }) {
-  const sessionId = await resolveOpenClawSessionId();
-
-  const wrapped =
-    `Modalità VOCE (Discord). Rispondi in italiano, senza markdown, in 1-3 frasi. ` +
-    `Se non capisci bene, chiedi di ripetere dicendo cosa hai capito.\n\n` +
-    `Utente(${userId}) in VC(${guildId}/${channelId}): ${message}`;
-
-  const args = ['--no-color', 'agent', '--agent', OPENCLAW_AGENT_ID, '--thinking', OPENCLAW_THINKING, '--json', '--timeout', String(OPENCLAW_TIMEOUT), '--message', wrapped];
-  if (sessionId) args.splice(2, 0, '--session-id', sessionId);
-
-  const out = await new Promise((resolve, reject) => {
-    const p = spawn('openclaw', args, { stdio: ['ignore', 'pipe', 'pipe'] });
-    let stdout = '';
-    let stderr = '';
-    p.stdout.on('data', (d) => (stdout += d.toString()));
-    p.stderr.on('data', (d) => (stderr += d.toString()));
-    p.on('error', reject);
-    p.on('exit', (code) => {
-      if (code === 0) return resolve(stdout);
-      reject(new Error(`openclaw agent failed (code=${code}): ${stderr}`));
-    });
+// Per-channel overrides and the user's preferences sent by the bot
+function channelOptions(body) {
+  const agentId = String(body?.agentId || '');
+  const language = String(body?.language || '');
+  return {
+    // Passed to the CLI as an argument: keep it to plain ids
+    agentId: /^[\w.-]{1,64}$/.test(agentId) ? agentId : '',
+    persona: String(body?.persona || '').slice(0, 2000),
+    economy: body?.economy === true,
+    locale: requestLocale(body),
+    language: /^([a-z]{2}|auto)$/.test(language) ? language : '',
+    answerLength: ['short', 'long'].includes(body?.answerLength) ? body.answerLength : '',
+    group: groupContext(body)
+  };
+}
+
+// Group conversation mode (`conversation: 'group'`): the speaker's display name, who is in the voice
+// channel and the channel's latest utterances, from everyone. null in per-user mode.
+const GROUP_MAX_PRESENT = 25;
+const GROUP_MAX_RECENT = 20;
+function groupContext(body) {
+  if (body?.conversation !== 'group') return null;
+  const name = (value) => String(value || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+  const recent = Array.isArray(body.recent) ? body.recent.slice(-GROUP_MAX_RECENT) : [];
+  return {
+    speakerName: name(body.speakerName) || name(body.userId) || '?',
+    present: (Array.isArray(body.present) ? body.present : []).slice(0, GROUP_MAX_PRESENT).map(name).filter(Boolean),
+    recent: recent
+      .map((entry) => ({
+        name: name(entry?.name),
+        text: String(entry?.text || '').slice(0, 500),
+        bot: entry?.bot === true
+      }))
+      .filter((entry) => entry.text && (entry.bot || entry.name))
+  };
+}
+
+function requestLocale(body) {
+  return normalizeLocale(body?.locale) || BRIDGE_LOCALE;
+}
+
+// Local skills (time, calculator, dice, ...) answer before any backend: no LLM, no tokens.
+// Every utterance is remembered per user and channel for skills that look back ("what did I say").
+// -> { reply, actions? } or null
+async function skillReply(req, text) {
+  const { userId, channelId } = req.body || {};
+  const key = `${userId}:${channelId || ''}`;
+  const history = recentTexts.get(key) || [];
+  const hit = await skills.match(text, {
+    locale: requestLocale(req.body),
+    userId,
+    channelId,
+    history,
+    timeZone: TIME_ZONE,
+    logger: req.log
   });
 
-  const json = extractJsonFromOutput(out);
-  const payloads = json?.result?.payloads || [];
-  const reply = (payloads[0]?.text || '').trim();
-  return reply;
+  if (hit?.skill.remember !== false) {
+    recentTexts.set(key, [...history, text].slice(-RECENT_TEXTS));
+  }
+  if (!hit) return null;
+  skillHits.inc({ skill: hit.skill.name });
+  req.log.info('bridge_skill', {
+    skill: hit.skill.name,
+    locale: hit.locale,
+    userId,
+    reply: hit.reply.slice(0, 300),
+    // Only the types: an action carries the user's words (a reminder's text), which LOG_REDACT can't see there
+    ...(hit.actions ? { actions: hit.actions.map((action) => action.type) } : {})
+  });
+  return { reply: hit.reply, ...(hit.actions ? { actions: hit.actions } : {}) };
 }
 
+// The bot resolves the user's roles, but anyone who can reach the bridge could claim them: they only count
+// on authenticated requests. Without authentication only user ids are checked.
+function isAllowedRequest(body) {
+  const { userId, roleIds, guildId, channelId } = body || {};
+  const trustedRoles = verifyAuth.enabled && Array.isArray(roleIds) ? roleIds : [];
+  return access.isAllowed({ userId, roleIds: trustedRoles, guildId, channelId });
+}
+
+// What a failed request answers: the backend's error (502, or 504 on a timeout) with a reply to speak,
+// a generic 500 when it failed anywhere else, and nothing to say when the bot cancelled the turn
+function failure(req, err) {
+  const locale = requestLocale(req.body);
+  if (err.code === 'CANCELLED') return { status: 200, body: { reply: '', cancelled: true } };
+  if (!err.backend) return { status: 500, body: { reply: t(locale, 'bridge.error') } };
+  const timedOut = err.code === 'BACKEND_TIMEOUT';
+  return {
+    status: timedOut ? 504 : 502,
+    body: {
+      reply: t(locale, timedOut ? 'bridge.timeout' : 'bridge.backendError'),
+      error: { backend: err.backend, code: err.code || 'error', message: err.message }
+    }
+  };
+}
+
+// `backends`: the state of those that report one (e.g. the OpenClaw worker)
 app.get('/health', (req, res) => {
-  res.json({ ok: true });
+  res.json({ ok: true, backends: backends.health() });
+});
+
+app.get('/metrics', (req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+// Cancels the turn with this correlation id (X-Correlation-Id or `turnId`, as sent with the turn):
+// a queued turn is dropped, a running one stopped in its backend (the OpenClaw run is killed)
+app.post('/cancel', (req, res) => {
+  const controller = inFlight.get(req.correlationId);
+  if (controller && !controller.signal.aborted) {
+    turnsCancelled.inc({ via: 'cancel' });
+    controller.abort(cancelledError('cancelled by the bot'));
+  }
+  req.log.info('bridge_cancel', { found: Boolean(controller) });
+  res.json({ cancelled: Boolean(controller) });
 });
 
 app.post('/respond', async (req, res) => {
   try {
     const { text, userId, guildId, channelId } = req.body || {};
 
-    if (!ALLOWLIST.has(String(userId))) {
+    if (!isAllowedRequest(req.body)) {
       return res.status(403).json({ reply: '' });
     }
 
@@ -157,77 +463,132 @@ app.post('/respond', async (req, res) => {
 
     // backend-specific auth checks below
 
-    // Cheap fast-path for time questions (no LLM, no tokens)
-    if (isTimeQuestion(cleaned)) {
-      const { hh, mm } = nowParts();
-      return res.json({ reply: `Sono le ${hh}:${mm}.` });
-    }
+    const fast = await skillReply(req, cleaned);
+    if (fast) return res.json(fast);
+
+    let usage = null;
+    let summarized = null;
+    const reply = await generateReply({
+      message: cleaned,
+      userId,
+      guildId,
+      channelId,
+      ...channelOptions(req.body),
+      onUsage: (u, s) => {
+        usage = u;
+        summarized = s;
+      },
+      signal: trackTurn(req, res),
+      logger: req.log
+    });
+    req.log.info('bridge_reply', { userId, reply: (reply || '').slice(0, 300), replyLen: (reply || '').length });
 
-    const queueKey = String(userId);
+    res.json({ reply: reply || '', ...(usage ? { usage } : {}), ...(summarized ? { summaryUsage: summarized } : {}) });
+  } catch (err) {
+    if (err.code === 'CANCELLED') req.log.info('bridge_cancelled', { reason: err.message });
+    else req.log.error('respond_failed', { err, backend: err.backend });
+    const { status, body } = failure(req, err);
+    if (!res.destroyed) res.status(status).json(body);
+  }
+});
 
-    const reply = await enqueue(queueKey, async () => {
-      if (BRIDGE_BACKEND === 'openclaw') {
-        return runOpenClawAgent({ message: cleaned, userId, guildId, channelId });
-      }
+// Same contract as /respond, but streamed as NDJSON:
+//   {"type":"delta","text":"..."}  (zero or more)
+//   {"type":"done","reply":"full reply","usage":{...},"actions":[...]} | {"type":"error","reply":"message to speak"}
+//   | {"type":"done","reply":"","cancelled":true}
+// `usage` ({ backend, model, inputTokens, outputTokens }) is only there when the backend reports tokens,
+// `summaryUsage` (the same) when memory summaries of the thread spent tokens since its last reply,
+// `actions` (as in /respond) when a local skill asks the bot to do something besides speaking.
+// An error from the backend also carries `error` ({ backend, code, message }), as the /respond error body does.
+app.post('/respond/stream', async (req, res) => {
+  const { text, userId, guildId, channelId } = req.body || {};
+
+  if (!isAllowedRequest(req.body)) {
+    return res.status(403).json({ reply: '' });
+  }
 
-      // --- OpenAI backend (legacy) ---
-      if (!OPENAI_API_KEY) {
-        throw new Error('OPENAI_API_KEY mancante sul bridge (backend=openai).');
-      }
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (!res.writableEnded && !res.destroyed) res.write(`${JSON.stringify(event)}\n`);
+  };
+  const signal = trackTurn(req, res);
 
-      const thread = getThread(userId);
-
-      const { hh, mm, dd, mo, yy } = nowParts();
-      const system = {
-        role: 'system',
-        content:
-          "Sei NikoVoice, un assistente vocale in Discord. Rispondi SEMPRE e SOLO in italiano, in modo naturale e conciso. " +
-          "Se non capisci bene l'audio o la frase è nonsense, chiedi di ripetere e ripeti brevemente cosa hai capito. " +
-          "Non leggere ad alta voce numeri lunghi o ID; se servono, riassumi. " +
-          `Ora corrente (timezone ${TIME_ZONE}): ${hh}:${mm} del ${dd}/${mo}/${yy}.`
-      };
-
-      pushMsg(thread, 'user', cleaned);
-
-      const body = {
-        model: CHAT_MODEL,
-        messages: [system, ...thread],
-        temperature: 0.6,
-        max_tokens: 220
-      };
-
-      const r = await fetch(`${OPENAI_BASE_URL}/v1/chat/completions`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
+  try {
+    const cleaned = String(text || '').trim();
+    const fast = cleaned ? await skillReply(req, cleaned) : null;
+
+    let reply = fast?.reply || '';
+    let usage = null;
+    let summarized = null;
+    if (cleaned && !fast) {
+      reply = await generateReply({
+        message: cleaned,
+        userId,
+        guildId,
+        channelId,
+        ...channelOptions(req.body),
+        onDelta: (delta) => send({ type: 'delta', text: delta }),
+        onUsage: (u, s) => {
+          usage = u;
+          summarized = s;
         },
-        body: JSON.stringify(body)
+        signal,
+        logger: req.log
       });
+      req.log.info('bridge_reply', {
+        userId,
+        reply: (reply || '').slice(0, 300),
+        replyLen: (reply || '').length,
+        streamed: true
+      });
+    } else if (fast) {
+      send({ type: 'delta', text: fast.reply });
+    }
 
-      if (!r.ok) {
-        const t = await r.text();
-        console.error('bridge chat error', r.status, t);
-        throw new Error('Errore temporaneo nel generare la risposta.');
-      }
-
-      const json = await r.json();
-      const rText = (json.choices?.[0]?.message?.content || '').trim();
-
-      if (rText) pushMsg(thread, 'assistant', rText);
-      return rText;
+    send({
+      type: 'done',
+      reply: reply || '',
+      ...(usage ? { usage } : {}),
+      ...(summarized ? { summaryUsage: summarized } : {}),
+      ...(fast?.actions ? { actions: fast.actions } : {})
     });
-
-    res.json({ reply: reply || '' });
   } catch (err) {
-    console.error('bridge /respond error', err);
-    res.status(500).json({ reply: 'Errore interno bridge.' });
+    if (err.code === 'CANCELLED') {
+      req.log.info('bridge_cancelled', { reason: err.message, streamed: true });
+      send({ type: 'done', ...failure(req, err).body });
+    } else {
+      req.log.error('respond_stream_failed', { err, backend: err.backend });
+      send({ type: 'error', ...failure(req, err).body });
+    }
   }
+  res.end();
 });
 
 const host = process.env.BRIDGE_HOST || '127.0.0.1';
 const port = Number(process.env.BRIDGE_PORT || 8000);
+// Listen on a Unix socket instead of TCP (the bot then uses OPENCLAW_ENDPOINT=unix:<socket>:/respond)
+const socketPath = process.env.BRIDGE_SOCKET || '';
+const SOCKET_MODE = Number.parseInt(process.env.BRIDGE_SOCKET_MODE || '660', 8);
 
-app.listen(port, host, () => {
-  console.log(`bridge listening on http://${host}:${port}`);
-});
+backends.start();
+
+if (socketPath) {
+  // A socket left over by a previous run would make listen fail with EADDRINUSE
+  try {
+    if (lstatSync(socketPath).isSocket()) unlinkSync(socketPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  app.listen(socketPath, () => {
+    chmodSync(socketPath, SOCKET_MODE);
+    log.info('bridge_listening', { socket: socketPath, mode: SOCKET_MODE.toString(8) });
+  });
+} else {
+  app.listen(port, host, () => {
+    log.info('bridge_listening', { url: `http://${host}:${port}` });
+  });
+}
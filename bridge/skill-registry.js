@@ -0,0 +1,98 @@
+import { readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { log } from '../src/logger.js';
+
+// Local skills: requests the bridge answers itself, with no backend call and no tokens.
+//
+// Each `<name>.js` in the skills directory default-exports:
+//   {
+//     name: 'dice',
+//     // Per locale (src/locales); a RegExp is tested against the text, a string is a keyword
+//     // intent that matches when every one of its words is in the text (case and accents ignored)
+//     matchers: { it: [/\blancia\s+un\s+dado\b/i, 'testa croce'], en: [...] },
+//     // -> the reply, or '' to let the next skill (or the backend) answer. May be async. Or
+//     // { reply, actions }: `actions` go back to the bot with the reply (e.g. a reminder to schedule).
+//     // The built-in skills word it with t(locale, 'skill.<name>.…') (src/i18n.js)
+//     handle({ text, match, locale, userId, channelId, history, timeZone }) { ... },
+//     // false: utterances it answers don't go into `history` (e.g. "what did I just say")
+//     remember: true
+//   }
+// `match` is the RegExp match (or the keyword string), `locale` the locale whose matcher hit and
+// `history` the same user's earlier utterances in the channel, oldest first.
+
+const words = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+function matchOne(matcher, text, textWords) {
+  if (matcher instanceof RegExp) return text.match(matcher);
+  return words(matcher).every((w) => textWords.includes(w)) ? matcher : null;
+}
+
+function isSkill(skill) {
+  return Boolean(skill?.name && skill.matchers && typeof skill.handle === 'function');
+}
+
+// Imports every skill in `dir` (file name order), minus the `disabled` names
+export async function loadSkills(dir, { disabled = [] } = {}) {
+  let files = [];
+  try {
+    files = readdirSync(dir)
+      .filter((name) => name.endsWith('.js'))
+      .sort();
+  } catch (err) {
+    log.error('skills_dir_unreadable', { dir, error: err.message });
+    return [];
+  }
+
+  const skills = [];
+  for (const file of files) {
+    try {
+      const skill = (await import(pathToFileURL(join(dir, file)).href)).default;
+      if (!isSkill(skill)) {
+        log.warn('skill_invalid', { file });
+        continue;
+      }
+      if (!disabled.includes(skill.name)) skills.push(skill);
+    } catch (err) {
+      log.error('skill_load_failed', { file, err });
+    }
+  }
+  return skills;
+}
+
+export function createSkillRegistry(skills) {
+  return {
+    names: skills.map((s) => s.name),
+
+    // Tries the request's locale first across all skills, then the other locales, so a question
+    // is answered in the language it was asked in. -> { skill, locale, reply, actions? } or null
+    async match(text, { locale, logger = log, ...context } = {}) {
+      const textWords = words(text);
+      const locales = [...new Set([locale, ...skills.flatMap((s) => Object.keys(s.matchers))])].filter(Boolean);
+      for (const candidate of locales) {
+        for (const skill of skills) {
+          for (const matcher of skill.matchers[candidate] || []) {
+            const match = matchOne(matcher, text, textWords);
+            if (!match) continue;
+            try {
+              const result = await skill.handle({ ...context, text, match, locale: candidate });
+              const reply = String((typeof result === 'object' ? result?.reply : result) || '').trim();
+              if (!reply) continue;
+              const actions = Array.isArray(result?.actions) && result.actions.length ? result.actions : undefined;
+              return { skill, locale: candidate, reply, ...(actions ? { actions } : {}) };
+            } catch (err) {
+              logger.warn('skill_failed', { skill: skill.name, err });
+            }
+          }
+        }
+      }
+      return null;
+    }
+  };
+}
@@ -0,0 +1,88 @@
+import { t } from '../../src/i18n.js';
+
+// Arithmetic read out by STT: "quanto fa 12 per 7", "what is (2 + 3) times 4". Parsed, never eval'd.
+
+const OPERATOR_WORDS = {
+  it: [
+    [/\bdiviso(\s+per)?\b|\bfratto\b/g, '/'],
+    [/\bpi[uù](?!\p{L})/gu, '+'],
+    [/\bmeno\b/g, '-'],
+    [/\bper\b|(?<!\p{L})x(?!\p{L})|×/gu, '*'],
+    [/\belevato\s+alla\b/g, '^']
+  ],
+  en: [
+    [/\bdivided\s+by\b|\bover\b/g, '/'],
+    [/\bplus\b/g, '+'],
+    [/\bminus\b/g, '-'],
+    [/\bmultiplied\s+by\b|\btimes\b|(?<!\p{L})x(?!\p{L})|×/gu, '*'],
+    [/\bto\s+the\s+power\s+of\b/g, '^']
+  ]
+};
+
+// Spoken numbers as digits with '.' decimals: Italian "2,5" and "1.000", English "1,000"
+function normalizeNumbers(expr, locale) {
+  if (locale === 'it') return expr.replace(/(\d)\.(?=\d{3}\b)/g, '$1').replace(/(\d),(\d)/g, '$1.$2');
+  return expr.replace(/(\d),(?=\d{3}\b)/g, '$1');
+}
+
+// + - * / ^ and parentheses, usual precedence, ^ right-associative. -> number, or NaN when
+// `expr` is not arithmetic
+export function evaluate(expr) {
+  const tokens = expr.match(/\d+(?:\.\d+)?|[-+*/^()]|\S/g) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function primary() {
+    const token = next();
+    if (token === '-') return -primary();
+    if (token === '+') return primary();
+    if (token === '(') {
+      const value = sum();
+      if (next() !== ')') return NaN;
+      return value;
+    }
+    return /^\d/.test(token || '') ? Number(token) : NaN;
+  }
+  function power() {
+    const base = primary();
+    if (peek() !== '^') return base;
+    next();
+    return base ** power();
+  }
+  function product() {
+    let value = power();
+    while (peek() === '*' || peek() === '/') value = next() === '*' ? value * power() : value / power();
+    return value;
+  }
+  function sum() {
+    let value = product();
+    while (peek() === '+' || peek() === '-') value = next() === '+' ? value + product() : value - product();
+    return value;
+  }
+
+  const value = sum();
+  return pos === tokens.length ? value : NaN;
+}
+
+export default {
+  name: 'calculator',
+  matchers: {
+    it: [/^\s*(?:quanto\s+(?:fa|fanno|è|e)|calcola(?:mi)?|mi\s+calcoli)\s+(?<expr>.+?)[\s?.!]*$/iu],
+    en: [/^\s*(?:what(?:'s|\s+is)|how\s+much\s+is|calculate|compute)\s+(?<expr>.+?)[\s?.!]*$/i]
+  },
+  // In English for a locale without operator words
+  handle({ match, locale: requested }) {
+    const locale = OPERATOR_WORDS[requested] ? requested : 'en';
+    let expr = normalizeNumbers(match.groups.expr.toLowerCase(), locale);
+    for (const [pattern, symbol] of OPERATOR_WORDS[locale]) expr = expr.replace(pattern, ` ${symbol} `);
+    // Something to compute, and nothing but arithmetic
+    if (!/\d/.test(expr) || !/\d\s*[-+*/^]|[)]\s*[-+*/^]/.test(expr) || /[^\d.\s()+\-*/^]/.test(expr)) return '';
+
+    const value = evaluate(expr);
+    if (Number.isNaN(value)) return '';
+    if (!Number.isFinite(value)) return t(locale, 'skill.calculator.divideByZero');
+    const formatted = new Intl.NumberFormat(locale, { maximumFractionDigits: 4 }).format(value);
+    return t(locale, 'skill.calculator.result', { value: formatted });
+  }
+};
@@ -0,0 +1,14 @@
+import { t } from '../../src/i18n.js';
+
+// Coin flip: "testa o croce?", "flip a coin"
+
+export default {
+  name: 'coin',
+  matchers: {
+    it: ['testa croce', /\b(?:lancia|tira)(?:mi|re)?\s+(?:una\s+)?monet(?:a|ina)\b/i],
+    en: ['heads tails', /\b(?:flip|toss)\s+(?:a\s+)?coin\b/i]
+  },
+  handle({ locale, random = Math.random }) {
+    return t(locale, random() < 0.5 ? 'skill.coin.heads' : 'skill.coin.tails');
+  }
+};
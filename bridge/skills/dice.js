@@ -0,0 +1,38 @@
+import { t } from '../../src/i18n.js';
+
+// "lancia due dadi", "tira un d20", "roll 3d6": 1-10 dice of 2-1000 sides (six by default)
+
+// Number words by value ("tira i dadi": a pair)
+const NUMBER_WORDS = {
+  it: ['', 'un uno il', 'i due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove', 'dieci'],
+  en: ['', 'a an one the', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten']
+};
+const numberWord = (locale, word) => NUMBER_WORDS[locale].findIndex((words) => words.split(' ').includes(word));
+
+export default {
+  name: 'dice',
+  // `count` (digits or a number word) and `sides` are optional
+  matchers: {
+    it: [
+      /\b(?:lancia|tira)(?:mi|re)?\s+(?:(?<count>\p{L}+|\d+)\s+)?dad[oi](?:\s+da\s+(?<sides>\d+))?/iu,
+      /\b(?:lancia|tira)(?:mi|re)?\s+(?:un\s+)?(?<count>\d*)d(?<sides>\d+)\b/iu
+    ],
+    en: [
+      /\broll\s+(?:(?<count>[a-z]+|\d+)\s+)?(?:die|dice)(?:\s+with\s+(?<sides>\d+)\s+sides)?/i,
+      /\broll\s+(?:an?\s+)?(?<count>\d*)d(?<sides>\d+)\b/i
+    ]
+  },
+  // In English for a locale without number words
+  handle({ match, locale: requested, random = Math.random }) {
+    const locale = NUMBER_WORDS[requested] ? requested : 'en';
+    const { count: countText, sides: sidesText } = match.groups;
+    const count = countText ? Number(countText) || numberWord(locale, countText.toLowerCase()) : 1;
+    const sides = sidesText ? Number(sidesText) : 6;
+    if (!(count >= 1 && count <= 10) || !(sides >= 2 && sides <= 1000)) return '';
+
+    const rolls = Array.from({ length: count }, () => 1 + Math.floor(random() * sides));
+    if (count === 1) return t(locale, 'skill.dice.one', { roll: rolls[0] });
+    const list = new Intl.ListFormat(locale, { type: 'conjunction' }).format(rolls.map(String));
+    return t(locale, 'skill.dice.many', { rolls: list, total: rolls.reduce((a, b) => a + b, 0) });
+  }
+};
@@ -0,0 +1,251 @@
+import { t } from '../../src/i18n.js';
+import { MAX_REMINDER_DAYS, MAX_REMINDER_TEXT, formatDue, nextTimeOfDay } from '../../src/reminders.js';
+
+// Reminders and timers: "ricordami tra dieci minuti di chiamare Marco", "remind me at 6 pm to stretch",
+// "metti un timer di 5 minuti per la pasta". The bridge only understands them: the reply carries a
+// `reminder` action that the bot stores, and speaks back in the channel when it is due.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NUMBERS = {
+  it: {
+    un: 1,
+    uno: 1,
+    una: 1,
+    due: 2,
+    tre: 3,
+    quattro: 4,
+    cinque: 5,
+    sei: 6,
+    sette: 7,
+    otto: 8,
+    nove: 9,
+    dieci: 10,
+    dodici: 12,
+    quindici: 15,
+    venti: 20,
+    venticinque: 25,
+    trenta: 30,
+    quaranta: 40,
+    quarantacinque: 45,
+    cinquanta: 50
+  },
+  en: {
+    a: 1,
+    an: 1,
+    one: 1,
+    two: 2,
+    three: 3,
+    four: 4,
+    five: 5,
+    six: 6,
+    seven: 7,
+    eight: 8,
+    nine: 9,
+    ten: 10,
+    twelve: 12,
+    fifteen: 15,
+    twenty: 20,
+    'twenty-five': 25,
+    thirty: 30,
+    forty: 40,
+    'forty-five': 45,
+    fifty: 50
+  }
+};
+
+const UNITS = {
+  it: {
+    secondo: 1000,
+    secondi: 1000,
+    minuto: 60e3,
+    minuti: 60e3,
+    ora: 3600e3,
+    ore: 3600e3,
+    giorno: DAY_MS,
+    giorni: DAY_MS
+  },
+  en: {
+    sec: 1000,
+    secs: 1000,
+    second: 1000,
+    seconds: 1000,
+    min: 60e3,
+    mins: 60e3,
+    minute: 60e3,
+    minutes: 60e3,
+    hour: 3600e3,
+    hours: 3600e3,
+    day: DAY_MS,
+    days: DAY_MS
+  }
+};
+
+// Durations said as a whole
+const PHRASES = {
+  it: { "mezz'ora": 30 * 60e3, mezzora: 30 * 60e3, "un quarto d'ora": 15 * 60e3 },
+  en: { 'half an hour': 30 * 60e3, 'a quarter of an hour': 15 * 60e3, 'a quarter hour': 15 * 60e3 }
+};
+
+const LANG = {
+  it: {
+    and: 'e',
+    half: "e\\s+mezz[ao]",
+    // Before a duration; timers also take "di/da/per" ("un timer di 5 minuti")
+    in: 'tra|fra|entro',
+    timerIn: 'di|da|per|tra|fra',
+    at: "(?:alle|all'|verso\\s+le|per\\s+le)\\s*",
+    evening: '(?:di\\s+sera|del\\s+pomeriggio|di\\s+pomeriggio|stasera)',
+    noon: { mezzogiorno: 12, mezzanotte: 0 },
+    oneOClock: 'una',
+    tomorrow: 'domani',
+    // Left between the trigger and what to remind: "ricordami di ...", "timer per ..."
+    lead: /^\s*(?:di|che|per|a|da)(?!\p{L})\s*/iu
+  },
+  en: {
+    and: 'and',
+    half: 'and\\s+a\\s+half',
+    in: 'in|after',
+    timerIn: 'for|of|in',
+    at: 'at\\s+',
+    evening: '(?:in\\s+the\\s+(?:evening|afternoon)|tonight)',
+    noon: { noon: 12, midnight: 0 },
+    oneOClock: 'one',
+    tomorrow: 'tomorrow',
+    lead: /^\s*(?:to|that|about|for|of)(?!\p{L})\s*/iu
+  }
+};
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+');
+const alternatives = (words) =>
+  words
+    .sort((a, b) => b.length - a.length)
+    .map(escape)
+    .join('|');
+
+// "10 minuti", "un'ora e mezza", "1 ora e 20 minuti", "half an hour"
+function durationPattern(locale) {
+  const amount = `\\d+(?:[.,]\\d+)?|${alternatives(Object.keys(NUMBERS[locale]))}`;
+  const unit = alternatives(Object.keys(UNITS[locale]));
+  const part =
+    `(?:${alternatives(Object.keys(PHRASES[locale]))}|(?:${amount})\\s*(?:${unit})` +
+    `(?:\\s+${LANG[locale].half})?)(?!\\p{L})`;
+  return `${part}(?:\\s*(?:,|${LANG[locale].and})\\s*${part})*`;
+}
+
+const PATTERNS = Object.fromEntries(
+  Object.keys(LANG).map((locale) => {
+    const lang = LANG[locale];
+    const duration = durationPattern(locale);
+    const noon = Object.keys(lang.noon).join('|');
+    return [
+      locale,
+      {
+        duration: new RegExp(`(?<!\\p{L})(?:${lang.in})\\s+(?<duration>${duration})`, 'iu'),
+        timer: new RegExp(`(?<!\\p{L})(?:(?:${lang.timerIn})\\s+)?(?<duration>${duration})`, 'iu'),
+        part: new RegExp(
+          `(?<phrase>${alternatives(Object.keys(PHRASES[locale]))})|(?<amount>\\d+(?:[.,]\\d+)?|\\p{L}+(?:-\\p{L}+)?)` +
+            `\\s*(?<unit>\\p{L}+)(?<half>\\s+${lang.half})?`,
+          'giu'
+        ),
+        at: new RegExp(
+          `(?<!\\p{L})(?:${lang.at}(?<hour>\\d{1,2}|${lang.oneOClock})(?:(?:[:.]|\\s+e\\s+)(?<minute>\\d{2}))?` +
+            `(?:\\s*(?<meridiem>[ap]\\.?\\s?m\\.?|${lang.evening}))?|(?:${lang.at}|a\\s+)?` +
+            `(?<noon>${noon}))(?!\\p{L})`,
+          'iu'
+        ),
+        tomorrow: new RegExp(`(?<!\\p{L})${lang.tomorrow}(?!\\p{L})`, 'iu')
+      }
+    ];
+  })
+);
+
+function durationMs(text, locale) {
+  let ms = 0;
+  for (const part of text.matchAll(PATTERNS[locale].part)) {
+    const { phrase, amount, unit, half } = part.groups;
+    if (phrase) {
+      ms += PHRASES[locale][phrase.toLowerCase().replace(/\s+/g, ' ')];
+      continue;
+    }
+    const unitMs = UNITS[locale][unit.toLowerCase()];
+    const n = NUMBERS[locale][amount.toLowerCase()] ?? Number(amount.replace(',', '.'));
+    if (!unitMs || !Number.isFinite(n)) continue;
+    ms += (n + (half ? 0.5 : 0)) * unitMs;
+  }
+  return Math.round(ms);
+}
+
+function timeOfDay(groups, locale, { timeZone, now, tomorrow }) {
+  const lang = LANG[locale];
+  if (groups.noon) return nextTimeOfDay(lang.noon[groups.noon.toLowerCase()], 0, { timeZone, now });
+
+  let hour = groups.hour.toLowerCase() === lang.oneOClock ? 1 : Number(groups.hour);
+  const minute = Number(groups.minute || 0);
+  const meridiem = (groups.meridiem || '').toLowerCase();
+  if (meridiem.startsWith('a') && hour === 12) hour = 0;
+  else if (meridiem && !meridiem.startsWith('a') && hour < 12) hour += 12;
+  if (hour > 23 || minute > 59) return NaN;
+
+  const days = tomorrow ? 1 : 0;
+  const due = nextTimeOfDay(hour, minute, { timeZone, now, days });
+  // "alle 8" said in the afternoon means 20:00, not tomorrow morning
+  if (!meridiem && !tomorrow && hour < 12) return Math.min(due, nextTimeOfDay(hour + 12, minute, { timeZone, now }));
+  return due;
+}
+
+export default {
+  name: 'reminder',
+  // The handler reads the time and the subject from the text after the trigger
+  matchers: {
+    it: [
+      /(?<!\p{L})(?:ricorda(?:mi|ci)|ricordarmi|ricordarci|promemoria)(?!\p{L})/iu,
+      /(?<!\p{L})(?<timer>timer)(?!\p{L})/iu
+    ],
+    en: [/\b(?:remind\s+(?:me|us)|reminder)\b/i, /\b(?<timer>timer)\b/i]
+  },
+  // In English for a locale without its own words
+  handle({ text, match, locale: requested, timeZone, now = new Date() }) {
+    const locale = PATTERNS[requested] ? requested : 'en';
+    const patterns = PATTERNS[locale];
+    // Same length as `text`, so match indices apply to both
+    const said = text.replace(/[’`]/g, "'").replace(/(?<!\p{L})un'(?=\p{L})/giu, 'un ');
+    const kind = match.groups?.timer ? 'timer' : 'reminder';
+    const at = now.getTime();
+
+    const tomorrow = said.match(patterns.tomorrow);
+    const clock = said.match(patterns.at);
+    const relative = said.match(kind === 'timer' ? patterns.timer : patterns.duration);
+    let dueAt = NaN;
+    let when = null;
+    if (clock) {
+      dueAt = timeOfDay(clock.groups, locale, { timeZone, now: at, tomorrow: Boolean(tomorrow) });
+      when = clock;
+    } else if (relative) {
+      const ms = durationMs(relative.groups.duration, locale);
+      dueAt = ms > 0 ? at + ms : NaN;
+      when = relative;
+    }
+    // Not a time we understood: "ricordami come si chiamava quel film" is a question for the agent
+    if (!Number.isFinite(dueAt)) return '';
+    if (dueAt - at > MAX_REMINDER_DAYS * DAY_MS) return t(locale, 'reminder.tooFar', { days: MAX_REMINDER_DAYS });
+
+    // What to remind: what's left after the trigger, minus the time
+    const cut = [when, tomorrow].filter(Boolean).sort((a, b) => b.index - a.index);
+    let subject = said;
+    for (const m of cut) subject = subject.slice(0, m.index) + ' ' + subject.slice(m.index + m[0].length);
+    const offset = cut.filter((m) => m.index < match.index).reduce((n, m) => n + m[0].length - 1, 0);
+    subject = subject
+      .slice(match.index - offset + match[0].length)
+      .replace(/\s+/g, ' ')
+      .replace(LANG[locale].lead, '')
+      .replace(/[\s.!?,;:]+$/, '')
+      .trim()
+      .slice(0, MAX_REMINDER_TEXT);
+
+    return {
+      reply: t(locale, `skill.reminder.${kind}`, { when: formatDue(dueAt, locale, { timeZone, now: at }) }),
+      actions: [{ type: 'reminder', kind, dueAt: new Date(dueAt).toISOString(), text: subject }]
+    };
+  }
+};
@@ -0,0 +1,17 @@
+import { t } from '../../src/i18n.js';
+
+// "Cosa ho appena detto?" / "What did I just say?": the user's previous utterance in this channel
+
+export default {
+  name: 'repeat',
+  matchers: {
+    it: [/\b(?:cosa|che\s+cosa|che)\s+ho\s+(?:appena\s+)?detto\b/i, /\bripeti\s+(?:quello\s+)?che\s+ho\s+detto\b/i],
+    en: [/\bwhat\s+did\s+i\s+(?:just\s+)?say\b/i, /\brepeat\s+what\s+i\s+(?:just\s+)?said\b/i]
+  },
+  // Asking twice still gets the same answer
+  remember: false,
+  handle({ locale, history = [] }) {
+    const last = history.at(-1);
+    return last ? t(locale, 'skill.repeat.said', { text: last }) : t(locale, 'skill.repeat.nothing');
+  }
+};
@@ -0,0 +1,35 @@
+import { normalizeLocale, t } from '../../src/i18n.js';
+
+// Current time ("che ore sono?") and date ("che giorno è oggi?") in the bridge's TIME_ZONE
+
+export default {
+  name: 'time',
+  // Date questions capture a `date` group
+  matchers: {
+    it: [
+      /\b(che\s+ore\s+sono|che\s+or[ae]\s+[eè](?!\p{L})|mi\s+dici\s+l['’]ora|orario\b)/iu,
+      /\b(?<date>che\s+giorno\s+[eè](?!\p{L})|che\s+data\s+[eè](?!\p{L})|quanti\s+ne\s+abbiamo)/iu
+    ],
+    en: [
+      /\b(what\s+time\s+is\s+it|what'?s\s+the\s+time|tell\s+me\s+the\s+time|current\s+time)\b/i,
+      /\b(?<date>what(?:'s|\s+is)\s+(?:the\s+date|today'?s\s+date)|what\s+day\s+is\s+(?:it|today))\b/i
+    ]
+  },
+  // In English for a locale without a catalog
+  handle({ match, locale: requested, timeZone, now = new Date() }) {
+    const locale = normalizeLocale(requested) || 'en';
+    if (match.groups?.date) {
+      const date = new Intl.DateTimeFormat(locale, {
+        timeZone,
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+      }).format(now);
+      return t(locale, 'skill.time.date', { date });
+    }
+    // 24h and zero-padded in every locale
+    const hhmm = new Intl.DateTimeFormat('it', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    return t(locale, 'skill.time.time', { time: hhmm.format(now) });
+  }
+};
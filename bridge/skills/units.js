@@ -0,0 +1,115 @@
+import { t } from '../../src/i18n.js';
+
+// Unit conversion: "converti 10 miglia in chilometri", "how many feet is 2 meters", "30 °C in Fahrenheit"
+
+// Linear units: `factor` to the dimension's base unit (m, kg, l). Names: [singular, plural] as
+// spoken in replies, and the aliases recognized in questions.
+const UNITS = {
+  km: { dim: 'length', factor: 1000, it: ['chilometro', 'chilometri'], en: ['kilometer', 'kilometers'] },
+  m: { dim: 'length', factor: 1, it: ['metro', 'metri'], en: ['meter', 'meters'] },
+  cm: { dim: 'length', factor: 0.01, it: ['centimetro', 'centimetri'], en: ['centimeter', 'centimeters'] },
+  mm: { dim: 'length', factor: 0.001, it: ['millimetro', 'millimetri'], en: ['millimeter', 'millimeters'] },
+  mi: { dim: 'length', factor: 1609.344, it: ['miglio', 'miglia'], en: ['mile', 'miles'] },
+  yd: { dim: 'length', factor: 0.9144, it: ['iarda', 'iarde'], en: ['yard', 'yards'] },
+  ft: { dim: 'length', factor: 0.3048, it: ['piede', 'piedi'], en: ['foot', 'feet'] },
+  in: { dim: 'length', factor: 0.0254, it: ['pollice', 'pollici'], en: ['inch', 'inches'] },
+  kg: { dim: 'mass', factor: 1, it: ['chilo', 'chili'], en: ['kilogram', 'kilograms'] },
+  g: { dim: 'mass', factor: 0.001, it: ['grammo', 'grammi'], en: ['gram', 'grams'] },
+  lb: { dim: 'mass', factor: 0.45359237, it: ['libbra', 'libbre'], en: ['pound', 'pounds'] },
+  oz: { dim: 'mass', factor: 0.028349523125, it: ['oncia', 'once'], en: ['ounce', 'ounces'] },
+  l: { dim: 'volume', factor: 1, it: ['litro', 'litri'], en: ['liter', 'liters'] },
+  ml: { dim: 'volume', factor: 0.001, it: ['millilitro', 'millilitri'], en: ['milliliter', 'milliliters'] },
+  gal: { dim: 'volume', factor: 3.785411784, it: ['gallone', 'galloni'], en: ['gallon', 'gallons'] },
+  c: { dim: 'temperature', it: ['grado Celsius', 'gradi Celsius'], en: ['degree Celsius', 'degrees Celsius'] },
+  f: {
+    dim: 'temperature',
+    it: ['grado Fahrenheit', 'gradi Fahrenheit'],
+    en: ['degree Fahrenheit', 'degrees Fahrenheit']
+  },
+  k: { dim: 'temperature', it: ['kelvin', 'kelvin'], en: ['kelvin', 'kelvins'] }
+};
+
+// Besides the reply names above
+const ALIASES = {
+  km: ['km', 'kilometro', 'kilometri', 'kilometre', 'kilometres'],
+  m: ['metre', 'metres'],
+  cm: ['centimetre', 'centimetres'],
+  mm: ['millimetre', 'millimetres'],
+  kg: ['kg', 'chilogrammo', 'chilogrammi', 'kilo', 'kilos', 'kilogrammo', 'kilogrammi'],
+  lb: ['lbs'],
+  l: ['litre', 'litres'],
+  ml: ['ml', 'millilitre', 'millilitres'],
+  c: ['celsius', 'centigradi', '°c'],
+  f: ['fahrenheit', '°f'],
+  k: ['kelvin']
+};
+
+const unitByName = new Map();
+for (const [id, unit] of Object.entries(UNITS)) {
+  for (const name of [id, ...unit.it, ...unit.en, ...(ALIASES[id] || [])]) {
+    // Multi-word reply names ("gradi Celsius") are matched by their last word
+    unitByName.set(name.toLowerCase().split(' ').at(-1), id);
+  }
+}
+// 'in' is a preposition far more often than an inch
+unitByName.delete('in');
+
+const toCelsius = { c: (v) => v, f: (v) => ((v - 32) * 5) / 9, k: (v) => v - 273.15 };
+const fromCelsius = { c: (v) => v, f: (v) => (v * 9) / 5 + 32, k: (v) => v + 273.15 };
+
+export function convert(value, from, to) {
+  if (UNITS[from].dim !== UNITS[to].dim) return NaN;
+  if (UNITS[from].dim === 'temperature') return fromCelsius[to](toCelsius[from](value));
+  return (value * UNITS[from].factor) / UNITS[to].factor;
+}
+
+const NUMBER = '(?<value>-?\\d+(?:[.,]\\d+)?)';
+
+export default {
+  name: 'units',
+  // `value`, `from` and `to`; "gradi"/"degrees" before a unit is skipped
+  matchers: {
+    it: [
+      new RegExp(
+        `${NUMBER}\\s*(?:gradi\\s+)?(?<from>[\\p{L}°]+)\\s+(?:in|a)\\s+(?:gradi\\s+)?(?<to>[\\p{L}°]+)`,
+        'iu'
+      ),
+      new RegExp(
+        `\\bquant[ieao]\\s+(?:gradi\\s+)?(?<to>[\\p{L}°]+)\\s+(?:sono|fanno|ci\\s+sono\\s+in)\\s+` +
+          `${NUMBER}\\s*(?:gradi\\s+)?(?<from>[\\p{L}°]+)`,
+        'iu'
+      )
+    ],
+    en: [
+      new RegExp(
+        `${NUMBER}\\s*(?:degrees\\s+)?(?<from>[\\p{L}°]+)\\s+(?:in|to|into)\\s+(?:degrees\\s+)?(?<to>[\\p{L}°]+)`,
+        'iu'
+      ),
+      new RegExp(
+        `\\bhow\\s+many\\s+(?:degrees\\s+)?(?<to>[\\p{L}°]+)\\s+(?:is|are|in)\\s+` +
+          `${NUMBER}\\s*(?:degrees\\s+)?(?<from>[\\p{L}°]+)`,
+        'iu'
+      )
+    ]
+  },
+  // In English for a locale without unit names
+  handle({ match, locale: requested }) {
+    const locale = UNITS.m[requested] ? requested : 'en';
+    const from = unitByName.get(match.groups.from.toLowerCase());
+    const to = unitByName.get(match.groups.to.toLowerCase());
+    if (!from || !to || from === to) return '';
+
+    const value = Number(match.groups.value.replace(',', '.'));
+    const result = convert(value, from, to);
+    if (!Number.isFinite(result)) return '';
+
+    const format = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+    const name = (unit, n) => UNITS[unit][locale][Math.abs(n) === 1 ? 0 : 1];
+    return t(locale, 'skill.units.reply', {
+      value: format.format(value),
+      from: name(from, value),
+      result: format.format(result),
+      to: name(to, result)
+    });
+  }
+};
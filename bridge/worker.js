@@ -0,0 +1,233 @@
+import { spawn } from 'node:child_process';
+import { log } from '../src/logger.js';
+
+// A long-lived child process spoken to in line-delimited JSON over stdin/stdout (the OpenClaw
+// worker, bridge/openclaw-stdio.js, or anything speaking the same protocol):
+//
+//   worker -> bridge  {"type":"ready"}                               once, when it can take requests
+//   bridge -> worker  {"id":"7","type":"agent",...}                  a request (fields are the caller's)
+//   worker -> bridge  {"id":"7","type":"delta","text":"..."}         zero or more
+//                     {"id":"7","type":"done","reply":"..."}         or
+//                     {"id":"7","type":"error","code":"...","error":"message"}
+//   bridge -> worker  {"id":"7","type":"cancel"}                     the caller gave up on request 7
+//   bridge -> worker  {"id":"8","type":"ping"}  ->  {"id":"8","type":"pong"}
+//
+// Requests are multiplexed by id. Stdout lines that aren't JSON objects are logged and skipped. The
+// worker is started on first use, pinged every `healthIntervalMs` and killed when it doesn't answer,
+// and restarted after it exits (with a growing delay while it keeps crashing); requests in flight
+// then fail with code 'worker_exited'.
+
+const MAX_RESTART_DELAY_MS = 30_000;
+// Up this long, the worker counts as healthy again and the restart delay starts over
+const STABLE_MS = 60_000;
+
+function workerError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function createWorker({
+  name,
+  command,
+  args = [],
+  env = process.env,
+  startTimeoutMs = 10_000,
+  healthIntervalMs = 30_000,
+  healthTimeoutMs = 5_000,
+  restartDelayMs = 1_000,
+  logger = log
+}) {
+  let child = null;
+  let ready = null; // promise of the running worker
+  let isReady = false;
+  let stopped = false;
+  let nextId = 0;
+  let restarts = 0;
+  let restartDelay = restartDelayMs;
+  let restartTimer = null;
+  let startedAt = 0;
+  // id -> { onEvent, reject }
+  const pending = new Map();
+
+  function send(message) {
+    if (child?.stdin.writable) child.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  function failAll(err) {
+    for (const { reject } of pending.values()) reject(err);
+    pending.clear();
+  }
+
+  function start() {
+    clearTimeout(restartTimer);
+    const proc = spawn(command, args, { env, stdio: ['pipe', 'pipe', 'pipe'] });
+    child = proc;
+    isReady = false;
+    startedAt = Date.now();
+    logger.info('worker_starting', { worker: name, pid: proc.pid, command });
+
+    ready = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(workerError(`${name} worker did not start within ${startTimeoutMs} ms`, 'worker_start_timeout'));
+        proc.kill('SIGKILL');
+      }, startTimeoutMs);
+      proc.once('ready', () => {
+        clearTimeout(timer);
+        isReady = true;
+        logger.info('worker_ready', { worker: name, pid: proc.pid, ms: Date.now() - startedAt });
+        resolve(proc);
+      });
+      proc.once('exit', () => {
+        clearTimeout(timer);
+        reject(workerError(`${name} worker exited while starting`, 'worker_exited'));
+      });
+      proc.once('error', (err) => {
+        clearTimeout(timer);
+        reject(workerError(`${name} worker could not start: ${err.message}`, 'worker_spawn_failed'));
+      });
+    });
+    // Nobody may be waiting yet
+    ready.catch(() => {});
+
+    let buf = '';
+    proc.stdout.on('data', (d) => {
+      buf += d.toString();
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (line) onLine(proc, line);
+      }
+    });
+    let errBuf = '';
+    proc.stderr.on('data', (d) => {
+      errBuf += d.toString();
+      const lines = errBuf.split('\n');
+      errBuf = lines.pop();
+      for (const line of lines.filter((l) => l.trim())) {
+        logger.warn('worker_stderr', { worker: name, line: line.slice(0, 500) });
+      }
+    });
+    proc.on('error', (err) => {
+      logger.error('worker_spawn_failed', { worker: name, command, err });
+      // Never started (e.g. ENOENT): there will be no 'exit'
+      if (!proc.pid) onExit(proc, null, null);
+    });
+    proc.on('exit', (code, signal) => onExit(proc, code, signal));
+    proc.stdin.on('error', () => {
+      // EPIPE after the worker died: 'exit' takes care of it
+    });
+  }
+
+  function onLine(proc, line) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      event = null;
+    }
+    if (!event || typeof event !== 'object') {
+      logger.debug('worker_output', { worker: name, line: line.slice(0, 500) });
+      return;
+    }
+    if (event.type === 'ready') {
+      proc.emit('ready');
+      return;
+    }
+    pending.get(String(event.id))?.onEvent(event);
+  }
+
+  function onExit(proc, code, signal) {
+    if (proc !== child) return;
+    child = null;
+    ready = null;
+    isReady = false;
+    failAll(workerError(`${name} worker exited (code=${code}, signal=${signal})`, 'worker_exited'));
+    if (stopped) return;
+
+    restarts += 1;
+    if (Date.now() - startedAt > STABLE_MS) restartDelay = restartDelayMs;
+    logger.warn('worker_exited', { worker: name, code, signal, restarts, restartInMs: restartDelay });
+    restartTimer = setTimeout(() => {
+      if (!child && !stopped) start();
+    }, restartDelay);
+    restartTimer.unref?.();
+    restartDelay = Math.min(restartDelay * 2, MAX_RESTART_DELAY_MS);
+  }
+
+  function running() {
+    if (stopped) return Promise.reject(workerError(`${name} worker is stopped`, 'worker_stopped'));
+    if (!child) start();
+    return ready;
+  }
+
+  // -> resolves with the `done` (or `pong`) event, rejects on `error` (with its `code`) or when `signal` aborts
+  async function request(message, { onEvent, signal } = {}) {
+    signal?.throwIfAborted();
+    await running();
+    signal?.throwIfAborted();
+    const id = String(++nextId);
+
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        pending.delete(id);
+        send({ id, type: 'cancel' });
+        reject(signal.reason);
+      };
+      const settle = (fn, value) => {
+        pending.delete(id);
+        signal?.removeEventListener('abort', abort);
+        fn(value);
+      };
+      pending.set(id, {
+        onEvent: (event) => {
+          if (event.type === 'done' || event.type === 'pong') return settle(resolve, event);
+          if (event.type === 'error') {
+            return settle(reject, workerError(event.error || `${name} worker error`, event.code || 'worker_error'));
+          }
+          onEvent?.(event);
+        },
+        reject: (err) => settle(reject, err)
+      });
+      signal?.addEventListener('abort', abort, { once: true });
+      send({ ...message, id });
+    });
+  }
+
+  // Unanswered pings mean a stuck worker: kill it, and the exit handler restarts it
+  const health = setInterval(async () => {
+    if (!healthIntervalMs || !child || !isReady) return;
+    const proc = child;
+    const pingedAt = Date.now();
+    try {
+      await request({ type: 'ping' }, { signal: AbortSignal.timeout(healthTimeoutMs) });
+      if (Date.now() - startedAt > STABLE_MS) restartDelay = restartDelayMs;
+      logger.debug('worker_pong', { worker: name, ms: Date.now() - pingedAt });
+    } catch (err) {
+      if (proc !== child) return;
+      logger.error('worker_unhealthy', { worker: name, pid: proc.pid, err });
+      proc.kill('SIGKILL');
+    }
+  }, healthIntervalMs || 60_000);
+  health.unref?.();
+
+  return {
+    request,
+
+    // For /health
+    status: () => ({
+      state: stopped ? 'stopped' : !child ? 'down' : isReady ? 'ready' : 'starting',
+      pid: child?.pid ?? null,
+      restarts,
+      pending: pending.size
+    }),
+
+    stop() {
+      stopped = true;
+      clearInterval(health);
+      clearTimeout(restartTimer);
+      child?.kill();
+    }
+  };
+}
@@ -0,0 +1,163 @@
+import { readFileSync, writeFileSync, watch } from 'node:fs';
+import { basename, dirname } from 'node:path';
+import { log } from './logger.js';
+
+// Shared access policy for the bot and the bridge.
+//
+// File shape (all keys optional):
+// {
+//   "admins": ["<userId>"],            // may manage the policy at runtime; always allowed
+//   "users": ["<userId>"],             // allowed everywhere
+//   "roles": ["<roleId>"],             // members with any of these roles are allowed everywhere
+//   "deny": ["<userId>"],              // never allowed (wins over everything except admins)
+//   "guilds":   { "<guildId>":   { "users": [], "roles": [], "deny": [] } },
+//   "channels": { "<channelId>": { "users": [], "roles": [], "deny": [] } }
+// }
+//
+// Guild/channel rules are additive for users/roles; their deny lists only apply there.
+
+export function loadAccessPolicy(file, { onReload } = {}) {
+  let policy = normalize({});
+  let loaded = false;
+
+  function reload() {
+    try {
+      const raw = readFileSync(file, 'utf8');
+      policy = normalize(JSON.parse(raw));
+      log.info('access_policy_loaded', {
+        file,
+        users: policy.users.size,
+        roles: policy.roles.size,
+        admins: policy.admins.size
+      });
+      if (loaded) onReload?.();
+      loaded = true;
+      return true;
+    } catch (err) {
+      // Keep the previous policy on a bad edit instead of locking everyone out.
+      log.error('access_policy_load_failed', { file, error: err.message });
+      return false;
+    }
+  }
+
+  function save() {
+    writeFileSync(file, `${JSON.stringify(serialize(policy), null, 2)}\n`);
+  }
+
+  function isAdmin(userId) {
+    return policy.admins.has(String(userId));
+  }
+
+  function isAllowed({ userId, roleIds = [], guildId, channelId } = {}) {
+    const id = String(userId || '');
+    if (!id) return false;
+    if (policy.admins.has(id)) return true;
+
+    const guild = policy.guilds.get(String(guildId));
+    const channel = policy.channels.get(String(channelId));
+
+    if (policy.deny.has(id) || guild?.deny.has(id) || channel?.deny.has(id)) return false;
+
+    const roles = [...roleIds].map(String);
+    const matches = (rule) => rule.users.has(id) || roles.some((r) => rule.roles.has(r));
+
+    if (matches(policy)) return true;
+    if (guild && matches(guild)) return true;
+    if (channel && matches(channel)) return true;
+    return false;
+  }
+
+  function addUser(userId) {
+    const id = String(userId);
+    if (policy.users.has(id)) return false;
+    policy.users.add(id);
+    policy.deny.delete(id);
+    save();
+    return true;
+  }
+
+  function removeUser(userId) {
+    const id = String(userId);
+    if (!policy.users.has(id)) return false;
+    policy.users.delete(id);
+    save();
+    return true;
+  }
+
+  function listUsers() {
+    return [...policy.users];
+  }
+
+  // Reload on file change and on SIGHUP. The directory is watched, not the file: editors that save by
+  // writing a new file and renaming it over the old one would leave a watch on the file deaf.
+  // -> the watcher (close() it to stop)
+  function watchForChanges() {
+    let timer = null;
+    let watcher = null;
+    try {
+      watcher = watch(dirname(file), (event, name) => {
+        if (name && name !== basename(file)) return;
+        // Editors fire several events per save; debounce them.
+        clearTimeout(timer);
+        timer = setTimeout(reload, 200);
+      });
+    } catch (err) {
+      log.error('access_policy_watch_failed', { file, error: err.message });
+    }
+    process.on('SIGHUP', () => {
+      reload();
+    });
+    return watcher;
+  }
+
+  reload();
+
+  return {
+    reload,
+    watch: watchForChanges,
+    isAdmin,
+    isAllowed,
+    addUser,
+    removeUser,
+    listUsers
+  };
+}
+
+function toSet(list) {
+  return new Set((Array.isArray(list) ? list : []).map(String));
+}
+
+function normalizeRule(rule) {
+  return {
+    users: toSet(rule?.users),
+    roles: toSet(rule?.roles),
+    deny: toSet(rule?.deny)
+  };
+}
+
+function normalize(raw) {
+  const base = normalizeRule(raw);
+  return {
+    ...base,
+    admins: toSet(raw?.admins),
+    guilds: new Map(Object.entries(raw?.guilds || {}).map(([id, r]) => [id, normalizeRule(r)])),
+    channels: new Map(Object.entries(raw?.channels || {}).map(([id, r]) => [id, normalizeRule(r)]))
+  };
+}
+
+function serializeRule(rule) {
+  return {
+    users: [...rule.users],
+    roles: [...rule.roles],
+    deny: [...rule.deny]
+  };
+}
+
+function serialize(policy) {
+  return {
+    admins: [...policy.admins],
+    ...serializeRule(policy),
+    guilds: Object.fromEntries([...policy.guilds].map(([id, r]) => [id, serializeRule(r)])),
+    channels: Object.fromEntries([...policy.channels].map(([id, r]) => [id, serializeRule(r)]))
+  };
+}
@@ -0,0 +1,175 @@
+import { spawn } from 'node:child_process';
+import * as wavEncoder from 'wav-encoder';
+import { log } from './logger.js';
+
+// PCM/WAV helpers shared by the bot and the replay tool. Discord audio is 48kHz stereo s16le.
+
+// STT optimization: send 16kHz mono wav to STT
+export const STT_SAMPLE_RATE = Number(process.env.STT_SAMPLE_RATE || 16000);
+
+export async function pcmToWav(pcmBuffer, sampleRate, channels) {
+  const floatData = new Float32Array(pcmBuffer.length / 2);
+  for (let i = 0; i < pcmBuffer.length; i += 2) {
+    const int16 = pcmBuffer.readInt16LE(i);
+    floatData[i / 2] = int16 / 32768;
+  }
+
+  const channelData = [];
+  const frames = floatData.length / channels;
+  for (let c = 0; c < channels; c++) {
+    const channel = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+      channel[i] = floatData[i * channels + c];
+    }
+    channelData.push(channel);
+  }
+
+  const wav = await wavEncoder.encode({
+    sampleRate,
+    channelData
+  });
+  return Buffer.from(wav);
+}
+
+export async function pcmToWavForStt(pcmBuffer, sampleRate, channels) {
+  // Use ffmpeg to resample to 16kHz mono WAV to reduce latency and improve STT stability.
+  // Fallback to JS wav encoder if ffmpeg fails.
+  try {
+    const out = await new Promise((resolve, reject) => {
+      const ff = spawn(
+        'ffmpeg',
+        [
+          '-hide_banner',
+          '-loglevel',
+          'error',
+          '-f',
+          's16le',
+          '-ar',
+          String(sampleRate),
+          '-ac',
+          String(channels),
+          '-i',
+          'pipe:0',
+          '-ac',
+          '1',
+          '-ar',
+          String(STT_SAMPLE_RATE),
+          '-c:a',
+          'pcm_s16le',
+          '-f',
+          'wav',
+          'pipe:1'
+        ],
+        { stdio: ['pipe', 'pipe', 'pipe'] }
+      );
+
+      const chunks = [];
+      let size = 0;
+      let stderr = '';
+
+      ff.stdout.on('data', (d) => {
+        chunks.push(d);
+        size += d.length;
+      });
+      ff.stderr.on('data', (d) => (stderr += d.toString()));
+
+      ff.on('error', reject);
+      ff.on('exit', (code) => {
+        if (code === 0) return resolve(Buffer.concat(chunks, size));
+        reject(new Error(`ffmpeg stt resample failed (code=${code}): ${stderr}`));
+      });
+
+      ff.stdin.end(pcmBuffer);
+    });
+
+    return out;
+  } catch (err) {
+    log.warn('stt_resample_fallback', { err });
+    return pcmToWav(pcmBuffer, sampleRate, channels);
+  }
+}
+
+// Synthesized audio ({ input } or { file }, see src/tts.js) -> 48kHz stereo s16le PCM, the player's format.
+export function transcodeToPcm(audio) {
+  return new Promise((resolve, reject) => {
+    const ff = spawn(
+      'ffmpeg',
+      [
+        '-hide_banner',
+        '-loglevel',
+        'error',
+        '-i',
+        audio.file || 'pipe:0',
+        '-f',
+        's16le',
+        '-ar',
+        '48000',
+        '-ac',
+        '2',
+        'pipe:1'
+      ],
+      { stdio: [audio.file ? 'ignore' : 'pipe', 'pipe', 'pipe'] }
+    );
+
+    const chunks = [];
+    let stderr = '';
+    ff.stdout.on('data', (d) => chunks.push(d));
+    ff.stderr.on('data', (d) => (stderr += d.toString()));
+    ff.on('error', reject);
+    ff.on('exit', (code) => {
+      if (code === 0) return resolve(Buffer.concat(chunks));
+      reject(new Error(`ffmpeg transcode failed (code=${code}): ${stderr}`));
+    });
+
+    if (audio.input) ff.stdin.end(audio.input);
+  });
+}
+
+// Plain 16-bit PCM WAV (no re-encoding), used for the utterance archive.
+export function encodeWavPcm16(pcmBuffer, sampleRate, channels) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcmBuffer.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcmBuffer.length, 40);
+  return Buffer.concat([header, pcmBuffer]);
+}
+
+// Returns { pcm, sampleRate, channels } for a 16-bit PCM WAV; throws on anything else.
+export function decodeWavPcm16(wavBuffer) {
+  if (wavBuffer.toString('ascii', 0, 4) !== 'RIFF' || wavBuffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('not a WAV file');
+  }
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= wavBuffer.length) {
+    const id = wavBuffer.toString('ascii', offset, offset + 4);
+    const size = wavBuffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: wavBuffer.readUInt16LE(body),
+        channels: wavBuffer.readUInt16LE(body + 2),
+        sampleRate: wavBuffer.readUInt32LE(body + 4),
+        bitsPerSample: wavBuffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error('only 16-bit PCM WAV is supported');
+      }
+      const pcm = wavBuffer.subarray(body, Math.min(body + size, wavBuffer.length));
+      return { pcm, sampleRate: format.sampleRate, channels: format.channels };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV has no data chunk');
+}
@@ -0,0 +1,77 @@
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+
+// Bot-to-bridge authentication, shared by src/bridge-client.js (signs) and bridge/server.js (verifies).
+//
+// With BRIDGE_AUTH_SECRET every request carries
+//   X-Bridge-Timestamp: <unix seconds>
+//   X-Bridge-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path>.<raw body>">
+// and the bridge rejects signatures older (or newer) than BRIDGE_AUTH_WINDOW_S and any signature it
+// has already seen. The method and path (with its query string) are signed so a captured signature
+// can't be replayed against another endpoint. BRIDGE_AUTH_TOKEN is a simpler static alternative, sent
+// as `Authorization: Bearer`. BRIDGE_METRICS_TOKEN is a bearer token for GET /metrics only, for a
+// Prometheus scraper (which can't sign requests) when the bot uses the secret.
+
+export const BRIDGE_AUTH_SECRET = process.env.BRIDGE_AUTH_SECRET || '';
+export const BRIDGE_AUTH_TOKEN = process.env.BRIDGE_AUTH_TOKEN || '';
+export const BRIDGE_AUTH_WINDOW_S = Number(process.env.BRIDGE_AUTH_WINDOW_S || 300);
+export const BRIDGE_METRICS_TOKEN = process.env.BRIDGE_METRICS_TOKEN || '';
+
+export function signRequest({ method = 'POST', path, body }, { secret, timestamp }) {
+  const signed = `${timestamp}.${method.toUpperCase()}.${path}.${body}`;
+  return `sha256=${createHmac('sha256', secret).update(signed).digest('hex')}`;
+}
+
+// Headers for a request to `path` with this (already serialized) body
+export function authHeaders(
+  { method = 'POST', path, body },
+  { secret = BRIDGE_AUTH_SECRET, token = BRIDGE_AUTH_TOKEN, now = Date.now() } = {}
+) {
+  if (secret) {
+    const timestamp = String(Math.floor(now / 1000));
+    const signature = signRequest({ method, path, body }, { secret, timestamp });
+    return { 'X-Bridge-Timestamp': timestamp, 'X-Bridge-Signature': signature };
+  }
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Hashing first makes the comparison constant-time whatever the lengths
+const sameSecret = (a, b) =>
+  timingSafeEqual(createHash('sha256').update(String(a)).digest(), createHash('sha256').update(String(b)).digest());
+
+// verify({ timestamp, signature, authorization, method, path, body }) -> '' when authenticated, else
+// the reason: 'missing' | 'bad_token' | 'stale' | 'bad_signature' | 'replayed'. `enabled` is false when
+// neither a secret nor a token is configured (every request passes).
+export function createRequestVerifier({
+  secret = BRIDGE_AUTH_SECRET,
+  token = BRIDGE_AUTH_TOKEN,
+  metricsToken = BRIDGE_METRICS_TOKEN,
+  windowSeconds = BRIDGE_AUTH_WINDOW_S,
+  now = () => Date.now()
+} = {}) {
+  // signature -> timestamp (s), forgotten once outside the window
+  const seen = new Map();
+
+  function verify({ timestamp, signature, authorization, method = 'POST', path = '/', body = '' }) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization || '')?.[1];
+    const scrape = metricsToken && bearer && method.toUpperCase() === 'GET' && path.split('?')[0] === '/metrics';
+    if (scrape && sameSecret(bearer, metricsToken)) return '';
+    if (token && bearer) return sameSecret(bearer, token) ? '' : 'bad_token';
+    if (scrape) return 'bad_token';
+    if (!secret || !signature) return 'missing';
+
+    const nowS = Math.floor(now() / 1000);
+    const ts = Number(timestamp);
+    if (!Number.isInteger(ts) || Math.abs(nowS - ts) > windowSeconds) return 'stale';
+    if (!sameSecret(signature, signRequest({ method, path, body }, { secret, timestamp: ts }))) return 'bad_signature';
+
+    for (const [sig, at] of seen) {
+      if (nowS - at > windowSeconds) seen.delete(sig);
+    }
+    if (seen.has(signature)) return 'replayed';
+    seen.set(signature, ts);
+    return '';
+  }
+
+  verify.enabled = Boolean(secret || token);
+  return verify;
+}
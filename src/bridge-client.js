@@ -0,0 +1,150 @@
+import { request } from 'node:http';
+import { authHeaders } from './bridge-auth.js';
+import { log } from './logger.js';
+
+// HTTP client for the local bridge (bridge/server.js or anything with the same contract).
+// `correlationId` is sent as X-Correlation-Id so the bridge logs can be matched to a turn, and
+// every request is signed (or carries the bearer token) as configured in src/bridge-auth.js.
+// onUsage({ backend, model, inputTokens, outputTokens }, kind) is called when the bridge reports tokens: kind
+// 'chat' for the reply, 'summary' for what the bridge's memory summaries spent since the last reply,
+// onActions([{ type, ... }]) when the reply asks for something besides speaking (e.g. a reminder),
+// onError({ status, error }) when the bridge failed: its `reply` (e.g. "the assistant isn't answering") is
+// then the reply to speak, and `error` the backend's { backend, code, message } when it says.
+// `signal` aborts the request (barge-in): the bridge sees the connection go and stops the turn's job.
+
+function headers(correlationId, path, body) {
+  return {
+    'Content-Type': 'application/json',
+    ...(correlationId ? { 'X-Correlation-Id': correlationId } : {}),
+    ...authHeaders({ method: 'POST', path, body })
+  };
+}
+
+// POSTs `body`; an endpoint like `unix:/run/niko/bridge.sock:/respond` goes over the bridge's Unix
+// socket (BRIDGE_SOCKET). Resolves to a fetch-like response: ok, status, text(), json(), body.
+function post(endpoint, body, correlationId, signal) {
+  const socket = /^unix:(.+?):(\/.*)$/.exec(endpoint);
+  if (!socket) {
+    const { pathname, search } = new URL(endpoint);
+    return fetch(endpoint, { method: 'POST', headers: headers(correlationId, pathname + search, body), body, signal });
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = request(
+      {
+        socketPath: socket[1],
+        path: socket[2],
+        method: 'POST',
+        headers: { ...headers(correlationId, socket[2], body), 'Content-Length': Buffer.byteLength(body) },
+        signal
+      },
+      (res) => {
+        const text = async () => {
+          const chunks = [];
+          for await (const chunk of res) chunks.push(chunk);
+          return Buffer.concat(chunks).toString('utf8');
+        };
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          body: res,
+          text,
+          json: async () => JSON.parse(await text())
+        });
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// A failed response -> the reply its body carries ('' when none)
+async function errorReply(res, event, { correlationId, onError }) {
+  const body = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(body);
+  } catch {
+    // not the bridge's JSON error
+  }
+  log.error(event, { correlationId, status: res.status, body: body.slice(0, 500) });
+  onError?.({ status: res.status, error: json?.error });
+  return String(json?.reply || '').trim();
+}
+
+// POST /respond. Returns the reply, or the bridge's error reply ('' when it has none).
+export async function askBridge(endpoint, payload, { correlationId, onUsage, onActions, onError, signal } = {}) {
+  const res = await post(endpoint, JSON.stringify(payload), correlationId, signal);
+
+  if (!res.ok) return errorReply(res, 'bridge_error', { correlationId, onError });
+
+  const json = await res.json();
+  if (json.usage) onUsage?.(json.usage, 'chat');
+  if (json.summaryUsage) onUsage?.(json.summaryUsage, 'summary');
+  if (Array.isArray(json.actions) && json.actions.length) onActions?.(json.actions);
+  return json.reply?.trim() || '';
+}
+
+// POST /respond/stream. Returns the full reply, or null when the stream endpoint is unavailable
+// (the caller falls back to askBridge). An error reply goes to onDelta like the rest of the stream,
+// after onError.
+export async function askBridgeStream(
+  endpoint,
+  payload,
+  { correlationId, onDelta, onUsage, onActions, onError, signal } = {}
+) {
+  let res;
+  try {
+    res = await post(endpoint, JSON.stringify(payload), correlationId, signal);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    log.warn('bridge_stream_unreachable', { correlationId, err });
+    return null;
+  }
+
+  if (res.status === 404) {
+    const body = await res.text();
+    log.error('bridge_stream_error', { correlationId, status: res.status, body: body.slice(0, 500) });
+    return null;
+  }
+  if (!res.ok) {
+    const reply = await errorReply(res, 'bridge_stream_error', { correlationId, onError });
+    if (reply) onDelta?.(reply);
+    return reply;
+  }
+
+  // NDJSON events: {type:'delta',text} ... {type:'done',reply,usage?,summaryUsage?,actions?}
+  //   | {type:'error',reply,error?}
+  const decoder = new TextDecoder();
+  let buf = '';
+  let reply = '';
+  const handle = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    if (event.type === 'delta' && event.text) {
+      onDelta?.(event.text);
+    } else if (event.type === 'done') {
+      reply = String(event.reply || '').trim();
+      if (event.usage) onUsage?.(event.usage, 'chat');
+      if (event.summaryUsage) onUsage?.(event.summaryUsage, 'summary');
+      if (Array.isArray(event.actions) && event.actions.length) onActions?.(event.actions);
+    } else if (event.type === 'error') {
+      log.error('bridge_stream_error_event', { correlationId, reply: event.reply, error: event.error });
+      onError?.({ status: res.status, error: event.error });
+      reply = String(event.reply || '').trim();
+      if (reply) onDelta?.(reply);
+    }
+  };
+
+  for await (const chunk of res.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      handle(buf.slice(0, nl));
+      buf = buf.slice(nl + 1);
+    }
+  }
+  handle(buf);
+
+  return reply;
+}
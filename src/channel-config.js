@@ -0,0 +1,93 @@
+import { readFileSync } from 'node:fs';
+import { DEFAULT_LOCALE, normalizeLocale, t } from './i18n.js';
+
+// Per-channel settings for running in several guilds / voice channels.
+//
+// File shape (every setting is optional and falls back to the channel's guild, then to `defaults`,
+// then to the env-based defaults passed in by the bot):
+// {
+//   "defaults": { "ttsVoice": "alloy", ... },
+//   "guilds": { "<guildId>": { "locale": "en", ... } },
+//   "channels": [
+//     {
+//       "guildId": "...", "channelId": "...", "autoJoin": true,
+//       "locale": "en",
+//       "ttsVoice": "nova", "ttsModel": "gpt-4o-mini-tts",
+//       "sttLanguage": "en", "sttPrompt": "...",
+//       "listenMode": "wake", "conversation": "group",
+//       "silenceMs": 800, "minUtteranceMs": 600, "maxUtteranceMs": 15000,
+//       "vad": { "silenceThreshold": 0.01, "startRatio": 3, "stopRatio": 1.8, "startFrames": 2, "hangoverMs": 300 },
+//       "bridge": { "endpoint": "http://localhost:8000/respond", "streamEndpoint": "...", "agentId": "main" },
+//       "persona": "Extra instructions for the agent in this channel",
+//       "rateLimit": { "windowMs": 60000, "sttMax": 10, "ttsMax": 10 },
+//       "transcript": { "channelId": "<text channel>", "thread": true, "enabled": true },
+//       "archive": true
+//     }
+//   ]
+// }
+//
+// `locale` (src/locales) sets the language of the bot's replies and voice notices and of the agent's
+// answers; `sttLanguage` and `sttPrompt` follow it unless they are set.
+
+const NESTED = ['vad', 'bridge', 'rateLimit', 'transcript'];
+
+function merge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined || value === null) continue;
+    out[key] = NESTED.includes(key) ? { ...base[key], ...value } : value;
+  }
+  return out;
+}
+
+// Fills in what the locale decides
+function localized(settings) {
+  const locale = normalizeLocale(settings.locale) || DEFAULT_LOCALE;
+  return {
+    ...settings,
+    locale,
+    sttLanguage: settings.sttLanguage ?? locale,
+    sttPrompt: settings.sttPrompt ?? t(locale, 'stt.prompt')
+  };
+}
+
+export function loadChannelConfig(file, defaults) {
+  let raw = { defaults: {}, guilds: {}, channels: [] };
+  if (file) {
+    try {
+      raw = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`channel config ${file} is invalid: ${err.message}`);
+    }
+  }
+
+  const base = merge(defaults, raw.defaults);
+  const guilds = new Map(Object.entries(raw.guilds || {}).map(([id, settings]) => [id, merge(base, settings)]));
+  const channels = new Map();
+  for (const entry of Array.isArray(raw.channels) ? raw.channels : []) {
+    if (!entry?.channelId) continue;
+    const { guildId, channelId, autoJoin, ...settings } = entry;
+    channels.set(String(channelId), {
+      guildId: guildId ? String(guildId) : '',
+      channelId: String(channelId),
+      autoJoin: Boolean(autoJoin),
+      settings: localized(merge(guilds.get(String(guildId)) || base, settings))
+    });
+  }
+  for (const [id, settings] of guilds) guilds.set(id, localized(settings));
+  const localizedBase = localized(base);
+
+  return {
+    // `guildId` picks the guild's defaults for channels that have no entry of their own
+    forChannel(channelId, guildId) {
+      return channels.get(String(channelId))?.settings || this.forGuild(guildId);
+    },
+    forGuild(guildId) {
+      return guilds.get(String(guildId)) || localizedBase;
+    },
+    autoJoinChannelIds() {
+      return [...channels.values()].filter((c) => c.autoJoin).map((c) => c.channelId);
+    },
+    size: channels.size
+  };
+}
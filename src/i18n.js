@@ -0,0 +1,37 @@
+import en from './locales/en.js';
+import it from './locales/it.js';
+
+// Message catalogs shared by the bot and the bridge (src/locales/<locale>.js). Keys are dotted ids
+// and values are strings with {name} placeholders. A key missing from a catalog falls back to English.
+
+export const LOCALES = { en, it };
+
+// Accepts 'en', 'en-US', 'it_IT', ... -> a catalog name, or '' when there is none
+export function normalizeLocale(locale) {
+  const base = String(locale || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return LOCALES[base] ? base : '';
+}
+
+// Used where nothing more specific (guild, channel, request) says otherwise
+export const DEFAULT_LOCALE = normalizeLocale(process.env.BOT_LOCALE) || 'it';
+
+export function message(locale, key) {
+  return LOCALES[locale]?.[key] ?? en[key];
+}
+
+export function t(locale, key, vars = {}) {
+  const text = message(locale, key);
+  if (typeof text !== 'string') return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// Name of `language` (an ISO 639-1 code) written in `locale`, e.g. ('it', 'en') -> 'inglese'
+export function languageName(locale, language) {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(language);
+  } catch {
+    return language;
+  }
+}
@@ -1,81 +1,201 @@
 import 'dotenv/config';
-import { Client, GatewayIntentBits, Partials } from 'discord.js';
-import {
-  joinVoiceChannel,
-  createAudioPlayer,
-  createAudioResource,
-  StreamType,
-  AudioPlayerStatus,
-  EndBehaviorType,
-  VoiceConnectionStatus,
-  entersState
-} from '@discordjs/voice';
-import prism from 'prism-media';
-import { Readable } from 'node:stream';
+import { ChannelType, Client, GatewayIntentBits, MessageFlags, Partials, SlashCommandBuilder } from 'discord.js';
+import { joinVoiceChannel, createAudioPlayer, VoiceConnectionStatus } from '@discordjs/voice';
 import { setTimeout as delay } from 'node:timers/promises';
-import * as wavEncoder from 'wav-encoder';
+import { fileURLToPath } from 'node:url';
+import { loadAccessPolicy } from './access-policy.js';
+import { STT_PROVIDER_CHAIN, STT_PROVIDERS } from './stt-providers.js';
+import { calibrateFromSamples, createVad, loadVadProfiles } from './vad.js';
+import { loadChannelConfig } from './channel-config.js';
+import { createTranscriptSink } from './transcript-sink.js';
+import { createMetrics, serveMetrics } from './metrics.js';
+import { TTS_MODEL, TTS_PROVIDER, TTS_VOICE, TTS_VOICES } from './tts.js';
+import { DEFAULT_RATE_LIMIT, WAKE_PHRASES, createVoicePipeline } from './voice-pipeline.js';
+import { createUsageLedger } from './usage-ledger.js';
+import { createTtsCache } from './tts-cache.js';
+import { PREF_KEYS, loadUserPrefs, parsePref } from './user-prefs.js';
+import { MAX_REMINDER_TEXT, createReminders, describeReminders, formatDue, parseWhen } from './reminders.js';
+import { t } from './i18n.js';
+import { configureLogger, log } from './logger.js';
+
+// Structured logs (see src/logger.js for LOG_LEVEL / LOG_FORMAT / LOG_REDACT); LOG_FILE adds a rotating file
+configureLogger({ service: 'bot', file: process.env.LOG_FILE || '' });
 
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com';
 const OPENCLAW_ENDPOINT = process.env.OPENCLAW_ENDPOINT || 'http://localhost:8000/respond';
-const WHISPER_MODEL = process.env.WHISPER_MODEL || 'whisper-1';
-const TTS_MODEL = process.env.TTS_MODEL || 'gpt-4o-mini-tts';
-const TTS_VOICE = process.env.TTS_VOICE || 'alloy';
+// Defaults to the channel's bridge endpoint + /stream
+const OPENCLAW_STREAM_ENDPOINT = process.env.OPENCLAW_STREAM_ENDPOINT || '';
 const VOICE_CHANNEL_ID = process.env.VOICE_CHANNEL_ID || '';
 
+// Legacy `!join` / `!leave` / `!say` prefix commands (needs the privileged MessageContent intent)
+const TEXT_COMMANDS_ENABLED = process.env.TEXT_COMMANDS !== '0';
+
 const SILENCE_MS = Number(process.env.SILENCE_MS || 800);
 const MIN_UTTERANCE_MS = Number(process.env.MIN_UTTERANCE_MS || 600);
-const SILENCE_THRESHOLD = Number(process.env.SILENCE_THRESHOLD || 0.01); // RMS threshold 0-1
-const PRE_ROLL_MS = Number(process.env.PRE_ROLL_MS || 300);
-
-// Turn-taking: allow user to interrupt bot speech (barge-in)
-const BARGE_IN_ENABLED = process.env.BARGE_IN !== '0';
-const BARGE_IN_THRESHOLD = Number(process.env.BARGE_IN_THRESHOLD || 0.02);
-
-// STT optimization: send 16kHz mono wav to STT
-const STT_SAMPLE_RATE = Number(process.env.STT_SAMPLE_RATE || 16000);
+// Speech/silence decisions are made by the adaptive VAD (src/vad.js); SILENCE_THRESHOLD is its floor.
+const VAD_CALIBRATE_MS = Number(process.env.VAD_CALIBRATE_MS || 5000);
+const VAD_PROFILES_FILE =
+  process.env.VAD_PROFILES_FILE || fileURLToPath(new URL('../data/vad-profiles.json', import.meta.url));
 const MAX_UTTERANCE_MS = Number(process.env.MAX_UTTERANCE_MS || 15000);
-const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60000);
-const RATE_LIMIT_STT_MAX = Number(process.env.RATE_LIMIT_STT_MAX || 10);
-const RATE_LIMIT_TTS_MAX = Number(process.env.RATE_LIMIT_TTS_MAX || 10);
 
-const ALLOWLIST = new Set(['323379312608673803', '381895367861600258']);
+// Per-user voice, speed, language and answer length (/prefs)
+const USER_PREFS_FILE =
+  process.env.USER_PREFS_FILE || fileURLToPath(new URL('../data/user-prefs.json', import.meta.url));
+
+// Reminders and timers set by voice or /reminders (wall-clock times in TIME_ZONE, see src/reminders.js)
+const REMINDERS_FILE = process.env.REMINDERS_FILE || fileURLToPath(new URL('../data/reminders.json', import.meta.url));
+
+// Addressed-speech mode: 'always' forwards every utterance, 'wake' only those starting with a
+// wake phrase (WAKE_PHRASES, see src/voice-pipeline.js). Switchable per channel.
+const LISTEN_MODE = (process.env.LISTEN_MODE || 'always').toLowerCase();
+const ALWAYS_LISTEN_CHANNELS = new Set(
+  (process.env.ALWAYS_LISTEN_CHANNELS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean)
+);
+
+// Conversation mode: 'user' (each user talks to the bot on their own) or 'group' (the bridge hears who is
+// speaking, who is present and what everyone said lately, and keeps one thread per channel). Switchable
+// per channel with the `conversation` setting or /conversation.
+const CONVERSATION_MODE = process.env.CONVERSATION_MODE === 'group' ? 'group' : 'user';
+
+const ACCESS_POLICY_FILE =
+  process.env.ACCESS_POLICY_FILE || fileURLToPath(new URL('../config/access-policy.json', import.meta.url));
+
+const access = loadAccessPolicy(ACCESS_POLICY_FILE, { onReload: () => applyAccessPolicy() });
+access.watch();
+
+// Mirror "user said" / "bot replied" into a text channel (a thread per session by default)
+const TRANSCRIPT_CHANNEL_ID = process.env.TRANSCRIPT_CHANNEL_ID || '';
+const TRANSCRIPT_THREAD = process.env.TRANSCRIPT_THREAD !== '0';
+const TRANSCRIPT_EDIT_MS = Number(process.env.TRANSCRIPT_EDIT_MS || 1000);
+
+// Opt-in archive of every utterance (WAV + metadata) for replaying with `npm run replay`
+const UTTERANCE_ARCHIVE = process.env.UTTERANCE_ARCHIVE === '1';
+
+// Spend ledger and budget caps (prices and USAGE_*_BUDGET in src/usage-ledger.js)
+const USAGE_FILE = process.env.USAGE_FILE || fileURLToPath(new URL('../data/usage.jsonl', import.meta.url));
+
+// Synthesized phrases kept as ready-to-play PCM (LRU by size; TTS_CACHE_MAX_MB=0 disables it)
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR || fileURLToPath(new URL('../data/tts-cache', import.meta.url));
+const TTS_CACHE_MAX_MB = Number(process.env.TTS_CACHE_MAX_MB ?? 200);
+const TTS_CACHE_MAX_CHARS = Number(process.env.TTS_CACHE_MAX_CHARS || 200);
+
+// Per-guild and per-channel overrides; the env values above are the defaults. BOT_LOCALE (src/i18n.js)
+// is the default locale, and STT_LANGUAGE / STT_PROMPT follow the locale unless set.
+const CHANNELS_CONFIG_FILE =
+  process.env.CHANNELS_CONFIG_FILE || fileURLToPath(new URL('../config/channels.json', import.meta.url));
+const channelConfig = loadChannelConfig(CHANNELS_CONFIG_FILE, {
+  ttsVoice: TTS_VOICE,
+  ttsModel: TTS_MODEL,
+  sttLanguage: process.env.STT_LANGUAGE,
+  sttPrompt: process.env.STT_PROMPT || undefined,
+  silenceMs: SILENCE_MS,
+  minUtteranceMs: MIN_UTTERANCE_MS,
+  maxUtteranceMs: MAX_UTTERANCE_MS,
+  vad: {},
+  bridge: { endpoint: OPENCLAW_ENDPOINT, streamEndpoint: OPENCLAW_STREAM_ENDPOINT, agentId: '' },
+  persona: '',
+  rateLimit: DEFAULT_RATE_LIMIT,
+  transcript: { channelId: TRANSCRIPT_CHANNEL_ID, thread: TRANSCRIPT_THREAD, enabled: true },
+  archive: UTTERANCE_ARCHIVE,
+  conversation: CONVERSATION_MODE
+});
+
+// Prometheus metrics on http://METRICS_HOST:METRICS_PORT/metrics (0 disables the listener)
+const METRICS_HOST = process.env.METRICS_HOST || '127.0.0.1';
+const METRICS_PORT = Number(process.env.METRICS_PORT ?? 9464);
+const metrics = createMetrics({ prefix: 'voice_bot_' });
+const reconnects = metrics.counter('voice_reconnects_total', 'Voice connections rejoined after a disconnect');
+metrics.gauge('voice_connections', 'Active voice connections', () => connections.size);
 
 if (!DISCORD_TOKEN) {
   throw new Error('DISCORD_TOKEN is required');
 }
-if (!OPENAI_API_KEY) {
+for (const name of STT_PROVIDER_CHAIN) {
+  if (!STT_PROVIDERS[name]) throw new Error(`Unknown STT provider: ${name}`);
+}
+// Only needed when an OpenAI-backed provider is configured (offline setups can skip it)
+if (!OPENAI_API_KEY && (STT_PROVIDER_CHAIN.includes('openai') || TTS_PROVIDER === 'openai')) {
   throw new Error('OPENAI_API_KEY is required');
 }
 
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
-    GatewayIntentBits.GuildVoiceStates
+    GatewayIntentBits.GuildVoiceStates,
+    ...(TEXT_COMMANDS_ENABLED ? [GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent] : [])
   ],
   partials: [Partials.Channel]
 });
 
 const connections = new Map();
-const rateLimits = new Map();
+const usage = createUsageLedger({ file: USAGE_FILE });
+const ttsCache =
+  TTS_CACHE_MAX_MB > 0
+    ? createTtsCache({ dir: TTS_CACHE_DIR, maxBytes: TTS_CACHE_MAX_MB * 1024 * 1024, maxChars: TTS_CACHE_MAX_CHARS })
+    : null;
+const vadProfiles = loadVadProfiles(VAD_PROFILES_FILE);
+const userPrefs = loadUserPrefs(USER_PREFS_FILE);
+const reminders = createReminders({ file: REMINDERS_FILE, onDue: deliverReminder });
+// One VAD per user (and channel) so the learned noise floor survives re-subscriptions
+const userVads = new Map();
+
+// Segmentation, barge-in and the STT -> bridge -> TTS turn; the Discord lookups are injected here
+const pipeline = createVoicePipeline({
+  metrics,
+  getUserVad,
+  isUserAllowed,
+  isStillInChannel: (state, userId) => {
+    const channel = client.channels.cache.get(state.channelId);
+    return Boolean(channel?.isVoiceBased?.() && channel.members?.has?.(userId));
+  },
+  memberRoleIds: (guildId, userId) => {
+    const member = client.guilds.cache.get(guildId)?.members.cache.get(userId);
+    return member ? [...member.roles.cache.keys()] : [];
+  },
+  channelMembers: (state) => {
+    const channel = client.channels.cache.get(state.channelId);
+    return [...(channel?.members?.values() || [])]
+      .filter((member) => !member.user.bot)
+      .map((member) => ({ id: member.id, name: member.displayName }));
+  },
+  usage,
+  ttsCache,
+  prefsFor: userPrefs.get,
+  reminders
+});
+const { startRecording, cleanupRecording, speak } = pipeline;
 
 client.on('ready', () => {
-  console.log(`Logged in as ${client.user.tag}`);
+  logEvent('logged_in', { tag: client.user.tag });
+  // Also delivers what came due while the bot was offline
+  reminders.start();
+
+  for (const guild of client.guilds.cache.values()) {
+    registerSlashCommands(guild).catch((err) => {
+      log.error('slash_register_failed', { guildId: guild.id, err });
+    });
+  }
 
-  if (VOICE_CHANNEL_ID) {
-    autoJoinVoiceChannel(VOICE_CHANNEL_ID).catch((err) => {
-      console.error('Auto-join failed', err);
+  const autoJoinIds = new Set([VOICE_CHANNEL_ID, ...channelConfig.autoJoinChannelIds()].filter(Boolean));
+  for (const channelId of autoJoinIds) {
+    autoJoinVoiceChannel(channelId).catch((err) => {
+      log.error('auto_join_failed', { channelId, err });
     });
   }
 });
 
 client.on('voiceStateUpdate', (oldState, newState) => {
   // Track changes affecting the bot or allowlisted users.
-  const watched = new Set([client.user?.id, ...ALLOWLIST]);
-  if (!watched.has(newState.id) && !watched.has(oldState.id)) return;
+  const guildId = newState.guild?.id || oldState.guild?.id;
+  const isBot = newState.id === client.user?.id;
+  const isAllow =
+    isMemberAllowed(newState.member, guildId, newState.channelId) ||
+    isMemberAllowed(oldState.member ?? newState.member, guildId, oldState.channelId);
+  if (!isBot && !isAllow) return;
 
   const s = (st) => ({
     channelId: st.channelId || null,
@@ -94,13 +214,11 @@ client.on('voiceStateUpdate', (oldState, newState) => {
   // Fallback: if Discord "speaking" events don't fire, start a receiver subscription
   // when allowlisted users are present in our active voice channel.
   try {
-    const guildId = newState.guild?.id || oldState.guild?.id;
     if (!guildId) return;
     const state = connections.get(guildId);
     if (!state) return;
 
     // Only care about allowlisted users.
-    const isAllow = ALLOWLIST.has(newState.id) || ALLOWLIST.has(oldState.id);
     if (!isAllow) return;
 
     // Update standby mode when allowlisted presence changes
@@ -116,67 +234,731 @@ client.on('voiceStateUpdate', (oldState, newState) => {
       cleanupRecording(state, oldState.id);
     }
   } catch (err) {
-    console.error('voiceStateUpdate handler error', err);
+    log.error('voice_state_handler_error', { err });
   }
 });
 
 client.on('messageCreate', async (message) => {
+  if (!TEXT_COMMANDS_ENABLED) return;
   if (message.author.bot || !message.guild) return;
-  if (!ALLOWLIST.has(message.author.id)) return;
-  const content = message.content.trim();
+  const locale = localeFor(message.guild.id);
+
+  try {
+    if (!isMemberAllowed(message.member, message.guild.id, message.channel.id)) return;
+    const content = message.content.trim();
 
-  if (content === '!join') {
-    const voice = message.member?.voice?.channel;
-    if (!voice) {
-      await message.reply('Join a voice channel first.');
+    // Admin: manage the access policy at runtime
+    if (content.startsWith('!adduser ') || content.startsWith('!removeuser ') || content === '!users') {
+      if (!access.isAdmin(message.author.id)) {
+        await message.reply(t(locale, 'cmd.adminsOnly'));
+        return;
+      }
+
+      if (content === '!users') {
+        await message.reply(describeAllowedUsers(locale));
+        return;
+      }
+
+      const [cmd, arg] = content.split(/\s+/, 2);
+      const targetId = parseUserId(arg);
+      if (!targetId) {
+        await message.reply(t(locale, 'cmd.usage', { usage: `${cmd} <@user|userId>` }));
+        return;
+      }
+
+      const action = cmd === '!adduser' ? 'add' : 'remove';
+      const changed = updateAccess(message.guild.id, message.author.id, action, targetId);
+      await message.reply(t(locale, changed ? 'cmd.ok' : 'cmd.noChange'));
       return;
     }
 
-    const existing = connections.get(message.guild.id);
-    if (existing) {
-      existing.manualLeave = true;
-      existing.connection.destroy();
-      connections.delete(message.guild.id);
+    if (content === '!join') {
+      const voice = message.member?.voice?.channel;
+      if (!voice) {
+        await message.reply(t(locale, 'cmd.joinVoiceFirst'));
+        return;
+      }
+
+      await joinChannel(voice);
+      await message.reply(t(locale, 'cmd.joined', { channel: voice.name }));
+    }
+
+    if (content === '!leave') {
+      if (!leaveGuild(message.guild.id)) return;
+      await message.reply(t(locale, 'cmd.left'));
     }
 
-    const state = await connectToChannel(voice, {
-      manualLeave: false
-    });
+    if (content === '!status') {
+      await message.reply(describeStatus(message.guild.id));
+    }
+
+    if (content === '!usage') {
+      await message.reply(describeUsage(message.guild.id, message.author.id));
+    }
+
+    // !prefs | !prefs reset | !prefs <voice|speed|language|answers> <value|default>
+    if (content === '!prefs' || content.startsWith('!prefs ')) {
+      const [key, value] = content.slice('!prefs'.length).trim().split(/\s+/, 2);
+      if (!key) {
+        await message.reply(describePrefs(message.author.id, locale));
+      } else if (key === 'reset') {
+        await message.reply(resetPrefs(message.author.id, locale));
+      } else if (!PREF_KEYS.includes(key) || !value) {
+        const syntax = `!prefs [reset | ${PREF_KEYS.join('|')} <value|default>]`;
+        await message.reply(t(locale, 'cmd.usage', { usage: syntax }));
+      } else {
+        await message.reply(updatePrefs(message.author.id, { [key]: value }, locale));
+      }
+    }
+
+    // !reminders | !reminders add <10m|1h30m|18:30> <text> | !reminders cancel <id>
+    if (content === '!reminders' || content.startsWith('!reminders ')) {
+      const [sub, arg, ...rest] = content.slice('!reminders'.length).trim().split(/\s+/);
+      const owner = { guildId: message.guild.id, userId: message.author.id };
+      if (!sub) {
+        await message.reply(describeReminders(reminders.list(owner), locale));
+      } else if (sub === 'add' && arg) {
+        const text = rest.join(' ');
+        await message.reply(addReminder({ ...owner, textChannelId: message.channel.id, when: arg, text }, locale));
+      } else if (sub === 'cancel' && /^\d+$/.test(arg || '')) {
+        await message.reply(cancelReminder({ ...owner, id: Number(arg) }, locale));
+      } else {
+        const syntax = '!reminders [add <10m|1h30m|18:30> <text> | cancel <id>]';
+        await message.reply(t(locale, 'cmd.usage', { usage: syntax }));
+      }
+    }
+
+    if (content === '!transcript on' || content === '!transcript off') {
+      await message.reply(toggleTranscript(message.guild.id, content.endsWith('on'), message.channel.id));
+    }
+
+    if (content === '!skip' || content === '!clear') {
+      await message.reply(content === '!skip' ? skipSpeech(message.guild.id) : clearSpeech(message.guild.id));
+    }
+
+    if (content === '!listen always' || content === '!listen wake') {
+      await message.reply(setListenMode(message.guild.id, content.slice('!listen '.length)));
+    }
+
+    if (content === '!conversation user' || content === '!conversation group') {
+      await message.reply(setConversationMode(message.guild.id, content.slice('!conversation '.length)));
+    }
+
+    if (content === '!calibrate' || content === '!calibrate reset') {
+      if (content === '!calibrate reset') {
+        await message.reply(resetCalibration(message.author.id, locale));
+        return;
+      }
+      const state = connections.get(message.guild.id);
+      if (!state?.recordings.has(message.author.id)) {
+        await message.reply(t(locale, 'cmd.joinMyChannel'));
+        return;
+      }
+      await message.reply(t(locale, 'vad.calibrating', { seconds: Math.round(VAD_CALIBRATE_MS / 1000) }));
+      const profile = await calibrateUser(state, message.author.id, VAD_CALIBRATE_MS);
+      await message.reply(describeVadProfile(profile, locale));
+    }
 
-    await message.reply(`Joined ${voice.name}.`);
+    // Debug: force TTS playback to validate output path
+    if (content.startsWith('!say ')) {
+      const state = connections.get(message.guild.id);
+      if (!state) {
+        await message.reply(t(locale, 'cmd.notInVoice'));
+        return;
+      }
+      const text = content.slice('!say '.length).trim().slice(0, 200);
+      if (!text) return;
+      await message.reply(t(locale, 'cmd.ok'));
+      await speak(state, text, message.author.id, { kind: 'say' });
+    }
+  } catch (err) {
+    log.error('message_handler_error', { err, guildId: message.guild.id, userId: message.author.id });
+    try {
+      await message.reply(t(locale, 'cmd.failed'));
+    } catch {}
   }
+});
 
-  if (content === '!leave') {
-    const state = connections.get(message.guild.id);
-    if (!state) return;
-    state.manualLeave = true;
-    state.connection.destroy();
-    connections.delete(message.guild.id);
-    logEvent('voice_leave', {
-      guildId: message.guild.id,
-      channelId: state.channelId
+client.on('interactionCreate', async (interaction) => {
+  if (!interaction.isChatInputCommand() || !interaction.inGuild()) return;
+
+  const locale = localeFor(interaction.guildId);
+  const reply = (content) =>
+    interaction.replied || interaction.deferred
+      ? interaction.editReply({ content })
+      : interaction.reply({ content, flags: MessageFlags.Ephemeral });
+
+  try {
+    const member = interaction.member;
+    if (!isMemberAllowed(member, interaction.guildId, interaction.channelId)) {
+      await reply(t(locale, 'cmd.notAllowed'));
+      return;
+    }
+
+    logEvent('slash_command', {
+      command: interaction.commandName,
+      userId: interaction.user.id,
+      guildId: interaction.guildId
     });
-    await message.reply('Left the channel.');
+
+    switch (interaction.commandName) {
+      case 'join': {
+        const voice = interaction.options.getChannel('channel') || member.voice?.channel;
+        if (!voice?.isVoiceBased?.()) {
+          await reply(t(locale, 'cmd.joinVoiceOrChannel'));
+          return;
+        }
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        await joinChannel(voice);
+        await reply(t(locale, 'cmd.joined', { channel: voice.name }));
+        return;
+      }
+
+      case 'leave': {
+        await reply(t(locale, leaveGuild(interaction.guildId) ? 'cmd.left' : 'cmd.notInVoice'));
+        return;
+      }
+
+      case 'say': {
+        const state = connections.get(interaction.guildId);
+        if (!state) {
+          await reply(t(locale, 'cmd.notInVoice'));
+          return;
+        }
+        const text = interaction.options.getString('text', true).trim().slice(0, 200);
+        const voice = interaction.options.getString('voice') || undefined;
+        await reply(t(locale, 'cmd.ok'));
+        await speak(state, text, interaction.user.id, { voice, kind: 'say' });
+        return;
+      }
+
+      case 'status': {
+        await reply(describeStatus(interaction.guildId));
+        return;
+      }
+
+      case 'usage': {
+        await reply(describeUsage(interaction.guildId, interaction.user.id));
+        return;
+      }
+
+      case 'prefs': {
+        if (interaction.options.getBoolean('reset')) {
+          await reply(resetPrefs(interaction.user.id, locale));
+          return;
+        }
+        const changes = {};
+        for (const key of PREF_KEYS) {
+          const value = key === 'speed' ? interaction.options.getNumber(key) : interaction.options.getString(key);
+          if (value !== null) changes[key] = value;
+        }
+        await reply(
+          Object.keys(changes).length
+            ? updatePrefs(interaction.user.id, changes, locale)
+            : describePrefs(interaction.user.id, locale)
+        );
+        return;
+      }
+
+      case 'reminders': {
+        const owner = { guildId: interaction.guildId, userId: interaction.user.id };
+        const sub = interaction.options.getSubcommand();
+        if (sub === 'list') {
+          await reply(describeReminders(reminders.list(owner), locale));
+        } else if (sub === 'add') {
+          const when = interaction.options.getString('when', true);
+          const text = interaction.options.getString('text') || '';
+          await reply(addReminder({ ...owner, textChannelId: interaction.channelId, when, text }, locale));
+        } else {
+          await reply(cancelReminder({ ...owner, id: interaction.options.getInteger('id', true) }, locale));
+        }
+        return;
+      }
+
+      case 'transcript': {
+        const enabled = interaction.options.getBoolean('enabled', true);
+        await reply(toggleTranscript(interaction.guildId, enabled, interaction.channelId));
+        return;
+      }
+
+      case 'skip': {
+        await reply(skipSpeech(interaction.guildId));
+        return;
+      }
+
+      case 'clear': {
+        await reply(clearSpeech(interaction.guildId));
+        return;
+      }
+
+      case 'listen': {
+        await reply(setListenMode(interaction.guildId, interaction.options.getString('mode', true)));
+        return;
+      }
+
+      case 'conversation': {
+        await reply(setConversationMode(interaction.guildId, interaction.options.getString('mode', true)));
+        return;
+      }
+
+      case 'calibrate': {
+        if (interaction.options.getBoolean('reset')) {
+          await reply(resetCalibration(interaction.user.id, locale));
+          return;
+        }
+        const state = connections.get(interaction.guildId);
+        if (!state?.recordings.has(interaction.user.id)) {
+          await reply(t(locale, 'cmd.joinMyChannel'));
+          return;
+        }
+        await reply(t(locale, 'vad.calibrating', { seconds: Math.round(VAD_CALIBRATE_MS / 1000) }));
+        const profile = await calibrateUser(state, interaction.user.id, VAD_CALIBRATE_MS);
+        await reply(describeVadProfile(profile, locale));
+        return;
+      }
+
+      case 'access': {
+        if (!access.isAdmin(interaction.user.id)) {
+          await reply(t(locale, 'cmd.adminsOnly'));
+          return;
+        }
+        const sub = interaction.options.getSubcommand();
+        if (sub === 'list') {
+          await reply(describeAllowedUsers(locale));
+          return;
+        }
+        const target = interaction.options.getUser('user', true);
+        const changed = updateAccess(interaction.guildId, interaction.user.id, sub, target.id);
+        await reply(t(locale, changed ? 'cmd.ok' : 'cmd.noChange'));
+        return;
+      }
+
+      default:
+        await reply(t(locale, 'cmd.unknown'));
+    }
+  } catch (err) {
+    log.error('interaction_handler_error', { err });
+    try {
+      await reply(t(locale, 'cmd.failed'));
+    } catch {}
+  }
+});
+
+client.on('guildCreate', (guild) => {
+  registerSlashCommands(guild).catch((err) => {
+    log.error('slash_register_failed', { guildId: guild.id, err });
+  });
+});
+
+// Descriptions in the guild's locale
+function slashCommands(locale) {
+  return [
+    new SlashCommandBuilder()
+      .setName('join')
+      .setDescription(t(locale, 'slash.join'))
+      .addChannelOption((o) =>
+        o
+          .setName('channel')
+          .setDescription(t(locale, 'slash.join.channel'))
+          .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+      ),
+    new SlashCommandBuilder().setName('leave').setDescription(t(locale, 'slash.leave')),
+    new SlashCommandBuilder()
+      .setName('say')
+      .setDescription(t(locale, 'slash.say'))
+      .addStringOption((o) =>
+        o.setName('text').setDescription(t(locale, 'slash.say.text')).setRequired(true).setMaxLength(200)
+      )
+      .addStringOption((o) =>
+        o
+          .setName('voice')
+          .setDescription(t(locale, 'slash.say.voice'))
+          .addChoices(...TTS_VOICES.map((v) => ({ name: v, value: v })))
+      ),
+    new SlashCommandBuilder().setName('status').setDescription(t(locale, 'slash.status')),
+    new SlashCommandBuilder().setName('usage').setDescription(t(locale, 'slash.usage')),
+    new SlashCommandBuilder()
+      .setName('prefs')
+      .setDescription(t(locale, 'slash.prefs'))
+      .addStringOption((o) =>
+        o
+          .setName('voice')
+          .setDescription(t(locale, 'slash.prefs.voice'))
+          .addChoices(...TTS_VOICES.map((v) => ({ name: v, value: v })))
+      )
+      .addNumberOption((o) =>
+        o.setName('speed').setDescription(t(locale, 'slash.prefs.speed')).setMinValue(0.5).setMaxValue(2)
+      )
+      .addStringOption((o) => o.setName('language').setDescription(t(locale, 'slash.prefs.language')))
+      .addStringOption((o) =>
+        o
+          .setName('answers')
+          .setDescription(t(locale, 'slash.prefs.answers'))
+          .addChoices(
+            { name: 'short', value: 'short' },
+            { name: 'long', value: 'long' },
+            { name: 'default', value: 'default' }
+          )
+      )
+      .addBooleanOption((o) => o.setName('reset').setDescription(t(locale, 'slash.prefs.reset'))),
+    new SlashCommandBuilder()
+      .setName('transcript')
+      .setDescription(t(locale, 'slash.transcript'))
+      .addBooleanOption((o) =>
+        o.setName('enabled').setDescription(t(locale, 'slash.transcript.enabled')).setRequired(true)
+      ),
+    new SlashCommandBuilder().setName('skip').setDescription(t(locale, 'slash.skip')),
+    new SlashCommandBuilder().setName('clear').setDescription(t(locale, 'slash.clear')),
+    new SlashCommandBuilder()
+      .setName('listen')
+      .setDescription(t(locale, 'slash.listen'))
+      .addStringOption((o) =>
+        o
+          .setName('mode')
+          .setDescription(t(locale, 'slash.listen.mode'))
+          .setRequired(true)
+          .addChoices({ name: 'always', value: 'always' }, { name: 'wake word', value: 'wake' })
+      ),
+    new SlashCommandBuilder()
+      .setName('conversation')
+      .setDescription(t(locale, 'slash.conversation'))
+      .addStringOption((o) =>
+        o
+          .setName('mode')
+          .setDescription(t(locale, 'slash.conversation.mode'))
+          .setRequired(true)
+          .addChoices({ name: 'per user', value: 'user' }, { name: 'group', value: 'group' })
+      ),
+    new SlashCommandBuilder()
+      .setName('calibrate')
+      .setDescription(t(locale, 'slash.calibrate'))
+      .addBooleanOption((o) => o.setName('reset').setDescription(t(locale, 'slash.calibrate.reset'))),
+    new SlashCommandBuilder()
+      .setName('access')
+      .setDescription(t(locale, 'slash.access'))
+      .addSubcommand((s) =>
+        s
+          .setName('add')
+          .setDescription(t(locale, 'slash.access.add'))
+          .addUserOption((o) => o.setName('user').setDescription(t(locale, 'slash.access.user')).setRequired(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName('remove')
+          .setDescription(t(locale, 'slash.access.remove'))
+          .addUserOption((o) => o.setName('user').setDescription(t(locale, 'slash.access.user')).setRequired(true))
+      )
+      .addSubcommand((s) => s.setName('list').setDescription(t(locale, 'slash.access.list'))),
+    new SlashCommandBuilder()
+      .setName('reminders')
+      .setDescription(t(locale, 'slash.reminders'))
+      .addSubcommand((s) =>
+        s
+          .setName('add')
+          .setDescription(t(locale, 'slash.reminders.add'))
+          .addStringOption((o) =>
+            o.setName('when').setDescription(t(locale, 'slash.reminders.add.when')).setRequired(true)
+          )
+          .addStringOption((o) =>
+            o.setName('text').setDescription(t(locale, 'slash.reminders.add.text')).setMaxLength(MAX_REMINDER_TEXT)
+          )
+      )
+      .addSubcommand((s) => s.setName('list').setDescription(t(locale, 'slash.reminders.list')))
+      .addSubcommand((s) =>
+        s
+          .setName('cancel')
+          .setDescription(t(locale, 'slash.reminders.cancel'))
+          .addIntegerOption((o) =>
+            o.setName('id').setDescription(t(locale, 'slash.reminders.cancel.id')).setRequired(true).setMinValue(1)
+          )
+      )
+  ].map((c) => c.toJSON());
+}
+
+// Guild-scoped registration: updates show up immediately (global commands can take up to an hour).
+async function registerSlashCommands(guild) {
+  const commands = slashCommands(localeFor(guild.id));
+  await guild.commands.set(commands);
+  logEvent('slash_commands_registered', { guildId: guild.id, count: commands.length });
+}
+
+async function joinChannel(voiceChannel) {
+  const existing = connections.get(voiceChannel.guild.id);
+  if (existing) {
+    existing.queue.clear();
+    existing.queue.skip();
+    existing.manualLeave = true;
+    existing.connection.destroy();
+    connections.delete(voiceChannel.guild.id);
+  }
+
+  return connectToChannel(voiceChannel, {
+    manualLeave: false
+  });
+}
+
+function leaveGuild(guildId) {
+  const state = connections.get(guildId);
+  if (!state) return false;
+  state.queue.clear();
+  state.queue.skip();
+  state.manualLeave = true;
+  state.connection.destroy();
+  connections.delete(guildId);
+  logEvent('voice_leave', {
+    guildId,
+    channelId: state.channelId
+  });
+  return true;
+}
+
+function setTranscriptSink(state, channelId) {
+  state.transcript = createTranscriptSink({
+    client,
+    channelId,
+    useThread: state.settings.transcript.thread,
+    editIntervalMs: TRANSCRIPT_EDIT_MS
+  });
+  logEvent('transcript_on', { guildId: state.guildId, channelId });
+}
+
+// `fallbackChannelId`: where the command was used, when no transcript channel is configured
+function toggleTranscript(guildId, enabled, fallbackChannelId) {
+  const locale = localeFor(guildId);
+  const state = connections.get(guildId);
+  if (!state) return t(locale, 'cmd.notInVoice');
+  if (!enabled) {
+    state.transcript = null;
+    logEvent('transcript_off', { guildId });
+    return t(locale, 'transcript.off');
+  }
+  const channelId = state.settings.transcript.channelId || fallbackChannelId;
+  setTranscriptSink(state, channelId);
+  return t(locale, 'transcript.on', { channelId });
+}
+
+function skipSpeech(guildId) {
+  const locale = localeFor(guildId);
+  const state = connections.get(guildId);
+  if (!state) return t(locale, 'cmd.notInVoice');
+  return t(locale, state.queue.skip() ? 'queue.skipped' : 'queue.nothingPlaying');
+}
+
+function clearSpeech(guildId) {
+  const locale = localeFor(guildId);
+  const state = connections.get(guildId);
+  if (!state) return t(locale, 'cmd.notInVoice');
+  const removed = state.queue.clear();
+  state.queue.skip();
+  return t(locale, 'queue.cleared', { count: removed });
+}
+
+function describeUsage(guildId, userId) {
+  const locale = localeFor(guildId);
+  const money = (n) => `$${n.toFixed(n < 1 ? 3 : 2)}`;
+  const of = (limit) => (limit > 0 ? t(locale, 'usage.of', { limit: money(limit) }) : '');
+  const today = usage.totals();
+  const cap = usage.exceeded({ userId });
+  return [
+    t(locale, 'usage.today', { spent: money(today.cost), limit: of(usage.budgets.daily) }),
+    t(locale, 'usage.breakdown', {
+      minutes: (today.sttSeconds / 60).toFixed(1),
+      chars: today.ttsChars,
+      input: today.chatInputTokens,
+      output: today.chatOutputTokens
+    }),
+    t(locale, 'usage.month', {
+      spent: money(usage.totals({ period: 'month' }).cost),
+      limit: of(usage.budgets.monthly)
+    }),
+    t(locale, 'usage.server', { spent: money(usage.totals({ guildId }).cost) }),
+    t(locale, 'usage.you', { spent: money(usage.totals({ userId }).cost), limit: of(usage.budgets.userDaily) }),
+    ...(cap ? [t(locale, 'usage.capReached', { scope: t(locale, `usage.scope.${cap.scope}`) })] : [])
+  ].join('\n');
+}
+
+function describePrefs(userId, locale) {
+  const prefs = userPrefs.get(userId);
+  const show = (key, fallback) =>
+    prefs[key] !== undefined ? String(prefs[key]) : t(locale, 'prefs.default', { value: fallback });
+  return [
+    t(locale, 'prefs.voice', { value: show('voice', t(locale, 'prefs.channelVoice')) }),
+    t(locale, 'prefs.speed', { value: show('speed', '1') }),
+    t(locale, 'prefs.language', { value: show('language', t(locale, 'prefs.channelLanguage')) }),
+    t(locale, 'prefs.answers', { value: show('answers', t(locale, 'prefs.normal')) })
+  ].join('\n');
+}
+
+// changes: { key: raw value }; 'default' clears a preference. All or nothing.
+function updatePrefs(userId, changes, locale) {
+  const parsed = {};
+  for (const [key, raw] of Object.entries(changes)) {
+    if (String(raw).toLowerCase() === 'default') {
+      parsed[key] = null;
+      continue;
+    }
+    const { value, error, vars } = parsePref(key, raw);
+    if (error) return t(locale, error, vars);
+    parsed[key] = value;
   }
+  for (const [key, value] of Object.entries(parsed)) userPrefs.set(userId, key, value);
+  logEvent('user_prefs_updated', { userId, ...parsed });
+  return describePrefs(userId, locale);
+}
+
+function resetPrefs(userId, locale) {
+  return t(locale, userPrefs.reset(userId) ? 'prefs.cleared' : 'prefs.none');
+}
+
+function addReminder({ guildId, userId, textChannelId, when, text }, locale) {
+  const result = reminders.add({ guildId, userId, textChannelId, text, locale, dueAt: parseWhen(when) });
+  if (result.error) return t(locale, result.error, result.vars);
+  return t(locale, 'reminder.set', { id: result.entry.id, when: formatDue(result.entry.dueAt, locale) });
+}
 
-  // Debug: force TTS playback to validate output path
-  if (content.startsWith('!say ')) {
-    const state = connections.get(message.guild.id);
-    if (!state) {
-      await message.reply('Not in voice.');
+function cancelReminder({ guildId, userId, id }, locale) {
+  const removed = reminders.cancel({ guildId, userId, id });
+  return t(locale, removed.length ? 'reminder.cancelled' : 'reminder.notFound', { id });
+}
+
+// Said in the voice channel when the bot is there with the owner, otherwise posted (with a mention)
+// in the channel the reminder was set from
+async function deliverReminder(entry) {
+  const locale = entry.locale || localeFor(entry.guildId);
+  const key =
+    entry.kind === 'timer'
+      ? entry.text
+        ? 'reminder.timerDueText'
+        : 'reminder.timerDue'
+      : entry.text
+        ? 'reminder.due'
+        : 'reminder.dueNoText';
+
+  const state = connections.get(entry.guildId);
+  const member = state && client.channels.cache.get(state.channelId)?.members?.get(entry.userId);
+  if (member) {
+    const text = t(locale, key, { name: member.displayName, text: entry.text });
+    const item = await speak(state, text, entry.userId, { kind: 'reminder' });
+    if (item) {
+      logEvent('reminder_spoken', { id: entry.id, userId: entry.userId, guildId: entry.guildId });
       return;
     }
-    const text = content.slice('!say '.length).trim().slice(0, 200);
-    if (!text) return;
-    await message.reply('ok');
-    await speak(state, text, message.author.id);
   }
-});
+
+  const channelId = entry.textChannelId || entry.channelId;
+  const channel = channelId ? await client.channels.fetch(channelId).catch(() => null) : null;
+  if (!channel?.isTextBased?.()) {
+    log.warn('reminder_undeliverable', { id: entry.id, userId: entry.userId, guildId: entry.guildId });
+    return;
+  }
+  await channel.send({
+    content: t(locale, key, { name: `<@${entry.userId}>`, text: entry.text }),
+    allowedMentions: { users: [entry.userId] }
+  });
+  logEvent('reminder_posted', { id: entry.id, userId: entry.userId, channelId });
+}
+
+function describeQueue(state, locale) {
+  const { current, pending } = state.queue.list();
+  const fmt = (i) => `${t(locale, 'queue.item', i)}${i.label ? ` "${i.label}"` : ''}`;
+  return [
+    t(locale, 'queue.playing', { item: current ? fmt(current) : t(locale, 'queue.nothing') }),
+    ...pending.map((i, n) => `  ${n + 1}. ${fmt(i)}`)
+  ].join('\n');
+}
+
+function describeStatus(guildId) {
+  const locale = localeFor(guildId);
+  const state = connections.get(guildId);
+  if (!state) return t(locale, 'cmd.notInVoice');
+  const channel = client.channels.cache.get(state.channelId);
+  return [
+    t(locale, 'status.channel', { value: channel?.name || state.channelId }),
+    t(locale, 'status.connection', { value: state.connection.state.status }),
+    t(locale, 'status.player', { value: state.player.state.status }),
+    t(locale, 'status.standby', { value: t(locale, state.standby ? 'common.yes' : 'common.no') }),
+    t(locale, 'status.listenMode', { value: state.listenMode }),
+    t(locale, 'status.conversation', { value: state.conversation }),
+    t(locale, 'status.transcript', { value: t(locale, state.transcript ? 'common.on' : 'common.off') }),
+    t(locale, 'status.listening', { count: state.recordings.size }),
+    describeQueue(state, locale)
+  ].join('\n');
+}
+
+// Sample the user's ambient level while they stay quiet, then store thresholds derived from it.
+async function calibrateUser(state, userId, durationMs) {
+  const calibration = { samples: [] };
+  state.calibrations.set(userId, calibration);
+  logEvent('vad_calibrate_start', { userId, guildId: state.guildId, durationMs });
+
+  try {
+    await delay(durationMs);
+  } finally {
+    state.calibrations.delete(userId);
+  }
+
+  const profile = calibrateFromSamples(calibration.samples);
+  vadProfiles.set(userId, profile);
+  for (const vad of userVadsFor(userId)) vad.setProfile(profile);
+  logEvent('vad_calibrate_done', { userId, ...profile });
+  return profile;
+}
+
+// Keyed by channel too, since VAD tunables can differ per channel
+function getUserVad(state, userId) {
+  const key = `${state.channelId}:${userId}`;
+  if (!userVads.has(key)) userVads.set(key, createVad(vadProfiles.get(userId) || {}, state.settings.vad));
+  return userVads.get(key);
+}
+
+function userVadsFor(userId) {
+  return [...userVads].filter(([key]) => key.endsWith(`:${userId}`)).map(([, vad]) => vad);
+}
+
+function resetCalibration(userId, locale) {
+  if (!vadProfiles.remove(userId)) return t(locale, 'vad.noCalibration');
+  for (const vad of userVadsFor(userId)) vad.setProfile({});
+  logEvent('vad_calibrate_reset', { userId });
+  return t(locale, 'vad.calibrationRemoved');
+}
+
+function describeVadProfile(profile, locale) {
+  return t(locale, 'vad.calibrated', {
+    note: profile.samples < 10 ? t(locale, 'vad.littleAudio') : '',
+    floor: profile.noiseFloor.toFixed(4),
+    start: profile.startThreshold.toFixed(4),
+    stop: profile.stopThreshold.toFixed(4)
+  });
+}
+
+function describeAllowedUsers(locale) {
+  const users = access.listUsers();
+  return users.length
+    ? t(locale, 'access.allowed', { users: users.map((id) => `<@${id}>`).join(', ') })
+    : t(locale, 'access.none');
+}
+
+function updateAccess(guildId, byUserId, action, targetId) {
+  const changed = action === 'add' ? access.addUser(targetId) : access.removeUser(targetId);
+  logEvent('access_policy_update', { byUserId, action, userId: targetId, changed });
+
+  // Presence of allowed users may have changed
+  const state = connections.get(guildId);
+  if (state) refreshStandby(state);
+  return changed;
+}
 
 async function autoJoinVoiceChannel(channelId) {
   const channel = await client.channels.fetch(channelId);
   if (!channel || !channel.isVoiceBased()) {
-    console.error('VOICE_CHANNEL_ID is not a voice channel');
+    log.warn('auto_join_not_voice', { channelId });
+    return;
+  }
+
+  // One voice connection per guild: two auto-join channels in the same guild would fight.
+  const existing = connections.get(channel.guild.id);
+  if (existing) {
+    log.warn('auto_join_skipped', { channelId, connectedChannelId: existing.channelId });
     return;
   }
 
@@ -198,6 +980,8 @@ async function connectToChannel(voiceChannel, { manualLeave, autoJoin } = {}) {
   const player = createAudioPlayer();
   connection.subscribe(player);
 
+  const settings = channelConfig.forChannel(voiceChannel.id, voiceChannel.guild.id);
+
   player.on('stateChange', (oldState, newState) => {
     logEvent('player_state', {
       old: oldState.status,
@@ -205,21 +989,24 @@ async function connectToChannel(voiceChannel, { manualLeave, autoJoin } = {}) {
     });
   });
   player.on('error', (err) => {
-    console.error('Audio player error', err);
+    log.error('audio_player_error', { guildId: state.guildId, err });
   });
 
-  const state = {
+  const state = pipeline.createSession({
     connection,
     player,
-    recordings: new Map(),
-    timers: new Map(),
     guildId: voiceChannel.guild.id,
     channelId: voiceChannel.id,
+    settings,
+    listenMode: settings.listenMode || (ALWAYS_LISTEN_CHANNELS.has(voiceChannel.id) ? 'always' : LISTEN_MODE),
+    conversation: settings.conversation === 'group' ? 'group' : 'user',
     manualLeave: Boolean(manualLeave),
-    autoJoin: Boolean(autoJoin),
-    standby: false,
-    currentPlayback: null
-  };
+    autoJoin: Boolean(autoJoin)
+  });
+
+  if (settings.transcript.channelId && settings.transcript.enabled) {
+    setTranscriptSink(state, settings.transcript.channelId);
+  }
 
   connections.set(voiceChannel.guild.id, state);
 
@@ -232,16 +1019,20 @@ async function connectToChannel(voiceChannel, { manualLeave, autoJoin } = {}) {
     autoJoin: Boolean(autoJoin)
   });
 
+  pipeline.prewarm(state).catch((err) => {
+    log.error('tts_prewarm_failed', { err });
+  });
+
   // Debug: speak on join so we can validate playback (green ring)
   if (process.env.AUTO_SPEAK_ON_JOIN === '1') {
-    speak(state, 'Audio test. If you can hear this, TTS playback works.', 'system').catch((err) => {
-      console.error('AUTO_SPEAK_ON_JOIN failed', err);
+    speak(state, t(settings.locale, 'voice.audioTest'), 'system', { kind: 'system' }).catch((err) => {
+      log.error('auto_speak_failed', { err });
     });
   }
 
   // Prime subscriptions for allowlisted users already in channel
   primeSubscriptions(state, voiceChannel).catch((err) => {
-    console.error('primeSubscriptions error', err);
+    log.error('prime_subscriptions_failed', { err });
   });
 
   // Initialize standby based on current channel membership
@@ -268,7 +1059,7 @@ function attachConnectionHandlers(state) {
       if (state.manualLeave) return;
 
       attemptRejoin(state).catch((err) => {
-        console.error('Rejoin failed', err);
+        log.error('rejoin_failed', { guildId: state.guildId, err });
       });
     }
   });
@@ -277,7 +1068,7 @@ function attachConnectionHandlers(state) {
 async function attemptRejoin(state) {
   const channel = await client.channels.fetch(state.channelId);
   if (!channel || !channel.isVoiceBased()) {
-    console.error('Rejoin failed: channel missing or not voice');
+    log.error('rejoin_failed', { guildId: state.guildId, reason: 'channel missing or not voice' });
     return;
   }
 
@@ -299,6 +1090,7 @@ async function attemptRejoin(state) {
     guildId: state.guildId,
     channelId: state.channelId
   });
+  reconnects.inc();
 }
 
 function refreshStandby(state) {
@@ -306,7 +1098,9 @@ function refreshStandby(state) {
     const ch = client.channels.cache.get(state.channelId);
     const allowCount =
       ch && ch.isVoiceBased?.()
-        ? [...ch.members.values()].filter((m) => !m.user?.bot && ALLOWLIST.has(m.id)).length
+        ? [...ch.members.values()].filter(
+            (m) => !m.user?.bot && isMemberAllowed(m, state.guildId, state.channelId)
+          ).length
         : 0;
 
     const shouldStandby = allowCount === 0;
@@ -324,725 +1118,97 @@ function refreshStandby(state) {
       logEvent('standby_off', { guildId: state.guildId, channelId: state.channelId });
       // Prime again for any allowlisted users currently present
       if (ch?.isVoiceBased?.()) {
-        for (const [memberId] of ch.members) {
-          if (!ALLOWLIST.has(memberId)) continue;
+        for (const [memberId, member] of ch.members) {
+          if (!isMemberAllowed(member, state.guildId, state.channelId)) continue;
           startRecording(state, memberId);
         }
       }
     }
   } catch (err) {
-    console.error('refreshStandby error', err);
+    log.error('refresh_standby_failed', { err });
   }
 }
 
 async function primeSubscriptions(state, voiceChannel) {
   try {
     // voiceChannel.members is a Collection of members in the voice channel
-    for (const [memberId] of voiceChannel.members) {
-      if (!ALLOWLIST.has(memberId)) continue;
+    for (const [memberId, member] of voiceChannel.members) {
+      if (!isMemberAllowed(member, state.guildId, state.channelId)) continue;
       if (state.standby) continue;
       startRecording(state, memberId);
     }
   } catch (err) {
-    console.error('primeSubscriptions failed', err);
+    log.error('prime_subscriptions_failed', { err });
   }
 }
 
-function startRecording(state, userId) {
-  if (!ALLOWLIST.has(userId)) return;
-  if (state.standby) return;
-  if (state.recordings.has(userId)) return;
-
-  const receiver = state.connection.receiver;
-
-  logEvent('recording_start', {
-    userId,
-    guildId: state.guildId,
-    channelId: state.channelId
-  });
-
-  // Keep a persistent subscription open so we don't depend on speaking events
-  // or timing (subscribe-before-speech). We'll segment utterances ourselves.
-  const opusStream = receiver.subscribe(userId, {
-    end: {
-      behavior: EndBehaviorType.Manual
-    }
-  });
-
-  const decoder = new prism.opus.Decoder({
-    rate: 48000,
-    channels: 2,
-    frameSize: 960
-  });
-
-  const pcmStream = opusStream.pipe(decoder);
-
-  const recording = {
-    userId,
-    startedAt: null,
-    lastAudioAt: 0,
-    active: false,
-    chunks: [],
-    bytes: 0,
-    // ring buffer before voice is detected, to avoid cutting the first syllable
-    preRoll: [],
-    preRollBytes: 0,
-    // barge-in detector
-    bargeHits: 0,
-    bargeLastAt: 0,
-    opusStream,
-    pcmStream,
-    channelId: state.channelId,
-    guildId: state.guildId
-  };
-
-  state.recordings.set(userId, recording);
-
-  pcmStream.on('data', (chunk) => {
-    const now = Date.now();
-    const rms = computeRms(chunk);
-    const energetic = rms >= SILENCE_THRESHOLD;
-
-    // While bot is speaking, ignore audio to avoid noise, BUT allow barge-in.
-    if (
-      state.player.state.status === AudioPlayerStatus.Playing ||
-      state.player.state.status === AudioPlayerStatus.Buffering
-    ) {
-      if (BARGE_IN_ENABLED && rms >= BARGE_IN_THRESHOLD) {
-        // require a couple of consecutive hits to avoid false positives
-        if (now - (recording.bargeLastAt || 0) < 250) recording.bargeHits += 1;
-        else recording.bargeHits = 1;
-        recording.bargeLastAt = now;
-
-        if (recording.bargeHits >= 2) {
-          recording.bargeHits = 0;
-          logEvent('barge_in', { userId, rms });
-          try {
-            state.player.stop(true);
-          } catch {}
-          // Kill current transcoder if any to avoid EPIPE / dangling processes
-          if (state.currentPlayback) {
-            try {
-              state.currentPlayback.kill('SIGKILL');
-            } catch {}
-            state.currentPlayback = null;
-          }
-          // continue processing this chunk as potential speech start
-        } else {
-          return;
-        }
-      } else {
-        recording.preRoll = [];
-        recording.preRollBytes = 0;
-        return;
-      }
-    }
-
-    // Maintain a short pre-roll buffer while not active
-    if (!recording.active) {
-      const maxPreRollBytes = Math.floor((PRE_ROLL_MS / 1000) * 48000 * 2 * 2);
-      recording.preRoll.push(chunk);
-      recording.preRollBytes += chunk.length;
-      while (recording.preRollBytes > maxPreRollBytes && recording.preRoll.length > 1) {
-        const removed = recording.preRoll.shift();
-        recording.preRollBytes -= removed.length;
-      }
-
-      if (!energetic) return;
-
-      // Start of an utterance (include pre-roll)
-      recording.active = true;
-      recording.startedAt = now;
-      recording.lastAudioAt = now;
-      recording.chunks = [...recording.preRoll];
-      recording.bytes = recording.preRollBytes;
-      recording.preRoll = [];
-      recording.preRollBytes = 0;
-
-      logEvent('utterance_start', { userId });
-    }
-
-    // While active, keep buffering
-    if (energetic) recording.lastAudioAt = now;
-    recording.chunks.push(chunk);
-    recording.bytes += chunk.length;
-
-    const durationMs = bytesToMs(recording.bytes);
-    if (durationMs >= MAX_UTTERANCE_MS) {
-      logEvent('utterance_too_long', {
-        userId: recording.userId,
-        durationMs
-      });
-      // We'll finalize via the timer.
-    }
-  });
-
-  pcmStream.on('error', (err) => {
-    console.error('PCM stream error', err);
-    cleanupRecording(state, userId);
-  });
-
-  const endAndFinalize = (reason) => {
-    const durationMs = bytesToMs(recording.bytes);
-    logEvent('recording_end', { userId, durationMs, reason });
-
-    if (durationMs >= MIN_UTTERANCE_MS) {
-      finalizeRecording(state, recording).catch((err) => {
-        console.error('Finalize error', err);
-      });
-    }
-
-    cleanupRecording(state, userId);
-    try {
-      opusStream.destroy();
-    } catch {}
-
-    // Rearm: keep a "hot" subscription so we don't depend on speaking events.
-    // If the user is still in the channel, start a fresh recording shortly after.
-    setTimeout(() => {
-      try {
-        const channel = client.channels.cache.get(state.channelId);
-        const stillHere = channel?.isVoiceBased?.() && channel.members?.has?.(userId);
-        if (!stillHere) return;
-        if (state.manualLeave) return;
-        if (state.recordings.has(userId)) return;
-
-        logEvent('recording_rearm', {
-          userId,
-          guildId: state.guildId,
-          channelId: state.channelId,
-          prevReason: reason,
-          prevDurationMs: durationMs
-        });
-        startRecording(state, userId);
-      } catch (err) {
-        console.error('recording_rearm error', err);
-      }
-    }, 250);
-  };
-
-  // Silence detector: segments utterances while keeping subscription open
-  const interval = setInterval(() => {
-    if (!recording.active) return;
-
-    const now = Date.now();
-    const silenceFor = now - recording.lastAudioAt;
-    const durationMs = bytesToMs(recording.bytes);
-
-    if (durationMs >= MAX_UTTERANCE_MS) {
-      // Finalize current utterance
-      logEvent('recording_end', { userId, durationMs, reason: 'max_utterance' });
-      finalizeRecording(state, recording).catch((err) => console.error('Finalize error', err));
-      // Reset for next utterance
-      recording.active = false;
-      recording.startedAt = null;
-      recording.lastAudioAt = 0;
-      recording.chunks = [];
-      recording.bytes = 0;
-      return;
-    }
-
-    if (silenceFor >= SILENCE_MS && durationMs >= MIN_UTTERANCE_MS) {
-      logEvent('recording_end', { userId, durationMs, reason: 'silence_timer' });
-      finalizeRecording(state, recording).catch((err) => console.error('Finalize error', err));
-      recording.active = false;
-      recording.startedAt = null;
-      recording.lastAudioAt = 0;
-      recording.chunks = [];
-      recording.bytes = 0;
-      return;
-    }
-
-    if (silenceFor >= SILENCE_MS * 10) {
-      // Reset stuck utterance
-      recording.active = false;
-      recording.startedAt = null;
-      recording.lastAudioAt = 0;
-      recording.chunks = [];
-      recording.bytes = 0;
-    }
-  }, 200);
-
-  state.timers.set(userId, interval);
-
-  opusStream.on('close', () => {
-    logEvent('opus_close', { userId });
-    cleanupRecording(state, userId);
-  });
-  opusStream.on('error', (err) => {
-    console.error('Opus stream error', err);
-    cleanupRecording(state, userId);
-  });
-}
-
-function setupReceiver(state, guildId, channelId) {
-  // Keep this function to preserve the callsite; all logic is in startRecording/primeSubscriptions.
-  logEvent('receiver_ready', { guildId, channelId });
-}
-
-async function finalizeRecording(state, recording) {
-  if (isRateLimited(recording.userId, 'stt')) {
-    logEvent('rate_limited_stt', {
-      userId: recording.userId
-    });
-    return;
-  }
-
-  const pcmBuffer = Buffer.concat(recording.chunks);
-  const wavBuffer = await pcmToWavForStt(pcmBuffer, 48000, 2);
-
-  logEvent('stt_request', {
-    userId: recording.userId,
-    guildId: recording.guildId,
-    channelId: recording.channelId,
-    wavBytes: wavBuffer.length,
-    sttRate: STT_SAMPLE_RATE
+function isMemberAllowed(member, guildId, channelId) {
+  if (!member) return false;
+  return access.isAllowed({
+    userId: member.id,
+    roleIds: member.roles?.cache ? [...member.roles.cache.keys()] : [],
+    guildId,
+    channelId
   });
-  const text = await transcribe(wavBuffer);
-  logEvent('stt_result', {
-    userId: recording.userId,
-    text: (text || '').slice(0, 300),
-    textLen: (text || '').length
-  });
-  if (!text) return;
-
-  const reply = await askOpenClaw(text, recording);
-  logEvent('agent_reply', {
-    userId: recording.userId,
-    reply: (reply || '').slice(0, 300),
-    replyLen: (reply || '').length
-  });
-  if (!reply) return;
-
-  await speak(state, cleanForSpeech(reply), recording.userId);
-}
-
-function cleanupRecording(state, userId) {
-  const interval = state.timers.get(userId);
-  if (interval) clearInterval(interval);
-  state.timers.delete(userId);
-
-  const rec = state.recordings.get(userId);
-  if (rec?.opusStream) {
-    try {
-      rec.opusStream.destroy();
-    } catch {}
-  }
-  if (rec?.pcmStream) {
-    try {
-      rec.pcmStream.destroy();
-    } catch {}
-  }
-
-  state.recordings.delete(userId);
-}
-
-function bytesToMs(bytes) {
-  const bytesPerSecond = 48000 * 2 * 2;
-  return Math.round((bytes / bytesPerSecond) * 1000);
-}
-
-function computeRms(chunk) {
-  let sum = 0;
-  const samples = chunk.length / 2;
-  for (let i = 0; i < chunk.length; i += 2) {
-    const int16 = chunk.readInt16LE(i);
-    const sample = int16 / 32768;
-    sum += sample * sample;
-  }
-  return Math.sqrt(sum / samples);
 }
 
-function hasVoiceEnergy(chunk, threshold) {
-  return computeRms(chunk) >= threshold;
+function isUserAllowed(state, userId) {
+  const member = client.guilds.cache.get(state.guildId)?.members.cache.get(userId);
+  if (member) return isMemberAllowed(member, state.guildId, state.channelId);
+  return access.isAllowed({ userId, guildId: state.guildId, channelId: state.channelId });
 }
 
-async function pcmToWav(pcmBuffer, sampleRate, channels) {
-  const floatData = new Float32Array(pcmBuffer.length / 2);
-  for (let i = 0; i < pcmBuffer.length; i += 2) {
-    const int16 = pcmBuffer.readInt16LE(i);
-    floatData[i / 2] = int16 / 32768;
-  }
-
-  const channelData = [];
-  const frames = floatData.length / channels;
-  for (let c = 0; c < channels; c++) {
-    const channel = new Float32Array(frames);
-    for (let i = 0; i < frames; i++) {
-      channel[i] = floatData[i * channels + c];
+// Re-evaluate live connections after the policy file changed.
+function applyAccessPolicy() {
+  for (const state of connections.values()) {
+    for (const userId of [...state.recordings.keys()]) {
+      if (!isUserAllowed(state, userId)) cleanupRecording(state, userId);
     }
-    channelData.push(channel);
+    refreshStandby(state);
   }
-
-  const wav = await wavEncoder.encode({
-    sampleRate,
-    channelData
-  });
-  return Buffer.from(wav);
 }
 
-async function pcmToWavForStt(pcmBuffer, sampleRate, channels) {
-  // Use ffmpeg to resample to 16kHz mono WAV to reduce latency and improve STT stability.
-  // Fallback to JS wav encoder if ffmpeg fails.
-  try {
-    const { spawn } = await import('node:child_process');
-
-    const out = await new Promise((resolve, reject) => {
-      const ff = spawn(
-        'ffmpeg',
-        [
-          '-hide_banner',
-          '-loglevel',
-          'error',
-          '-f',
-          's16le',
-          '-ar',
-          String(sampleRate),
-          '-ac',
-          String(channels),
-          '-i',
-          'pipe:0',
-          '-ac',
-          '1',
-          '-ar',
-          String(STT_SAMPLE_RATE),
-          '-c:a',
-          'pcm_s16le',
-          '-f',
-          'wav',
-          'pipe:1'
-        ],
-        { stdio: ['pipe', 'pipe', 'pipe'] }
-      );
-
-      const chunks = [];
-      let size = 0;
-      let stderr = '';
-
-      ff.stdout.on('data', (d) => {
-        chunks.push(d);
-        size += d.length;
-      });
-      ff.stderr.on('data', (d) => (stderr += d.toString()));
-
-      ff.on('error', reject);
-      ff.on('exit', (code) => {
-        if (code === 0) return resolve(Buffer.concat(chunks, size));
-        reject(new Error(`ffmpeg stt resample failed (code=${code}): ${stderr}`));
-      });
-
-      ff.stdin.end(pcmBuffer);
-    });
-
-    return out;
-  } catch (err) {
-    console.error('pcmToWavForStt fallback to JS encoder', err);
-    return pcmToWav(pcmBuffer, sampleRate, channels);
-  }
+function parseUserId(arg) {
+  const m = String(arg || '').match(/^<@!?(\d+)>$|^(\d+)$/);
+  return m ? m[1] || m[2] : '';
 }
 
-async function transcribe(wavBuffer) {
-  const form = new FormData();
-  form.append('file', new Blob([wavBuffer], { type: 'audio/wav' }), 'audio.wav');
-  form.append('model', WHISPER_MODEL);
-  // Force Italian to avoid random English garbage when audio is short/noisy
-  form.append('language', 'it');
-  form.append('temperature', '0');
-  form.append(
-    'prompt',
-    process.env.STT_PROMPT ||
-      "Trascrivi fedelmente in italiano. Se senti parole inglesi tecniche, mantienile. Non inventare parole."
-  );
-
-  const res = await fetch(`${OPENAI_BASE_URL}/v1/audio/transcriptions`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`
-    },
-    body: form
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    console.error('Transcription error', res.status, text);
-    return '';
-  }
-
-  const json = await res.json();
-  return json.text?.trim() || '';
+function setupReceiver(state, guildId, channelId) {
+  // Keep this function to preserve the callsite; all logic is in startRecording/primeSubscriptions.
+  logEvent('receiver_ready', { guildId, channelId });
 }
 
-async function askOpenClaw(text, recording) {
-  const payload = {
-    text,
-    userId: recording.userId,
-    guildId: recording.guildId,
-    channelId: recording.channelId
-  };
-
-  const res = await fetch(OPENCLAW_ENDPOINT, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-
-  if (!res.ok) {
-    const body = await res.text();
-    console.error('OpenClaw endpoint error', res.status, body);
-    return '';
-  }
-
-  const json = await res.json();
-  return json.reply?.trim() || '';
+function setListenMode(guildId, mode) {
+  const locale = localeFor(guildId);
+  const state = connections.get(guildId);
+  if (!state) return t(locale, 'cmd.notInVoice');
+  state.listenMode = mode;
+  state.followUps.clear();
+  logEvent('listen_mode', { guildId, channelId: state.channelId, mode });
+  return mode === 'wake' ? t(locale, 'listen.wake', { phrase: WAKE_PHRASES[0] }) : t(locale, 'listen.always');
 }
 
-async function speak(state, text, userId) {
-  if (isRateLimited(userId || 'unknown', 'tts')) {
-    logEvent('rate_limited_tts', {
-      userId: userId || 'unknown'
-    });
-    return;
-  }
-
-  logEvent('tts_request', {
-    userId: userId || 'unknown',
-    guildId: state.guildId,
-    channelId: state.channelId
-  });
-
-  logEvent('speak_begin', { userId: userId || 'unknown' });
-
-  // Ensure voice connection is ready before attempting playback
-  try {
-    await entersState(state.connection, VoiceConnectionStatus.Ready, 30_000);
-    logEvent('voice_ready_ok', { userId: userId || 'unknown' });
-  } catch (err) {
-    console.error('Voice connection not ready for playback', err);
-    logEvent('voice_ready_fail', { userId: userId || 'unknown' });
-    return;
-  }
-
-  const provider = (process.env.TTS_PROVIDER || 'openai').toLowerCase();
-
-  const { spawn } = await import('node:child_process');
-
-  // --- OpenAI TTS (fast, online) ---
-  if (provider === 'openai') {
-    logEvent('openai_tts_request', { userId: userId || 'unknown' });
-
-    const res = await fetch(`${OPENAI_BASE_URL}/v1/audio/speech`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: TTS_MODEL,
-        voice: TTS_VOICE,
-        format: 'mp3',
-        input: String(text || '').slice(0, 800)
-      })
-    });
-
-    if (!res.ok) {
-      const body = await res.text();
-      console.error('OpenAI TTS error', res.status, body);
-      return;
-    }
-
-    const audioBuf = Buffer.from(await res.arrayBuffer());
-
-    const ffmpeg = spawn(
-      'ffmpeg',
-      ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', '-f', 's16le', '-ar', '48000', '-ac', '2', 'pipe:1'],
-      { stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-
-    // Track active transcoder so barge-in can kill it safely
-    state.currentPlayback = ffmpeg;
-
-    let ffErr = '';
-    ffmpeg.stderr.on('data', (d) => (ffErr += d.toString()));
-    ffmpeg.stdin.on('error', (err) => {
-      // Expected when we barge-in and kill ffmpeg mid-write
-      if (err?.code === 'EPIPE') return;
-      console.error('ffmpeg stdin error', err);
-    });
-    ffmpeg.stdout.on('error', (err) => {
-      console.error('ffmpeg stdout error', err);
-    });
-
-    ffmpeg.on('exit', (code) => {
-      if (state.currentPlayback === ffmpeg) state.currentPlayback = null;
-      if (code && code !== 0) {
-        console.error('ffmpeg failed', code, ffErr);
-      } else {
-        logEvent('ffmpeg_ok', { userId: userId || 'unknown' });
-      }
-    });
-
-    ffmpeg.stdin.end(audioBuf);
-
-    const resource = createAudioResource(ffmpeg.stdout, { inputType: StreamType.Raw });
-    state.player.play(resource);
-    logEvent('player_play', { userId: userId || 'unknown' });
-
-    return;
-  }
-
-  // --- Sherpa offline fallback ---
-  const runtimeDir = process.env.SHERPA_ONNX_RUNTIME_DIR || '';
-  const modelDir = process.env.SHERPA_ONNX_MODEL_DIR || '';
-
-  if (!runtimeDir || !modelDir) {
-    console.error('Missing SHERPA_ONNX_RUNTIME_DIR / SHERPA_ONNX_MODEL_DIR (local TTS not configured)');
-    return;
-  }
-
-  // 1) Generate WAV via sherpa-onnx
-  const outWav = `/tmp/niko-tts-${Date.now()}-${Math.random().toString(16).slice(2)}.wav`;
-
-  const modelFile = process.env.SHERPA_ONNX_MODEL_FILE || `${modelDir}/en_US-lessac-high.onnx`;
-  const tokensFile = process.env.SHERPA_ONNX_TOKENS_FILE || `${modelDir}/tokens.txt`;
-  const dataDir = process.env.SHERPA_ONNX_DATA_DIR || `${modelDir}/espeak-ng-data`;
-
-  const sherpaExe = `${runtimeDir}/bin/sherpa-onnx-offline-tts`;
-  const libDir = `${runtimeDir}/lib`;
-
-  // 1) Generate WAV via sherpa-onnx binary (offline)
-  logEvent('sherpa_spawn', { userId: userId || 'unknown' });
-  await new Promise((resolve, reject) => {
-    const env = { ...process.env };
-    env.LD_LIBRARY_PATH = env.LD_LIBRARY_PATH ? `${libDir}:${env.LD_LIBRARY_PATH}` : libDir;
-
-    const p = spawn(
-      sherpaExe,
-      [
-        `--vits-model=${modelFile}`,
-        `--vits-tokens=${tokensFile}`,
-        `--vits-data-dir=${dataDir}`,
-        `--output-filename=${outWav}`,
-        text
-      ],
-      { stdio: ['ignore', 'pipe', 'pipe'], env }
-    );
-
-    let stderr = '';
-    p.stderr.on('data', (d) => (stderr += d.toString()));
-    p.on('error', reject);
-    p.on('exit', (code) => {
-      if (code === 0) return resolve();
-      reject(new Error(`sherpa-onnx-offline-tts failed (code=${code}): ${stderr}`));
-    });
-
-    // Hard timeout
-    setTimeout(() => {
-      try {
-        p.kill('SIGKILL');
-      } catch {}
-      reject(new Error('sherpa timeout'));
-    }, 15_000);
-  })
-    .then(() => logEvent('sherpa_ok', { userId: userId || 'unknown' }))
-    .catch((err) => {
-      console.error('Local TTS error', err);
-      logEvent('sherpa_fail', { userId: userId || 'unknown' });
-    });
-
-  // 2) Transcode WAV -> raw PCM and play (discordjs/voice will opus-encode)
-  const ffmpeg = spawn(
-    'ffmpeg',
-    ['-hide_banner', '-loglevel', 'error', '-i', outWav, '-f', 's16le', '-ar', '48000', '-ac', '2', 'pipe:1'],
-    { stdio: ['ignore', 'pipe', 'pipe'] }
-  );
-
-  state.currentPlayback = ffmpeg;
-
-  let ffErr = '';
-  ffmpeg.stderr.on('data', (d) => (ffErr += d.toString()));
-  ffmpeg.stdout.on('error', (err) => {
-    console.error('ffmpeg stdout error', err);
-  });
-  ffmpeg.on('exit', (code) => {
-    if (state.currentPlayback === ffmpeg) state.currentPlayback = null;
-    if (code && code !== 0) {
-      console.error('ffmpeg failed', code, ffErr);
-    } else {
-      logEvent('ffmpeg_ok', { userId: userId || 'unknown' });
-    }
-  });
-
-  const resource = createAudioResource(ffmpeg.stdout, { inputType: StreamType.Raw });
-  state.player.play(resource);
-  logEvent('player_play', { userId: userId || 'unknown' });
-
-  // Cleanup temp wav a bit later
-  setTimeout(async () => {
-    try {
-      const { unlink } = await import('node:fs/promises');
-      await unlink(outWav);
-    } catch {}
-  }, 30_000);
-
-  if (state.player.state.status === AudioPlayerStatus.Playing) {
-    await delay(100);
-  }
+function setConversationMode(guildId, mode) {
+  const locale = localeFor(guildId);
+  const state = connections.get(guildId);
+  if (!state) return t(locale, 'cmd.notInVoice');
+  state.conversation = mode;
+  logEvent('conversation_mode', { guildId, channelId: state.channelId, mode });
+  return t(locale, mode === 'group' ? 'conversation.group' : 'conversation.user');
 }
 
-function isRateLimited(userId, kind) {
-  const now = Date.now();
-  const entry = rateLimits.get(userId) || {
-    windowStart: now,
-    sttCount: 0,
-    ttsCount: 0
-  };
-
-  if (now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) {
-    entry.windowStart = now;
-    entry.sttCount = 0;
-    entry.ttsCount = 0;
-  }
-
-  if (kind === 'stt') {
-    if (entry.sttCount >= RATE_LIMIT_STT_MAX) {
-      rateLimits.set(userId, entry);
-      return true;
-    }
-    entry.sttCount += 1;
-  }
-
-  if (kind === 'tts') {
-    if (entry.ttsCount >= RATE_LIMIT_TTS_MAX) {
-      rateLimits.set(userId, entry);
-      return true;
-    }
-    entry.ttsCount += 1;
-  }
-
-  rateLimits.set(userId, entry);
-  return false;
+// The connected channel's locale, else the guild's (channel config `locale`, BOT_LOCALE)
+function localeFor(guildId) {
+  return connections.get(guildId)?.settings.locale || channelConfig.forGuild(guildId).locale;
 }
 
-function cleanForSpeech(text) {
-  // Remove common markdown that sounds awful in TTS
-  return String(text || '')
-    .replace(/```[\s\S]*?```/g, ' ')
-    .replace(/`([^`]+)`/g, '$1')
-    .replace(/\*\*([^*]+)\*\*/g, '$1')
-    .replace(/\*([^*]+)\*/g, '$1')
-    .replace(/_([^_]+)_/g, '$1')
-    .replace(/\[(.*?)\]\((.*?)\)/g, '$1')
-    .replace(/<([^>]+)>/g, '$1')
-    .replace(/#+\s*/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+function logEvent(event, data) {
+  log.info(event, data);
 }
 
-function logEvent(event, data) {
-  const payload = data ? ` ${JSON.stringify(data)}` : '';
-  console.log(`[${new Date().toISOString()}] ${event}${payload}`);
+if (METRICS_PORT > 0) {
+  serveMetrics(metrics, { host: METRICS_HOST, port: METRICS_PORT });
+  logEvent('metrics_listening', { url: `http://${METRICS_HOST}:${METRICS_PORT}/metrics` });
 }
 
 client.login(DISCORD_TOKEN);
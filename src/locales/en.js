@@ -0,0 +1,192 @@
+// English catalog, also the fallback for keys missing from the other locales (see src/i18n.js).
+
+export default {
+  // --- Voice ---
+  'voice.wakeAck': 'Yes?',
+  'voice.audioTest': 'Audio test. If you can hear this, TTS playback works.',
+  // TTS cache pre-warm phrases, '|'-separated
+  'voice.prewarm': "Sorry, I didn't catch that, can you repeat?",
+  'stt.prompt': 'Transcribe faithfully in English. Keep technical terms as they are. Do not invent words.',
+  'budget.cap.daily': "today's budget",
+  'budget.cap.monthly': "this month's budget",
+  'budget.cap.user_daily': 'your budget for today',
+  'budget.blocked': "I've used up {cap}: I can't answer until it resets.",
+  'budget.economy': "I've used up {cap}: from now on I'm answering in economy mode.",
+
+  // --- Command replies ---
+  'cmd.ok': 'ok',
+  'cmd.usage': 'Usage: {usage}',
+  'cmd.adminsOnly': 'Admins only.',
+  'cmd.noChange': 'No change.',
+  'cmd.notAllowed': 'You are not allowed to use this bot.',
+  'cmd.unknown': 'Unknown command.',
+  'cmd.failed': 'Something went wrong.',
+  'cmd.notInVoice': 'Not in voice.',
+  'cmd.joinVoiceFirst': 'Join a voice channel first.',
+  'cmd.joinVoiceOrChannel': 'Join a voice channel first, or pass one as `channel`.',
+  'cmd.joinMyChannel': 'Join my voice channel first.',
+  'cmd.joined': 'Joined {channel}.',
+  'cmd.left': 'Left the channel.',
+  'transcript.on': 'Transcript on in <#{channelId}>.',
+  'transcript.off': 'Transcript off.',
+  'queue.skipped': 'Skipped.',
+  'queue.nothingPlaying': 'Nothing is playing.',
+  'queue.cleared': 'Cleared {count} queued item(s).',
+  'queue.playing': 'Playing: {item}',
+  'queue.nothing': 'nothing',
+  'queue.item': '#{id} {kind} for {userId}',
+  'listen.wake': 'Listening for "{phrase}" in this channel.',
+  'listen.always': 'Listening to everything in this channel.',
+  'conversation.group': 'Group conversation: I answer knowing who is speaking and what was said in the channel.',
+  'conversation.user': 'One-to-one conversation: everyone talks to me on their own.',
+  'status.channel': 'Channel: {value}',
+  'status.connection': 'Connection: {value}',
+  'status.player': 'Player: {value}',
+  'status.standby': 'Standby: {value}',
+  'status.listenMode': 'Listen mode: {value}',
+  'status.conversation': 'Conversation: {value}',
+  'status.transcript': 'Transcript: {value}',
+  'status.listening': 'Listening to: {count} user(s)',
+  'common.yes': 'yes',
+  'common.no': 'no',
+  'common.on': 'on',
+  'common.off': 'off',
+  'usage.today': 'Today: {spent}{limit}',
+  'usage.breakdown': '  STT {minutes} min, TTS {chars} chars, chat {input} in / {output} out tokens',
+  'usage.month': 'This month: {spent}{limit}',
+  'usage.server': 'This server today: {spent}',
+  'usage.you': 'You today: {spent}{limit}',
+  'usage.of': ' of {limit}',
+  'usage.capReached': 'Budget reached ({scope}): free providers only until it resets.',
+  'usage.scope.daily': 'daily',
+  'usage.scope.monthly': 'monthly',
+  'usage.scope.user_daily': 'your daily',
+  'prefs.voice': 'Voice: {value}',
+  'prefs.speed': 'Speed: {value}',
+  'prefs.language': 'Language: {value}',
+  'prefs.answers': 'Answers: {value}',
+  'prefs.default': '{value} (default)',
+  'prefs.channelVoice': 'channel voice',
+  'prefs.channelLanguage': 'channel language',
+  'prefs.normal': 'normal',
+  'prefs.cleared': 'Preferences cleared.',
+  'prefs.none': 'No preferences stored.',
+  'prefs.badVoice': 'Voices: {voices}.',
+  'prefs.badSpeed': 'Speed goes from 0.5 to 2 (1 = normal).',
+  'prefs.badLanguage': 'Language is a two-letter code (it, en, es, ...) or `auto`.',
+  'prefs.badAnswers': 'Answers are `short` or `long`.',
+  'prefs.badKey': 'Preferences: {keys}.',
+  'vad.calibrating': 'Calibrating: stay quiet for {seconds} seconds...',
+  'vad.calibrated': 'Calibrated{note}. Noise floor {floor}, start {start}, stop {stop}.',
+  'vad.littleAudio': ' (little audio received: keep your mic open while calibrating)',
+  'vad.noCalibration': 'No calibration stored.',
+  'vad.calibrationRemoved': 'Calibration removed, using defaults.',
+  'access.allowed': 'Allowed users: {users}',
+  'access.none': 'No users.',
+  'reminder.due': '{name}, here is your reminder: {text}.',
+  'reminder.dueNoText': '{name}, this is your reminder.',
+  'reminder.timerDue': '{name}, your timer is up.',
+  'reminder.timerDueText': '{name}, your timer for {text} is up.',
+  'reminder.today': 'at {time}',
+  'reminder.tomorrow': 'tomorrow at {time}',
+  'reminder.on': 'on {date} at {time}',
+  'reminder.list': 'Your reminders:',
+  'reminder.item': 'Number {id}, {when}: {text}.',
+  'reminder.reminder': 'reminder',
+  'reminder.timer': 'timer',
+  'reminder.none': "You don't have any reminders.",
+  'reminder.set': 'Reminder number {id} set {when}.',
+  'reminder.cancelled': 'Reminder number {id} cancelled.',
+  'reminder.cancelledAll': 'Cancelled {count} reminders.',
+  'reminder.notFound': "I can't find that reminder.",
+  'reminder.badTime': 'When? For example `10m`, `1h30m`, `2d` or a time of day like `18:30`.',
+  'reminder.tooFar': 'I can only remind you of things up to {days} days ahead.',
+  'reminder.tooMany': 'You already have {max} reminders: cancel some first.',
+
+  // --- Slash command descriptions ---
+  'slash.join': 'Join a voice channel',
+  'slash.join.channel': 'Voice channel to join (defaults to yours)',
+  'slash.leave': 'Leave the voice channel',
+  'slash.say': 'Speak a phrase in the voice channel (debug)',
+  'slash.say.text': 'Text to speak',
+  'slash.say.voice': 'TTS voice (openai provider only)',
+  'slash.status': 'Show voice connection status',
+  'slash.usage': 'Show estimated spend against the budgets',
+  'slash.prefs': 'Your voice, speed, language and answer length (no options: show them)',
+  'slash.prefs.voice': 'TTS voice',
+  'slash.prefs.speed': 'Speaking speed, 1 = normal',
+  'slash.prefs.language': 'What you speak: two-letter code (it, en, ...), auto, or default',
+  'slash.prefs.answers': 'Answer length',
+  'slash.prefs.reset': 'Forget all your preferences',
+  'slash.transcript': 'Mirror the voice conversation into a text channel',
+  'slash.transcript.enabled': 'On or off',
+  'slash.skip': 'Skip what the bot is saying right now',
+  'slash.clear': 'Drop everything queued to be spoken',
+  'slash.listen': 'Choose whether the bot answers everything or only when addressed',
+  'slash.listen.mode': 'Listen mode for this channel',
+  'slash.conversation': "Choose whether the bot follows the whole channel's conversation or each user's",
+  'slash.conversation.mode': 'Conversation mode for this channel',
+  'slash.calibrate': 'Measure your background noise and tune voice detection for you',
+  'slash.calibrate.reset': 'Forget your calibration and use the defaults',
+  'slash.access': 'Manage allowed users (admins only)',
+  'slash.access.add': 'Allow a user',
+  'slash.access.remove': 'Remove a user',
+  'slash.access.list': 'List allowed users',
+  'slash.access.user': 'User',
+  'slash.reminders': 'Reminders the bot says in the voice channel (or posts, when not in voice)',
+  'slash.reminders.add': 'New reminder',
+  'slash.reminders.add.when': 'In how long (10m, 1h30m, 2d) or at what time (18:30)',
+  'slash.reminders.add.text': 'What to remind you of',
+  'slash.reminders.list': 'List your reminders',
+  'slash.reminders.cancel': 'Cancel a reminder',
+  'slash.reminders.cancel.id': 'Reminder number (from /reminders list)',
+
+  // --- Bridge ---
+  'bridge.error': 'Internal bridge error.',
+  'bridge.backendError': "The assistant isn't answering right now, try again in a moment.",
+  'bridge.timeout': 'The assistant is taking too long, try again in a moment.',
+  'bridge.system':
+    'You are NikoVoice, a voice assistant in Discord. ALWAYS answer {language} only, {style} ' +
+    "If you can't make out the audio or the sentence makes no sense, ask to repeat and briefly say what you " +
+    "understood. Don't read long numbers or IDs out loud; summarize them if needed. ",
+  'bridge.style.default': 'naturally and concisely.',
+  'bridge.style.length': 'naturally, in {length}.',
+  'bridge.now': 'Current time (timezone {timeZone}): {hh}:{mm} on {yy}-{mo}-{dd}.',
+  'bridge.summaryContext': '\n\nSummary of the conversation so far: {summary}',
+  'bridge.voiceMode':
+    "VOICE mode (Discord). Answer {language}, no markdown, in {length}. If you didn't understand, ask to " +
+    'repeat and say what you understood.',
+  'bridge.userSays': 'User({userId}) in VC({guildId}/{channelId}): {message}',
+  'bridge.replyIn': 'in {language}',
+  'bridge.replyAuto': 'in the same language the user speaks',
+  'bridge.length.default': '1-3 sentences',
+  'bridge.length.short': 'one or two short sentences',
+  'bridge.length.long': 'up to 6-8 sentences, thoroughly',
+  'bridge.summary.system':
+    'Update the summary of a voice conversation. Keep facts, preferences, names and open requests; ' +
+    'drop small talk. At most 120 words, in English, no markdown.',
+  'bridge.summary.input': 'Previous summary:\n{previous}\n\nNew messages:\n{messages}',
+  'bridge.summary.none': '(none)',
+  'bridge.summary.user': 'User',
+  'bridge.summary.assistant': 'Assistant',
+  'bridge.group.context':
+    '\n\nGroup conversation in the voice channel, present: {present}. Each message starts with the name of ' +
+    'whoever is speaking; answer the person who asked, by name if it helps.',
+  'bridge.group.recent': '\n\nLatest things said in the channel (not all addressed to you):\n{lines}',
+  'bridge.group.userSays': '{name}, User({userId}) in VC({guildId}/{channelId}): {message}',
+
+  // --- Bridge skills (bridge/skills) ---
+  'skill.units.reply': '{value} {from} is {result} {to}.',
+  'skill.calculator.result': "That's {value}.",
+  'skill.calculator.divideByZero': "You can't divide by zero.",
+  'skill.coin.heads': 'Heads.',
+  'skill.coin.tails': 'Tails.',
+  'skill.dice.one': 'You rolled {roll}.',
+  'skill.dice.many': 'You rolled {rolls}, {total} in total.',
+  'skill.repeat.said': 'You said: "{text}"',
+  'skill.repeat.nothing': "You haven't said anything yet.",
+  'skill.time.time': "It's {time}.",
+  'skill.time.date': 'Today is {date}.',
+  'skill.reminder.reminder': "Okay, I'll remind you {when}.",
+  'skill.reminder.timer': 'Timer set, it goes off {when}.'
+};
@@ -0,0 +1,193 @@
+// Italian catalog (see src/i18n.js).
+
+export default {
+  // --- Voice ---
+  'voice.wakeAck': 'Dimmi.',
+  'voice.audioTest': 'Prova audio. Se mi senti, la riproduzione TTS funziona.',
+  // TTS cache pre-warm phrases, '|'-separated
+  'voice.prewarm': 'Non ho capito, puoi ripetere?',
+  // Keeps short or noisy audio from coming back as made-up English
+  'stt.prompt': 'Trascrivi fedelmente in italiano. Se senti parole inglesi tecniche, mantienile. Non inventare parole.',
+  'budget.cap.daily': 'il budget di oggi',
+  'budget.cap.monthly': 'il budget del mese',
+  'budget.cap.user_daily': 'il tuo budget di oggi',
+  'budget.blocked': 'Ho raggiunto {cap}: non posso più rispondere fino al prossimo reset.',
+  'budget.economy': 'Ho raggiunto {cap}: da ora rispondo in modalità risparmio.',
+
+  // --- Command replies ---
+  'cmd.ok': 'ok',
+  'cmd.usage': 'Uso: {usage}',
+  'cmd.adminsOnly': 'Solo per gli amministratori.',
+  'cmd.noChange': 'Nessuna modifica.',
+  'cmd.notAllowed': 'Non sei autorizzato a usare questo bot.',
+  'cmd.unknown': 'Comando sconosciuto.',
+  'cmd.failed': 'Qualcosa è andato storto.',
+  'cmd.notInVoice': 'Non sono in un canale vocale.',
+  'cmd.joinVoiceFirst': 'Entra prima in un canale vocale.',
+  'cmd.joinVoiceOrChannel': 'Entra prima in un canale vocale, oppure indicane uno con `channel`.',
+  'cmd.joinMyChannel': 'Entra prima nel mio canale vocale.',
+  'cmd.joined': 'Sono entrato in {channel}.',
+  'cmd.left': 'Ho lasciato il canale.',
+  'transcript.on': 'Trascrizione attiva in <#{channelId}>.',
+  'transcript.off': 'Trascrizione disattivata.',
+  'queue.skipped': 'Saltato.',
+  'queue.nothingPlaying': 'Non sto dicendo niente.',
+  'queue.cleared': 'Rimossi {count} elementi dalla coda.',
+  'queue.playing': 'In riproduzione: {item}',
+  'queue.nothing': 'niente',
+  'queue.item': '#{id} {kind} per {userId}',
+  'listen.wake': 'In questo canale rispondo solo a "{phrase}".',
+  'listen.always': 'In questo canale ascolto tutto.',
+  'conversation.group': 'Conversazione di gruppo: rispondo sapendo chi parla e cosa vi siete detti nel canale.',
+  'conversation.user': 'Conversazione individuale: ognuno parla con me per conto suo.',
+  'status.channel': 'Canale: {value}',
+  'status.connection': 'Connessione: {value}',
+  'status.player': 'Player: {value}',
+  'status.standby': 'Standby: {value}',
+  'status.listenMode': 'Modalità ascolto: {value}',
+  'status.conversation': 'Conversazione: {value}',
+  'status.transcript': 'Trascrizione: {value}',
+  'status.listening': 'In ascolto: {count} utenti',
+  'common.yes': 'sì',
+  'common.no': 'no',
+  'common.on': 'attiva',
+  'common.off': 'disattivata',
+  'usage.today': 'Oggi: {spent}{limit}',
+  'usage.breakdown': '  STT {minutes} min, TTS {chars} caratteri, chat {input} token in / {output} out',
+  'usage.month': 'Questo mese: {spent}{limit}',
+  'usage.server': 'Questo server oggi: {spent}',
+  'usage.you': 'Tu oggi: {spent}{limit}',
+  'usage.of': ' su {limit}',
+  'usage.capReached': 'Budget raggiunto ({scope}): solo provider gratuiti fino al reset.',
+  'usage.scope.daily': 'giornaliero',
+  'usage.scope.monthly': 'mensile',
+  'usage.scope.user_daily': 'tuo giornaliero',
+  'prefs.voice': 'Voce: {value}',
+  'prefs.speed': 'Velocità: {value}',
+  'prefs.language': 'Lingua: {value}',
+  'prefs.answers': 'Risposte: {value}',
+  'prefs.default': '{value} (predefinito)',
+  'prefs.channelVoice': 'voce del canale',
+  'prefs.channelLanguage': 'lingua del canale',
+  'prefs.normal': 'normali',
+  'prefs.cleared': 'Preferenze cancellate.',
+  'prefs.none': 'Nessuna preferenza salvata.',
+  'prefs.badVoice': 'Voci: {voices}.',
+  'prefs.badSpeed': 'La velocità va da 0.5 a 2 (1 = normale).',
+  'prefs.badLanguage': 'La lingua è un codice di due lettere (it, en, es, ...) oppure `auto`.',
+  'prefs.badAnswers': 'Le risposte possono essere `short` o `long`.',
+  'prefs.badKey': 'Preferenze: {keys}.',
+  'vad.calibrating': 'Calibrazione: resta in silenzio per {seconds} secondi...',
+  'vad.calibrated': 'Calibrato{note}. Rumore di fondo {floor}, inizio {start}, fine {stop}.',
+  'vad.littleAudio': ' (audio ricevuto scarso: tieni il microfono aperto durante la calibrazione)',
+  'vad.noCalibration': 'Nessuna calibrazione salvata.',
+  'vad.calibrationRemoved': 'Calibrazione rimossa, uso i valori predefiniti.',
+  'access.allowed': 'Utenti autorizzati: {users}',
+  'access.none': 'Nessun utente.',
+  'reminder.due': '{name}, ti ricordo: {text}.',
+  'reminder.dueNoText': '{name}, ecco il tuo promemoria.',
+  'reminder.timerDue': '{name}, il timer è scaduto.',
+  'reminder.timerDueText': '{name}, il timer per {text} è scaduto.',
+  'reminder.today': 'alle {time}',
+  'reminder.tomorrow': 'domani alle {time}',
+  'reminder.on': '{date} alle {time}',
+  'reminder.list': 'I tuoi promemoria:',
+  'reminder.item': 'Numero {id}, {when}: {text}.',
+  'reminder.reminder': 'promemoria',
+  'reminder.timer': 'timer',
+  'reminder.none': 'Non hai promemoria.',
+  'reminder.set': 'Promemoria numero {id} impostato {when}.',
+  'reminder.cancelled': 'Promemoria numero {id} cancellato.',
+  'reminder.cancelledAll': 'Cancellati {count} promemoria.',
+  'reminder.notFound': 'Non trovo quel promemoria.',
+  'reminder.badTime': 'Quando? Per esempio `10m`, `1h30m`, `2d` oppure un orario come `18:30`.',
+  'reminder.tooFar': 'Posso ricordarti le cose solo entro {days} giorni.',
+  'reminder.tooMany': 'Hai già {max} promemoria: cancellane qualcuno prima.',
+
+  // --- Slash command descriptions ---
+  'slash.join': 'Entra in un canale vocale',
+  'slash.join.channel': 'Canale vocale in cui entrare (predefinito: il tuo)',
+  'slash.leave': 'Esci dal canale vocale',
+  'slash.say': 'Pronuncia una frase nel canale vocale (debug)',
+  'slash.say.text': 'Testo da pronunciare',
+  'slash.say.voice': 'Voce TTS (solo provider openai)',
+  'slash.status': 'Mostra lo stato della connessione vocale',
+  'slash.usage': 'Mostra la spesa stimata rispetto ai budget',
+  'slash.prefs': 'Voce, velocità, lingua e lunghezza delle risposte (senza opzioni: mostrale)',
+  'slash.prefs.voice': 'Voce TTS',
+  'slash.prefs.speed': 'Velocità di lettura, 1 = normale',
+  'slash.prefs.language': 'La lingua che parli: codice di due lettere (it, en, ...), auto o default',
+  'slash.prefs.answers': 'Lunghezza delle risposte',
+  'slash.prefs.reset': 'Dimentica tutte le tue preferenze',
+  'slash.transcript': 'Riporta la conversazione vocale in un canale di testo',
+  'slash.transcript.enabled': 'Attiva o disattiva',
+  'slash.skip': 'Salta quello che il bot sta dicendo',
+  'slash.clear': 'Svuota la coda delle cose da dire',
+  'slash.listen': 'Scegli se il bot risponde a tutto o solo quando viene chiamato',
+  'slash.listen.mode': 'Modalità di ascolto per questo canale',
+  'slash.conversation': 'Scegli se il bot segue la conversazione di tutto il canale o di ogni utente a parte',
+  'slash.conversation.mode': 'Modalità di conversazione per questo canale',
+  'slash.calibrate': 'Misura il tuo rumore di fondo e regola il rilevamento della voce',
+  'slash.calibrate.reset': 'Dimentica la calibrazione e usa i valori predefiniti',
+  'slash.access': 'Gestisci gli utenti autorizzati (solo amministratori)',
+  'slash.access.add': 'Autorizza un utente',
+  'slash.access.remove': 'Rimuovi un utente',
+  'slash.access.list': 'Elenca gli utenti autorizzati',
+  'slash.access.user': 'Utente',
+  'slash.reminders': 'Promemoria che il bot ti dice nel canale vocale (o scrive, se non è in voce)',
+  'slash.reminders.add': 'Nuovo promemoria',
+  'slash.reminders.add.when': 'Tra quanto (10m, 1h30m, 2d) oppure a che ora (18:30)',
+  'slash.reminders.add.text': 'Cosa ricordarti',
+  'slash.reminders.list': 'Elenca i tuoi promemoria',
+  'slash.reminders.cancel': 'Cancella un promemoria',
+  'slash.reminders.cancel.id': 'Numero del promemoria (da /reminders list)',
+
+  // --- Bridge ---
+  'bridge.error': 'Errore interno bridge.',
+  'bridge.backendError': "L'assistente non risponde in questo momento, riprova tra poco.",
+  'bridge.timeout': "L'assistente ci sta mettendo troppo, riprova tra poco.",
+  'bridge.system':
+    'Sei NikoVoice, un assistente vocale in Discord. Rispondi SEMPRE e SOLO {language}, {style} ' +
+    "Se non capisci bene l'audio o la frase è nonsense, chiedi di ripetere e ripeti brevemente cosa hai capito. " +
+    'Non leggere ad alta voce numeri lunghi o ID; se servono, riassumi. ',
+  'bridge.style.default': 'in modo naturale e conciso.',
+  'bridge.style.length': 'in modo naturale, in {length}.',
+  'bridge.now': 'Ora corrente (timezone {timeZone}): {hh}:{mm} del {dd}/{mo}/{yy}.',
+  'bridge.summaryContext': '\n\nRiassunto della conversazione precedente: {summary}',
+  'bridge.voiceMode':
+    'Modalità VOCE (Discord). Rispondi {language}, senza markdown, in {length}. ' +
+    'Se non capisci bene, chiedi di ripetere dicendo cosa hai capito.',
+  'bridge.userSays': 'Utente({userId}) in VC({guildId}/{channelId}): {message}',
+  'bridge.replyIn': 'in {language}',
+  'bridge.replyAuto': "nella stessa lingua in cui parla l'utente",
+  'bridge.length.default': '1-3 frasi',
+  'bridge.length.short': 'una o due frasi brevi',
+  'bridge.length.long': 'fino a 6-8 frasi, in modo completo',
+  'bridge.summary.system':
+    'Aggiorna il riassunto di una conversazione vocale. Mantieni fatti, preferenze, nomi e richieste ' +
+    'ancora aperte; scarta i convenevoli. Massimo 120 parole, in italiano, senza markdown.',
+  'bridge.summary.input': 'Riassunto precedente:\n{previous}\n\nNuovi messaggi:\n{messages}',
+  'bridge.summary.none': '(nessuno)',
+  'bridge.summary.user': 'Utente',
+  'bridge.summary.assistant': 'Assistente',
+  'bridge.group.context':
+    '\n\nConversazione di gruppo nel canale vocale, sono presenti: {present}. Ogni messaggio inizia con il ' +
+    'nome di chi parla; rispondi a chi ti ha fatto la domanda, chiamandolo per nome se serve.',
+  'bridge.group.recent': '\n\nUltime frasi dette nel canale (non tutte rivolte a te):\n{lines}',
+  'bridge.group.userSays': '{name}, Utente({userId}) in VC({guildId}/{channelId}): {message}',
+
+  // --- Bridge skills (bridge/skills) ---
+  'skill.units.reply': '{value} {from} sono {result} {to}.',
+  'skill.calculator.result': 'Fa {value}.',
+  'skill.calculator.divideByZero': 'Non si può dividere per zero.',
+  'skill.coin.heads': 'Testa.',
+  'skill.coin.tails': 'Croce.',
+  'skill.dice.one': 'È uscito {roll}.',
+  'skill.dice.many': 'Sono usciti {rolls}: totale {total}.',
+  'skill.repeat.said': 'Hai detto: "{text}"',
+  'skill.repeat.nothing': 'Non hai ancora detto niente.',
+  'skill.time.time': 'Sono le {time}.',
+  'skill.time.date': 'Oggi è {date}.',
+  'skill.reminder.reminder': 'Va bene, te lo ricordo {when}.',
+  'skill.reminder.timer': 'Timer avviato: suona {when}.'
+};
@@ -0,0 +1,142 @@
+import { createHash } from 'node:crypto';
+import { createWriteStream, mkdirSync, renameSync, rmSync, statSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+// Leveled logger shared by the bot and the bridge. One line per event:
+//   {"ts":"...","level":"info","service":"bot","event":"stt_result","turnId":"...","text":"..."}
+// LOG_FORMAT=text keeps the older "[ts] event {json}" lines for reading in a terminal.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+// Rotation for LOG_FILE / BRIDGE_LOG_FILE: file -> file.1 -> ... -> file.N
+const LOG_MAX_BYTES = Number(process.env.LOG_MAX_BYTES || 10 * 1024 * 1024);
+const LOG_MAX_FILES = Number(process.env.LOG_MAX_FILES || 5);
+// Comma list of what to redact: text (transcripts, replies), users (user ids, hashed)
+const LOG_REDACT = new Set(
+  (process.env.LOG_REDACT || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+);
+// Chatty info events logged at debug instead
+const LOG_DEBUG_EVENTS = new Set(
+  (process.env.LOG_DEBUG_EVENTS ?? 'player_state')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+// `label`: the start of what the speech queue says (a reply, `!say` text, a reminder)
+const TEXT_KEYS = new Set(['text', 'reply', 'transcript', 'delta', 'persona', 'label']);
+const USER_KEYS = new Set(['userId', 'byUserId', 'targetId']);
+
+const config = { service: 'bot', file: '', level: LOG_LEVEL };
+let sink = null;
+
+// Called once at startup by the process entry point (before anything is logged).
+export function configureLogger({ service, file, level } = {}) {
+  if (service) config.service = service;
+  if (level) config.level = level.toLowerCase();
+  if (file !== undefined) {
+    sink?.close();
+    sink = file ? openRotatingFile(file) : null;
+    config.file = file;
+  }
+}
+
+function openRotatingFile(file) {
+  mkdirSync(dirname(file), { recursive: true });
+  let size = 0;
+  try {
+    size = statSync(file).size;
+  } catch {}
+  let stream = createWriteStream(file, { flags: 'a' });
+
+  function rotate() {
+    stream.end();
+    for (let i = LOG_MAX_FILES - 1; i >= 1; i--) {
+      try {
+        renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+      } catch {}
+    }
+    rmSync(`${file}.${LOG_MAX_FILES + 1}`, { force: true });
+    try {
+      renameSync(file, `${file}.1`);
+    } catch {}
+    stream = createWriteStream(file, { flags: 'a' });
+    size = 0;
+  }
+
+  return {
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (LOG_MAX_BYTES > 0 && size > 0 && size + bytes > LOG_MAX_BYTES) rotate();
+      stream.write(line);
+      size += bytes;
+    },
+    close() {
+      stream.end();
+    }
+  };
+}
+
+function hashUser(id) {
+  return `u_${createHash('sha256').update(String(id)).digest('hex').slice(0, 10)}`;
+}
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function prepare(data) {
+  const out = {};
+  for (const [key, raw] of Object.entries(data || {})) {
+    if (raw === undefined) continue;
+    let value = serialize(raw);
+    if (LOG_REDACT.has('text') && TEXT_KEYS.has(key) && typeof value === 'string') {
+      value = `[redacted ${value.length} chars]`;
+    } else if (LOG_REDACT.has('users') && USER_KEYS.has(key) && value) {
+      value = hashUser(value);
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+function format(level, event, fields) {
+  const ts = new Date().toISOString();
+  if (LOG_FORMAT === 'text') {
+    const payload = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    const tag = level === 'info' ? '' : ` ${level.toUpperCase()}`;
+    return `[${ts}]${tag} ${event}${payload}`;
+  }
+  return JSON.stringify({ ts, level, service: config.service, event, ...fields });
+}
+
+function write(level, event, bindings, data) {
+  if (level === 'info' && LOG_DEBUG_EVENTS.has(event)) level = 'debug';
+  if (LEVELS[level] < (LEVELS[config.level] ?? LEVELS.info)) return;
+
+  const line = format(level, event, prepare({ ...bindings, ...data }));
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+  else process.stdout.write(`${line}\n`);
+  sink?.write(`${line}\n`);
+}
+
+// log.info('event_name', { ...fields }); log.child({ turnId }) adds fields to every line.
+export function createLogger(bindings = {}) {
+  return {
+    debug: (event, data) => write('debug', event, bindings, data),
+    info: (event, data) => write('info', event, bindings, data),
+    warn: (event, data) => write('warn', event, bindings, data),
+    error: (event, data) => write('error', event, bindings, data),
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+}
+
+export const log = createLogger();
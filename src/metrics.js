@@ -0,0 +1,127 @@
+import { createServer } from 'node:http';
+import { log } from './logger.js';
+
+// Minimal Prometheus registry (counters, gauges, histograms) rendered in the text exposition
+// format. Shared by the bot and the bridge so both expose the same kind of /metrics endpoint.
+
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 32];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels, extra) {
+  const entries = [...Object.entries(labels || {}), ...Object.entries(extra || {})];
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function gaugeMetric(name, help, collect) {
+  return {
+    name,
+    help,
+    type: 'gauge',
+    lines() {
+      const value = collect();
+      const rows = Array.isArray(value) ? value : [[{}, value]];
+      return rows.map(([labels, v]) => `${this.name}${formatLabels(labels)} ${Number(v) || 0}`);
+    }
+  };
+}
+
+export function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metric.name = prefix + metric.name;
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      lines() {
+        return [...series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+      }
+    });
+  }
+
+  // collect(): number, or [[labels, value], ...] — read at scrape time
+  function gauge(name, help, collect) {
+    return register(gaugeMetric(name, help, collect));
+  }
+
+  function histogram(name, help, buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels = {}, value) {
+        const key = labelKey(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      lines() {
+        const out = [];
+        for (const s of series.values()) {
+          buckets.forEach((le, i) => out.push(`${this.name}_bucket${formatLabels(s.labels, { le })} ${s.counts[i]}`));
+          out.push(`${this.name}_bucket${formatLabels(s.labels, { le: '+Inf' })} ${s.count}`);
+          out.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+          out.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return out;
+      }
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.lines());
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  // Conventional names, not prefixed
+  metrics.push(gaugeMetric('process_uptime_seconds', 'Seconds since the process started', () => process.uptime()));
+  metrics.push(gaugeMetric('process_resident_memory_bytes', 'Resident set size in bytes', () => process.memoryUsage().rss));
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+// Standalone /metrics listener for processes without an HTTP server of their own.
+export function serveMetrics(metrics, { host = '127.0.0.1', port }) {
+  const server = createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': metrics.contentType }).end(metrics.render());
+  });
+  server.on('error', (err) => log.error('metrics_server_error', { error: err.message }));
+  server.listen(port, host);
+  return server;
+}
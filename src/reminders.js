@@ -0,0 +1,208 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { t } from './i18n.js';
+import { log } from './logger.js';
+
+// Reminders and timers, set by voice (the bridge's reminder skill answers with a `reminder` action)
+// or with /reminders. Persisted as a JSON array so they survive restarts; entries that came due while
+// the bot was down fire as soon as it is back.
+//   { id, kind: 'reminder' | 'timer', guildId, channelId, textChannelId, userId, text, locale, dueAt, createdAt }
+// `channelId` is the voice channel it was set from (if any), `textChannelId` where to post when the
+// bot can't say it; `dueAt` and `createdAt` are epoch ms.
+
+export const MAX_REMINDER_DAYS = 30;
+export const MAX_REMINDER_TEXT = 300;
+const MAX_REMINDERS_PER_USER = Number(process.env.REMINDERS_PER_USER || 20);
+// Wall-clock times ("alle 18:30", /reminders add 18:30) are read in this zone, as in the bridge
+export const REMINDERS_TIME_ZONE = process.env.TIME_ZONE || 'Europe/Rome';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// setTimeout's limit (~24.8 days): a later entry is re-armed when this one fires
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function wallClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en', {
+    timeZone,
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return { hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+const dayKey = (date, timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+
+// The next hour:minute on the wall clock of `timeZone`, `days` days later (0 = today, or tomorrow
+// when that time has passed). -> epoch ms
+export function nextTimeOfDay(hour, minute, { timeZone = REMINDERS_TIME_ZONE, now = Date.now(), days = 0 } = {}) {
+  const clock = wallClock(new Date(now), timeZone);
+  let minutes = hour * 60 + minute - (clock.hour * 60 + clock.minute) + days * 24 * 60;
+  if (minutes <= 0) minutes += 24 * 60;
+  const startOfMinute = now - clock.second * 1000 - (now % 1000);
+  return startOfMinute + minutes * 60 * 1000;
+}
+
+// When an entry is due, as said in replies: "alle 18:30", "domani alle 8:00", "lunedì 3 novembre alle 9:00",
+// "tomorrow at 6:30 PM" (the locale's own clock)
+export function formatDue(dueAt, locale, { timeZone = REMINDERS_TIME_ZONE, now = Date.now() } = {}) {
+  const due = new Date(dueAt);
+  const time = new Intl.DateTimeFormat(locale, { timeZone, hour: 'numeric', minute: '2-digit' });
+  const vars = { time: time.format(due) };
+  const day = dayKey(due, timeZone);
+  if (day === dayKey(new Date(now), timeZone)) return t(locale, 'reminder.today', vars);
+  if (day === dayKey(new Date(now + DAY_MS), timeZone)) return t(locale, 'reminder.tomorrow', vars);
+  const date = new Intl.DateTimeFormat(locale, { timeZone, weekday: 'long', day: 'numeric', month: 'long' });
+  return t(locale, 'reminder.on', { ...vars, date: date.format(due) });
+}
+
+// "10m", "1h30m", "2d", "45s" or a time of day ("18:30", "7.15"), as typed in /reminders add.
+// -> epoch ms, or NaN
+export function parseWhen(input, { timeZone = REMINDERS_TIME_ZONE, now = Date.now() } = {}) {
+  const text = String(input || '')
+    .trim()
+    .toLowerCase();
+  const clock = text.match(/^(\d{1,2})[:.](\d{2})$/);
+  if (clock) {
+    const [hour, minute] = [Number(clock[1]), Number(clock[2])];
+    return hour < 24 && minute < 60 ? nextTimeOfDay(hour, minute, { timeZone, now }) : NaN;
+  }
+  if (!/^(\d+\s*[dhms]\s*)+$/.test(text)) return NaN;
+  const unitMs = { d: DAY_MS, h: 60 * 60 * 1000, m: 60 * 1000, s: 1000 };
+  let ms = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+)\s*([dhms])/g)) ms += Number(amount) * unitMs[unit];
+  return ms > 0 ? now + ms : NaN;
+}
+
+// The list read out by voice and shown by /reminders
+export function describeReminders(entries, locale, { timeZone = REMINDERS_TIME_ZONE, now = Date.now() } = {}) {
+  if (!entries.length) return t(locale, 'reminder.none');
+  const items = entries.map((entry) =>
+    t(locale, 'reminder.item', {
+      id: entry.id,
+      when: formatDue(entry.dueAt, locale, { timeZone, now }),
+      text: entry.text || t(locale, entry.kind === 'timer' ? 'reminder.timer' : 'reminder.reminder')
+    })
+  );
+  return [t(locale, 'reminder.list'), ...items].join('\n');
+}
+
+// onDue(entry) is called (and the entry removed) when an entry comes due; call start() once the
+// bot can deliver them.
+export function createReminders({ file, onDue, now = () => Date.now() }) {
+  let entries = [];
+  try {
+    entries = JSON.parse(readFileSync(file, 'utf8')).filter((e) => Number.isFinite(e?.dueAt));
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.error('reminders_load_failed', { file, error: err.message });
+  }
+  let lastId = Math.max(0, ...entries.map((e) => e.id));
+  let timer = null;
+  let started = false;
+
+  function save() {
+    if (!file) return;
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, `${JSON.stringify(entries, null, 2)}\n`);
+  }
+
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    if (!started || !entries.length) return;
+    const next = Math.min(...entries.map((e) => e.dueAt));
+    timer = setTimeout(fireDue, Math.min(Math.max(0, next - now()), MAX_TIMEOUT_MS));
+    timer.unref?.();
+  }
+
+  function fireDue() {
+    const at = now();
+    const due = entries.filter((e) => e.dueAt <= at);
+    if (due.length) {
+      entries = entries.filter((e) => e.dueAt > at);
+      save();
+    }
+    for (const entry of due) {
+      log.info('reminder_due', { id: entry.id, userId: entry.userId, guildId: entry.guildId, kind: entry.kind });
+      Promise.resolve()
+        .then(() => onDue(entry))
+        .catch((err) => log.error('reminder_delivery_failed', { id: entry.id, err }));
+    }
+    arm();
+  }
+
+  const mine = ({ guildId, userId }) =>
+    entries
+      .filter((e) => (!guildId || e.guildId === guildId) && (!userId || e.userId === userId))
+      .sort((a, b) => a.dueAt - b.dueAt);
+
+  return {
+    // -> { entry } or { error, vars } (catalog key for the reply)
+    add({ kind = 'reminder', guildId, channelId = '', textChannelId = '', userId, text = '', locale, dueAt }) {
+      const at = now();
+      if (!Number.isFinite(dueAt) || dueAt <= at) return { error: 'reminder.badTime' };
+      if (dueAt > at + MAX_REMINDER_DAYS * DAY_MS) {
+        return { error: 'reminder.tooFar', vars: { days: MAX_REMINDER_DAYS } };
+      }
+      if (mine({ userId }).length >= MAX_REMINDERS_PER_USER) {
+        return { error: 'reminder.tooMany', vars: { max: MAX_REMINDERS_PER_USER } };
+      }
+      lastId += 1;
+      const entry = {
+        id: lastId,
+        kind: kind === 'timer' ? 'timer' : 'reminder',
+        guildId,
+        channelId,
+        textChannelId,
+        userId,
+        text: String(text || '')
+          .trim()
+          .slice(0, MAX_REMINDER_TEXT),
+        locale,
+        dueAt,
+        createdAt: at
+      };
+      entries.push(entry);
+      save();
+      arm();
+      log.info('reminder_added', {
+        id: entry.id,
+        userId,
+        guildId,
+        kind: entry.kind,
+        dueAt: new Date(dueAt).toISOString()
+      });
+      return { entry };
+    },
+
+    // Pending entries, soonest first; both filters optional
+    list: ({ guildId, userId } = {}) => mine({ guildId, userId }),
+
+    // Only the owner's entries. -> the removed entries
+    cancel({ userId, guildId, id, kind, all = false }) {
+      const own = mine({ guildId, userId }).filter((e) => !kind || e.kind === kind);
+      const removed = all
+        ? own
+        : id !== undefined
+          ? own.filter((e) => e.id === Number(id))
+          : own.sort((a, b) => b.createdAt - a.createdAt).slice(0, 1);
+      if (!removed.length) return [];
+      entries = entries.filter((e) => !removed.includes(e));
+      save();
+      arm();
+      log.info('reminders_cancelled', { userId, ids: removed.map((e) => e.id) });
+      return removed;
+    },
+
+    start() {
+      started = true;
+      fireDue();
+    },
+
+    stop() {
+      started = false;
+      arm();
+    }
+  };
+}
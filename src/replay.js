@@ -0,0 +1,194 @@
+import 'dotenv/config';
+import { copyFile, mkdir, readFile, stat, unlink, writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { decodeWavPcm16, pcmToWavForStt } from './audio.js';
+import { askBridge } from './bridge-client.js';
+import { configureLogger } from './logger.js';
+import { transcribe } from './stt-providers.js';
+import { synthesize } from './tts.js';
+import { listArchivedUtterances } from './utterance-archive.js';
+
+// Replays archived utterances (or any 16-bit PCM WAV) through resample -> STT -> bridge -> TTS
+// without Discord, and prints what each stage produced next to what the bot got live.
+//
+//   npm run replay                      # newest --limit entries of the archive
+//   npm run replay -- <turnId> ...      # specific entries
+//   npm run replay -- clip.wav --user <id> --stt-only
+
+const USAGE = `Usage: npm run replay -- [options] [<turnId>|<file.wav> ...]
+
+  --dir DIR        archive directory (default UTTERANCE_ARCHIVE_DIR or data/utterances)
+  --limit N        with no ids, replay the newest N entries (default 20)
+  --stt-only       stop after speech-to-text
+  --no-tts         call the bridge but skip speech synthesis
+  --out DIR        write synthesized replies to DIR
+  --endpoint URL   bridge /respond endpoint (default: the one recorded, else OPENCLAW_ENDPOINT)
+  --user ID        user id sent to the bridge (default: the recorded one)
+  --language XX    STT language hint (default: the recorded one, else STT_LANGUAGE)
+  --prompt TEXT    STT prompt (default: the recorded one, else STT_PROMPT)
+  --json           one JSON object per utterance instead of text
+`;
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    dir: { type: 'string' },
+    limit: { type: 'string', default: '20' },
+    'stt-only': { type: 'boolean', default: false },
+    'no-tts': { type: 'boolean', default: false },
+    out: { type: 'string' },
+    endpoint: { type: 'string' },
+    user: { type: 'string' },
+    language: { type: 'string' },
+    prompt: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+
+if (opts.help) {
+  process.stdout.write(USAGE);
+  process.exit(0);
+}
+
+const limit = Number(opts.limit);
+if (!Number.isInteger(limit) || limit < 1) {
+  process.stderr.write(`--limit must be a positive whole number, got ${JSON.stringify(opts.limit)}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+// Pipeline logs would drown the report; LOG_LEVEL=info brings them back.
+configureLogger({ service: 'replay', level: process.env.LOG_LEVEL || 'warn' });
+
+const archiveDir =
+  opts.dir ||
+  process.env.UTTERANCE_ARCHIVE_DIR ||
+  fileURLToPath(new URL('../data/utterances', import.meta.url));
+
+// -> [{ id, wavFile, meta }]
+async function resolveInputs() {
+  if (!positionals.length) {
+    const metas = await listArchivedUtterances(archiveDir);
+    return metas.slice(0, limit).map((meta) => ({
+      id: meta.id,
+      wavFile: join(archiveDir, `${meta.id}.wav`),
+      meta
+    }));
+  }
+
+  const inputs = [];
+  for (const arg of positionals) {
+    if (arg.endsWith('.wav')) {
+      const id = basename(arg, '.wav');
+      const meta = await readFile(arg.replace(/\.wav$/, '.json'), 'utf8')
+        .then(JSON.parse)
+        .catch(() => ({}));
+      inputs.push({ id, wavFile: arg, meta });
+    } else {
+      const meta = JSON.parse(await readFile(join(archiveDir, `${arg}.json`), 'utf8'));
+      inputs.push({ id: arg, wavFile: join(archiveDir, `${arg}.wav`), meta });
+    }
+  }
+  return inputs;
+}
+
+async function timedStep(result, stage, fn) {
+  const startedAt = Date.now();
+  try {
+    return await fn();
+  } finally {
+    result.ms[stage] = Date.now() - startedAt;
+  }
+}
+
+async function replay({ id, wavFile, meta }) {
+  const settings = meta.settings || {};
+  const result = { id, file: wavFile, ms: {}, recorded: { transcript: meta.transcript, reply: meta.reply } };
+
+  const { pcm, sampleRate, channels } = decodeWavPcm16(await readFile(wavFile));
+  const wav = await timedStep(result, 'resample', () => pcmToWavForStt(pcm, sampleRate, channels));
+
+  result.transcript = await timedStep(result, 'stt', () =>
+    transcribe(wav, {
+      language: opts.language ?? settings.sttLanguage ?? process.env.STT_LANGUAGE ?? 'it',
+      prompt: opts.prompt ?? settings.sttPrompt ?? process.env.STT_PROMPT
+    })
+  );
+  if (opts['stt-only'] || !result.transcript) return result;
+
+  const endpoint =
+    opts.endpoint || settings.bridge?.endpoint || process.env.OPENCLAW_ENDPOINT || 'http://localhost:8000/respond';
+  const payload = {
+    text: result.transcript,
+    turnId: `replay-${id}`,
+    userId: opts.user || meta.userId,
+    roleIds: [],
+    guildId: meta.guildId,
+    channelId: meta.channelId,
+    agentId: settings.bridge?.agentId || undefined,
+    persona: settings.persona || undefined,
+    locale: settings.locale || undefined
+  };
+  result.reply = await timedStep(result, 'agent', () => askBridge(endpoint, payload, { correlationId: payload.turnId }));
+  if (opts['no-tts'] || !result.reply) return result;
+
+  const audio = await timedStep(result, 'tts', () =>
+    synthesize(result.reply, payload.userId, { voice: settings.ttsVoice, model: settings.ttsModel })
+  );
+  if (!audio) {
+    result.ttsError = true;
+    return result;
+  }
+  if (opts.out) {
+    result.audioFile = join(opts.out, `${id}.${audio.format}`);
+    if (audio.file) await copyFile(audio.file, result.audioFile);
+    else await writeFile(result.audioFile, audio.input);
+  }
+  result.audioBytes = audio.input ? audio.input.length : (await stat(audio.file)).size;
+  if (audio.file) await unlink(audio.file).catch(() => {});
+  return result;
+}
+
+function printText(r) {
+  const ms = Object.entries(r.ms)
+    .map(([stage, v]) => `${stage}=${v}ms`)
+    .join(' ');
+  const lines = [`== ${r.id}  ${ms}`];
+  if (r.error) lines.push(`   error:      ${r.error}`);
+  if (r.recorded.transcript !== undefined) lines.push(`   recorded:   ${JSON.stringify(r.recorded.transcript)}`);
+  if (r.transcript !== undefined) {
+    const same = r.recorded.transcript !== undefined && r.recorded.transcript === r.transcript ? '  (same)' : '';
+    lines.push(`   transcript: ${JSON.stringify(r.transcript)}${same}`);
+  }
+  if (r.reply !== undefined) lines.push(`   reply:      ${JSON.stringify(r.reply)}`);
+  if (r.audioBytes !== undefined) lines.push(`   audio:      ${r.audioFile || `${r.audioBytes} bytes`}`);
+  if (r.ttsError) lines.push('   audio:      TTS failed');
+  process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+const inputs = await resolveInputs().catch((err) => {
+  process.stderr.write(`${err.message}\n\n${USAGE}`);
+  process.exit(1);
+});
+if (!inputs.length) {
+  process.stderr.write(`Nothing to replay in ${archiveDir} (set UTTERANCE_ARCHIVE=1 on the bot to record).\n`);
+  process.exit(1);
+}
+
+if (opts.out) await mkdir(opts.out, { recursive: true });
+
+let failed = 0;
+for (const input of inputs) {
+  let result;
+  try {
+    result = await replay(input);
+  } catch (err) {
+    failed += 1;
+    result = { id: input.id, file: input.wavFile, ms: {}, recorded: {}, error: err.message };
+  }
+  if (opts.json) process.stdout.write(`${JSON.stringify(result)}\n`);
+  else printText(result);
+}
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,144 @@
+import { log as logger } from './logger.js';
+
+// Per-guild playback queue. Items are played one at a time, highest priority first (FIFO within
+// a priority). An item can carry several audio segments (the sentences of a streamed reply),
+// so segments of one reply are never interleaved with another reply.
+
+export const SPEECH_PRIORITY = {
+  system: 3,
+  reply: 2,
+  say: 1
+};
+
+let nextItemId = 1;
+
+// kind: 'system' | 'reply' | 'say'; userId: who the item is for (barge-in clears by user);
+// turn: the voice turn it answers (latency tracking), carried along untouched
+export function createSpeechItem({ kind = 'reply', userId = 'unknown', label = '', turn = null } = {}) {
+  const segments = [];
+  let closed = false;
+  let wake = null;
+  let resolveDone;
+
+  const item = {
+    id: nextItemId++,
+    kind,
+    userId,
+    label,
+    turn,
+    priority: SPEECH_PRIORITY[kind] ?? SPEECH_PRIORITY.reply,
+    enqueuedAt: Date.now(),
+    cancelled: false,
+    done: new Promise((resolve) => (resolveDone = resolve)),
+
+    // segment: Promise resolving to synthesized audio (or null to skip it)
+    push(segment) {
+      if (closed || item.cancelled) return;
+      segments.push(segment);
+      wake?.();
+    },
+    close() {
+      closed = true;
+      wake?.();
+    },
+    cancel() {
+      item.cancelled = true;
+      closed = true;
+      wake?.();
+    },
+    async nextSegment() {
+      while (!segments.length && !closed) {
+        await new Promise((resolve) => (wake = resolve));
+        wake = null;
+      }
+      if (item.cancelled) return null;
+      return segments.shift() ?? null;
+    },
+    finish() {
+      resolveDone();
+    }
+  };
+
+  return item;
+}
+
+// playSegment(audio, item): plays one segment and resolves when it finished.
+// stopPlayback(): stops whatever is playing right now.
+export function createSpeechQueue({ playSegment, stopPlayback, log = () => {} }) {
+  const pending = [];
+  let current = null;
+  let running = false;
+
+  const describe = (item) => ({ id: item.id, kind: item.kind, userId: item.userId, label: item.label });
+
+  function enqueue(item) {
+    let i = pending.length;
+    while (i > 0 && pending[i - 1].priority < item.priority) i -= 1;
+    pending.splice(i, 0, item);
+    log('queue_enqueue', { ...describe(item), position: i + (current ? 1 : 0), pending: pending.length });
+    pump();
+    return item;
+  }
+
+  async function pump() {
+    if (running) return;
+    running = true;
+    try {
+      while (pending.length) {
+        current = pending.shift();
+        log('queue_play', { ...describe(current), pending: pending.length });
+        try {
+          for (;;) {
+            const segment = await current.nextSegment();
+            if (!segment) break;
+            const audio = await segment;
+            if (!audio || current.cancelled) continue;
+            await playSegment(audio, current);
+          }
+        } catch (err) {
+          logger.error('queue_item_failed', { ...describe(current), err });
+        }
+        log('queue_done', { ...describe(current), cancelled: current.cancelled, pending: pending.length });
+        current.finish();
+        current = null;
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  // Skip the item that is playing now (the next one starts right away); with `turn`, only if it
+  // answers that voice turn.
+  function skip({ turn } = {}) {
+    if (!current || (turn && current.turn !== turn)) return false;
+    log('queue_skip', describe(current));
+    current.cancel();
+    stopPlayback();
+    return true;
+  }
+
+  // Drop pending items (optionally only those for one user, or answering one turn). Returns how many
+  // were removed.
+  function clear({ userId, turn } = {}) {
+    let removed = 0;
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (userId && pending[i].userId !== userId) continue;
+      if (turn && pending[i].turn !== turn) continue;
+      const [item] = pending.splice(i, 1);
+      item.cancel();
+      item.finish();
+      removed += 1;
+    }
+    log('queue_clear', { userId: userId || null, turnId: turn?.id ?? null, removed, pending: pending.length });
+    return removed;
+  }
+
+  function list() {
+    return {
+      current: current ? describe(current) : null,
+      pending: pending.map(describe)
+    };
+  }
+
+  return { enqueue, skip, clear, list };
+}
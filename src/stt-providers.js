@@ -0,0 +1,156 @@
+import { spawn } from 'node:child_process';
+import { writeFile, unlink } from 'node:fs/promises';
+import { log } from './logger.js';
+
+// STT providers. Each one takes a 16kHz mono WAV buffer and resolves to the transcript
+// ('' when nothing was said). Errors and timeouts throw so the caller can fall back
+// to the next provider in STT_PROVIDERS; `signal` (the turn was cancelled) stops the whole chain.
+
+// Comma-separated fallback chain: openai, http (local whisper server), cli (spawned binary)
+export const STT_PROVIDER_CHAIN = (process.env.STT_PROVIDERS || 'openai')
+  .split(',')
+  .map((p) => p.trim().toLowerCase())
+  .filter(Boolean);
+export const STT_TIMEOUT_MS = Number(process.env.STT_TIMEOUT_MS || 15000);
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com';
+const WHISPER_MODEL = process.env.WHISPER_MODEL || 'whisper-1';
+
+// Generic local server: whisper.cpp `server` (/inference) or any OpenAI-compatible
+// /v1/audio/transcriptions endpoint (faster-whisper-server, speaches, LocalAI, ...).
+const STT_HTTP_URL = process.env.STT_HTTP_URL || 'http://127.0.0.1:8080/inference';
+const STT_HTTP_MODEL = process.env.STT_HTTP_MODEL || WHISPER_MODEL;
+const STT_HTTP_API_KEY = process.env.STT_HTTP_API_KEY || '';
+
+// Spawned CLI (defaults fit whisper.cpp's `whisper-cli`). `{file}`, `{model}` and `{language}`
+// are substituted in STT_CLI_ARGS; the transcript is read from stdout.
+const STT_CLI_COMMAND = process.env.STT_CLI_COMMAND || 'whisper-cli';
+const STT_CLI_MODEL = process.env.STT_CLI_MODEL || '';
+const STT_CLI_ARGS = process.env.STT_CLI_ARGS || '-m {model} -f {file} -l {language} -nt -np';
+
+// The provider's own timeout, and the turn's cancellation when there is one
+const deadline = (timeoutMs, signal) =>
+  signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs);
+
+async function openai(wavBuffer, { language, prompt, timeoutMs, signal }) {
+  if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY missing (stt provider openai)');
+
+  const form = new FormData();
+  form.append('file', new Blob([wavBuffer], { type: 'audio/wav' }), 'audio.wav');
+  form.append('model', WHISPER_MODEL);
+  if (language) form.append('language', language);
+  form.append('temperature', '0');
+  if (prompt) form.append('prompt', prompt);
+
+  const res = await fetch(`${OPENAI_BASE_URL}/v1/audio/transcriptions`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${OPENAI_API_KEY}`
+    },
+    body: form,
+    signal: deadline(timeoutMs, signal)
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`openai transcription error ${res.status}: ${text}`);
+  }
+
+  const json = await res.json();
+  return json.text?.trim() || '';
+}
+
+async function http(wavBuffer, { language, prompt, timeoutMs, signal }) {
+  const form = new FormData();
+  form.append('file', new Blob([wavBuffer], { type: 'audio/wav' }), 'audio.wav');
+  form.append('model', STT_HTTP_MODEL);
+  if (language) form.append('language', language);
+  form.append('temperature', '0');
+  form.append('response_format', 'json');
+  if (prompt) form.append('prompt', prompt);
+
+  const res = await fetch(STT_HTTP_URL, {
+    method: 'POST',
+    headers: STT_HTTP_API_KEY ? { Authorization: `Bearer ${STT_HTTP_API_KEY}` } : {},
+    body: form,
+    signal: deadline(timeoutMs, signal)
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`local stt server error ${res.status}: ${text}`);
+  }
+
+  const json = await res.json();
+  return String(json.text || '').trim();
+}
+
+async function cli(wavBuffer, { language, timeoutMs, signal }) {
+  const file = `/tmp/niko-stt-${Date.now()}-${Math.random().toString(16).slice(2)}.wav`;
+  await writeFile(file, wavBuffer);
+
+  const vars = { file, model: STT_CLI_MODEL, language: language || 'auto' };
+  const args = STT_CLI_ARGS.split(/\s+/)
+    .filter(Boolean)
+    .map((a) => a.replace(/\{(file|model|language)\}/g, (_, k) => vars[k]));
+
+  try {
+    const out = await new Promise((resolve, reject) => {
+      const p = spawn(STT_CLI_COMMAND, args, { stdio: ['ignore', 'pipe', 'pipe'], signal });
+
+      // Hard timeout
+      const timer = setTimeout(() => {
+        try {
+          p.kill('SIGKILL');
+        } catch {}
+        reject(new Error(`${STT_CLI_COMMAND} timeout`));
+      }, timeoutMs);
+
+      let stdout = '';
+      let stderr = '';
+      p.stdout.on('data', (d) => (stdout += d.toString()));
+      p.stderr.on('data', (d) => (stderr += d.toString()));
+      p.on('error', reject);
+      p.on('exit', (code) => {
+        clearTimeout(timer);
+        if (code === 0) return resolve(stdout);
+        reject(new Error(`${STT_CLI_COMMAND} failed (code=${code}): ${stderr}`));
+      });
+    });
+
+    return out.replace(/\s+/g, ' ').trim();
+  } finally {
+    unlink(file).catch(() => {});
+  }
+}
+
+export const STT_PROVIDERS = { openai, http, cli };
+
+// Tries each provider in `providers` (default STT_PROVIDER_CHAIN) in order, falling back on error
+// or timeout. onFailure(name, err) is called for every provider that failed, onSuccess(name) for
+// the one that answered.
+export async function transcribe(
+  wavBuffer,
+  { language, prompt, providers = STT_PROVIDER_CHAIN, onFailure, onSuccess, signal } = {}
+) {
+  const options = { language, prompt, timeoutMs: STT_TIMEOUT_MS, signal };
+
+  for (const name of providers) {
+    const provider = STT_PROVIDERS[name];
+    const startedAt = Date.now();
+    signal?.throwIfAborted();
+    try {
+      const text = await provider(wavBuffer, options);
+      log.info('stt_provider_ok', { provider: name, ms: Date.now() - startedAt });
+      onSuccess?.(name);
+      return text;
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      log.warn('stt_provider_fail', { provider: name, ms: Date.now() - startedAt, error: err.message });
+      onFailure?.(name, err);
+    }
+  }
+
+  return '';
+}
@@ -0,0 +1,93 @@
+import { log } from './logger.js';
+
+// Mirrors a voice session into a Discord text channel, or a thread created per session.
+// Streamed replies are posted once and then edited as more text arrives.
+
+const MAX_MESSAGE_CHARS = 1900;
+
+export function createTranscriptSink({ client, channelId, useThread = true, editIntervalMs = 1000 }) {
+  let target = null;
+  let targetPromise = null;
+
+  const clip = (text) => (text.length > MAX_MESSAGE_CHARS ? `${text.slice(0, MAX_MESSAGE_CHARS)}…` : text);
+
+  async function resolveTarget() {
+    if (target) return target;
+    if (!targetPromise) {
+      targetPromise = (async () => {
+        const channel = await client.channels.fetch(channelId);
+        if (!channel?.isTextBased?.()) throw new Error(`transcript channel ${channelId} is not a text channel`);
+        if (!useThread || !channel.threads?.create) return channel;
+
+        const name = `Voice ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
+        const thread = await channel.threads.create({ name, autoArchiveDuration: 1440 });
+        log.info('transcript_thread_created', { channelId, threadId: thread.id });
+        return thread;
+      })();
+    }
+    try {
+      target = await targetPromise;
+      return target;
+    } catch (err) {
+      targetPromise = null;
+      throw err;
+    }
+  }
+
+  async function post(content) {
+    const channel = await resolveTarget();
+    return channel.send({ content: clip(content), allowedMentions: { parse: [] } });
+  }
+
+  function report(err) {
+    log.error('transcript_sink_error', { channelId, error: err.message || String(err) });
+  }
+
+  return {
+    userSaid(userId, text, { ignored = false } = {}) {
+      const note = ignored ? ' _(not addressed)_' : '';
+      post(`🎙️ <@${userId}>: ${text}${note}`).catch(report);
+    },
+
+    // Returns { update(fullText), finish(fullText) } for one bot reply.
+    startReply(userId) {
+      const prefix = `🤖 ${client.user?.username || 'Bot'} → <@${userId}>: `;
+      let message = null;
+      let sending = null;
+      let latest = '';
+      let shown = '';
+      let timer = null;
+
+      const flush = async () => {
+        timer = null;
+        if (latest === shown || !latest) return;
+        const text = latest;
+        try {
+          if (!message) {
+            sending = sending || post(prefix + text);
+            message = await sending;
+          } else {
+            await message.edit({ content: clip(prefix + text), allowedMentions: { parse: [] } });
+          }
+          shown = text;
+        } catch (err) {
+          report(err);
+        }
+      };
+
+      return {
+        update(text) {
+          latest = text;
+          if (!timer) timer = setTimeout(() => flush().catch(report), message ? editIntervalMs : 0);
+        },
+        async finish(text) {
+          latest = text || latest;
+          clearTimeout(timer);
+          timer = null;
+          if (sending) await sending.catch(() => {});
+          await flush();
+        }
+      };
+    }
+  };
+}
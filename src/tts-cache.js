@@ -0,0 +1,111 @@
+import { createHash } from 'node:crypto';
+import { mkdirSync, readdirSync, statSync } from 'node:fs';
+import { readFile, rename, unlink, utimes, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { log } from './logger.js';
+
+// Synthesized speech kept on disk as the player's input format (48kHz stereo s16le PCM), so a
+// repeated phrase (wake ack, the time, !say tests) skips both the TTS request and the ffmpeg
+// transcode. One `<key>.pcm` per provider/model/voice/speed/text; once the files add up to more than
+// `maxBytes` the least recently played ones are deleted. File mtimes double as the LRU order,
+// so it survives restarts.
+
+// Case and spacing don't change what gets said
+export function normalizeSpeechText(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+export function createTtsCache({ dir, maxBytes = 200 * 1024 * 1024, maxChars = 200 }) {
+  mkdirSync(dir, { recursive: true });
+  // key -> size in bytes, least recently used first
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const fileFor = (key) => join(dir, `${key}.pcm`);
+
+  function load() {
+    const found = [];
+    for (const name of readdirSync(dir)) {
+      if (!name.endsWith('.pcm')) continue;
+      try {
+        const { size, mtimeMs } = statSync(join(dir, name));
+        found.push({ key: name.slice(0, -4), size, mtimeMs });
+      } catch {}
+    }
+    found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { key, size } of found) {
+      entries.set(key, size);
+      totalBytes += size;
+    }
+    log.info('tts_cache_loaded', { dir, entries: entries.size, bytes: totalBytes });
+  }
+
+  async function evict() {
+    for (const [key, size] of entries) {
+      if (totalBytes <= maxBytes) break;
+      entries.delete(key);
+      totalBytes -= size;
+      await unlink(fileFor(key)).catch(() => {});
+      log.debug('tts_cache_evicted', { key, size });
+    }
+  }
+
+  load();
+
+  return {
+    // null for text that is not worth caching (empty, or a long one-off reply)
+    keyFor({ provider, model, voice, speed = 1, text }) {
+      const normalized = normalizeSpeechText(text);
+      if (!normalized || normalized.length > maxChars) return null;
+      return createHash('sha1').update(JSON.stringify([provider, model, voice, speed, normalized])).digest('hex');
+    },
+
+    has(key) {
+      return entries.has(key);
+    },
+
+    async get(key) {
+      if (!key || !entries.has(key)) return null;
+      try {
+        const pcm = await readFile(fileFor(key));
+        // Most recently used goes last
+        const size = entries.get(key);
+        entries.delete(key);
+        entries.set(key, size);
+        const now = new Date();
+        utimes(fileFor(key), now, now).catch(() => {});
+        return pcm;
+      } catch (err) {
+        // Deleted behind our back: forget it
+        totalBytes -= entries.get(key) || 0;
+        entries.delete(key);
+        if (err.code !== 'ENOENT') log.error('tts_cache_read_failed', { key, err });
+        return null;
+      }
+    },
+
+    async put(key, pcm) {
+      if (!key || !pcm?.length || pcm.length > maxBytes) return;
+      const tmp = `${fileFor(key)}.tmp`;
+      try {
+        await writeFile(tmp, pcm);
+        await rename(tmp, fileFor(key));
+      } catch (err) {
+        log.error('tts_cache_write_failed', { key, err });
+        return;
+      }
+      totalBytes += pcm.length - (entries.get(key) || 0);
+      entries.delete(key);
+      entries.set(key, pcm.length);
+      await evict();
+    },
+
+    stats() {
+      return { entries: entries.size, bytes: totalBytes, maxBytes };
+    }
+  };
+}
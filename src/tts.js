@@ -0,0 +1,125 @@
+import { spawn } from 'node:child_process';
+import { log } from './logger.js';
+
+// Text-to-speech: OpenAI /v1/audio/speech, or a local sherpa-onnx binary (TTS_PROVIDER=sherpa).
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com';
+export const TTS_PROVIDER = (process.env.TTS_PROVIDER || 'openai').toLowerCase();
+export const TTS_MODEL = process.env.TTS_MODEL || 'gpt-4o-mini-tts';
+export const TTS_VOICE = process.env.TTS_VOICE || 'alloy';
+// OpenAI voices (/say choices, user preferences)
+export const TTS_VOICES = [
+  'alloy',
+  'ash',
+  'ballad',
+  'coral',
+  'echo',
+  'fable',
+  'nova',
+  'onyx',
+  'sage',
+  'shimmer',
+  'verse'
+];
+// Max characters sent to OpenAI per request
+export const TTS_MAX_CHARS = 800;
+
+const SHERPA_RUNTIME_DIR = process.env.SHERPA_ONNX_RUNTIME_DIR || '';
+const SHERPA_MODEL_DIR = process.env.SHERPA_ONNX_MODEL_DIR || '';
+// The offline voice can also stand in for OpenAI (budget economy mode)
+export const SHERPA_CONFIGURED = Boolean(SHERPA_RUNTIME_DIR && SHERPA_MODEL_DIR);
+
+// Returns { input: Buffer } (encoded audio to pipe into ffmpeg) or { file: path } (temp WAV), or null on failure;
+// either way with `format`, the container the audio is in ('mp3' or 'wav').
+// `speed` is the speaking rate (1 = normal); `signal` aborts the request or the sherpa process.
+export async function synthesize(text, userId, { voice, model, speed = 1, provider = TTS_PROVIDER, signal } = {}) {
+  // --- OpenAI TTS (fast, online) ---
+  if (provider === 'openai') {
+    log.info('openai_tts_request', { userId: userId || 'unknown' });
+
+    const res = await fetch(`${OPENAI_BASE_URL}/v1/audio/speech`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: model || TTS_MODEL,
+        voice: voice || TTS_VOICE,
+        format: 'mp3',
+        input: String(text || '').slice(0, TTS_MAX_CHARS),
+        ...(speed !== 1 ? { speed } : {})
+      }),
+      signal
+    });
+
+    if (!res.ok) {
+      const body = await res.text();
+      log.error('openai_tts_error', { status: res.status, body: body.slice(0, 500) });
+      return null;
+    }
+
+    return { input: Buffer.from(await res.arrayBuffer()), format: 'mp3' };
+  }
+
+  // --- Sherpa offline fallback ---
+  if (!SHERPA_CONFIGURED) {
+    log.error('sherpa_not_configured', { reason: 'missing SHERPA_ONNX_RUNTIME_DIR / SHERPA_ONNX_MODEL_DIR' });
+    return null;
+  }
+
+  const outWav = `/tmp/niko-tts-${Date.now()}-${Math.random().toString(16).slice(2)}.wav`;
+
+  const modelFile = process.env.SHERPA_ONNX_MODEL_FILE || `${SHERPA_MODEL_DIR}/en_US-lessac-high.onnx`;
+  const tokensFile = process.env.SHERPA_ONNX_TOKENS_FILE || `${SHERPA_MODEL_DIR}/tokens.txt`;
+  const dataDir = process.env.SHERPA_ONNX_DATA_DIR || `${SHERPA_MODEL_DIR}/espeak-ng-data`;
+
+  const sherpaExe = `${SHERPA_RUNTIME_DIR}/bin/sherpa-onnx-offline-tts`;
+  const libDir = `${SHERPA_RUNTIME_DIR}/lib`;
+
+  // Generate WAV via sherpa-onnx binary (offline)
+  log.info('sherpa_spawn', { userId: userId || 'unknown' });
+  try {
+    await new Promise((resolve, reject) => {
+      const env = { ...process.env };
+      env.LD_LIBRARY_PATH = env.LD_LIBRARY_PATH ? `${libDir}:${env.LD_LIBRARY_PATH}` : libDir;
+
+      const p = spawn(
+        sherpaExe,
+        [
+          `--vits-model=${modelFile}`,
+          `--vits-tokens=${tokensFile}`,
+          `--vits-data-dir=${dataDir}`,
+          `--vits-length-scale=${(1 / speed).toFixed(2)}`,
+          `--output-filename=${outWav}`,
+          text
+        ],
+        { stdio: ['ignore', 'pipe', 'pipe'], env, signal }
+      );
+
+      let stderr = '';
+      p.stderr.on('data', (d) => (stderr += d.toString()));
+      p.on('error', reject);
+      p.on('exit', (code) => {
+        if (code === 0) return resolve();
+        reject(new Error(`sherpa-onnx-offline-tts failed (code=${code}): ${stderr}`));
+      });
+
+      // Hard timeout
+      setTimeout(() => {
+        try {
+          p.kill('SIGKILL');
+        } catch {}
+        reject(new Error('sherpa timeout'));
+      }, 15_000);
+    });
+    log.info('sherpa_ok', { userId: userId || 'unknown' });
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    log.error('sherpa_fail', { userId: userId || 'unknown', err });
+    return null;
+  }
+
+  return { file: outWav, format: 'wav' };
+}
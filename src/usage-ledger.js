@@ -0,0 +1,183 @@
+import { appendFileSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { log } from './logger.js';
+
+// What the bot has spent, per day, user and guild: STT audio seconds, TTS characters and chat
+// tokens, each priced by provider. Every billed call is appended to a JSON-lines file and the
+// totals are rebuilt from it on startup (entries older than `retentionDays` are dropped):
+//   {"at":1700000000000,"day":"2026-10-19","kind":"stt","provider":"openai","userId":"1","guildId":"2","seconds":3.2,"cost":0.00032}
+
+// USD per token, from a price per million tokens: the first of the env vars `names` that is set (not empty),
+// else `value`
+function tokenPrice(value, ...names) {
+  const name = names.find((n) => process.env[n]);
+  return Number(name ? process.env[name] : value) / 1e6;
+}
+
+// Estimated list prices in USD; a provider without a price is free (local models). Chat tokens of an economy
+// request (CHAT_ECONOMY_MODEL) and of the bridge's memory summaries (BRIDGE_SUMMARY_MODEL) have their own
+// prices, which default to the chat ones since both models default to CHAT_MODEL.
+export const USAGE_PRICES = {
+  stt: { openai: Number(process.env.USAGE_PRICE_STT_MINUTE ?? 0.006) / 60 }, // per audio second
+  tts: { openai: Number(process.env.USAGE_PRICE_TTS_1K_CHARS ?? 0.015) / 1000 }, // per character
+  chat: {
+    openai: {
+      input: tokenPrice(0.15, 'USAGE_PRICE_CHAT_INPUT_1M'),
+      output: tokenPrice(0.6, 'USAGE_PRICE_CHAT_OUTPUT_1M'),
+      economy: {
+        input: tokenPrice(0.15, 'USAGE_PRICE_ECONOMY_INPUT_1M', 'USAGE_PRICE_CHAT_INPUT_1M'),
+        output: tokenPrice(0.6, 'USAGE_PRICE_ECONOMY_OUTPUT_1M', 'USAGE_PRICE_CHAT_OUTPUT_1M')
+      }
+    }
+  },
+  summary: {
+    openai: {
+      input: tokenPrice(0.15, 'USAGE_PRICE_SUMMARY_INPUT_1M', 'USAGE_PRICE_CHAT_INPUT_1M'),
+      output: tokenPrice(0.6, 'USAGE_PRICE_SUMMARY_OUTPUT_1M', 'USAGE_PRICE_CHAT_OUTPUT_1M')
+    }
+  }
+};
+
+// Caps in USD (0 = no cap): whole bot per day and per month, and per user per day
+export const USAGE_BUDGETS = {
+  daily: Number(process.env.USAGE_DAILY_BUDGET || 0),
+  monthly: Number(process.env.USAGE_MONTHLY_BUDGET || 0),
+  userDaily: Number(process.env.USAGE_USER_DAILY_BUDGET || 0)
+};
+
+// Day boundaries for the budgets
+const USAGE_TIME_ZONE = process.env.USAGE_TIME_ZONE || process.env.TIME_ZONE || 'Europe/Rome';
+
+export function isBilled(kind, provider) {
+  return Boolean(USAGE_PRICES[kind]?.[provider]);
+}
+
+function costOf(entry) {
+  let price = USAGE_PRICES[entry.kind]?.[entry.provider];
+  if (!price) return 0;
+  if (entry.kind === 'stt') return (entry.seconds || 0) * price;
+  if (entry.kind === 'tts') return (entry.chars || 0) * price;
+  if (entry.economy && price.economy) price = price.economy;
+  return (entry.inputTokens || 0) * price.input + (entry.outputTokens || 0) * price.output;
+}
+
+function emptyTotals() {
+  return { sttSeconds: 0, ttsChars: 0, chatInputTokens: 0, chatOutputTokens: 0, cost: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.sttSeconds += entry.seconds || 0;
+  totals.ttsChars += entry.chars || 0;
+  totals.chatInputTokens += entry.inputTokens || 0;
+  totals.chatOutputTokens += entry.outputTokens || 0;
+  totals.cost += entry.cost || 0;
+}
+
+export function createUsageLedger({ file, budgets = USAGE_BUDGETS, timeZone = USAGE_TIME_ZONE, retentionDays = 62 }) {
+  const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  // day -> { total, users: Map, guilds: Map }
+  const days = new Map();
+
+  const dayKey = (at = Date.now()) => dayFormat.format(at);
+
+  function apply(entry) {
+    if (!days.has(entry.day)) days.set(entry.day, { total: emptyTotals(), users: new Map(), guilds: new Map() });
+    const day = days.get(entry.day);
+    addTo(day.total, entry);
+    for (const [map, id] of [
+      [day.users, entry.userId],
+      [day.guilds, entry.guildId]
+    ]) {
+      if (!id) continue;
+      if (!map.has(id)) map.set(id, emptyTotals());
+      addTo(map.get(id), entry);
+    }
+  }
+
+  function load() {
+    if (!file) return;
+    let raw = '';
+    try {
+      raw = readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.error('usage_load_failed', { file, error: err.message });
+      return;
+    }
+
+    const oldest = dayKey(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const kept = [];
+    let dropped = 0;
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.day < oldest) {
+          dropped += 1;
+          continue;
+        }
+        apply(entry);
+        kept.push(line);
+      } catch {
+        dropped += 1;
+      }
+    }
+
+    // Rewrite without the expired (or corrupt) lines
+    if (dropped) {
+      const tmp = `${file}.tmp`;
+      writeFileSync(tmp, kept.map((line) => `${line}\n`).join(''));
+      renameSync(tmp, file);
+    }
+    log.info('usage_loaded', { file, entries: kept.length, dropped });
+  }
+
+  // entry: { kind: 'stt'|'tts'|'chat'|'summary', provider, userId, guildId, seconds | chars |
+  //   inputTokens+outputTokens, model?, economy? }
+  function record(entry) {
+    const at = Date.now();
+    const full = { at, day: dayKey(at), ...entry };
+    full.cost = costOf(full);
+    apply(full);
+    if (file) {
+      try {
+        appendFileSync(file, `${JSON.stringify(full)}\n`);
+      } catch (err) {
+        log.error('usage_append_failed', { file, error: err.message });
+      }
+    }
+    return full;
+  }
+
+  // Totals for today or the current month, for everyone or one user/guild.
+  function totals({ period = 'day', userId, guildId } = {}) {
+    const today = dayKey();
+    const out = emptyTotals();
+    for (const [key, day] of days) {
+      if (period === 'day' ? key !== today : key.slice(0, 7) !== today.slice(0, 7)) continue;
+      const t = userId ? day.users.get(userId) : guildId ? day.guilds.get(guildId) : day.total;
+      if (t) for (const k of Object.keys(out)) out[k] += t[k];
+    }
+    return out;
+  }
+
+  // The first cap that is used up, or null: { scope: 'daily'|'monthly'|'user_daily', period, limit, spent }
+  function exceeded({ userId } = {}) {
+    const today = dayKey();
+    const checks = [
+      ['user_daily', budgets.userDaily, () => (userId ? totals({ userId }).cost : 0), today],
+      ['daily', budgets.daily, () => totals().cost, today],
+      ['monthly', budgets.monthly, () => totals({ period: 'month' }).cost, today.slice(0, 7)]
+    ];
+    for (const [scope, limit, spentNow, period] of checks) {
+      if (!(limit > 0)) continue;
+      const spent = spentNow();
+      if (spent >= limit) return { scope, period, limit, spent };
+    }
+    return null;
+  }
+
+  if (file) mkdirSync(dirname(file), { recursive: true });
+  load();
+
+  return { budgets, record, totals, exceeded };
+}
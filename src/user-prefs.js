@@ -0,0 +1,73 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { log } from './logger.js';
+import { TTS_VOICES } from './tts.js';
+
+// Per-user preferences, persisted as { "<userId>": { voice, speed, language, answers } }. Every
+// field is optional; a missing one falls back to the channel's settings.
+//   voice     TTS voice (one of TTS_VOICES)
+//   speed     TTS speaking rate, 0.5 - 2
+//   language  STT language hint and reply language: ISO 639-1 code, or 'auto' (STT detects it and
+//             the agent answers in whatever language was spoken)
+//   answers   'short' | 'long': how much the agent should say
+
+export const PREF_KEYS = ['voice', 'speed', 'language', 'answers'];
+
+// Validates a value typed in a command. -> { value } or { error, vars } (catalog key for the command reply)
+export function parsePref(key, raw) {
+  const input = String(raw ?? '')
+    .trim()
+    .toLowerCase();
+  switch (key) {
+    case 'voice':
+      return TTS_VOICES.includes(input)
+        ? { value: input }
+        : { error: 'prefs.badVoice', vars: { voices: TTS_VOICES.join(', ') } };
+    case 'speed': {
+      const speed = Number(input.replace(',', '.').replace(/x$/, ''));
+      return speed >= 0.5 && speed <= 2 ? { value: speed } : { error: 'prefs.badSpeed' };
+    }
+    case 'language':
+      return /^([a-z]{2}|auto)$/.test(input) ? { value: input } : { error: 'prefs.badLanguage' };
+    case 'answers':
+      return input === 'short' || input === 'long' ? { value: input } : { error: 'prefs.badAnswers' };
+    default:
+      return { error: 'prefs.badKey', vars: { keys: PREF_KEYS.join(', ') } };
+  }
+}
+
+export function loadUserPrefs(file) {
+  let prefs = {};
+  try {
+    prefs = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.error('user_prefs_load_failed', { file, error: err.message });
+  }
+
+  function save() {
+    if (!file) return;
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, `${JSON.stringify(prefs, null, 2)}\n`);
+  }
+
+  return {
+    get: (userId) => prefs[String(userId)] || {},
+    // value null/undefined clears the preference
+    set(userId, key, value) {
+      const id = String(userId);
+      const next = { ...prefs[id] };
+      if (value === null || value === undefined) delete next[key];
+      else next[key] = value;
+      if (Object.keys(next).length) prefs[id] = next;
+      else delete prefs[id];
+      save();
+      return prefs[id] || {};
+    },
+    reset(userId) {
+      if (!prefs[String(userId)]) return false;
+      delete prefs[String(userId)];
+      save();
+      return true;
+    }
+  };
+}
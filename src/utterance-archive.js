@@ -0,0 +1,66 @@
+import { mkdirSync } from 'node:fs';
+import { readdir, readFile, stat, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { encodeWavPcm16 } from './audio.js';
+import { log } from './logger.js';
+
+// Opt-in archive of what the bot heard: one `<turnId>.wav` (the original 48kHz stereo capture)
+// plus `<turnId>.json` (user, timestamps, VAD stats, transcript, reply, latencies) per utterance.
+// Oldest entries are dropped beyond `maxEntries` or `maxAgeDays`.
+
+export function createUtteranceArchive({ dir, maxEntries = 500, maxAgeDays = 7 }) {
+  mkdirSync(dir, { recursive: true });
+  let pruning = null;
+
+  async function prune() {
+    const names = (await readdir(dir)).filter((n) => n.endsWith('.json'));
+    const entries = [];
+    for (const name of names) {
+      try {
+        entries.push({ id: name.slice(0, -5), at: (await stat(join(dir, name))).mtimeMs });
+      } catch {}
+    }
+    entries.sort((a, b) => b.at - a.at);
+
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+    const drop = entries.filter((e, i) => (maxEntries > 0 && i >= maxEntries) || e.at < cutoff);
+    for (const { id } of drop) {
+      await unlink(join(dir, `${id}.wav`)).catch(() => {});
+      await unlink(join(dir, `${id}.json`)).catch(() => {});
+    }
+    if (drop.length) log.debug('archive_pruned', { dir, removed: drop.length });
+  }
+
+  return {
+    dir,
+
+    async save(id, { pcm, sampleRate, channels, meta }) {
+      try {
+        await writeFile(join(dir, `${id}.wav`), encodeWavPcm16(pcm, sampleRate, channels));
+        // Metadata last: a .json without its .wav never exists
+        await writeFile(join(dir, `${id}.json`), `${JSON.stringify({ id, sampleRate, channels, ...meta }, null, 2)}\n`);
+      } catch (err) {
+        log.error('archive_save_failed', { dir, id, err });
+        return;
+      }
+      // One prune at a time; saves during a prune are picked up by the next one
+      if (!pruning) {
+        pruning = prune()
+          .catch((err) => log.error('archive_prune_failed', { dir, err }))
+          .finally(() => (pruning = null));
+      }
+    }
+  };
+}
+
+// Newest first. Used by the replay tool.
+export async function listArchivedUtterances(dir) {
+  const names = (await readdir(dir)).filter((n) => n.endsWith('.json'));
+  const metas = [];
+  for (const name of names) {
+    try {
+      metas.push(JSON.parse(await readFile(join(dir, name), 'utf8')));
+    } catch {}
+  }
+  return metas.sort((a, b) => (b.speechEndedAt || 0) - (a.speechEndedAt || 0));
+}
@@ -0,0 +1,177 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { log } from './logger.js';
+
+// Adaptive voice activity detection on 48kHz stereo s16le frames.
+//
+// - tracks a per-user noise floor (minimum statistics: smoothed minimum frame RMS over the
+//   last VAD_FLOOR_WINDOW_MS, so a constant fan is learned even if it's above the threshold)
+// - hysteresis: speech starts above the start threshold (for VAD_START_FRAMES frames) and
+//   keeps going while frames stay above the lower stop threshold
+// - optional zero-crossing-rate gate (VAD_ZCR_MAX) to reject hiss/fan noise
+//
+// Thresholds come from the user's calibrated profile when present, and are raised
+// relative to the tracked noise floor.
+
+const SILENCE_THRESHOLD = Number(process.env.SILENCE_THRESHOLD || 0.01); // RMS threshold 0-1
+const VAD_START_RATIO = Number(process.env.VAD_START_RATIO || 3);
+const VAD_STOP_RATIO = Number(process.env.VAD_STOP_RATIO || 1.8);
+const VAD_START_FRAMES = Number(process.env.VAD_START_FRAMES || 2);
+const VAD_HANGOVER_MS = Number(process.env.VAD_HANGOVER_MS || 300);
+const VAD_FLOOR_ALPHA = Number(process.env.VAD_FLOOR_ALPHA || 0.02);
+const VAD_FLOOR_WINDOW_MS = Number(process.env.VAD_FLOOR_WINDOW_MS || 3000);
+const FLOOR_BUCKET_MS = 250;
+const VAD_MIN_FLOOR = Number(process.env.VAD_MIN_FLOOR || 0.002);
+const VAD_ZCR_MAX = Number(process.env.VAD_ZCR_MAX || 0); // 0 = disabled
+
+export function computeRms(chunk) {
+  let sum = 0;
+  const samples = chunk.length / 2;
+  for (let i = 0; i < chunk.length; i += 2) {
+    const int16 = chunk.readInt16LE(i);
+    const sample = int16 / 32768;
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+// Zero crossings per sample on the left channel (0..1). Voiced speech stays low; hiss is high.
+export function computeZcr(chunk) {
+  let crossings = 0;
+  let prev = 0;
+  let n = 0;
+  for (let i = 0; i + 1 < chunk.length; i += 4) {
+    const sample = chunk.readInt16LE(i);
+    if (n > 0 && (sample >= 0) !== (prev >= 0)) crossings += 1;
+    prev = sample;
+    n += 1;
+  }
+  return n > 1 ? crossings / (n - 1) : 0;
+}
+
+// options: per-channel overrides { silenceThreshold, startRatio, stopRatio, startFrames, hangoverMs }
+export function createVad(profile = {}, options = {}) {
+  const silenceThreshold = options.silenceThreshold ?? SILENCE_THRESHOLD;
+  const startRatio = options.startRatio ?? VAD_START_RATIO;
+  const stopRatio = options.stopRatio ?? VAD_STOP_RATIO;
+  const startFrames = options.startFrames ?? VAD_START_FRAMES;
+  const hangoverMs = options.hangoverMs ?? VAD_HANGOVER_MS;
+
+  let noiseFloor = profile.noiseFloor || VAD_MIN_FLOOR;
+  let inSpeech = false;
+  let startHits = 0;
+  let lastSpeechAt = 0;
+
+  // Minimum-statistics buckets
+  const buckets = [];
+  let bucketMin = Infinity;
+  let bucketStart = 0;
+
+  function trackFloor(rms, now) {
+    if (!bucketStart) bucketStart = now;
+    bucketMin = Math.min(bucketMin, rms);
+    if (now - bucketStart >= FLOOR_BUCKET_MS) {
+      buckets.push(bucketMin);
+      if (buckets.length > Math.max(1, Math.round(VAD_FLOOR_WINDOW_MS / FLOOR_BUCKET_MS))) buckets.shift();
+      bucketMin = Infinity;
+      bucketStart = now;
+    }
+    if (!buckets.length) return;
+    const windowMin = Math.min(bucketMin, ...buckets);
+    noiseFloor = Math.max(VAD_MIN_FLOOR, noiseFloor + VAD_FLOOR_ALPHA * (windowMin - noiseFloor));
+  }
+
+  const startThreshold = () => Math.max(profile.startThreshold ?? silenceThreshold, noiseFloor * startRatio);
+  const stopThreshold = () =>
+    Math.min(startThreshold(), Math.max(profile.stopThreshold ?? silenceThreshold * 0.6, noiseFloor * stopRatio));
+  const zcrMax = profile.zcrMax ?? VAD_ZCR_MAX;
+
+  // Returns { rms, zcr, speech } for one frame; `speech` is the hysteresis decision.
+  function process(chunk, now = Date.now()) {
+    const rms = computeRms(chunk);
+    const zcr = zcrMax > 0 ? computeZcr(chunk) : 0;
+    const noisy = zcrMax > 0 && zcr > zcrMax;
+
+    trackFloor(rms, now);
+
+    if (!inSpeech) {
+      if (rms >= startThreshold() && !noisy) {
+        startHits += 1;
+      } else {
+        startHits = 0;
+      }
+      if (startHits >= startFrames) {
+        inSpeech = true;
+        startHits = 0;
+      }
+    }
+
+    if (inSpeech) {
+      if (rms >= stopThreshold()) {
+        lastSpeechAt = now;
+      } else if (now - lastSpeechAt >= hangoverMs) {
+        inSpeech = false;
+      }
+    }
+
+    return { rms, zcr, speech: inSpeech && rms >= stopThreshold() };
+  }
+
+  function setProfile(next) {
+    profile = next || {};
+    if (profile.noiseFloor) noiseFloor = profile.noiseFloor;
+  }
+
+  return {
+    process,
+    setProfile,
+    startThreshold,
+    stopThreshold,
+    stats: () => ({ noiseFloor, startThreshold: startThreshold(), stopThreshold: stopThreshold(), inSpeech })
+  };
+}
+
+// Derive thresholds from RMS samples taken while the user was silent.
+export function calibrateFromSamples(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : 0;
+  const p95 = sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0;
+  const noiseFloor = Math.max(VAD_MIN_FLOOR, mean);
+
+  return {
+    noiseFloor,
+    startThreshold: Math.max(SILENCE_THRESHOLD, p95 * 2, noiseFloor * VAD_START_RATIO),
+    stopThreshold: Math.max(SILENCE_THRESHOLD * 0.6, p95 * 1.3, noiseFloor * VAD_STOP_RATIO),
+    samples: sorted.length,
+    calibratedAt: new Date().toISOString()
+  };
+}
+
+// Per-user VAD profiles persisted as { "<userId>": { noiseFloor, startThreshold, stopThreshold, zcrMax? } }.
+export function loadVadProfiles(file) {
+  let profiles = {};
+  try {
+    profiles = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.error('vad_profiles_load_failed', { file, error: err.message });
+  }
+
+  function save() {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, `${JSON.stringify(profiles, null, 2)}\n`);
+  }
+
+  return {
+    get: (userId) => profiles[String(userId)] || null,
+    set(userId, profile) {
+      profiles[String(userId)] = profile;
+      save();
+    },
+    remove(userId) {
+      if (!profiles[String(userId)]) return false;
+      delete profiles[String(userId)];
+      save();
+      return true;
+    }
+  };
+}
@@ -0,0 +1,1288 @@
+import { spawn } from 'node:child_process';
+import { unlink } from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import {
+  AudioPlayerStatus,
+  EndBehaviorType,
+  StreamType,
+  VoiceConnectionStatus,
+  createAudioResource,
+  entersState
+} from '@discordjs/voice';
+import prism from 'prism-media';
+import { STT_SAMPLE_RATE, pcmToWavForStt, transcodeToPcm } from './audio.js';
+import { askBridge, askBridgeStream } from './bridge-client.js';
+import { t } from './i18n.js';
+import { log } from './logger.js';
+import { describeReminders } from './reminders.js';
+import { createSpeechItem, createSpeechQueue } from './speech-queue.js';
+import { STT_PROVIDER_CHAIN, transcribe as transcribeChain } from './stt-providers.js';
+import { SHERPA_CONFIGURED, TTS_MAX_CHARS, TTS_PROVIDER, synthesize } from './tts.js';
+import { isBilled } from './usage-ledger.js';
+import { createUtteranceArchive } from './utterance-archive.js';
+import { computeRms } from './vad.js';
+import { matchWakePhrase } from './wake-word.js';
+
+// The voice side of the bot, without Discord: utterance segmentation, barge-in, the
+// STT -> bridge -> TTS turn, the speech queue and per-user rate limits. Each turn carries an
+// AbortController: when its user barges in or starts a new request, its STT, bridge and TTS calls are
+// aborted and its queued speech dropped (see cancelTurns). Everything that needs the
+// Discord client (access checks, member lookups, the voice receiver and the player) comes in
+// through createVoicePipeline's options, which is what lets test/ drive it with fakes.
+
+const PRE_ROLL_MS = Number(process.env.PRE_ROLL_MS || 300);
+
+// Turn-taking: allow user to interrupt bot speech (barge-in)
+const BARGE_IN_ENABLED = process.env.BARGE_IN !== '0';
+const BARGE_IN_THRESHOLD = Number(process.env.BARGE_IN_THRESHOLD || 0.02);
+
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60000);
+const RATE_LIMIT_STT_MAX = Number(process.env.RATE_LIMIT_STT_MAX || 10);
+const RATE_LIMIT_TTS_MAX = Number(process.env.RATE_LIMIT_TTS_MAX || 10);
+export const DEFAULT_RATE_LIMIT = { windowMs: RATE_LIMIT_WINDOW_MS, sttMax: RATE_LIMIT_STT_MAX, ttsMax: RATE_LIMIT_TTS_MAX };
+
+// Wake-word mode (see addressedText)
+export const WAKE_PHRASES = (process.env.WAKE_PHRASES || 'niko,ehi niko,hey niko')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+const WAKE_MAX_DISTANCE = Number(process.env.WAKE_MAX_DISTANCE ?? 1);
+const WAKE_FOLLOWUP_MS = Number(process.env.WAKE_FOLLOWUP_MS || 8000);
+// Spoken after a bare wake phrase; defaults to the locale's (empty disables it)
+const WAKE_ACK = process.env.WAKE_ACK;
+const wakeAck = (locale) => WAKE_ACK ?? t(locale, 'voice.wakeAck');
+
+// Phrases synthesized into the TTS cache when a session starts ('|'-separated), besides the wake ack
+const TTS_CACHE_PREWARM = process.env.TTS_CACHE_PREWARM;
+export function prewarmPhrases(locale) {
+  return [wakeAck(locale), ...(TTS_CACHE_PREWARM ?? t(locale, 'voice.prewarm')).split('|')]
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Whole-utterance voice commands for the speech queue
+const VOICE_SKIP_RE = /^(stop|basta|salta|skip|zitto|silenzio)[\s.!]*$/i;
+const VOICE_CLEAR_RE = /^(svuota(\s+la)?\s+coda|cancella\s+tutto|clear(\s+the)?\s+queue)[\s.!]*$/i;
+// ...and for reminders ("quali promemoria ho?", "cancella il promemoria 3", "cancel my last timer")
+const VOICE_REMINDERS_RE = new RegExp(
+  '^((quali|che)\\s+(promemoria|timer)\\s+ho(\\s+attivi)?|' +
+    '(elenca|dimmi|leggi)\\s+(i\\s+)?(miei\\s+)?(promemoria|timer)|' +
+    '(list|read)\\s+my\\s+(reminders|timers)|what\\s+(reminders|timers)\\s+do\\s+i\\s+have)[\\s?.!]*$',
+  'i'
+);
+const VOICE_REMINDER_CANCEL_RE = new RegExp(
+  '^(cancella|annulla|elimina|cancel|delete)\\s+' +
+    "((?<all>tutti\\s+i(\\s+miei)?|all(\\s+of)?\\s+my)\\s+|(il|l'|l’|my|the)\\s*)?(mio\\s+|ultimo\\s+|last\\s+)*" +
+    '(?<what>promemoria|timer|reminders?|timers?)(\\s+(numero\\s+|number\\s+)?(?<id>\\d+))?[\\s.!]*$',
+  'iu'
+);
+
+// Streamed replies: speak each sentence as soon as the bridge produces it
+const STREAM_REPLIES = process.env.STREAM_REPLIES !== '0';
+const STREAM_MIN_SENTENCE_CHARS = Number(process.env.STREAM_MIN_SENTENCE_CHARS || 20);
+const SENTENCE_END = /[.!?…]+["'»)\]]*\s+/;
+
+// Group conversation mode: the bridge gets the channel's latest utterances and replies (at most
+// GROUP_CONTEXT_LINES, none older than GROUP_CONTEXT_MINUTES) with who is speaking and who is present
+const GROUP_CONTEXT_LINES = Number(process.env.GROUP_CONTEXT_LINES || 12);
+const GROUP_CONTEXT_MINUTES = Number(process.env.GROUP_CONTEXT_MINUTES || 10);
+
+// Utterance archive (enabled per channel with the `archive` setting)
+const UTTERANCE_ARCHIVE_DIR =
+  process.env.UTTERANCE_ARCHIVE_DIR || fileURLToPath(new URL('../data/utterances', import.meta.url));
+const UTTERANCE_ARCHIVE_MAX = Number(process.env.UTTERANCE_ARCHIVE_MAX || 500);
+const UTTERANCE_ARCHIVE_DAYS = Number(process.env.UTTERANCE_ARCHIVE_DAYS || 7);
+
+// Over a usage budget cap only unbilled providers are used (see src/usage-ledger.js)
+const ECONOMY_STT_PROVIDERS = STT_PROVIDER_CHAIN.filter((name) => !isBilled('stt', name));
+const ECONOMY_TTS_PROVIDER = !isBilled('tts', TTS_PROVIDER) ? TTS_PROVIDER : SHERPA_CONFIGURED ? 'sherpa' : '';
+
+// Default audio input: the Discord receiver's opus stream for the user, decoded to 48kHz stereo PCM.
+function subscribeReceiver(state, userId) {
+  const source = state.connection.receiver.subscribe(userId, {
+    end: {
+      behavior: EndBehaviorType.Manual
+    }
+  });
+
+  const decoder = new prism.opus.Decoder({
+    rate: 48000,
+    channels: 2,
+    frameSize: 960
+  });
+
+  return { source, pcm: source.pipe(decoder) };
+}
+
+// Options:
+//   metrics                        registry from createMetrics (turn/stage histograms and counters)
+//   getUserVad(state, userId)      the user's VAD (see src/vad.js)
+//   isUserAllowed(state, userId)   access check before subscribing to a user
+//   isStillInChannel(state, userId)
+//   memberRoleIds(guildId, userId) forwarded to the bridge for its own access check
+//   channelMembers(state)          -> [{ id, name }]: the people in the voice channel, by display name (group mode)
+//   subscribe(state, userId)       -> { source, pcm }: audio input (default: the voice receiver)
+//   play(state, audio, item)       audio output; default transcodes with ffmpeg into state.player
+//   usage                          ledger from createUsageLedger: records spend, enforces budget caps
+//   ttsCache                       from createTtsCache: replays repeated phrases without TTS or ffmpeg
+//   prefsFor(userId)               the user's preferences (src/user-prefs.js): voice, speed, language, answers
+//   reminders                      from createReminders: stores the bridge's `reminder` actions; listed and
+//                                  cancelled by voice
+export function createVoicePipeline({
+  metrics,
+  getUserVad,
+  isUserAllowed = () => true,
+  isStillInChannel = () => true,
+  memberRoleIds = () => [],
+  channelMembers = () => [],
+  subscribe = subscribeReceiver,
+  play = null,
+  usage = null,
+  ttsCache = null,
+  prefsFor = () => ({}),
+  reminders = null
+}) {
+  const turnsTotal = metrics.counter('turns_total', 'Finished voice turns by outcome');
+  const turnSeconds = metrics.histogram('turn_seconds', 'End of speech to end of the turn (reply played)');
+  const firstAudioSeconds = metrics.histogram('first_audio_seconds', 'End of speech to first reply audio out');
+  const stageSeconds = metrics.histogram('stage_seconds', 'Time spent in each pipeline stage');
+  const sttFailures = metrics.counter('stt_failures_total', 'Failed STT provider calls');
+  const rateLimitHits = metrics.counter('rate_limit_hits_total', 'Requests dropped by the per-user rate limit');
+  const bargeIns = metrics.counter('barge_ins_total', 'Playback interrupted by a user speaking');
+  const ttsCacheLookups = metrics.counter('tts_cache_total', 'TTS cache lookups by result');
+
+  const rateLimits = new Map();
+  let turnCounter = 0;
+  // Created on first use so nothing is written unless some channel opted in
+  let utteranceArchive = null;
+  // Budget caps already announced (guild + cap + period)
+  const announcedCaps = new Set();
+
+  // One session per voice connection. `extra` carries the caller's own fields (standby, transcript, ...).
+  // `conversation`: 'user' (each user talks to the bot on their own) or 'group' (see groupFields).
+  function createSession({
+    connection,
+    player,
+    guildId,
+    channelId,
+    settings,
+    listenMode,
+    conversation = 'user',
+    ...extra
+  }) {
+    const state = {
+      connection,
+      player,
+      recordings: new Map(),
+      timers: new Map(),
+      guildId,
+      channelId,
+      standby: false,
+      currentPlayback: null,
+      queue: null,
+      calibrations: new Map(),
+      settings,
+      listenMode,
+      conversation,
+      followUps: new Map(),
+      transcript: null,
+      // The channel's rolling transcript (see rememberLine)
+      recent: [],
+      // Voice turns in progress (see cancelTurns)
+      turns: new Set(),
+      ...extra
+    };
+
+    state.queue = createSpeechQueue({
+      playSegment: (audio, item) => playQueuedSegment(state, audio, item),
+      stopPlayback: () => stopPlayback(state),
+      log: (event, data) => logEvent(event, { guildId: state.guildId, ...data })
+    });
+
+    return state;
+  }
+
+  function startRecording(state, userId) {
+    if (!isUserAllowed(state, userId)) return;
+    if (state.standby) return;
+    if (state.recordings.has(userId)) return;
+
+    const { silenceMs, minUtteranceMs, maxUtteranceMs } = state.settings;
+
+    logEvent('recording_start', {
+      userId,
+      guildId: state.guildId,
+      channelId: state.channelId
+    });
+
+    // Keep a persistent subscription open so we don't depend on speaking events
+    // or timing (subscribe-before-speech). We'll segment utterances ourselves.
+    const { source: opusStream, pcm: pcmStream } = subscribe(state, userId);
+
+    const recording = {
+      userId,
+      startedAt: null,
+      lastAudioAt: 0,
+      active: false,
+      chunks: [],
+      bytes: 0,
+      // ring buffer before voice is detected, to avoid cutting the first syllable
+      preRoll: [],
+      preRollBytes: 0,
+      vad: getUserVad(state, userId),
+      // barge-in detector
+      bargeHits: 0,
+      bargeLastAt: 0,
+      opusStream,
+      pcmStream,
+      channelId: state.channelId,
+      guildId: state.guildId
+    };
+
+    state.recordings.set(userId, recording);
+
+    pcmStream.on('data', (chunk) => {
+      const now = Date.now();
+
+      // Calibration: only sample the ambient level, don't segment
+      const calibration = state.calibrations.get(userId);
+      if (calibration) {
+        calibration.samples.push(computeRms(chunk));
+        return;
+      }
+
+      const { rms, speech: energetic } = recording.vad.process(chunk, now);
+
+      // While bot is speaking, ignore audio to avoid noise, BUT allow barge-in.
+      if (
+        state.player.state.status === AudioPlayerStatus.Playing ||
+        state.player.state.status === AudioPlayerStatus.Buffering
+      ) {
+        if (BARGE_IN_ENABLED && rms >= Math.max(BARGE_IN_THRESHOLD, recording.vad.startThreshold())) {
+          // require a couple of consecutive hits to avoid false positives
+          if (now - (recording.bargeLastAt || 0) < 250) recording.bargeHits += 1;
+          else recording.bargeHits = 1;
+          recording.bargeLastAt = now;
+
+          if (recording.bargeHits >= 2) {
+            recording.bargeHits = 0;
+            logEvent('barge_in', { userId, rms });
+            bargeIns.inc();
+            // Drop what's queued for this user, then cut the current item
+            cancelTurns(state, userId, 'barge_in');
+            state.queue.clear({ userId });
+            if (!state.queue.skip()) stopPlayback(state);
+            // continue processing this chunk as potential speech start
+          } else {
+            return;
+          }
+        } else {
+          recording.preRoll = [];
+          recording.preRollBytes = 0;
+          return;
+        }
+      }
+
+      // Maintain a short pre-roll buffer while not active
+      if (!recording.active) {
+        const maxPreRollBytes = Math.floor((PRE_ROLL_MS / 1000) * 48000 * 2 * 2);
+        recording.preRoll.push(chunk);
+        recording.preRollBytes += chunk.length;
+        while (recording.preRollBytes > maxPreRollBytes && recording.preRoll.length > 1) {
+          const removed = recording.preRoll.shift();
+          recording.preRollBytes -= removed.length;
+        }
+
+        if (!energetic) return;
+
+        // Start of an utterance (include pre-roll)
+        recording.active = true;
+        recording.startedAt = now;
+        recording.lastAudioAt = now;
+        recording.chunks = [...recording.preRoll];
+        recording.bytes = recording.preRollBytes;
+        recording.preRoll = [];
+        recording.preRollBytes = 0;
+
+        logEvent('utterance_start', { userId, rms, ...recording.vad.stats() });
+        // Speaking again makes the answer still being prepared stale. Not after a max_utterance cut
+        // (the user never stopped), and in wake mode only once the new utterance is addressed to the bot.
+        recording.staleTurns = state.listenMode === 'always' && !recording.continued;
+        recording.continued = false;
+      }
+
+      // While active, keep buffering
+      if (energetic) recording.lastAudioAt = now;
+      recording.chunks.push(chunk);
+      recording.bytes += chunk.length;
+
+      const durationMs = bytesToMs(recording.bytes);
+      // Only once the utterance is long enough to become a turn: a blip that gets dropped cancels nothing
+      if (recording.staleTurns && durationMs >= minUtteranceMs) {
+        recording.staleTurns = false;
+        cancelTurns(state, userId, 'new_utterance');
+      }
+      if (durationMs >= maxUtteranceMs) {
+        logEvent('utterance_too_long', {
+          userId: recording.userId,
+          durationMs
+        });
+        // We'll finalize via the timer.
+      }
+    });
+
+    pcmStream.on('error', (err) => {
+      log.error('pcm_stream_error', { userId, err });
+      cleanupRecording(state, userId);
+    });
+
+    const endAndFinalize = (reason) => {
+      const durationMs = bytesToMs(recording.bytes);
+      logEvent('recording_end', { userId, durationMs, reason });
+
+      if (durationMs >= minUtteranceMs) {
+        finalizeRecording(state, recording).catch((err) => {
+          log.error('finalize_failed', { userId, err });
+        });
+      }
+
+      cleanupRecording(state, userId);
+      try {
+        opusStream.destroy();
+      } catch {}
+
+      // Rearm: keep a "hot" subscription so we don't depend on speaking events.
+      // If the user is still in the channel, start a fresh recording shortly after.
+      setTimeout(() => {
+        try {
+          if (!isStillInChannel(state, userId)) return;
+          if (state.manualLeave) return;
+          if (state.recordings.has(userId)) return;
+
+          logEvent('recording_rearm', {
+            userId,
+            guildId: state.guildId,
+            channelId: state.channelId,
+            prevReason: reason,
+            prevDurationMs: durationMs
+          });
+          startRecording(state, userId);
+        } catch (err) {
+          log.error('recording_rearm_failed', { userId, err });
+        }
+      }, 250);
+    };
+
+    // Silence detector: segments utterances while keeping subscription open
+    const interval = setInterval(() => {
+      if (!recording.active) return;
+
+      const now = Date.now();
+      const silenceFor = now - recording.lastAudioAt;
+      const durationMs = bytesToMs(recording.bytes);
+
+      if (durationMs >= maxUtteranceMs) {
+        // Finalize current utterance
+        logEvent('recording_end', { userId, durationMs, reason: 'max_utterance' });
+        finalizeRecording(state, recording).catch((err) => log.error('finalize_failed', { userId, err }));
+        // Reset for next utterance
+        recording.active = false;
+        recording.continued = true;
+        recording.startedAt = null;
+        recording.lastAudioAt = 0;
+        recording.chunks = [];
+        recording.bytes = 0;
+        return;
+      }
+
+      if (silenceFor >= silenceMs && durationMs >= minUtteranceMs) {
+        logEvent('recording_end', { userId, durationMs, reason: 'silence_timer' });
+        finalizeRecording(state, recording).catch((err) => log.error('finalize_failed', { userId, err }));
+        recording.active = false;
+        recording.startedAt = null;
+        recording.lastAudioAt = 0;
+        recording.chunks = [];
+        recording.bytes = 0;
+        return;
+      }
+
+      if (silenceFor >= silenceMs * 10) {
+        // Reset stuck utterance
+        recording.active = false;
+        recording.startedAt = null;
+        recording.lastAudioAt = 0;
+        recording.chunks = [];
+        recording.bytes = 0;
+      }
+    }, 200);
+
+    state.timers.set(userId, interval);
+
+    opusStream.on('close', () => {
+      logEvent('opus_close', { userId });
+      cleanupRecording(state, userId);
+    });
+    opusStream.on('error', (err) => {
+      log.error('opus_stream_error', { userId, err });
+      cleanupRecording(state, userId);
+    });
+  }
+
+  function cleanupRecording(state, userId) {
+    const interval = state.timers.get(userId);
+    if (interval) clearInterval(interval);
+    state.timers.delete(userId);
+
+    const rec = state.recordings.get(userId);
+    if (rec?.opusStream) {
+      try {
+        rec.opusStream.destroy();
+      } catch {}
+    }
+    if (rec?.pcmStream) {
+      try {
+        rec.pcmStream.destroy();
+      } catch {}
+    }
+
+    state.recordings.delete(userId);
+  }
+
+  async function finalizeRecording(state, recording) {
+    // Runs synchronously up to handleUtterance's first await: the silence timer resets the
+    // recording right after calling us
+    const turn = startTurn(recording);
+    state.turns.add(turn);
+    let outcome = 'error';
+    try {
+      outcome = await handleUtterance(state, recording, turn);
+    } catch (err) {
+      if (!turn.signal.aborted) throw err;
+      outcome = 'cancelled';
+    } finally {
+      state.turns.delete(turn);
+      endTurn(turn, outcome);
+    }
+  }
+
+  // Aborts the user's turns in progress (all but `except`) and drops what they queued to say
+  function cancelTurns(state, userId, reason, { except = null } = {}) {
+    for (const turn of state.turns) {
+      if (turn.userId !== userId || turn === except || turn.signal.aborted) continue;
+      logEvent('turn_cancel', { turnId: turn.id, userId, reason });
+      turn.controller.abort(new Error(`turn cancelled (${reason})`));
+      state.queue.clear({ turn });
+      state.queue.skip({ turn });
+    }
+  }
+
+  // One voice turn, end of speech to reply played. Returns the turn outcome for metrics.
+  async function handleUtterance(state, recording, turn) {
+    const utteranceStartedAt = recording.startedAt || Date.now();
+
+    if (isRateLimited(recording.userId, 'stt', state.settings.rateLimit)) {
+      logEvent('rate_limited_stt', {
+        userId: recording.userId,
+        turnId: turn.id
+      });
+      return 'rate_limited';
+    }
+
+    const budget = budgetFor(state, recording.userId);
+    if (budget?.blocked) return 'over_budget';
+    turn.economy = budget;
+
+    const pcmBuffer = Buffer.concat(recording.chunks);
+    if (state.settings.archive) {
+      turn.archive = { pcm: pcmBuffer, settings: state.settings, channelId: recording.channelId };
+    }
+    const wavBuffer = await timed(turn, 'resample', () => pcmToWavForStt(pcmBuffer, 48000, 2));
+
+    logEvent('stt_request', {
+      turnId: turn.id,
+      userId: recording.userId,
+      guildId: recording.guildId,
+      channelId: recording.channelId,
+      wavBytes: wavBuffer.length,
+      sttRate: STT_SAMPLE_RATE
+    });
+    const audioSeconds = bytesToMs(pcmBuffer.length) / 1000;
+    turn.stt = sttOptionsFor(state.settings, recording.userId);
+    const transcript = await timed(turn, 'stt', () => transcribe(wavBuffer, turn, audioSeconds));
+    logEvent('stt_result', {
+      turnId: turn.id,
+      userId: recording.userId,
+      text: (transcript || '').slice(0, 300),
+      textLen: (transcript || '').length
+    });
+    if (!transcript) return 'no_speech';
+    turn.transcript = transcript;
+
+    const text = addressedText(state, recording.userId, transcript, utteranceStartedAt);
+    state.transcript?.userSaid(recording.userId, transcript, { ignored: text === null });
+    rememberLine(state, { userId: recording.userId, text: transcript, turnId: turn.id });
+    if (text === null) {
+      logEvent('wake_ignored', { userId: recording.userId, guildId: state.guildId });
+      return 'not_addressed';
+    }
+    cancelTurns(state, recording.userId, 'new_turn', { except: turn });
+    if (!text) {
+      // Just the wake phrase: acknowledge and wait for the actual request
+      const ack = wakeAck(state.settings.locale);
+      if (ack) {
+        const item = await speak(state, ack, recording.userId, { turn });
+        await item?.done;
+      }
+      openFollowUp(state, recording.userId);
+      return 'wake';
+    }
+
+    // Voice control of the speech queue ("stop", "basta", "svuota la coda")
+    const voiceCommand = matchVoiceCommand(text, { reminders: Boolean(reminders) });
+    if (voiceCommand) {
+      logEvent('voice_command', { userId: recording.userId, command: voiceCommand });
+      if (voiceCommand === 'skip') state.queue.skip();
+      else if (voiceCommand === 'clear') {
+        state.queue.clear();
+        state.queue.skip();
+      } else {
+        const answer = reminderCommand(voiceCommand, text, recording, state.settings.locale);
+        const item = await speak(state, answer, recording.userId, { turn });
+        await item?.done;
+      }
+      return 'command';
+    }
+
+    if (STREAM_REPLIES) {
+      const speech = createSpeechStream(state, recording.userId, turn);
+      const splitter = createSentenceSplitter((sentence) => speech.push(sentence));
+      const mirror = state.transcript?.startReply(recording.userId);
+      const askedAt = Date.now();
+      let soFar = '';
+      const onDelta = (delta) => {
+        if (!soFar) recordStage(turn, 'agent_first_delta', Date.now() - askedAt);
+        splitter.write(delta);
+        soFar += delta;
+        mirror?.update(soFar.trim());
+      };
+      // The error reply comes next: whatever had arrived is spoken on its own first
+      const onError = (error) => {
+        turn.bridgeError = error;
+        splitter.flush();
+        if (soFar) soFar += ' ';
+      };
+      const streamed = await askOpenClawStream(text, recording, state, turn, onDelta, onError);
+      if (streamed !== null) {
+        recordStage(turn, 'agent', Date.now() - askedAt);
+        turn.reply = streamed;
+        if (streamed && !turn.bridgeError) rememberLine(state, { bot: true, text: streamed, turnId: turn.id });
+        splitter.flush();
+        mirror?.finish(streamed).catch(() => {});
+        logEvent('agent_reply', {
+          turnId: turn.id,
+          userId: recording.userId,
+          reply: streamed.slice(0, 300),
+          replyLen: streamed.length,
+          streamed: true
+        });
+        await speech.finished();
+        // A failed turn does nothing else, as below
+        if (turn.bridgeError) return 'bridge_error';
+        await runActions(state, recording, turn);
+        if (!streamed) return 'no_reply';
+        openFollowUp(state, recording.userId);
+        return 'reply';
+      }
+      speech.cancel();
+      await speech.finished();
+    }
+
+    const reply = await timed(turn, 'agent', () => askOpenClaw(text, recording, state, turn));
+    turn.reply = reply;
+    if (reply && !turn.bridgeError) rememberLine(state, { bot: true, text: reply, turnId: turn.id });
+    logEvent('agent_reply', {
+      turnId: turn.id,
+      userId: recording.userId,
+      reply: (reply || '').slice(0, 300),
+      replyLen: (reply || '').length
+    });
+    if (!reply) return turn.bridgeError ? 'bridge_error' : 'no_reply';
+
+    state.transcript?.startReply(recording.userId).finish(reply).catch(() => {});
+    const item = await speak(state, cleanForSpeech(reply), recording.userId, { turn });
+    await item?.done;
+    if (turn.bridgeError) return 'bridge_error';
+    await runActions(state, recording, turn);
+    openFollowUp(state, recording.userId);
+    return 'reply';
+  }
+
+  // Actions that came with the reply (see bridge/skill-registry.js). The reply already confirmed the
+  // reminder, so only a rejection is spoken. They run even when the reply was cut short: the bridge
+  // already answered, only its playback was cancelled.
+  async function runActions(state, recording, turn) {
+    for (const action of turn.actions || []) {
+      if (action?.type !== 'reminder' || !reminders) continue;
+      const locale = state.settings.locale;
+      const result = reminders.add({
+        kind: action.kind,
+        guildId: recording.guildId,
+        channelId: recording.channelId,
+        userId: recording.userId,
+        text: action.text,
+        locale,
+        dueAt: Date.parse(action.dueAt)
+      });
+      if (!result.error) continue;
+      logEvent('reminder_rejected', { turnId: turn.id, userId: recording.userId, error: result.error });
+      const item = await speak(state, t(locale, result.error, result.vars), recording.userId, { turn });
+      await item?.done;
+    }
+  }
+
+  // "quali promemoria ho?" lists the user's reminders in this guild; "cancella il promemoria 3" cancels that
+  // one, "cancella tutti i promemoria" all of them, and without a number the last one set.
+  function reminderCommand(command, text, recording, locale) {
+    const owner = { guildId: recording.guildId, userId: recording.userId };
+    if (command === 'reminders') return describeReminders(reminders.list(owner), locale);
+
+    const { all, what, id } = text.trim().match(VOICE_REMINDER_CANCEL_RE).groups;
+    const removed = reminders.cancel({
+      ...owner,
+      all: Boolean(all),
+      id: id === undefined ? undefined : Number(id),
+      kind: !all && id === undefined && /^timer/i.test(what) ? 'timer' : undefined
+    });
+    if (!removed.length) return t(locale, 'reminder.notFound');
+    if (all) return t(locale, 'reminder.cancelledAll', { count: removed.length });
+    return t(locale, 'reminder.cancelled', { id: removed[0].id });
+  }
+
+  // Latency tracking: a turn starts when the user stopped speaking (last voiced chunk).
+  function startTurn(recording) {
+    turnCounter += 1;
+    const now = Date.now();
+    const speechEndedAt = recording.lastAudioAt || now;
+    const controller = new AbortController();
+    const turn = {
+      id: `${now.toString(36)}-${turnCounter}`,
+      controller,
+      signal: controller.signal,
+      userId: recording.userId,
+      guildId: recording.guildId,
+      startedAt: recording.startedAt || speechEndedAt,
+      speechEndedAt,
+      vad: recording.vad.stats(),
+      firstAudioAt: 0,
+      stages: {}
+    };
+    recordStage(turn, 'silence_wait', now - speechEndedAt);
+    return turn;
+  }
+
+  function recordStage(turn, stage, ms) {
+    stageSeconds.observe({ stage }, ms / 1000);
+    // Several TTS/transcode calls per streamed reply: the turn log shows their total
+    if (turn) turn.stages[stage] = (turn.stages[stage] || 0) + ms;
+  }
+
+  async function timed(turn, stage, fn) {
+    const startedAt = Date.now();
+    try {
+      return await fn();
+    } finally {
+      recordStage(turn, stage, Date.now() - startedAt);
+    }
+  }
+
+  function markFirstAudio(turn) {
+    if (!turn || turn.firstAudioAt) return;
+    turn.firstAudioAt = Date.now();
+    firstAudioSeconds.observe({}, (turn.firstAudioAt - turn.speechEndedAt) / 1000);
+  }
+
+  function endTurn(turn, outcome) {
+    const totalMs = Date.now() - turn.speechEndedAt;
+    const firstAudioMs = turn.firstAudioAt ? turn.firstAudioAt - turn.speechEndedAt : null;
+    turnsTotal.inc({ outcome });
+    if (outcome === 'reply') turnSeconds.observe({}, totalMs / 1000);
+    logEvent('turn_timing', {
+      turnId: turn.id,
+      userId: turn.userId,
+      guildId: turn.guildId,
+      outcome,
+      totalMs,
+      firstAudioMs,
+      stages: turn.stages
+    });
+    if (turn.archive) archiveTurn(turn, { outcome, totalMs, firstAudioMs });
+  }
+
+  function archiveTurn(turn, { outcome, totalMs, firstAudioMs }) {
+    if (!utteranceArchive) {
+      utteranceArchive = createUtteranceArchive({
+        dir: UTTERANCE_ARCHIVE_DIR,
+        maxEntries: UTTERANCE_ARCHIVE_MAX,
+        maxAgeDays: UTTERANCE_ARCHIVE_DAYS
+      });
+    }
+    const { pcm, settings, channelId } = turn.archive;
+    utteranceArchive.save(turn.id, {
+      pcm,
+      sampleRate: 48000,
+      channels: 2,
+      meta: {
+        userId: turn.userId,
+        guildId: turn.guildId,
+        channelId,
+        startedAt: turn.startedAt,
+        speechEndedAt: turn.speechEndedAt,
+        durationMs: bytesToMs(pcm.length),
+        vad: turn.vad,
+        transcript: turn.transcript || '',
+        reply: turn.reply || '',
+        outcome,
+        latency: { totalMs, firstAudioMs, stages: turn.stages },
+        // What the replay tool needs to run the turn the same way
+        settings: {
+          sttLanguage: turn.stt?.language ?? settings.sttLanguage,
+          sttPrompt: turn.stt?.prompt ?? settings.sttPrompt,
+          ttsVoice: prefsFor(turn.userId).voice || settings.ttsVoice,
+          ttsModel: settings.ttsModel,
+          bridge: settings.bridge,
+          persona: settings.persona,
+          locale: settings.locale
+        }
+      }
+    });
+  }
+
+  // Wake-word mode: returns the text to send to the bridge (wake phrase stripped, '' if it was
+  // only the wake phrase), or null when the utterance wasn't addressed to the bot.
+  function addressedText(state, userId, text, startedAt) {
+    if (state.listenMode === 'always') return text;
+
+    const wake = matchWakePhrase(text, WAKE_PHRASES, { maxDistance: WAKE_MAX_DISTANCE });
+    if (wake.matched) {
+      logEvent('wake_word', { userId, phrase: wake.phrase });
+      return wake.rest;
+    }
+
+    if (startedAt <= (state.followUps.get(userId) || 0)) {
+      logEvent('wake_followup', { userId });
+      return text;
+    }
+
+    return null;
+  }
+
+  function openFollowUp(state, userId) {
+    if (state.listenMode === 'always' || WAKE_FOLLOWUP_MS <= 0) return;
+    state.followUps.set(userId, Date.now() + WAKE_FOLLOWUP_MS);
+  }
+
+  // The user's language wins over the channel's ('auto' = let STT detect it). The channel's
+  // prompt is written in the channel's language, so it only goes along when they match.
+  function sttOptionsFor(settings, userId) {
+    const preferred = prefsFor(userId).language;
+    const language = preferred ? (preferred === 'auto' ? '' : preferred) : settings.sttLanguage;
+    return { language, prompt: language === settings.sttLanguage ? settings.sttPrompt : '' };
+  }
+
+  function transcribe(wavBuffer, turn, seconds) {
+    return transcribeChain(wavBuffer, {
+      ...turn.stt,
+      providers: turn.economy?.sttProviders,
+      signal: turn.signal,
+      onFailure: (name) => sttFailures.inc({ provider: name }),
+      onSuccess: (name) =>
+        usage?.record({ kind: 'stt', provider: name, userId: turn.userId, guildId: turn.guildId, seconds })
+    });
+  }
+
+  // Under budget: null. Past a cap: the unbilled providers to use instead, or { blocked: true }
+  // when there is no free way to answer. Each cap is announced once per period.
+  function budgetFor(state, userId) {
+    const cap = usage?.exceeded({ userId });
+    if (!cap) return null;
+    const blocked = !ECONOMY_STT_PROVIDERS.length || !ECONOMY_TTS_PROVIDER;
+    announceCap(state, userId, cap, blocked);
+    return blocked ? { blocked } : { sttProviders: ECONOMY_STT_PROVIDERS, ttsProvider: ECONOMY_TTS_PROVIDER };
+  }
+
+  function announceCap(state, userId, cap, blocked) {
+    const key = `${state.guildId}:${cap.scope}:${cap.period}:${cap.scope === 'user_daily' ? userId : ''}`;
+    if (announcedCaps.has(key)) return;
+    announcedCaps.add(key);
+    log.warn('budget_cap_reached', { guildId: state.guildId, userId, ...cap, blocked });
+
+    const { locale } = state.settings;
+    const text = t(locale, blocked ? 'budget.blocked' : 'budget.economy', {
+      cap: t(locale, `budget.cap.${cap.scope}`)
+    });
+    // The notice itself may be the one last billed call when there is no free voice
+    speak(state, text, userId, { kind: 'system', provider: ECONOMY_TTS_PROVIDER || TTS_PROVIDER }).catch((err) => {
+      log.error('budget_notice_failed', { err });
+    });
+  }
+
+  // An explicit voice (/say) wins over the user's preferred one, which wins over the channel's
+  function ttsOptionsFor(state, text, userId, { voice, provider, turn }) {
+    const prefs = prefsFor(userId);
+    const options = {
+      voice: voice || prefs.voice || state.settings.ttsVoice,
+      model: state.settings.ttsModel,
+      speed: prefs.speed || 1,
+      provider: provider || turn?.economy?.ttsProvider || TTS_PROVIDER
+    };
+    return { ...options, cacheKey: ttsCache?.keyFor({ ...options, text }) || null, signal: turn?.signal };
+  }
+
+  // TTS with the turn's budget decision applied; billed characters go to the usage ledger.
+  // Cache hits come back as { pcm } and cost nothing; misses carry `cacheKey` so playAudio can
+  // store the transcoded result.
+  async function synthesizeFor(state, text, userId, options) {
+    const { cacheKey, ...tts } = ttsOptionsFor(state, text, userId, options);
+    if (cacheKey) {
+      const pcm = await ttsCache.get(cacheKey);
+      ttsCacheLookups.inc({ result: pcm ? 'hit' : 'miss' });
+      if (pcm) return { pcm };
+    }
+
+    const audio = await synthesize(text, userId, tts);
+    if (audio) {
+      const chars = Math.min(String(text || '').length, TTS_MAX_CHARS);
+      usage?.record({ kind: 'tts', provider: tts.provider, userId, guildId: state.guildId, chars });
+      audio.cacheKey = cacheKey;
+    }
+    return audio;
+  }
+
+  // Synthesizes `phrases` into the TTS cache in the session's voice, so even their first use is
+  // instant. Skipped over a budget cap; needs ffmpeg.
+  async function prewarm(state, phrases = prewarmPhrases(state.settings.locale)) {
+    if (!ttsCache || usage?.exceeded()) return;
+    let added = 0;
+    for (const text of phrases) {
+      const { cacheKey } = ttsOptionsFor(state, text, 'system', {});
+      if (!cacheKey || ttsCache.has(cacheKey)) continue;
+      try {
+        const audio = await synthesizeFor(state, text, 'system', {});
+        if (!audio) continue;
+        const pcm = audio.pcm || (await transcodeToPcm(audio));
+        if (audio.file) unlink(audio.file).catch(() => {});
+        await ttsCache.put(cacheKey, pcm);
+        added += 1;
+      } catch (err) {
+        log.warn('tts_prewarm_failed', { guildId: state.guildId, text, err });
+        return;
+      }
+    }
+    if (added) logEvent('tts_prewarmed', { guildId: state.guildId, added, ...ttsCache.stats() });
+  }
+
+  // kind: 'chat', or 'summary' for the bridge's memory summaries (see src/bridge-client.js)
+  function recordChatUsage(recording, u, kind) {
+    usage?.record({
+      kind,
+      provider: u.backend,
+      model: u.model,
+      userId: recording.userId,
+      guildId: recording.guildId,
+      inputTokens: u.inputTokens,
+      outputTokens: u.outputTokens,
+      economy: u.economy || undefined
+    });
+  }
+
+  // Everyone's utterances (addressed to the bot or not) and the bot's replies, for group conversations.
+  // Kept in per-user mode too, so switching to group mode has context right away.
+  function rememberLine(state, { userId, text, bot = false, turnId }) {
+    const at = Date.now();
+    const name = bot ? '' : memberName(state, userId);
+    const cutoff = at - GROUP_CONTEXT_MINUTES * 60_000;
+    state.recent = [...state.recent, { userId, name, text, bot, turnId, at }]
+      .filter((line) => line.at >= cutoff)
+      .slice(-GROUP_CONTEXT_LINES);
+  }
+
+  function memberName(state, userId, members = channelMembers(state)) {
+    return members.find((m) => m.id === userId)?.name || String(userId);
+  }
+
+  // Group mode: the speaker's display name, who is in the channel and what was said there lately (the
+  // turn's own utterance is the request's `text`)
+  function groupFields(state, userId, turn) {
+    const members = channelMembers(state);
+    const cutoff = Date.now() - GROUP_CONTEXT_MINUTES * 60_000;
+    return {
+      conversation: 'group',
+      speakerName: memberName(state, userId, members),
+      present: members.map((m) => m.name),
+      recent: state.recent
+        .filter((line) => line.at >= cutoff && (!turn || line.turnId !== turn.id))
+        .map(({ name, text, bot }) => (bot ? { bot, text } : { name, text }))
+    };
+  }
+
+  function bridgePayload(text, recording, state, turn) {
+    const { settings } = state;
+    const prefs = prefsFor(recording.userId);
+    return {
+      text,
+      turnId: turn?.id,
+      userId: recording.userId,
+      roleIds: memberRoleIds(recording.guildId, recording.userId),
+      guildId: recording.guildId,
+      channelId: recording.channelId,
+      // Per-channel agent/persona (bridge falls back to its own defaults when empty)
+      agentId: settings.bridge.agentId || undefined,
+      persona: settings.persona || undefined,
+      // Over budget: the bridge switches to its cheaper model
+      economy: turn?.economy ? true : undefined,
+      // Language of the bridge's own wording and default reply language
+      locale: settings.locale || undefined,
+      // The user's preferences: reply language ('auto' = the language they spoke) and length
+      language: prefs.language || undefined,
+      answerLength: prefs.answers || undefined,
+      ...(state.conversation === 'group' ? groupFields(state, recording.userId, turn) : {})
+    };
+  }
+
+  function askOpenClaw(text, recording, state, turn) {
+    return askBridge(state.settings.bridge.endpoint, bridgePayload(text, recording, state, turn), {
+      correlationId: turn?.id,
+      signal: turn?.signal,
+      onUsage: (u, kind) => recordChatUsage(recording, u, kind),
+      onActions: (actions) => turn && (turn.actions = actions),
+      onError: (error) => turn && (turn.bridgeError = error)
+    });
+  }
+
+  // Returns the full reply, or null when the stream endpoint is unavailable (caller falls back to askOpenClaw).
+  // A bridge error's reply is streamed too, after onError.
+  function askOpenClawStream(text, recording, state, turn, onDelta, onError) {
+    const { bridge } = state.settings;
+    const endpoint = bridge.streamEndpoint || `${bridge.endpoint}/stream`;
+    return askBridgeStream(endpoint, bridgePayload(text, recording, state, turn), {
+      correlationId: turn?.id,
+      signal: turn?.signal,
+      onDelta,
+      onError,
+      onUsage: (u, kind) => recordChatUsage(recording, u, kind),
+      onActions: (actions) => turn && (turn.actions = actions)
+    });
+  }
+
+  // Queues `text` on the guild's speech queue. Returns the queue item (`await item.done` to wait
+  // until it was played or dropped), or null when rate limited or over budget.
+  async function speak(state, text, userId, { voice, kind = 'reply', turn = null, provider } = {}) {
+    // Voice turns carry their own budget decision; !say and friends are checked here
+    const budget = turn || kind === 'system' ? null : budgetFor(state, userId);
+    if (budget?.blocked || turn?.signal.aborted) return null;
+
+    if (isRateLimited(userId || 'unknown', 'tts', state.settings.rateLimit)) {
+      logEvent('rate_limited_tts', {
+        userId: userId || 'unknown'
+      });
+      return null;
+    }
+
+    logEvent('tts_request', {
+      turnId: turn?.id,
+      userId: userId || 'unknown',
+      guildId: state.guildId,
+      channelId: state.channelId
+    });
+
+    logEvent('speak_begin', { userId: userId || 'unknown', kind });
+
+    const item = createSpeechItem({ kind, userId: userId || 'unknown', label: String(text || '').slice(0, 40), turn });
+    const ttsOptions = { voice, provider: provider || budget?.ttsProvider, turn };
+    item.push(
+      timed(turn, 'tts', () => synthesizeFor(state, text, userId, ttsOptions)).catch((err) => {
+        if (!turn?.signal.aborted) log.error('tts_failed', { userId, err });
+        return null;
+      })
+    );
+    item.close();
+    return state.queue.enqueue(item);
+  }
+
+  async function playQueuedSegment(state, audio, item) {
+    if (!(await ensureVoiceReady(state, item.userId))) return;
+    if (play) {
+      play(state, audio, item);
+      markFirstAudio(item.turn);
+    } else {
+      playAudio(state, audio, item.userId, item.turn);
+    }
+    await waitForPlaybackEnd(state);
+  }
+
+  function stopPlayback(state) {
+    try {
+      state.player.stop(true);
+    } catch {}
+    // Kill current transcoder if any to avoid EPIPE / dangling processes
+    if (state.currentPlayback) {
+      try {
+        state.currentPlayback.kill('SIGKILL');
+      } catch {}
+      state.currentPlayback = null;
+    }
+  }
+
+  // Ensure voice connection is ready before attempting playback
+  async function ensureVoiceReady(state, userId) {
+    try {
+      await entersState(state.connection, VoiceConnectionStatus.Ready, 30_000);
+      logEvent('voice_ready_ok', { userId: userId || 'unknown' });
+      return true;
+    } catch (err) {
+      log.error('voice_ready_fail', { userId: userId || 'unknown', err });
+      return false;
+    }
+  }
+
+  // Transcode synthesized audio -> raw PCM and play (discordjs/voice will opus-encode)
+  function playAudio(state, audio, userId, turn = null) {
+    // Cached PCM is already in the player's format
+    if (audio.pcm) {
+      state.player.play(createAudioResource(Readable.from([audio.pcm]), { inputType: StreamType.Raw }));
+      markFirstAudio(turn);
+      logEvent('player_play', { userId: userId || 'unknown', cached: true });
+      return;
+    }
+
+    const spawnedAt = Date.now();
+    const ffmpeg = spawn(
+      'ffmpeg',
+      [
+        '-hide_banner',
+        '-loglevel',
+        'error',
+        '-i',
+        audio.file || 'pipe:0',
+        '-f',
+        's16le',
+        '-ar',
+        '48000',
+        '-ac',
+        '2',
+        'pipe:1'
+      ],
+      { stdio: [audio.file ? 'ignore' : 'pipe', 'pipe', 'pipe'] }
+    );
+
+    // Track active transcoder so barge-in can kill it safely
+    state.currentPlayback = ffmpeg;
+
+    let ffErr = '';
+    ffmpeg.stderr.on('data', (d) => (ffErr += d.toString()));
+    ffmpeg.stdin?.on('error', (err) => {
+      // Expected when we barge-in and kill ffmpeg mid-write
+      if (err?.code === 'EPIPE') return;
+      log.error('ffmpeg_stdin_error', { err });
+    });
+    ffmpeg.stdout.on('error', (err) => {
+      log.error('ffmpeg_stdout_error', { err });
+    });
+    // First PCM out of the transcoder is when the reply becomes audible
+    ffmpeg.stdout.once('data', () => {
+      recordStage(turn, 'transcode', Date.now() - spawnedAt);
+      markFirstAudio(turn);
+    });
+
+    // Keep a copy for the TTS cache; only a complete transcode is stored
+    const pcmChunks = ttsCache && audio.cacheKey ? [] : null;
+    if (pcmChunks) {
+      ffmpeg.stdout.on('data', (d) => pcmChunks.push(d));
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) return;
+        ttsCache
+          .put(audio.cacheKey, Buffer.concat(pcmChunks))
+          .catch((err) => log.error('tts_cache_put_failed', { key: audio.cacheKey, err }));
+      });
+    }
+
+    ffmpeg.on('exit', (code) => {
+      if (state.currentPlayback === ffmpeg) state.currentPlayback = null;
+      if (code && code !== 0) {
+        log.error('ffmpeg_failed', { code, stderr: ffErr.slice(0, 500) });
+      } else {
+        logEvent('ffmpeg_ok', { userId: userId || 'unknown' });
+      }
+    });
+
+    if (audio.input) ffmpeg.stdin.end(audio.input);
+
+    const resource = createAudioResource(ffmpeg.stdout, { inputType: StreamType.Raw });
+    state.player.play(resource);
+    logEvent('player_play', { userId: userId || 'unknown' });
+
+    if (audio.file) {
+      // Cleanup temp wav a bit later
+      setTimeout(() => {
+        unlink(audio.file).catch(() => {});
+      }, 30_000);
+    }
+  }
+
+  // Sentence-by-sentence playback for streamed replies: the reply is one queue item, each
+  // sentence is synthesized as soon as it arrives and played after the previous one finishes.
+  // Rate limiting counts the whole reply as one TTS call.
+  function createSpeechStream(state, userId, turn = null) {
+    const item = createSpeechItem({ kind: 'reply', userId: userId || 'unknown', label: 'streamed reply', turn });
+    let started = false;
+    let enqueued = false;
+
+    return {
+      push(sentence) {
+        const text = cleanForSpeech(sentence);
+        if (item.cancelled || turn?.signal.aborted || !text) return;
+
+        if (!started) {
+          started = true;
+          if (isRateLimited(userId || 'unknown', 'tts', state.settings.rateLimit)) {
+            logEvent('rate_limited_tts', { userId: userId || 'unknown' });
+            item.cancel();
+            return;
+          }
+          logEvent('tts_request', {
+            turnId: turn?.id,
+            userId: userId || 'unknown',
+            guildId: state.guildId,
+            channelId: state.channelId,
+            streamed: true
+          });
+          state.queue.enqueue(item);
+          enqueued = true;
+        }
+
+        logEvent('speak_sentence', { userId: userId || 'unknown', textLen: text.length });
+        // Start synthesis right away; the queue only serializes playback.
+        item.push(
+          timed(turn, 'tts', () => synthesizeFor(state, text, userId, { turn })).catch((err) => {
+            if (!turn?.signal.aborted) log.error('tts_failed', { userId, streamed: true, err });
+            return null;
+          })
+        );
+      },
+      cancel() {
+        item.cancel();
+      },
+      async finished() {
+        item.close();
+        if (enqueued) await item.done;
+      }
+    };
+  }
+
+  async function waitForPlaybackEnd(state) {
+    try {
+      await entersState(state.player, AudioPlayerStatus.Idle, 120_000);
+    } catch {}
+  }
+
+  function isRateLimited(userId, kind, limits = DEFAULT_RATE_LIMIT) {
+    const now = Date.now();
+    const entry = rateLimits.get(userId) || {
+      windowStart: now,
+      sttCount: 0,
+      ttsCount: 0
+    };
+
+    if (now - entry.windowStart >= limits.windowMs) {
+      entry.windowStart = now;
+      entry.sttCount = 0;
+      entry.ttsCount = 0;
+    }
+
+    if (kind === 'stt') {
+      if (entry.sttCount >= limits.sttMax) {
+        rateLimits.set(userId, entry);
+        rateLimitHits.inc({ kind });
+        return true;
+      }
+      entry.sttCount += 1;
+    }
+
+    if (kind === 'tts') {
+      if (entry.ttsCount >= limits.ttsMax) {
+        rateLimits.set(userId, entry);
+        rateLimitHits.inc({ kind });
+        return true;
+      }
+      entry.ttsCount += 1;
+    }
+
+    rateLimits.set(userId, entry);
+    return false;
+  }
+
+  return { createSession, startRecording, cleanupRecording, speak, stopPlayback, prewarm };
+}
+
+function matchVoiceCommand(text, { reminders = false } = {}) {
+  const t = String(text || '').trim();
+  if (VOICE_SKIP_RE.test(t)) return 'skip';
+  if (VOICE_CLEAR_RE.test(t)) return 'clear';
+  if (reminders && VOICE_REMINDERS_RE.test(t)) return 'reminders';
+  if (reminders && VOICE_REMINDER_CANCEL_RE.test(t)) return 'cancel_reminder';
+  return '';
+}
+
+function bytesToMs(bytes) {
+  const bytesPerSecond = 48000 * 2 * 2;
+  return Math.round((bytes / bytesPerSecond) * 1000);
+}
+
+// Emits complete sentences from incrementally written text.
+function createSentenceSplitter(onSentence) {
+  let buf = '';
+  return {
+    write(delta) {
+      buf += delta;
+      let m;
+      while ((m = SENTENCE_END.exec(buf))) {
+        const end = m.index + m[0].length;
+        if (end < STREAM_MIN_SENTENCE_CHARS) {
+          // Too short to be worth a TTS call on its own; merge with the next sentence.
+          const next = buf.slice(end);
+          const more = SENTENCE_END.exec(next);
+          if (!more) break;
+          onSentence(buf.slice(0, end + more.index + more[0].length));
+          buf = next.slice(more.index + more[0].length);
+          continue;
+        }
+        onSentence(buf.slice(0, end));
+        buf = buf.slice(end);
+      }
+    },
+    flush() {
+      if (buf.trim()) onSentence(buf);
+      buf = '';
+    }
+  };
+}
+
+function cleanForSpeech(text) {
+  // Remove common markdown that sounds awful in TTS
+  return String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*]+)\*/g, '$1')
+    .replace(/_([^_]+)_/g, '$1')
+    .replace(/\[(.*?)\]\((.*?)\)/g, '$1')
+    .replace(/<([^>]+)>/g, '$1')
+    .replace(/#+\s*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function logEvent(event, data) {
+  log.info(event, data);
+}
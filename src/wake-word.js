@@ -0,0 +1,59 @@
+// Fuzzy wake-phrase matching on STT transcripts ("Niko", "ehi Niko", "Nico, ...").
+
+export function normalizeWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// Returns { matched, phrase, rest } where `rest` is the transcript with the wake phrase removed.
+// `maxDistance` is the edit distance allowed per 4 characters of phrase (at least 1).
+export function matchWakePhrase(text, phrases, { maxDistance = 1 } = {}) {
+  const raw = String(text || '').trim();
+  const words = normalizeWords(raw);
+
+  // Longest phrases first so "ehi niko" wins over "niko"
+  const candidates = phrases
+    .map((p) => normalizeWords(p))
+    .filter((p) => p.length)
+    .sort((a, b) => b.length - a.length);
+
+  for (const phrase of candidates) {
+    if (words.length < phrase.length) continue;
+    const heard = words.slice(0, phrase.length).join(' ');
+    const target = phrase.join(' ');
+    const allowed = Math.max(1, Math.floor(target.length / 4)) * maxDistance;
+    if (levenshtein(heard, target) > allowed) continue;
+
+    return { matched: true, phrase: target, rest: stripLeadingWords(raw, phrase.length) };
+  }
+
+  return { matched: false, phrase: '', rest: raw };
+}
+
+// Drop the first `count` words of the original text (keeping its casing/punctuation for the rest).
+function stripLeadingWords(text, count) {
+  let rest = text;
+  for (let i = 0; i < count; i++) {
+    rest = rest.replace(/^[^\p{L}\p{N}]*[\p{L}\p{N}]+/u, '');
+  }
+  return rest.replace(/^[\s,.;:!?-]+/, '').trim();
+}
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, renameSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { loadAccessPolicy } from '../src/access-policy.js';
+import { configureLogger } from '../src/logger.js';
+import { waitFor } from './helpers/fake-voice.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const dir = mkdtempSync(join(tmpdir(), 'access-policy-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('access policy', () => {
+  test('reloads after a save that renames a new file over the policy', async () => {
+    const file = join(dir, 'access-policy.json');
+    const write = (target, users) => writeFileSync(target, JSON.stringify({ admins: [], users, roles: [], deny: [] }));
+    write(file, ['1']);
+    const access = loadAccessPolicy(file);
+    const watcher = access.watch();
+    after(() => watcher?.close());
+    assert.equal(access.isAllowed({ userId: '2' }), false);
+
+    // Twice: a watch on the file itself would already miss the second one
+    for (const userId of ['2', '3']) {
+      write(`${file}.tmp`, ['1', userId]);
+      renameSync(`${file}.tmp`, file);
+      await waitFor(() => access.isAllowed({ userId }), { message: `user ${userId} allowed` });
+    }
+    assert.equal(access.isAllowed({ userId: '2' }), false);
+  });
+});
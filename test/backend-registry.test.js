@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { describe, test } from 'node:test';
+import { cancelledError, createBackendRegistry, loadBackends } from '../bridge/backend-registry.js';
+import { maxTokens } from '../bridge/prompts.js';
+import { configureLogger } from '../src/logger.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const BACKENDS_DIR = fileURLToPath(new URL('../bridge/backends', import.meta.url));
+
+const answers = (name, reply, extra = {}) => ({ name, generate: async () => ({ reply }), ...extra });
+const fails = (name) => ({
+  name,
+  generate: async () => {
+    throw new Error(`${name} is down`);
+  }
+});
+// Never answers, but stops when aborted
+const hangs = (name, timeoutMs) => ({
+  name,
+  timeoutMs,
+  generate: ({ signal }) =>
+    new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+});
+
+describe('backend registry', () => {
+  test('loads the bundled backends', async () => {
+    const names = (await loadBackends(BACKENDS_DIR)).map((b) => b.name);
+    assert.deepEqual(names, ['local', 'openai', 'openclaw']);
+  });
+
+  test('rejects a chain naming an unknown backend', () => {
+    assert.throws(
+      () => createBackendRegistry([answers('a', 'x')], { chain: ['a', 'nope'] }),
+      /Unknown bridge backend: nope \(available: a\)/
+    );
+    assert.throws(() => createBackendRegistry([answers('a', 'x')], { chain: [] }), /No bridge backend/);
+  });
+
+  test('answers with the first backend and tags its usage', async () => {
+    const usage = { model: 'm', inputTokens: 3, outputTokens: 2 };
+    const registry = createBackendRegistry(
+      [answers('a', 'from a', { generate: async () => ({ reply: 'from a', usage }) }), answers('b', 'from b')],
+      { chain: ['a', 'b'] }
+    );
+    assert.deepEqual(await registry.generate({ message: 'hi' }), {
+      reply: 'from a',
+      backend: 'a',
+      usage: { backend: 'a', ...usage }
+    });
+    assert.equal(registry.memory, false);
+  });
+
+  test('falls back to the next backend on errors and timeouts', async () => {
+    const attempts = [];
+    const registry = createBackendRegistry([fails('a'), hangs('b', 30), answers('c', 'from c', { memory: true })], {
+      chain: ['a', 'b', 'c']
+    });
+    const result = await registry.generate(
+      { message: 'hi' },
+      { onAttempt: ({ backend, outcome }) => attempts.push(`${backend}:${outcome}`) }
+    );
+
+    assert.equal(result.reply, 'from c');
+    assert.deepEqual(attempts, ['a:error', 'b:timeout', 'c:ok']);
+    assert.equal(registry.memory, true);
+  });
+
+  test('with fallbackOn timeout, errors are not retried elsewhere', async () => {
+    const registry = createBackendRegistry([fails('a'), answers('b', 'from b')], {
+      chain: ['a', 'b'],
+      fallbackOn: 'timeout'
+    });
+    await assert.rejects(registry.generate({ message: 'hi' }), /a is down/);
+
+    const slow = createBackendRegistry([hangs('a', 30), answers('b', 'from b')], {
+      chain: ['a', 'b'],
+      fallbackOn: 'timeout'
+    });
+    assert.equal((await slow.generate({ message: 'hi' })).reply, 'from b');
+  });
+
+  test('a cancelled request stops its backend and tries nothing else', async () => {
+    const attempts = [];
+    const registry = createBackendRegistry([hangs('a', 0), answers('b', 'from b')], { chain: ['a', 'b'] });
+    const controller = new AbortController();
+    const pending = registry.generate(
+      { message: 'hi', signal: controller.signal },
+      { onAttempt: ({ backend, outcome }) => attempts.push(`${backend}:${outcome}`) }
+    );
+    controller.abort(cancelledError('barge-in'));
+
+    await assert.rejects(pending, { code: 'CANCELLED', message: 'turn cancelled (barge-in)' });
+    assert.deepEqual(attempts, ['a:cancelled']);
+  });
+
+  test('a backend that already streamed text is not replaced', async () => {
+    const deltas = [];
+    const halfway = {
+      name: 'a',
+      generate: async ({ onDelta }) => {
+        onDelta('Half a ');
+        throw new Error('connection reset');
+      }
+    };
+    const registry = createBackendRegistry([halfway, answers('b', 'from b')], { chain: ['a', 'b'] });
+
+    await assert.rejects(
+      registry.generate({ message: 'hi', onDelta: (text, backend) => deltas.push(`${backend}:${text}`) }),
+      /connection reset/
+    );
+    assert.deepEqual(deltas, ['a:Half a ']);
+  });
+});
+
+test('maxTokens scales a backend budget by answer length', () => {
+  assert.equal(maxTokens(220, {}), 220);
+  assert.equal(maxTokens(220, { answerLength: 'short' }), 120);
+  assert.equal(maxTokens(220, { economy: true, answerLength: 'long' }), 120);
+  assert.equal(maxTokens(220, { answerLength: 'long' }), 450);
+  assert.equal(maxTokens(440, {}), 440);
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { authHeaders, createRequestVerifier, signRequest } from '../src/bridge-auth.js';
+
+const NOW = Date.parse('2026-03-07T08:05:00Z');
+const BODY = JSON.stringify({ text: 'ciao', userId: '100' });
+const RESPOND = { method: 'POST', path: '/respond', body: BODY };
+
+function request(headers, { method, path, body } = RESPOND) {
+  return {
+    timestamp: headers['X-Bridge-Timestamp'],
+    signature: headers['X-Bridge-Signature'],
+    authorization: headers.Authorization,
+    method,
+    path,
+    body
+  };
+}
+
+describe('bridge authentication', () => {
+  test('signs the timestamp, the method, the path and the body', () => {
+    const headers = authHeaders(RESPOND, { secret: 's', now: NOW });
+    assert.equal(headers['X-Bridge-Timestamp'], String(NOW / 1000));
+    assert.equal(headers['X-Bridge-Signature'], signRequest(RESPOND, { secret: 's', timestamp: NOW / 1000 }));
+    assert.match(headers['X-Bridge-Signature'], /^sha256=[0-9a-f]{64}$/);
+    assert.notEqual(
+      headers['X-Bridge-Signature'],
+      signRequest({ ...RESPOND, path: '/cancel' }, { secret: 's', timestamp: NOW / 1000 })
+    );
+    assert.deepEqual(authHeaders(RESPOND, { secret: '', token: 't' }), { Authorization: 'Bearer t' });
+    assert.deepEqual(authHeaders(RESPOND, { secret: '', token: '' }), {});
+  });
+
+  test('verifies signatures within the window, once', () => {
+    let now = NOW;
+    const verify = createRequestVerifier({ secret: 's', token: '', windowSeconds: 300, now: () => now });
+    const headers = authHeaders(RESPOND, { secret: 's', now: NOW });
+
+    assert.equal(verify.enabled, true);
+    assert.equal(verify(request(headers)), '');
+    assert.equal(verify(request(headers)), 'replayed');
+    const later = authHeaders(RESPOND, { secret: 's', now: NOW + 1000 });
+    assert.equal(verify(request(later, { ...RESPOND, body: '{}' })), 'bad_signature');
+    assert.equal(verify(request(authHeaders(RESPOND, { secret: 'x', now: NOW + 1000 }))), 'bad_signature');
+    assert.equal(verify(request({})), 'missing');
+
+    now = NOW + 301 * 1000;
+    assert.equal(verify(request(headers)), 'stale');
+    assert.equal(verify(request(authHeaders(RESPOND, { secret: 's', now: NOW + 400 * 1000 }))), '');
+  });
+
+  test('a signature is only good for the endpoint it was made for', () => {
+    const verify = createRequestVerifier({ secret: 's', token: '', now: () => NOW });
+    const headers = authHeaders(RESPOND, { secret: 's', now: NOW });
+
+    assert.equal(verify(request(headers, { ...RESPOND, path: '/respond/stream' })), 'bad_signature');
+    assert.equal(verify(request(headers, { ...RESPOND, path: '/respond?x=1' })), 'bad_signature');
+    assert.equal(verify(request(headers, { ...RESPOND, method: 'PUT' })), 'bad_signature');
+    assert.equal(verify(request(headers)), '');
+  });
+
+  test('accepts the bearer token when one is configured', () => {
+    const verify = createRequestVerifier({ secret: 's', token: 't' });
+    assert.equal(verify({ authorization: 'Bearer t' }), '');
+    assert.equal(verify({ authorization: 'Bearer nope' }), 'bad_token');
+
+    const tokenOnly = createRequestVerifier({ secret: '', token: 't' });
+    assert.equal(tokenOnly({ authorization: 'bearer t' }), '');
+    assert.equal(tokenOnly(request(authHeaders(RESPOND, { secret: 's' }))), 'missing');
+  });
+
+  test('the metrics token only opens GET /metrics', () => {
+    const verify = createRequestVerifier({ secret: 's', token: '', metricsToken: 'm' });
+    const scrape = { authorization: 'Bearer m', method: 'GET' };
+    assert.equal(verify({ ...scrape, path: '/metrics' }), '');
+    assert.equal(verify({ ...scrape, path: '/metrics?name[]=x' }), '');
+    assert.equal(verify({ ...scrape, authorization: 'Bearer nope', path: '/metrics' }), 'bad_token');
+    assert.equal(verify({ ...scrape, path: '/respond' }), 'missing');
+    assert.equal(verify({ ...scrape, method: 'POST', path: '/metrics' }), 'missing');
+  });
+
+  test('is off without a secret or a token', () => {
+    assert.equal(createRequestVerifier({ secret: '', token: '' }).enabled, false);
+  });
+});
@@ -0,0 +1,205 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, before, describe, test } from 'node:test';
+import { createSkillRegistry, loadSkills } from '../bridge/skill-registry.js';
+import { evaluate } from '../bridge/skills/calculator.js';
+import { convert } from '../bridge/skills/units.js';
+import { configureLogger } from '../src/logger.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const SKILLS_DIR = fileURLToPath(new URL('../bridge/skills', import.meta.url));
+const NOW = new Date('2026-03-07T08:05:00Z');
+
+describe('skill registry', () => {
+  test('matches regexes and keyword intents, trying the request locale first', async () => {
+    const registry = createSkillRegistry([
+      {
+        name: 'greet',
+        matchers: { it: [/^ciao\b/i], en: ['hello there'] },
+        handle: ({ locale, match }) => `${locale}:${typeof match === 'string' ? match : match[0]}`
+      }
+    ]);
+
+    assert.deepEqual(registry.names, ['greet']);
+    assert.equal((await registry.match('Ciao a tutti', { locale: 'en' })).reply, 'it:Ciao');
+    // Keyword intents ignore order, case and punctuation
+    assert.equal((await registry.match('There, HELLO!', { locale: 'it' })).reply, 'en:hello there');
+    assert.equal(await registry.match('buongiorno', { locale: 'it' }), null);
+  });
+
+  test('passes actions along with the reply', async () => {
+    const registry = createSkillRegistry([
+      {
+        name: 'lamp',
+        matchers: { en: [/lamp/] },
+        handle: () => ({ reply: 'Done.', actions: [{ type: 'lamp', on: true }] })
+      },
+      { name: 'plain', matchers: { en: [/plain/] }, handle: () => ({ reply: 'Plain.', actions: [] }) }
+    ]);
+
+    const hit = await registry.match('lamp on', { locale: 'en' });
+    assert.equal(hit.reply, 'Done.');
+    assert.deepEqual(hit.actions, [{ type: 'lamp', on: true }]);
+    assert.equal('actions' in (await registry.match('plain', { locale: 'en' })), false);
+  });
+
+  test('falls through skills that decline or throw', async () => {
+    const registry = createSkillRegistry([
+      {
+        name: 'broken',
+        matchers: { en: [/x/] },
+        handle: () => {
+          throw new Error('boom');
+        }
+      },
+      { name: 'shy', matchers: { en: [/x/] }, handle: () => '' },
+      { name: 'last', matchers: { en: [/x/] }, handle: async () => 'done' }
+    ]);
+    const hit = await registry.match('x', { locale: 'en' });
+    assert.equal(hit.skill.name, 'last');
+    assert.equal(hit.reply, 'done');
+  });
+
+  describe('loading', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'skills-'));
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    test('skips invalid and disabled skills', async () => {
+      writeFileSync(join(dir, 'a.js'), "export default { name: 'a', matchers: { en: [/a/] }, handle: () => 'A' };\n");
+      writeFileSync(join(dir, 'b.js'), "export default { name: 'b', matchers: { en: [/b/] }, handle: () => 'B' };\n");
+      writeFileSync(join(dir, 'broken.js'), 'export default {};\n');
+      writeFileSync(join(dir, 'notes.txt'), 'not a skill\n');
+
+      const skills = await loadSkills(dir, { disabled: ['b'] });
+      assert.deepEqual(skills.map((s) => s.name), ['a']);
+      assert.deepEqual(await loadSkills(join(dir, 'missing')), []);
+    });
+  });
+});
+
+describe('built-in skills', () => {
+  let registry;
+  before(async () => {
+    registry = createSkillRegistry(await loadSkills(SKILLS_DIR));
+  });
+
+  const reply = async (text, locale, context = {}) =>
+    (await registry.match(text, { locale, timeZone: 'Europe/Rome', now: NOW, ...context }))?.reply;
+
+  test('time and date', async () => {
+    assert.equal(await reply('che ore sono?', 'it'), 'Sono le 09:05.');
+    assert.equal(await reply('What time is it?', 'it'), "It's 09:05.");
+    assert.equal(await reply('che giorno è oggi?', 'it'), 'Oggi è sabato 7 marzo 2026.');
+    assert.equal(await reply("what's the date", 'en'), 'Today is Saturday, March 7, 2026.');
+  });
+
+  test('calculator', async () => {
+    assert.equal(await reply('quanto fa 3 più 4 per 2?', 'it'), 'Fa 11.');
+    assert.equal(await reply('quanto fa 2,5 x 2', 'it'), 'Fa 5.');
+    assert.equal(await reply('What is (2 + 3) times 4?', 'en'), "That's 20.");
+    assert.equal(await reply('calcola 10 diviso 0', 'it'), 'Non si può dividere per zero.');
+    // Not arithmetic: left to the backend
+    assert.equal(await reply('what is love', 'en'), undefined);
+    assert.equal(await reply('quanto fa freddo a Milano', 'it'), undefined);
+
+    assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+    assert.equal(evaluate('-(1 + 2) * 3'), -9);
+    assert.ok(Number.isNaN(evaluate('2 + ')));
+    assert.ok(Number.isNaN(evaluate('(1 + 2')));
+  });
+
+  test('dice and coin', async () => {
+    const random = () => 0.5;
+    assert.equal(await reply('lancia un dado', 'it', { random }), 'È uscito 4.');
+    assert.equal(await reply('tira due dadi da 10', 'it', { random }), 'Sono usciti 6 e 6: totale 12.');
+    assert.equal(await reply('roll 3d6', 'en', { random }), 'You rolled 4, 4, and 4, 12 in total.');
+    assert.equal(await reply('roll a d20', 'en', { random: () => 0.99 }), 'You rolled 20.');
+    assert.equal(await reply('roll 50 dice', 'en', { random }), undefined);
+
+    assert.equal(await reply('testa o croce?', 'it', { random: () => 0.1 }), 'Testa.');
+    assert.equal(await reply('Flip a coin!', 'en', { random: () => 0.9 }), 'Tails.');
+  });
+
+  test('unit conversion', async () => {
+    assert.equal(await reply('converti 10 km in miglia', 'it'), '10 chilometri sono 6,21 miglia.');
+    assert.equal(await reply('how many feet is 2 meters?', 'en'), '2 meters is 6.56 feet.');
+    assert.equal(await reply('30 °C in Fahrenheit', 'it'), '30 gradi Celsius sono 86 gradi Fahrenheit.');
+    assert.equal(await reply('what is 1 mile in km', 'en'), '1 mile is 1.61 kilometers.');
+    // Different dimensions, unknown units
+    assert.equal(await reply('5 km in chili', 'it'), undefined);
+    assert.equal(await reply('arrivo in 3 ore a casa', 'it'), undefined);
+
+    assert.equal(convert(212, 'f', 'c'), 100);
+    assert.ok(Number.isNaN(convert(1, 'kg', 'l')));
+  });
+
+  test('reminders and timers', async () => {
+    const match = (text, locale) => registry.match(text, { locale, timeZone: 'Europe/Rome', now: NOW });
+    const at = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000).toISOString();
+
+    assert.deepEqual(await match('ricordami tra dieci minuti di chiamare Marco', 'it').then((h) => h.actions), [
+      { type: 'reminder', kind: 'reminder', dueAt: at(10), text: 'chiamare Marco' }
+    ]);
+    const later = await match("Ricordami di spegnere il forno tra un'ora e mezza.", 'it');
+    assert.equal(later.reply, 'Va bene, te lo ricordo alle 10:35.');
+    assert.deepEqual(later.actions[0], {
+      type: 'reminder',
+      kind: 'reminder',
+      dueAt: at(90),
+      text: 'spegnere il forno'
+    });
+
+    // A time of day: "alle 8" is the next 8 o'clock, morning or evening
+    assert.equal((await match('ricordami alle 18:30 di chiamare la mamma', 'it')).actions[0].dueAt, at(565));
+    assert.equal((await match('ricordami alle 8 di uscire', 'it')).actions[0].dueAt, at(655));
+    const tomorrow = await match('remind me tomorrow at 9:15 am to pay the rent', 'en');
+    assert.equal(tomorrow.reply, "Okay, I'll remind you tomorrow at 9:15 AM.");
+    assert.deepEqual(tomorrow.actions[0], {
+      type: 'reminder',
+      kind: 'reminder',
+      dueAt: at(1450),
+      text: 'pay the rent'
+    });
+
+    const timer = await match('metti un timer di 5 minuti per la pasta', 'it');
+    assert.equal(timer.reply, 'Timer avviato: suona alle 9:10.');
+    assert.deepEqual(timer.actions[0], { type: 'reminder', kind: 'timer', dueAt: at(5), text: 'la pasta' });
+    assert.deepEqual((await match('set a timer for half an hour', 'en')).actions[0], {
+      type: 'reminder',
+      kind: 'timer',
+      dueAt: at(30),
+      text: ''
+    });
+
+    const tooFar = await reply('ricordami tra 40 giorni di pagare', 'it');
+    assert.equal(tooFar, 'Posso ricordarti le cose solo entro 30 giorni.');
+    // No time: a question for the backend
+    assert.equal(await reply('ricordami come si chiamava quel film', 'it'), undefined);
+  });
+
+  test('a locale with no catalog or words of its own gets English', async () => {
+    const skills = new Map((await loadSkills(SKILLS_DIR)).map((skill) => [skill.name, skill]));
+    // What the skill's English matcher would have found, handed over as another locale
+    const handle = (name, text, context = {}) => {
+      const skill = skills.get(name);
+      const match = skill.matchers.en.map((m) => text.match(m)).find(Boolean);
+      return skill.handle({ text, match, locale: 'fr', timeZone: 'Europe/Rome', now: NOW, ...context });
+    };
+
+    assert.equal(handle('units', 'what is 1 mile in km'), '1 mile is 1.61 kilometers.');
+    assert.equal(handle('calculator', 'what is 3 times 4'), "That's 12.");
+    assert.equal(handle('dice', 'roll two dice', { random: () => 0.5 }), 'You rolled 4 and 4, 8 in total.');
+    assert.equal(handle('reminder', 'remind me in 10 minutes to stretch').actions[0].text, 'stretch');
+    assert.equal(handle('time', 'what time is it'), "It's 09:05.");
+  });
+
+  test('what did I just say', async () => {
+    const history = ['ciao', 'accendi la luce'];
+    assert.equal(await reply('cosa ho appena detto?', 'it', { history }), 'Hai detto: "accendi la luce"');
+    assert.equal(await reply('What did I just say?', 'en', { history: [] }), "You haven't said anything yet.");
+  });
+});
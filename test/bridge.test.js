@@ -0,0 +1,602 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { authHeaders } from '../src/bridge-auth.js';
+import { askBridge, askBridgeStream } from '../src/bridge-client.js';
+import { ALLOWED_ROLE, ALLOWED_USERS, startBridge } from './helpers/bridge.js';
+import { waitFor } from './helpers/fake-voice.js';
+import { startMockOpenAI } from './helpers/mock-openai.js';
+
+// bridge/server.js over HTTP, with the fake `openclaw` CLI (test/helpers/bin) and the mock
+// OpenAI server (also standing in for Ollama and llama.cpp) as backends.
+
+const USER = ALLOWED_USERS[0];
+
+function post(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+// -> { deltas: [...], last: {type:'done'|'error', reply} }
+async function readStream(res) {
+  const events = (await res.text())
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+  return { deltas: events.filter((e) => e.type === 'delta').map((e) => e.text), last: events.at(-1) };
+}
+
+function openclawCalls(bridge) {
+  try {
+    return readFileSync(bridge.openclawLog, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+describe('bridge with the openclaw backend', () => {
+  let bridge;
+
+  before(async () => {
+    bridge = await startBridge({ BRIDGE_BACKEND: 'openclaw', OPENCLAW_SESSION_KEY: 'agent:main:test' });
+  });
+  after(() => bridge?.stop());
+
+  test('/respond returns the agent reply and echoes the correlation id', async () => {
+    const res = await post(
+      `${bridge.url}/respond`,
+      { text: 'ciao bridge', userId: USER, guildId: 'g1', channelId: 'c1' },
+      { 'X-Correlation-Id': 'turn-abc.1' }
+    );
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-correlation-id'), 'turn-abc.1');
+    assert.deepEqual(await res.json(), { reply: 'Eco: ciao bridge' });
+
+    const prompt = openclawCalls(bridge).find((call) => call.prompt);
+    assert.equal(prompt.sessionKey, 'agent:main:test');
+    assert.match(prompt.prompt, /^\/think:low .*: ciao bridge$/s);
+  });
+
+  test('/respond sends a per-channel agent to its own session', async () => {
+    await post(`${bridge.url}/respond`, { text: 'chi sei', userId: USER, agentId: 'helper' });
+
+    assert.equal(openclawCalls(bridge).findLast((call) => call.prompt).sessionKey, 'agent:helper:main');
+  });
+
+  test('/respond/stream streams the agent message chunks as deltas', async () => {
+    const res = await post(`${bridge.url}/respond/stream`, { text: 'raccontami qualcosa', userId: USER });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/x-ndjson/);
+    const { deltas, last } = await readStream(res);
+    assert.ok(deltas.length > 1, 'more than one delta');
+    // Not the log lines the CLI prints in between
+    assert.equal(deltas.join('').trim(), 'Eco: raccontami qualcosa');
+    assert.deepEqual(last, { type: 'done', reply: 'Eco: raccontami qualcosa' });
+  });
+
+  test('rejects users outside the access policy', async () => {
+    const res = await post(`${bridge.url}/respond`, { text: 'ciao', userId: '999' });
+    assert.equal(res.status, 403);
+    assert.deepEqual(await res.json(), { reply: '' });
+
+    const stream = await post(`${bridge.url}/respond/stream`, { text: 'ciao', userId: '999' });
+    assert.equal(stream.status, 403);
+  });
+
+  test('ignores the roles an unauthenticated caller claims', async () => {
+    const res = await post(`${bridge.url}/respond`, { text: 'ciao', userId: '999', roleIds: [ALLOWED_ROLE] });
+    assert.equal(res.status, 403);
+  });
+
+  test('answers the time fast path without calling the agent', async () => {
+    const before = openclawCalls(bridge).length;
+    const res = await post(`${bridge.url}/respond`, { text: 'che ore sono?', userId: USER });
+
+    assert.match((await res.json()).reply, /^Sono le \d{2}:\d{2}\.$/);
+    assert.equal(openclawCalls(bridge).length, before);
+  });
+
+  test('answers time questions in the language they were asked in', async () => {
+    const english = await post(`${bridge.url}/respond`, { text: 'What time is it?', userId: USER, locale: 'en' });
+    assert.match((await english.json()).reply, /^It's \d{2}:\d{2}\.$/);
+
+    const italian = await post(`${bridge.url}/respond`, { text: 'che ore sono', userId: USER, locale: 'en' });
+    assert.match((await italian.json()).reply, /^Sono le \d{2}:\d{2}\.$/);
+  });
+
+  test("skills see the same user's earlier utterances in the channel", async () => {
+    const user = ALLOWED_USERS[4];
+    await post(`${bridge.url}/respond`, { text: 'accendi la luce', userId: user, channelId: 'c9' });
+    await post(`${bridge.url}/respond`, { text: 'spegni tutto', userId: ALLOWED_USERS[5], channelId: 'c9' });
+
+    for (let i = 0; i < 2; i++) {
+      const res = await post(`${bridge.url}/respond/stream`, { text: 'Cosa ho detto?', userId: user, channelId: 'c9' });
+      const { last } = await readStream(res);
+      assert.deepEqual(last, { type: 'done', reply: 'Hai detto: "accendi la luce"' });
+    }
+  });
+
+  test('reminders come back as actions for the bot', async () => {
+    const res = await post(`${bridge.url}/respond`, { text: 'ricordami tra 10 minuti di bere', userId: USER });
+    const json = await res.json();
+    assert.match(json.reply, /^Va bene, te lo ricordo alle \d{1,2}:\d{2}\.$/);
+    assert.equal(json.actions[0].type, 'reminder');
+    assert.equal(json.actions[0].text, 'bere');
+    assert.ok(Math.abs(Date.parse(json.actions[0].dueAt) - Date.now() - 10 * 60 * 1000) < 5000);
+
+    const body = { text: 'set a 5 minute timer', userId: USER, locale: 'en' };
+    const stream = await post(`${bridge.url}/respond/stream`, body);
+    const { last } = await readStream(stream);
+    assert.match(last.reply, /^Timer set, it goes off at /);
+    assert.equal(last.actions[0].kind, 'timer');
+  });
+
+  test("a failing agent is a 502 carrying OpenClaw's error and a speakable reply", async () => {
+    const res = await post(`${bridge.url}/respond`, { text: 'fallisci adesso', userId: USER });
+    assert.equal(res.status, 502);
+    assert.deepEqual(await res.json(), {
+      reply: "L'assistente non risponde in questo momento, riprova tra poco.",
+      error: { backend: 'openclaw', code: 'agent_failed', message: 'agent crashed' }
+    });
+
+    const stream = await post(`${bridge.url}/respond/stream`, { text: 'fallisci ancora', userId: USER });
+    const { last } = await readStream(stream);
+    assert.equal(last.type, 'error');
+    assert.deepEqual(last.error, { backend: 'openclaw', code: 'agent_failed', message: 'agent crashed' });
+
+    const english = await post(`${bridge.url}/respond`, { text: 'fallisci in English', userId: USER, locale: 'en-GB' });
+    assert.equal((await english.json()).reply, "The assistant isn't answering right now, try again in a moment.");
+  });
+
+  test("the bot client returns the error reply to speak and reports the backend's error", async () => {
+    const errors = [];
+    const reply = await askBridge(
+      `${bridge.url}/respond`,
+      { text: 'fallisci di nuovo', userId: USER },
+      { onError: (e) => errors.push(e) }
+    );
+    assert.equal(reply, "L'assistente non risponde in questo momento, riprova tra poco.");
+    assert.deepEqual(errors, [
+      { status: 502, error: { backend: 'openclaw', code: 'agent_failed', message: 'agent crashed' } }
+    ]);
+  });
+
+  test('the stream client speaks the reply of an error event', async () => {
+    const events = [];
+    const reply = await askBridgeStream(
+      `${bridge.url}/respond/stream`,
+      { text: 'fallisci in diretta', userId: USER },
+      { onDelta: (text) => events.push(`delta:${text}`), onError: (e) => events.push(`error:${e.error.code}`) }
+    );
+    assert.equal(reply, "L'assistente non risponde in questo momento, riprova tra poco.");
+    assert.deepEqual(events, ['error:agent_failed', `delta:${reply}`]);
+  });
+
+  test('turns go to one long-lived worker, reported by /health', async () => {
+    const before = (await (await fetch(`${bridge.url}/health`)).json()).backends.openclaw;
+    await post(`${bridge.url}/respond`, { text: 'ancora tu', userId: USER });
+    const health = await (await fetch(`${bridge.url}/health`)).json();
+
+    assert.equal(health.ok, true);
+    assert.equal(health.backends.openclaw.state, 'ready');
+    assert.equal(health.backends.openclaw.pid, before.pid);
+    assert.equal(health.backends.openclaw.restarts, 0);
+    // One `openclaw acp` process for all the turns so far
+    assert.deepEqual(
+      openclawCalls(bridge).filter((call) => call.argv),
+      [{ argv: ['acp'] }]
+    );
+  });
+
+  test('a cancelled turn stops its agent run, and a queued one never starts', async () => {
+    const user = ALLOWED_USERS[1];
+    const asked = (text) => openclawCalls(bridge).filter((call) => call.prompt?.endsWith(`: ${text}`));
+    const running = post(`${bridge.url}/respond`, { text: 'aspetta un attimo', userId: user }, {
+      'X-Correlation-Id': 'turn-slow'
+    });
+    await waitFor(() => asked('aspetta un attimo').length, { message: 'agent run' });
+
+    // Same user: waits behind the running turn, until the bot hangs up on it (barge-in)
+    const controller = new AbortController();
+    const queued = askBridge(
+      `${bridge.url}/respond`,
+      { text: 'e poi questo', userId: user },
+      { correlationId: 'turn-queued', signal: controller.signal }
+    );
+    await delay(200);
+    controller.abort(new Error('barge-in'));
+    await assert.rejects(queued, /barge-in/);
+
+    const cancel = await post(`${bridge.url}/cancel`, {}, { 'X-Correlation-Id': 'turn-slow' });
+    assert.deepEqual(await cancel.json(), { cancelled: true });
+    assert.deepEqual(await (await running).json(), { reply: '', cancelled: true });
+    await waitFor(() => openclawCalls(bridge).some((call) => call.cancelled), { message: 'agent run cancelled' });
+
+    assert.equal(asked('e poi questo').length, 0);
+    assert.equal((await (await fetch(`${bridge.url}/health`)).json()).backends.openclaw.pending, 0);
+    const metrics = await (await fetch(`${bridge.url}/metrics`)).text();
+    assert.match(metrics, /voice_bridge_cancelled_total\{via="cancel"\} 1/);
+    assert.match(metrics, /voice_bridge_cancelled_total\{via="disconnect"\} 1/);
+  });
+
+  test('the request locale words the voice-mode instructions', async () => {
+    await post(`${bridge.url}/respond`, { text: 'hello there', userId: USER, locale: 'en', answerLength: 'short' });
+
+    const wrapped = openclawCalls(bridge).findLast((call) => call.prompt).prompt;
+    assert.match(wrapped, /^\/think:low VOICE mode \(Discord\)\. Answer in English, no markdown, in one or two short /);
+    assert.match(wrapped, /User\(\d+\) in VC\(.*\): hello there$/);
+  });
+
+  test('a group turn names the speaker, who is present and the latest lines', async () => {
+    const res = await post(`${bridge.url}/respond`, {
+      text: 'e io cosa prendo',
+      userId: USER,
+      guildId: 'g1',
+      channelId: 'c1',
+      conversation: 'group',
+      speakerName: 'Bob',
+      present: ['Anna', 'Bob'],
+      recent: [
+        { name: 'Anna', text: 'io prendo la margherita' },
+        { bot: true, text: 'Segnato.' }
+      ]
+    });
+    assert.deepEqual(await res.json(), { reply: 'Eco: e io cosa prendo' });
+
+    const wrapped = openclawCalls(bridge).findLast((call) => call.prompt).prompt;
+    assert.match(wrapped, /sono presenti: Anna, Bob\./);
+    assert.match(wrapped, /\nAnna: io prendo la margherita\nAssistente: Segnato\.\n/);
+    assert.match(wrapped, /\nBob, Utente\(\d+\) in VC\(g1\/c1\): e io cosa prendo$/);
+  });
+
+  test('/metrics counts requests per route', async () => {
+    const text = await (await fetch(`${bridge.url}/metrics`)).text();
+    assert.match(text, /voice_bridge_requests_total\{route="\/respond",status="200"\} [1-9]/);
+    assert.match(text, /voice_bridge_requests_total\{route="\/respond",status="403"\} 2/);
+    assert.match(text, /voice_bridge_skill_hits_total\{skill="time"\} [1-9]/);
+    assert.match(text, /voice_bridge_skill_hits_total\{skill="repeat"\} 2/);
+  });
+});
+
+describe('bridge with the openai backend', () => {
+  let mock;
+  let bridge;
+
+  before(async () => {
+    mock = await startMockOpenAI();
+    bridge = await startBridge({
+      BRIDGE_BACKEND: 'openai',
+      OPENAI_BASE_URL: mock.url,
+      OPENAI_API_KEY: 'test-key',
+      CHAT_MODEL: 'gpt-4o-mini',
+      CHAT_ECONOMY_MODEL: 'gpt-4.1-nano'
+    });
+  });
+  after(async () => {
+    await bridge?.stop();
+    await mock?.close();
+  });
+
+  test('/respond sends the conversation to chat completions', async () => {
+    const res = await post(`${bridge.url}/respond`, {
+      text: 'come ti chiami',
+      userId: USER,
+      persona: 'Sei un pirata.'
+    });
+    const json = await res.json();
+    assert.equal(json.reply, 'Risposta a: come ti chiami.');
+    assert.equal(json.usage.backend, 'openai');
+    assert.equal(json.usage.outputTokens, 5);
+
+    const [chat] = mock.requestsTo('/v1/chat/completions');
+    assert.equal(chat.headers.authorization, 'Bearer test-key');
+    assert.equal(chat.body.stream, false);
+    assert.equal(chat.body.messages[0].role, 'system');
+    assert.match(chat.body.messages[0].content, /Sei un pirata\./);
+    assert.deepEqual(chat.body.messages.at(-1), { role: 'user', content: 'come ti chiami' });
+  });
+
+  test('/respond/stream relays SSE deltas and remembers the exchange', async () => {
+    const res = await post(`${bridge.url}/respond/stream`, { text: 'e dove abiti', userId: USER });
+    const { deltas, last } = await readStream(res);
+    assert.equal(deltas.join(''), 'Risposta a: e dove abiti.');
+    assert.equal(last.type, 'done');
+    assert.equal(last.reply, 'Risposta a: e dove abiti.');
+    // Token counts from the final SSE chunk
+    assert.equal(last.usage.model, 'gpt-4o-mini');
+    assert.ok(last.usage.inputTokens > 0);
+    assert.equal(last.usage.outputTokens, 5);
+
+    const chat = mock.requestsTo('/v1/chat/completions').at(-1);
+    assert.equal(chat.body.stream, true);
+    assert.deepEqual(chat.body.stream_options, { include_usage: true });
+    assert.deepEqual(
+      chat.body.messages.slice(1).map((m) => m.content),
+      ['come ti chiami', 'Risposta a: come ti chiami.', 'e dove abiti']
+    );
+  });
+
+  test('economy requests use the cheaper model with a shorter answer', async () => {
+    const res = await post(`${bridge.url}/respond`, { text: 'in breve', userId: ALLOWED_USERS[2], economy: true });
+    // Marked, for the bot to price at the economy model's rate
+    assert.equal((await res.json()).usage.economy, true);
+
+    const chat = mock.requestsTo('/v1/chat/completions').at(-1);
+    assert.equal(chat.body.model, 'gpt-4.1-nano');
+    assert.equal(chat.body.max_tokens, 120);
+  });
+
+  test('an English locale words the system prompt in English', async () => {
+    await post(`${bridge.url}/respond`, { text: 'hello', userId: ALLOWED_USERS[3], locale: 'en', language: 'de' });
+
+    const { content } = mock.requestsTo('/v1/chat/completions').at(-1).body.messages[0];
+    assert.match(content, /^You are NikoVoice, .* ALWAYS answer in German only, naturally and concisely\. /);
+    assert.match(content, /Current time \(timezone [\w/]+\): \d{2}:\d{2} on \d{4}-\d{2}-\d{2}\.$/);
+  });
+
+  test('an upstream error becomes a 502', async () => {
+    mock.failNext('/v1/chat/completions', 503);
+    const res = await post(`${bridge.url}/respond`, { text: 'ci sei', userId: ALLOWED_USERS[1] });
+    assert.equal(res.status, 502);
+    assert.deepEqual((await res.json()).error, {
+      backend: 'openai',
+      code: 'error',
+      message: 'chat completion failed (503)'
+    });
+  });
+});
+
+describe('bridge memory summaries', () => {
+  let mock;
+  let bridge;
+
+  before(async () => {
+    mock = await startMockOpenAI();
+    bridge = await startBridge({
+      BRIDGE_BACKEND: 'openai',
+      OPENAI_BASE_URL: mock.url,
+      OPENAI_API_KEY: 'test-key',
+      BRIDGE_MEMORY_SUMMARY: '1',
+      BRIDGE_MAX_TURNS: '1',
+      BRIDGE_SUMMARY_MODEL: 'gpt-4.1-nano'
+    });
+  });
+  after(async () => {
+    await bridge?.stop();
+    await mock?.close();
+  });
+
+  test("a summary's tokens are reported with the thread's next reply", async () => {
+    const ask = (text) => {
+      const reported = [];
+      const reply = askBridge(
+        `${bridge.url}/respond`,
+        { text, userId: USER },
+        { onUsage: (usage, kind) => reported.push([kind, usage.model]) }
+      );
+      return reply.then(() => reported);
+    };
+    for (const text of ['uno', 'due', 'tre']) assert.deepEqual(await ask(text), [['chat', 'gpt-4o-mini']]);
+
+    // Three turns are four messages more than BRIDGE_MAX_TURNS keeps: they get summarized after the reply
+    const memory = join(bridge.dir, 'memory.jsonl');
+    await waitFor(() => readFileSync(memory, 'utf8').includes('"type":"summary"'), { message: 'summary' });
+    const summary = mock.requestsTo('/v1/chat/completions').at(-1);
+    assert.equal(summary.body.model, 'gpt-4.1-nano');
+
+    assert.deepEqual(await ask('quattro'), [
+      ['chat', 'gpt-4o-mini'],
+      ['summary', 'gpt-4.1-nano']
+    ]);
+    assert.deepEqual(await ask('cinque'), [['chat', 'gpt-4o-mini']]);
+  });
+});
+
+describe('bridge with the local backend', () => {
+  let mock;
+  let bridge;
+
+  before(async () => {
+    mock = await startMockOpenAI();
+    bridge = await startBridge({
+      BRIDGE_BACKEND: 'local',
+      LOCAL_LLM_URL: mock.url,
+      LOCAL_LLM_MODEL: 'qwen2.5:3b',
+      LOCAL_LLM_TEMPERATURE: '0.3',
+      LOCAL_LLM_MAX_TOKENS: '300',
+      LOCAL_LLM_KEEP_ALIVE: '30m'
+    });
+  });
+  after(async () => {
+    await bridge?.stop();
+    await mock?.close();
+  });
+
+  test("/respond calls Ollama's /api/chat with the backend settings", async () => {
+    const res = await post(`${bridge.url}/respond`, { text: 'ciao locale', userId: USER, answerLength: 'short' });
+    const json = await res.json();
+    assert.equal(json.reply, 'Risposta a: ciao locale.');
+    assert.equal(json.usage.backend, 'local');
+    assert.equal(json.usage.model, 'qwen2.5:3b');
+    assert.ok(json.usage.inputTokens > 0);
+    assert.equal(json.usage.outputTokens, 4);
+
+    const [chat] = mock.requestsTo('/api/chat');
+    assert.equal(chat.body.model, 'qwen2.5:3b');
+    assert.equal(chat.body.stream, false);
+    assert.equal(chat.body.keep_alive, '30m');
+    assert.deepEqual(chat.body.options, { temperature: 0.3, num_predict: 164 });
+    assert.equal(chat.body.messages[0].role, 'system');
+    assert.deepEqual(chat.body.messages.at(-1), { role: 'user', content: 'ciao locale' });
+  });
+
+  test('/respond/stream relays NDJSON deltas and keeps the conversation', async () => {
+    const res = await post(`${bridge.url}/respond/stream`, { text: 'e poi', userId: USER });
+    const { deltas, last } = await readStream(res);
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.join(''), 'Risposta a: e poi.');
+    assert.equal(last.reply, 'Risposta a: e poi.');
+    assert.equal(last.usage.backend, 'local');
+    assert.equal(last.usage.outputTokens, 4);
+
+    const chat = mock.requestsTo('/api/chat').at(-1);
+    assert.equal(chat.body.stream, true);
+    assert.deepEqual(
+      chat.body.messages.slice(1).map((m) => m.content),
+      ['ciao locale', 'Risposta a: ciao locale.', 'e poi']
+    );
+  });
+});
+
+describe('bridge with a fallback chain', () => {
+  let mock;
+  let bridge;
+
+  before(async () => {
+    mock = await startMockOpenAI();
+    bridge = await startBridge({
+      BRIDGE_BACKEND: 'openclaw,local',
+      LOCAL_LLM_API: 'openai',
+      LOCAL_LLM_URL: mock.url,
+      LOCAL_LLM_MODEL: 'llama-server',
+      LOCAL_LLM_TIMEOUT: '1'
+    });
+  });
+  after(async () => {
+    await bridge?.stop();
+    await mock?.close();
+  });
+
+  test('the local model answers when the agent fails', async () => {
+    const res = await post(`${bridge.url}/respond`, { text: 'fallisci pure', userId: USER });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).reply, 'Risposta a: fallisci pure.');
+
+    // llama.cpp's server speaks the OpenAI API, without a key
+    const chat = mock.requestsTo('/v1/chat/completions').at(-1);
+    assert.equal(chat.body.model, 'llama-server');
+    assert.equal(chat.headers.authorization, undefined);
+  });
+
+  test('the agent still answers first, and the exchange is remembered for the fallback', async () => {
+    const res = await post(`${bridge.url}/respond`, { text: 'come stai', userId: ALLOWED_USERS[1] });
+    assert.equal((await res.json()).reply, 'Eco: come stai');
+
+    await post(`${bridge.url}/respond`, { text: 'fallisci ora', userId: ALLOWED_USERS[1] });
+    const chat = mock.requestsTo('/v1/chat/completions').at(-1);
+    assert.deepEqual(
+      chat.body.messages.slice(1).map((m) => m.content),
+      ['come stai', 'Eco: come stai', 'fallisci ora']
+    );
+  });
+
+  test('a backend past its timeout is a 504 when nothing is left to try', async () => {
+    mock.chatDelayMs = 3000;
+    const res = await post(`${bridge.url}/respond`, { text: 'fallisci lentamente', userId: ALLOWED_USERS[2] });
+    mock.chatDelayMs = 0;
+    assert.equal(res.status, 504);
+    const { error } = await res.json();
+    assert.equal(error.backend, 'local');
+    assert.equal(error.code, 'BACKEND_TIMEOUT');
+
+    const metrics = await (await fetch(`${bridge.url}/metrics`)).text();
+    assert.match(metrics, /voice_bridge_backend_timeouts_total\{backend="local"\} 1/);
+    assert.match(metrics, /voice_bridge_backend_errors_total\{backend="openclaw"\} 3/);
+  });
+});
+
+describe('bridge with authentication', () => {
+  const secret = 'test-secret';
+  let bridge;
+
+  before(async () => {
+    bridge = await startBridge({
+      BRIDGE_BACKEND: 'openclaw',
+      BRIDGE_AUTH_SECRET: secret,
+      BRIDGE_METRICS_TOKEN: 'scrape-token'
+    });
+  });
+  after(() => bridge?.stop());
+
+  const signed = (body, options = {}) =>
+    fetch(`${bridge.url}/respond`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders({ path: '/respond', body }, { secret, token: '', ...options })
+      },
+      body
+    });
+
+  test('/health stays open, everything else needs credentials', async () => {
+    assert.equal((await fetch(`${bridge.url}/health`)).status, 200);
+    assert.equal((await post(`${bridge.url}/respond`, { text: 'che ore sono?', userId: USER })).status, 401);
+    assert.equal((await fetch(`${bridge.url}/metrics`)).status, 401);
+
+    // With HMAC signing for the bot, Prometheus scrapes with the metrics token, which opens nothing else
+    const bearer = { Authorization: 'Bearer scrape-token' };
+    const scrape = await fetch(`${bridge.url}/metrics`, { headers: bearer });
+    assert.equal(scrape.status, 200);
+    assert.match(await scrape.text(), /voice_bridge_auth_failures_total\{reason="missing"\} 2/);
+    assert.equal((await post(`${bridge.url}/respond`, { text: 'ciao', userId: USER }, bearer)).status, 401);
+  });
+
+  test('accepts a signed request once, within the time window', async () => {
+    const body = JSON.stringify({ text: 'che ore sono?', userId: USER });
+    const headers = authHeaders({ path: '/respond', body }, { secret, token: '' });
+    const send = (h, path = '/respond') =>
+      fetch(`${bridge.url}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...h }, body });
+
+    const res = await send(headers);
+    assert.equal(res.status, 200);
+    assert.match((await res.json()).reply, /^Sono le /);
+    // Replayed, stale, tampered with, wrong secret
+    assert.equal((await send(headers)).status, 401);
+    assert.equal((await signed(body, { now: Date.now() - 10 * 60 * 1000 })).status, 401);
+    const later = String(Number(headers['X-Bridge-Timestamp']) + 1);
+    assert.equal((await send({ ...headers, 'X-Bridge-Timestamp': later })).status, 401);
+    assert.equal((await signed(body, { secret: 'guess' })).status, 401);
+    assert.equal((await signed(JSON.stringify({ text: 'ciao', userId: '999' }))).status, 403);
+    // Signed by the bot, the roles it resolved count
+    const withRole = JSON.stringify({ text: 'che ore sono?', userId: '999', roleIds: [ALLOWED_ROLE] });
+    assert.equal((await signed(withRole)).status, 200);
+
+    // A fresh signature for /respond, sent to another endpoint
+    const fresh = authHeaders({ path: '/respond', body }, { secret, token: '', now: Date.now() + 1000 });
+    assert.equal((await send(fresh, '/respond/stream')).status, 401);
+    assert.equal((await send(fresh)).status, 200);
+  });
+});
+
+describe('bridge on a Unix socket', () => {
+  let bridge;
+
+  before(async () => {
+    bridge = await startBridge({ BRIDGE_BACKEND: 'openclaw' }, { socket: true });
+  });
+  after(() => bridge?.stop());
+
+  test('the bridge client talks to unix: endpoints', async () => {
+    const reply = await askBridge(`unix:${bridge.socket}:/respond`, { text: 'che ore sono?', userId: USER });
+    assert.match(reply, /^Sono le /);
+
+    const deltas = [];
+    const streamed = await askBridgeStream(
+      `unix:${bridge.socket}:/respond/stream`,
+      { text: 'ciao', userId: USER },
+      { onDelta: (d) => deltas.push(d) }
+    );
+    assert.equal(streamed, 'Eco: ciao');
+    assert.equal(deltas.join('').trim(), 'Eco: ciao');
+  });
+});
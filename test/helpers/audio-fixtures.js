@@ -0,0 +1,37 @@
+import { encodeWavPcm16 } from '../../src/audio.js';
+
+// Synthetic WAV fixtures in the receiver's format (48kHz stereo s16le). "Speech" is a tone broken
+// by short near-silent gaps: a steady tone would be learned as background noise by the VAD.
+
+const RATE = 48000;
+const CHANNELS = 2;
+
+function pcm(ms, amplitudeAt) {
+  const frames = Math.round((ms / 1000) * RATE);
+  const buf = Buffer.alloc(frames * CHANNELS * 2);
+  for (let i = 0; i < frames; i++) {
+    const v = Math.round(amplitudeAt(i) * 32767);
+    for (let c = 0; c < CHANNELS; c++) buf.writeInt16LE(v, (i * CHANNELS + c) * 2);
+  }
+  return buf;
+}
+
+export function speechWav(ms, { amplitude = 0.3, freq = 220 } = {}) {
+  return encodeWavPcm16(
+    pcm(ms, (i) => {
+      const t = i / RATE;
+      const inGap = (t * 1000) % 200 >= 150;
+      return (inGap ? 0.002 : amplitude) * Math.sin(2 * Math.PI * freq * t);
+    }),
+    RATE,
+    CHANNELS
+  );
+}
+
+export function silenceWav(ms) {
+  return encodeWavPcm16(
+    pcm(ms, () => (Math.random() - 0.5) * 0.002),
+    RATE,
+    CHANNELS
+  );
+}
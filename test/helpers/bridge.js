@@ -0,0 +1,90 @@
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { get } from 'node:http';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { waitFor } from './fake-voice.js';
+
+// Runs bridge/server.js as a child process with its own access policy and memory file in a
+// temp dir, and the fake `openclaw` from test/helpers/bin first on PATH. With `socket: true` it
+// listens on a Unix socket in that dir (`bridge.socket`) instead of a TCP port.
+
+const SERVER = fileURLToPath(new URL('../../bridge/server.js', import.meta.url));
+const FAKE_BIN = fileURLToPath(new URL('./bin', import.meta.url));
+
+export const ALLOWED_USERS = ['100', '101', '102', '103', '104', '105', '106', '107', '108', '109'];
+export const ALLOWED_ROLE = '900';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function socketHealthy(socketPath) {
+  return new Promise((resolve) => {
+    get({ socketPath, path: '/health' }, (res) => {
+      res.resume();
+      resolve(res.statusCode === 200);
+    }).on('error', () => resolve(false));
+  });
+}
+
+export async function startBridge(env = {}, { socket = false } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'voice-bridge-test-'));
+  const socketPath = socket ? join(dir, 'bridge.sock') : '';
+  const policyFile = join(dir, 'access-policy.json');
+  writeFileSync(policyFile, JSON.stringify({ admins: [], users: ALLOWED_USERS, roles: [ALLOWED_ROLE], deny: [] }));
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PATH: `${FAKE_BIN}${delimiter}${process.env.PATH}`,
+      BRIDGE_HOST: '127.0.0.1',
+      BRIDGE_PORT: String(port),
+      ACCESS_POLICY_FILE: policyFile,
+      BRIDGE_MEMORY_FILE: join(dir, 'memory.jsonl'),
+      BRIDGE_MEMORY_SUMMARY: '0',
+      FAKE_OPENCLAW_LOG: join(dir, 'openclaw-calls.jsonl'),
+      LOG_LEVEL: 'warn',
+      ...(socketPath ? { BRIDGE_SOCKET: socketPath } : {}),
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (d) => (stderr += d.toString()));
+  const exited = new Promise((resolve) => child.on('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  await waitFor(
+    async () => {
+      if (child.exitCode !== null) throw new Error(`bridge exited early:\n${stderr}`);
+      if (socketPath) return socketHealthy(socketPath);
+      return fetch(`${url}/health`).then((r) => r.ok, () => false);
+    },
+    { message: 'bridge /health' }
+  );
+
+  return {
+    url,
+    dir,
+    socket: socketPath,
+    openclawLog: join(dir, 'openclaw-calls.jsonl'),
+    stderr: () => stderr,
+    async stop() {
+      if (child.exitCode === null) child.kill();
+      await exited;
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,96 @@
+import { EventEmitter } from 'node:events';
+import { PassThrough } from 'node:stream';
+import { setTimeout as delay } from 'node:timers/promises';
+import { decodeWavPcm16 } from '../../src/audio.js';
+
+// Stand-ins for the @discordjs/voice pieces the pipeline touches, wired through
+// createVoicePipeline's `subscribe` and `play` options:
+//   connection  always Ready
+//   player      status machine (idle/playing) that goes idle `playMs` after each play()
+//   subscribe   one PCM stream per user, fed by say()
+//   play        records what would have been played in `played`
+
+const FRAME_BYTES = 3840; // 20ms of 48kHz stereo s16le
+const FRAME_MS = 20;
+
+export function createFakeVoice({ playMs = 200 } = {}) {
+  const connection = Object.assign(new EventEmitter(), {
+    state: { status: 'ready' },
+    destroy() {}
+  });
+
+  const player = Object.assign(new EventEmitter(), {
+    state: { status: 'idle' },
+    setStatus(status) {
+      const old = player.state;
+      player.state = { status };
+      player.emit('stateChange', old, player.state);
+      player.emit(status, old, player.state);
+    },
+    stop() {
+      if (player.state.status === 'idle') return false;
+      if (current) current.interrupted = true;
+      current = null;
+      player.setStatus('idle');
+      return true;
+    }
+  });
+
+  const streams = new Map();
+  const played = [];
+  let current = null;
+
+  return {
+    connection,
+    player,
+    played,
+
+    subscribe(state, userId) {
+      const pcm = new PassThrough();
+      streams.set(userId, pcm);
+      return { source: pcm, pcm };
+    },
+
+    play(state, audio, item) {
+      const entry = {
+        // Mock TTS audio is `TTS:<text>`; tests seed the TTS cache with the same bytes as "PCM"
+        text: String(audio.input || audio.pcm || '').replace(/^TTS:/, ''),
+        cached: Boolean(audio.pcm),
+        userId: item.userId,
+        kind: item.kind,
+        at: Date.now(),
+        interrupted: false
+      };
+      played.push(entry);
+      current = entry;
+      player.setStatus('playing');
+      setTimeout(() => {
+        if (current !== entry) return;
+        current = null;
+        player.setStatus('idle');
+      }, playMs);
+    },
+
+    // Feeds a WAV fixture to the user's stream in real time (the VAD and the silence timer
+    // run on the wall clock). Resolves when the last frame was sent.
+    async say(userId, wav) {
+      const { pcm } = decodeWavPcm16(wav);
+      for (let offset = 0; offset < pcm.length; offset += FRAME_BYTES) {
+        const stream = streams.get(userId);
+        if (stream && !stream.destroyed) stream.write(pcm.subarray(offset, offset + FRAME_BYTES));
+        await delay(FRAME_MS);
+      }
+    }
+  };
+}
+
+// Polls `fn` until it returns something truthy.
+export async function waitFor(fn, { timeoutMs = 10000, intervalMs = 25, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${message}`);
+    await delay(intervalMs);
+  }
+}
@@ -0,0 +1,120 @@
+import { createServer } from 'node:http';
+
+// Local stand-in for the three OpenAI endpoints the bot and the bridge call, plus Ollama's /api/chat
+// for the bridge's local backend. Point OPENAI_BASE_URL (or LOCAL_LLM_URL) at `url`. Every request
+// is recorded in `requests` as { path, body, headers }.
+//
+//   mock.transcripts.push('ciao')   next /v1/audio/transcriptions result ('' once empty)
+//   mock.chatReply = (messages) => 'text'
+//   mock.failNext('/v1/chat/completions', 500)
+//
+// /v1/audio/speech answers with `TTS:<input>` so a test can tell which text was spoken.
+// Chat usage counts one token per word. `chatDelayMs` holds back chat replies (to test timeouts).
+
+export async function startMockOpenAI() {
+  const mock = {
+    url: '',
+    requests: [],
+    transcripts: [],
+    chatReply: (messages) => `Risposta a: ${messages.filter((m) => m.role === 'user').at(-1)?.content || ''}.`,
+    chatDeltaMs: 5,
+    chatDelayMs: 0,
+    failures: new Map(),
+
+    failNext(path, status = 500) {
+      mock.failures.set(path, status);
+    },
+    requestsTo(path) {
+      return mock.requests.filter((r) => r.path === path);
+    },
+    reset() {
+      mock.requests.length = 0;
+      mock.transcripts.length = 0;
+      mock.failures.clear();
+      mock.chatDelayMs = 0;
+    }
+  };
+
+  async function handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks);
+    const isJson = (req.headers['content-type'] || '').includes('application/json');
+    const record = { path: req.url, headers: req.headers, body: isJson ? JSON.parse(raw.toString()) : raw };
+    mock.requests.push(record);
+
+    const failure = mock.failures.get(req.url);
+    if (failure) {
+      mock.failures.delete(req.url);
+      res.writeHead(failure, { 'Content-Type': 'application/json' }).end('{"error":{"message":"mock failure"}}');
+      return;
+    }
+
+    if (req.url === '/v1/audio/transcriptions') {
+      const text = mock.transcripts.shift() ?? '';
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ text }));
+      return;
+    }
+
+    if (req.url === '/v1/audio/speech') {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' }).end(Buffer.from(`TTS:${record.body.input}`));
+      return;
+    }
+
+    const words = (text) => String(text || '').split(/\s+/).filter(Boolean).length;
+    const promptTokens = () => (record.body.messages || []).reduce((n, m) => n + words(m.content), 0);
+    if (mock.chatDelayMs && (req.url === '/v1/chat/completions' || req.url === '/api/chat')) {
+      await new Promise((resolve) => setTimeout(resolve, mock.chatDelayMs));
+    }
+
+    if (req.url === '/v1/chat/completions') {
+      const reply = mock.chatReply(record.body.messages || [], record.body);
+      const usage = { prompt_tokens: promptTokens(), completion_tokens: words(reply) };
+      if (!record.body.stream) {
+        res
+          .writeHead(200, { 'Content-Type': 'application/json' })
+          .end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply } }], usage }));
+        return;
+      }
+      // Word-sized deltas, like the real SSE stream
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      for (const piece of reply.match(/\S+\s*/g) || []) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+        await new Promise((resolve) => setTimeout(resolve, mock.chatDeltaMs));
+      }
+      if (record.body.stream_options?.include_usage) {
+        res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+      return;
+    }
+
+    if (req.url === '/api/chat') {
+      const reply = mock.chatReply(record.body.messages || [], record.body);
+      const message = (content) => ({ model: record.body.model, message: { role: 'assistant', content } });
+      const last = { ...message(''), done: true, prompt_eval_count: promptTokens(), eval_count: words(reply) };
+      // Ollama streams unless told otherwise
+      if (record.body.stream === false) {
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ ...last, ...message(reply) }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      for (const piece of reply.match(/\S+\s*/g) || []) {
+        res.write(`${JSON.stringify({ ...message(piece), done: false })}\n`);
+        await new Promise((resolve) => setTimeout(resolve, mock.chatDeltaMs));
+      }
+      res.end(`${JSON.stringify(last)}\n`);
+      return;
+    }
+
+    res.writeHead(404).end();
+  }
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((err) => res.writeHead(500).end(String(err)));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  mock.url = `http://127.0.0.1:${server.address().port}`;
+  mock.close = () => new Promise((resolve) => server.close(resolve));
+  return mock;
+}
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { loadChannelConfig } from '../src/channel-config.js';
+import { LOCALES, languageName, message, normalizeLocale, t } from '../src/i18n.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'i18n-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('i18n', () => {
+  test('normalizes locale tags to catalog names', () => {
+    assert.equal(normalizeLocale('en-US'), 'en');
+    assert.equal(normalizeLocale('it_IT'), 'it');
+    assert.equal(normalizeLocale('IT'), 'it');
+    assert.equal(normalizeLocale('fr'), '');
+    assert.equal(normalizeLocale(undefined), '');
+  });
+
+  test('fills placeholders and falls back to English', () => {
+    assert.equal(t('it', 'cmd.joined', { channel: 'Generale' }), 'Sono entrato in Generale.');
+    assert.equal(t('en', 'queue.cleared', { count: 2 }), 'Cleared 2 queued item(s).');
+    // Unknown locale -> English; unknown key -> the key itself
+    assert.equal(t('fr', 'cmd.left'), 'Left the channel.');
+    assert.equal(t('it', 'no.such.key'), 'no.such.key');
+    // Missing vars stay visible instead of printing "undefined"
+    assert.equal(t('en', 'cmd.joined'), 'Joined {channel}.');
+    assert.equal(message('fr', 'cmd.ok'), 'ok');
+  });
+
+  test('every catalog has the same keys and placeholders as English', () => {
+    const placeholders = (value) => (typeof value === 'string' ? value.match(/\{\w+\}/g)?.sort() || [] : []);
+    for (const [name, catalog] of Object.entries(LOCALES)) {
+      assert.deepEqual(Object.keys(catalog).sort(), Object.keys(LOCALES.en).sort(), `${name} keys`);
+      for (const key of Object.keys(catalog)) {
+        assert.deepEqual(placeholders(catalog[key]), placeholders(LOCALES.en[key]), `${name} ${key}`);
+      }
+    }
+  });
+
+  test('names languages in the given locale', () => {
+    assert.equal(languageName('it', 'en'), 'inglese');
+    assert.equal(languageName('en', 'it'), 'Italian');
+  });
+
+  test('channel settings inherit the guild locale and derive STT defaults from it', () => {
+    const file = join(dir, 'channels.json');
+    writeFileSync(
+      file,
+      JSON.stringify({
+        defaults: { locale: 'it' },
+        guilds: { g2: { locale: 'en-US', ttsVoice: 'nova' } },
+        channels: [
+          { guildId: 'g2', channelId: 'c2' },
+          { guildId: 'g2', channelId: 'c3', locale: 'it', sttLanguage: '' }
+        ]
+      })
+    );
+    const config = loadChannelConfig(file, { ttsVoice: 'alloy', sttLanguage: undefined });
+
+    const english = config.forChannel('c2', 'g2');
+    assert.equal(english.locale, 'en');
+    assert.equal(english.ttsVoice, 'nova');
+    assert.equal(english.sttLanguage, 'en');
+    assert.equal(english.sttPrompt, t('en', 'stt.prompt'));
+
+    // A channel's own settings win over its guild's, '' (auto-detect) included
+    const italian = config.forChannel('c3', 'g2');
+    assert.equal(italian.locale, 'it');
+    assert.equal(italian.sttLanguage, '');
+    assert.equal(italian.sttPrompt, t('it', 'stt.prompt'));
+
+    // Channels without an entry get their guild's settings, unknown guilds the defaults
+    assert.equal(config.forChannel('other', 'g2').locale, 'en');
+    assert.equal(config.forGuild('g9').locale, 'it');
+    assert.equal(config.forGuild('g9').ttsVoice, 'alloy');
+  });
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+
+// The logger reads LOG_REDACT when first imported
+process.env.LOG_REDACT = 'text,users';
+let configureLogger;
+let log;
+let createSpeechItem;
+let createSpeechQueue;
+
+before(async () => {
+  ({ configureLogger, log } = await import('../src/logger.js'));
+  ({ createSpeechItem, createSpeechQueue } = await import('../src/speech-queue.js'));
+  configureLogger({ service: 'test', level: 'info', file: '' });
+});
+
+// The lines written to stdout while `fn` runs
+function captureStdout(fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk) => lines.push(String(chunk).trim()) > 0;
+  try {
+    fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines.map((line) => JSON.parse(line));
+}
+
+describe('logger redaction', () => {
+  test('hides what the speech queue says and who it says it to', () => {
+    const words = 'la mia password è hunter2 e il conto';
+    const queue = createSpeechQueue({
+      playSegment: async () => {},
+      stopPlayback: () => {},
+      log: (event, data) => log.info(event, data)
+    });
+    const item = createSpeechItem({ kind: 'say', userId: '323379312608673803', label: words });
+
+    const [line] = captureStdout(() => queue.enqueue(item));
+    item.cancel();
+
+    assert.equal(line.event, 'queue_enqueue');
+    assert.equal(line.label, `[redacted ${words.length} chars]`);
+    assert.match(line.userId, /^u_[0-9a-f]{10}$/);
+    assert.ok(!JSON.stringify(line).includes('hunter2'));
+  });
+});
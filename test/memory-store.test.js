@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { createMemoryStore } from '../bridge/memory-store.js';
+import { configureLogger } from '../src/logger.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const dir = mkdtempSync(join(tmpdir(), 'memory-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('memory store', () => {
+  test('a summary replaces only what it summarized, when messages expire meanwhile and on reload', async () => {
+    const file = join(dir, 'expiring.jsonl');
+    let finish;
+    const summarized = [];
+    const summarize = (previous, messages) => {
+      summarized.push(messages.map((m) => m.content));
+      return new Promise((resolve) => (finish = resolve));
+    };
+    const options = { file, maxMessages: 2, summaryBatch: 2, ttlMs: 1000, summarize };
+    const memory = createMemoryStore(options);
+    const contents = (thread) => thread.messages.map((m) => m.content);
+
+    memory.pushMsg('u', 'user', 'a1');
+    memory.pushMsg('u', 'assistant', 'a2');
+    await delay(600);
+    memory.pushMsg('u', 'user', 'b1');
+    memory.pushMsg('u', 'assistant', 'b2');
+    assert.deepEqual(summarized, [['a1', 'a2']]);
+
+    // a1 and a2 expire while their summary is being written
+    await delay(500);
+    assert.deepEqual(contents(memory.getThread('u')), ['b1', 'b2']);
+    finish('S');
+    await delay(10);
+    assert.deepEqual(memory.getThread('u'), {
+      summary: 'S',
+      messages: [
+        { role: 'user', content: 'b1' },
+        { role: 'assistant', content: 'b2' }
+      ]
+    });
+
+    const reloaded = createMemoryStore(options);
+    assert.equal(reloaded.getThread('u').summary, 'S');
+    assert.deepEqual(contents(reloaded.getThread('u')), ['b1', 'b2']);
+  });
+
+  test('without a summarizer the oldest messages are dropped, also after a reload', () => {
+    const file = join(dir, 'ring.jsonl');
+    const memory = createMemoryStore({ file, maxMessages: 2 });
+    for (const content of ['1', '2', '3']) memory.pushMsg('u', 'user', content);
+    assert.deepEqual(memory.getThread('u').messages.map((m) => m.content), ['2', '3']);
+
+    const reloaded = createMemoryStore({ file, maxMessages: 2 });
+    assert.deepEqual(reloaded.getThread('u').messages.map((m) => m.content), ['2', '3']);
+  });
+});
@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, describe, test } from 'node:test';
+import { parseRpcLine, replyChunk } from '../bridge/openclaw-stdio.js';
+import { createWorker } from '../bridge/worker.js';
+import { configureLogger } from '../src/logger.js';
+import { waitFor } from './helpers/fake-voice.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const ADAPTER = fileURLToPath(new URL('../bridge/openclaw-stdio.js', import.meta.url));
+const FAKE_BIN = fileURLToPath(new URL('./helpers/bin', import.meta.url));
+
+// A worker speaking the protocol: echoes messages, and misbehaves on request
+const SCRIPTED_WORKER = `
+const write = (e) => process.stdout.write(JSON.stringify(e) + '\\n');
+const cancels = [];
+let deaf = false;
+require('node:readline').createInterface({ input: process.stdin }).on('line', (line) => {
+  const r = JSON.parse(line);
+  if (r.type === 'ping') return deaf || write({ id: r.id, type: 'pong' });
+  if (r.type === 'cancel') return cancels.push(r.id);
+  if (r.message === 'crash') process.exit(3);
+  if (r.message === 'deaf') deaf = true;
+  if (r.message === 'deaf' || r.message === 'slow') return;
+  if (r.message === 'cancels') return write({ id: r.id, type: 'done', reply: cancels.join(',') });
+  if (r.message === 'fail') return write({ id: r.id, type: 'error', code: 'agent_error', error: 'no such agent' });
+  console.log('[worker] some log noise');
+  write({ id: r.id, type: 'delta', text: 'echo ' });
+  write({ id: r.id, type: 'done', reply: 'echo ' + r.message });
+});
+write({ type: 'ready' });
+`;
+
+function scripted(options = {}) {
+  return createWorker({
+    name: 'scripted',
+    command: process.execPath,
+    args: ['-e', SCRIPTED_WORKER],
+    restartDelayMs: 20,
+    ...options
+  });
+}
+
+describe('OpenClaw output parsing', () => {
+  test('only JSON-RPC messages count, log lines do not', () => {
+    const chunk = { jsonrpc: '2.0', method: 'session/update', params: { sessionId: 's1' } };
+    assert.deepEqual(parseRpcLine(`\x1b[2m${JSON.stringify(chunk)}\x1b[0m`), chunk);
+    assert.equal(parseRpcLine('Eco: a log line that looks like a reply'), null);
+    assert.equal(parseRpcLine('{"reply":"JSON, but not JSON-RPC"}'), null);
+    assert.equal(parseRpcLine('{ broken'), null);
+  });
+
+  test("only the agent's message chunks are reply text", () => {
+    const update = (sessionUpdate, content) => ({ sessionId: 's1', update: { sessionUpdate, content } });
+    assert.equal(replyChunk(update('agent_message_chunk', { type: 'text', text: 'Ciao' })), 'Ciao');
+    assert.equal(replyChunk(update('agent_thought_chunk', { type: 'text', text: 'hmm' })), '');
+    assert.equal(replyChunk(update('agent_message_chunk', { type: 'image', data: '...' })), '');
+    assert.equal(replyChunk(update('tool_call', undefined)), '');
+  });
+});
+
+describe('worker process', () => {
+  const workers = [];
+  const track = (worker) => (workers.push(worker), worker);
+  after(() => workers.forEach((w) => w.stop()));
+
+  // The bundled worker against the fake CLI, with what the CLI was asked
+  function openclawWorker(t) {
+    const dir = mkdtempSync(join(tmpdir(), 'openclaw-worker-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    const log = join(dir, 'calls.jsonl');
+    const worker = track(
+      createWorker({
+        name: 'openclaw',
+        command: process.execPath,
+        args: [ADAPTER],
+        env: { ...process.env, PATH: `${FAKE_BIN}${delimiter}${process.env.PATH}`, FAKE_OPENCLAW_LOG: log }
+      })
+    );
+    const calls = () => {
+      try {
+        return readFileSync(log, 'utf8')
+          .split('\n')
+          .filter(Boolean)
+          .map((line) => JSON.parse(line));
+      } catch {
+        return [];
+      }
+    };
+    return { worker, calls };
+  }
+
+  test('runs every turn through one `openclaw acp` process, ignoring its log noise', async (t) => {
+    const { worker, calls } = openclawWorker(t);
+    const base = { type: 'agent', agentId: 'main', thinking: 'low', timeoutSeconds: 10 };
+
+    const done = await worker.request({ ...base, message: 'Utente(1) in VC(g/c): ciao' });
+    assert.equal(done.reply, 'Eco: ciao');
+
+    // Streamed: the fake prints a log line that looks like a reply after every chunk, and a thought
+    const deltas = [];
+    const streamed = await worker.request(
+      { ...base, message: 'Utente(1) in VC(g/c): come va', stream: true },
+      { onEvent: (e) => deltas.push(e.text) }
+    );
+    assert.equal(streamed.reply, 'Eco: come va');
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.join(''), 'Eco: come va');
+
+    // An error answer is an error, not something to speak
+    const failedDeltas = [];
+    await assert.rejects(
+      worker.request(
+        { ...base, message: 'Utente(1) in VC(g/c): fallisci', stream: true },
+        { onEvent: (e) => failedDeltas.push(e.text) }
+      ),
+      { code: 'agent_failed', message: 'agent crashed' }
+    );
+    assert.deepEqual(failedDeltas, []);
+    assert.equal(worker.status().state, 'ready');
+
+    assert.deepEqual(
+      calls().filter((c) => c.argv),
+      [{ argv: ['acp'] }]
+    );
+    const prompts = calls().filter((c) => c.prompt);
+    assert.equal(prompts.length, 3);
+    assert.equal(prompts[0].prompt, '/think:low Utente(1) in VC(g/c): ciao');
+    assert.ok(prompts.every((c) => c.sessionKey === 'agent:main:main'));
+  });
+
+  test('a cancelled OpenClaw turn is cancelled in its ACP session', async (t) => {
+    const { worker, calls } = openclawWorker(t);
+    const request = (text, options) =>
+      worker.request(
+        { type: 'agent', sessionKey: 'agent:main:test', message: `Utente(1) in VC(g/c): ${text}` },
+        options
+      );
+
+    const controller = new AbortController();
+    const slow = request('aspetta', { signal: controller.signal });
+    await waitFor(() => calls().some((c) => c.prompt), { message: 'prompt sent' });
+    controller.abort(new Error('barge-in'));
+
+    await assert.rejects(slow, /barge-in/);
+    await waitFor(() => calls().some((c) => c.cancelled), { message: 'turn cancelled' });
+    assert.equal((await request('dopo')).reply, 'Eco: dopo');
+  });
+
+  test('multiplexes requests and skips output that is not protocol', async () => {
+    const worker = track(scripted());
+    const replies = await Promise.all(['a', 'b', 'c'].map((message) => worker.request({ type: 'agent', message })));
+    assert.deepEqual(
+      replies.map((r) => r.reply),
+      ['echo a', 'echo b', 'echo c']
+    );
+    await assert.rejects(worker.request({ type: 'agent', message: 'fail' }), {
+      code: 'agent_error',
+      message: 'no such agent'
+    });
+  });
+
+  test('restarts after a crash, failing the requests in flight', async () => {
+    const worker = track(scripted());
+    await worker.request({ type: 'ping' });
+    const { pid } = worker.status();
+
+    const slow = worker.request({ type: 'agent', message: 'slow' });
+    await assert.rejects(worker.request({ type: 'agent', message: 'crash' }), { code: 'worker_exited' });
+    await assert.rejects(slow, { code: 'worker_exited' });
+
+    assert.equal((await worker.request({ type: 'agent', message: 'again' })).reply, 'echo again');
+    assert.notEqual(worker.status().pid, pid);
+    assert.equal(worker.status().restarts, 1);
+  });
+
+  test('cancels a request when its signal aborts', async () => {
+    const worker = track(scripted());
+    const controller = new AbortController();
+    const slow = worker.request({ type: 'agent', message: 'slow' }, { signal: controller.signal });
+    await waitFor(() => worker.status().pending === 1, { message: 'request sent' });
+    controller.abort(new Error('barge-in'));
+
+    await assert.rejects(slow, /barge-in/);
+    assert.equal(worker.status().pending, 0);
+    assert.equal((await worker.request({ type: 'agent', message: 'cancels' })).reply, '1');
+  });
+
+  test('kills and replaces a worker that stops answering pings', async () => {
+    const worker = track(scripted({ healthIntervalMs: 50, healthTimeoutMs: 50 }));
+    await worker.request({ type: 'ping' });
+    const { pid } = worker.status();
+    worker.request({ type: 'agent', message: 'deaf' }).catch(() => {});
+
+    await waitFor(() => worker.status().restarts === 1 && worker.status().state === 'ready', {
+      message: 'worker replaced'
+    });
+    assert.notEqual(worker.status().pid, pid);
+  });
+});
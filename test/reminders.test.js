@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { configureLogger } from '../src/logger.js';
+import { createReminders, describeReminders, formatDue, nextTimeOfDay, parseWhen } from '../src/reminders.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const dir = mkdtempSync(join(tmpdir(), 'reminders-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// 09:05 in Rome
+const NOW = Date.parse('2026-03-07T08:05:00Z');
+const ZONE = { timeZone: 'Europe/Rome', now: NOW };
+const MINUTE = 60 * 1000;
+
+describe('reminder times', () => {
+  test('finds the next time of day on the wall clock', () => {
+    assert.equal(nextTimeOfDay(18, 30, ZONE), NOW + 565 * MINUTE);
+    // Already past today: tomorrow
+    assert.equal(nextTimeOfDay(9, 0, ZONE), NOW + (24 * 60 - 5) * MINUTE);
+    assert.equal(nextTimeOfDay(9, 10, { ...ZONE, days: 1 }), NOW + (24 * 60 + 5) * MINUTE);
+  });
+
+  test('parses command durations and times', () => {
+    assert.equal(parseWhen('10m', ZONE), NOW + 10 * MINUTE);
+    assert.equal(parseWhen('1h30m', ZONE), NOW + 90 * MINUTE);
+    assert.equal(parseWhen('2d', ZONE), NOW + 2 * 24 * 60 * MINUTE);
+    assert.equal(parseWhen('18:30', ZONE), NOW + 565 * MINUTE);
+    assert.equal(parseWhen('7.15', ZONE), nextTimeOfDay(7, 15, ZONE));
+    for (const bad of ['', 'soon', '25:00', '0m', '10 minutes']) assert.ok(Number.isNaN(parseWhen(bad, ZONE)), bad);
+  });
+
+  test('words the due time relative to today', () => {
+    assert.equal(formatDue(NOW + 10 * MINUTE, 'it', ZONE), 'alle 9:15');
+    assert.equal(formatDue(NOW + 565 * MINUTE, 'it', ZONE), 'alle 18:30');
+    assert.equal(formatDue(NOW + 3 * 24 * 60 * MINUTE, 'it', ZONE), 'martedì 10 marzo alle 9:05');
+    // English says it on its own clock
+    assert.equal(formatDue(NOW + 565 * MINUTE, 'en', ZONE), 'at 6:30 PM');
+    assert.equal(formatDue(NOW + 24 * 60 * MINUTE, 'en', ZONE), 'tomorrow at 9:05 AM');
+    assert.equal(formatDue(NOW + 3 * 24 * 60 * MINUTE, 'en', ZONE), 'on Tuesday, March 10 at 9:05 AM');
+  });
+});
+
+describe('reminder store', () => {
+  test("validates, lists per user and cancels only the owner's entries", () => {
+    const reminders = createReminders({ file: '', onDue: () => {}, now: () => NOW });
+    const base = { guildId: 'g1', userId: 'u1', locale: 'it' };
+
+    assert.equal(reminders.add({ ...base, dueAt: NOW - MINUTE }).error, 'reminder.badTime');
+    assert.equal(reminders.add({ ...base, dueAt: NaN }).error, 'reminder.badTime');
+    assert.equal(reminders.add({ ...base, dueAt: NOW + 31 * 24 * 60 * MINUTE }).error, 'reminder.tooFar');
+
+    const late = reminders.add({ ...base, text: 'chiamare Marco', dueAt: NOW + 60 * MINUTE }).entry;
+    const soon = reminders.add({ ...base, kind: 'timer', dueAt: NOW + 5 * MINUTE }).entry;
+    const other = reminders.add({ ...base, userId: 'u2', text: 'uscire', dueAt: NOW + MINUTE }).entry;
+    assert.deepEqual(reminders.list({ guildId: 'g1', userId: 'u1' }).map((e) => e.id), [soon.id, late.id]);
+    assert.equal(
+      describeReminders(reminders.list({ userId: 'u1' }), 'it', ZONE),
+      `I tuoi promemoria:\nNumero ${soon.id}, alle 9:10: timer.\nNumero ${late.id}, alle 10:05: chiamare Marco.`
+    );
+    assert.equal(describeReminders([], 'en'), "You don't have any reminders.");
+
+    assert.deepEqual(reminders.cancel({ userId: 'u1', id: other.id }), []);
+    // Without an id: the last one set (of that kind)
+    assert.deepEqual(reminders.cancel({ userId: 'u1', kind: 'reminder' }), [late]);
+    assert.equal(reminders.cancel({ userId: 'u1', all: true }).length, 1);
+    assert.deepEqual(reminders.list(), [other]);
+  });
+
+  test('persists entries and delivers the ones due while it was down', async () => {
+    const file = join(dir, 'nested', 'reminders.json');
+    let clock = NOW;
+    const first = createReminders({ file, onDue: () => {}, now: () => clock });
+    first.add({ guildId: 'g1', userId: 'u1', text: 'stretch', locale: 'en', dueAt: NOW + MINUTE });
+    first.add({ guildId: 'g1', userId: 'u1', text: 'later', locale: 'en', dueAt: NOW + 60 * MINUTE });
+    assert.equal(JSON.parse(readFileSync(file, 'utf8')).length, 2);
+
+    clock = NOW + 2 * MINUTE;
+    const delivered = [];
+    const second = createReminders({ file, onDue: (entry) => delivered.push(entry.text), now: () => clock });
+    // Nothing fires before start()
+    assert.deepEqual(delivered, []);
+    second.start();
+    await delay(10);
+    second.stop();
+
+    assert.deepEqual(delivered, ['stretch']);
+    assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')).map((e) => e.text), ['later']);
+    // Ids keep counting after a restart
+    assert.equal(second.add({ guildId: 'g1', userId: 'u1', dueAt: clock + MINUTE }).entry.id, 3);
+  });
+
+  test('fires entries when they come due', async () => {
+    const delivered = [];
+    const reminders = createReminders({ file: '', onDue: (entry) => delivered.push(entry.id) });
+    reminders.start();
+    const { entry } = reminders.add({ guildId: 'g1', userId: 'u1', dueAt: Date.now() + 30 });
+    assert.deepEqual(delivered, []);
+
+    await delay(100);
+    reminders.stop();
+    assert.deepEqual(delivered, [entry.id]);
+    assert.deepEqual(reminders.list(), []);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { configureLogger } from '../src/logger.js';
+import { createTranscriptSink } from '../src/transcript-sink.js';
+import { waitFor } from './helpers/fake-voice.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+// A text channel that records everything sent to it (and to its threads).
+// `ops` lists sends and edits in the order they happened.
+function createFakeChannel({ threads = true } = {}) {
+  const ops = [];
+  const created = [];
+
+  const textChannel = (id) => ({
+    id,
+    isTextBased: () => true,
+    async send(payload) {
+      const message = {
+        content: payload.content,
+        async edit(edit) {
+          message.content = edit.content;
+          ops.push({ op: 'edit', channel: id, content: edit.content });
+          return message;
+        }
+      };
+      ops.push({ op: 'send', channel: id, content: payload.content, allowedMentions: payload.allowedMentions });
+      return message;
+    }
+  });
+
+  const channel = textChannel('c1');
+  if (threads) {
+    channel.threads = {
+      async create(options) {
+        created.push(options);
+        return textChannel(`t${created.length}`);
+      }
+    };
+  }
+
+  const client = {
+    user: { username: 'Voicebot' },
+    channels: { fetch: async (id) => (id === 'c1' ? channel : null) }
+  };
+  return { client, ops, created };
+}
+
+describe('transcript sink', () => {
+  test('posts into one thread created for the session', async () => {
+    const { client, ops, created } = createFakeChannel();
+    const sink = createTranscriptSink({ client, channelId: 'c1' });
+
+    sink.userSaid('u1', 'hello');
+    sink.userSaid('u2', 'what time is it', { ignored: true });
+    await waitFor(() => ops.length === 2, { message: 'both lines posted' });
+
+    assert.equal(created.length, 1);
+    assert.match(created[0].name, /^Voice \d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+    assert.deepEqual(ops.map((o) => o.channel), ['t1', 't1']);
+    assert.equal(ops[0].content, '🎙️ <@u1>: hello');
+    assert.equal(ops[1].content, '🎙️ <@u2>: what time is it _(not addressed)_');
+    assert.deepEqual(ops[0].allowedMentions, { parse: [] });
+  });
+
+  test('posts into the channel itself without threads', async () => {
+    const { client, ops, created } = createFakeChannel();
+    const sink = createTranscriptSink({ client, channelId: 'c1', useThread: false });
+
+    sink.userSaid('u1', 'hello');
+    await waitFor(() => ops.length === 1, { message: 'line posted' });
+    assert.equal(created.length, 0);
+    assert.equal(ops[0].channel, 'c1');
+  });
+
+  test('clips long messages to 1900 characters', async () => {
+    const { client, ops } = createFakeChannel();
+    const sink = createTranscriptSink({ client, channelId: 'c1' });
+
+    sink.userSaid('u1', 'a'.repeat(3000));
+    await waitFor(() => ops.length === 1, { message: 'line posted' });
+    assert.equal(ops[0].content.length, 1901);
+    assert.ok(ops[0].content.startsWith('🎙️ <@u1>: aaa'));
+    assert.ok(ops[0].content.endsWith('a…'));
+
+    const reply = sink.startReply('u1');
+    reply.update('b'.repeat(1000));
+    await waitFor(() => ops.length === 2, { message: 'reply posted' });
+    await reply.finish('b'.repeat(3000));
+    assert.equal(ops[2].op, 'edit');
+    assert.equal(ops[2].content.length, 1901);
+    assert.ok(ops[2].content.endsWith('b…'));
+  });
+
+  test('posts a streamed reply once, then edits it as text arrives', async () => {
+    const { client, ops } = createFakeChannel();
+    const sink = createTranscriptSink({ client, channelId: 'c1', editIntervalMs: 20 });
+    const prefix = '🤖 Voicebot → <@u1>: ';
+
+    const reply = sink.startReply('u1');
+    reply.update('It is');
+    await waitFor(() => ops.length === 1, { message: 'first post' });
+    reply.update('It is nine');
+    reply.update('It is nine fifteen');
+    await waitFor(() => ops.length === 2, { message: 'first edit' });
+    await reply.finish('It is nine fifteen.');
+
+    assert.deepEqual(ops.map((o) => [o.op, o.content]), [
+      ['send', `${prefix}It is`],
+      ['edit', `${prefix}It is nine fifteen`],
+      ['edit', `${prefix}It is nine fifteen.`]
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync, utimesSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { configureLogger } from '../src/logger.js';
+import { createTtsCache, normalizeSpeechText } from '../src/tts-cache.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const root = mkdtempSync(join(tmpdir(), 'tts-cache-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+const tts = { provider: 'openai', model: 'gpt-4o-mini-tts', voice: 'alloy' };
+let dirs = 0;
+const freshDir = () => join(root, String(dirs++));
+
+describe('tts cache', () => {
+  test('keys on provider, model, voice and normalized text', () => {
+    const cache = createTtsCache({ dir: freshDir(), maxChars: 20 });
+    assert.equal(normalizeSpeechText('  Che  ore\nsono? '), 'che ore sono?');
+    assert.equal(cache.keyFor({ ...tts, text: 'Che ore sono?' }), cache.keyFor({ ...tts, text: 'che  ORE sono?' }));
+    assert.notEqual(cache.keyFor({ ...tts, text: 'ciao' }), cache.keyFor({ ...tts, voice: 'nova', text: 'ciao' }));
+    assert.equal(cache.keyFor({ ...tts, text: '   ' }), null);
+    assert.equal(cache.keyFor({ ...tts, text: 'una frase troppo lunga per la cache' }), null);
+  });
+
+  test('evicts the least recently used entries past maxBytes', async () => {
+    const dir = freshDir();
+    const cache = createTtsCache({ dir, maxBytes: 25 });
+    const [a, b, c] = ['uno', 'due', 'tre'].map((text) => cache.keyFor({ ...tts, text }));
+
+    await cache.put(a, Buffer.alloc(10, 1));
+    await cache.put(b, Buffer.alloc(10, 2));
+    assert.deepEqual(await cache.get(a), Buffer.alloc(10, 1));
+    await cache.put(c, Buffer.alloc(10, 3));
+
+    assert.equal(cache.has(b), false);
+    assert.equal(existsSync(join(dir, `${b}.pcm`)), false);
+    assert.deepEqual(cache.stats(), { entries: 2, bytes: 20, maxBytes: 25 });
+    assert.equal(await cache.get(b), null);
+  });
+
+  test('reloads entries from disk in last-use order', async () => {
+    const dir = freshDir();
+    const first = createTtsCache({ dir, maxBytes: 25 });
+    const [a, b, c] = ['uno', 'due', 'tre'].map((text) => first.keyFor({ ...tts, text }));
+    await first.put(a, Buffer.alloc(10));
+    await first.put(b, Buffer.alloc(10));
+    // `a` was played more recently than `b`
+    utimesSync(join(dir, `${b}.pcm`), new Date(1000), new Date(1000));
+
+    const reloaded = createTtsCache({ dir, maxBytes: 25 });
+    assert.equal(reloaded.stats().entries, 2);
+    await reloaded.put(c, Buffer.alloc(10));
+    assert.equal(reloaded.has(a), true);
+    assert.equal(reloaded.has(b), false);
+  });
+});
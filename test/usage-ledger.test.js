@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { configureLogger } from '../src/logger.js';
+import { USAGE_PRICES, createUsageLedger, isBilled } from '../src/usage-ledger.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const dir = mkdtempSync(join(tmpdir(), 'usage-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('usage ledger', () => {
+  test('prices only billed providers', () => {
+    assert.equal(isBilled('stt', 'openai'), true);
+    assert.equal(isBilled('stt', 'local'), false);
+    assert.equal(isBilled('tts', 'sherpa'), false);
+
+    const ledger = createUsageLedger({ file: '' });
+    assert.equal(ledger.record({ kind: 'stt', provider: 'local', userId: 'u1', seconds: 30 }).cost, 0);
+    const tts = ledger.record({ kind: 'tts', provider: 'openai', userId: 'u1', chars: 1000 });
+    assert.equal(tts.cost, 1000 * USAGE_PRICES.tts.openai);
+  });
+
+  test('prices economy chat tokens and memory summaries at their own rates', () => {
+    const ledger = createUsageLedger({ file: '' });
+    const tokens = { provider: 'openai', userId: 'u1', inputTokens: 1000, outputTokens: 100 };
+    const { economy } = USAGE_PRICES.chat.openai;
+    const summary = USAGE_PRICES.summary.openai;
+
+    const cheap = ledger.record({ kind: 'chat', economy: true, ...tokens });
+    assert.equal(cheap.cost, 1000 * economy.input + 100 * economy.output);
+    const folded = ledger.record({ kind: 'summary', ...tokens });
+    assert.equal(folded.cost, 1000 * summary.input + 100 * summary.output);
+    assert.equal(isBilled('summary', 'local'), false);
+    // Summaries count as chat tokens in the totals
+    assert.equal(ledger.totals({ userId: 'u1' }).chatInputTokens, 2000);
+  });
+
+  test('totals split by user and guild, and caps apply in order', () => {
+    const ledger = createUsageLedger({ file: '', budgets: { daily: 0.05, monthly: 0, userDaily: 0.01 } });
+    ledger.record({ kind: 'stt', provider: 'openai', userId: 'u1', guildId: 'g1', seconds: 60 });
+    ledger.record({ kind: 'chat', provider: 'openai', userId: 'u2', guildId: 'g2', inputTokens: 100, outputTokens: 50 });
+
+    assert.equal(ledger.totals({ userId: 'u1' }).sttSeconds, 60);
+    assert.equal(ledger.totals({ guildId: 'g2' }).chatOutputTokens, 50);
+    assert.equal(ledger.totals({ period: 'month' }).sttSeconds, 60);
+    assert.equal(ledger.exceeded({ userId: 'u1' }), null);
+
+    ledger.record({ kind: 'stt', provider: 'openai', userId: 'u1', seconds: 60 });
+    assert.equal(ledger.exceeded({ userId: 'u1' }).scope, 'user_daily');
+    assert.equal(ledger.exceeded({ userId: 'u2' }), null);
+
+    ledger.record({ kind: 'tts', provider: 'openai', userId: 'u2', chars: 3000 });
+    assert.equal(ledger.exceeded({ userId: 'u3' }).scope, 'daily');
+  });
+
+  test('persists entries and drops expired or corrupt lines on load', () => {
+    const file = join(dir, 'usage.jsonl');
+    const old = { at: 0, day: '2001-01-01', kind: 'stt', provider: 'openai', userId: 'u1', seconds: 9, cost: 1 };
+    writeFileSync(file, `${JSON.stringify(old)}\nnot json\n`);
+
+    const first = createUsageLedger({ file });
+    first.record({ kind: 'stt', provider: 'openai', userId: 'u1', seconds: 12 });
+    assert.equal(readFileSync(file, 'utf8').trim().split('\n').length, 1);
+
+    const reloaded = createUsageLedger({ file });
+    assert.equal(reloaded.totals({ userId: 'u1' }).sttSeconds, 12);
+    assert.equal(reloaded.totals({ period: 'month' }).cost, first.totals({ period: 'month' }).cost);
+  });
+});
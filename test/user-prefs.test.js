@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { configureLogger } from '../src/logger.js';
+import { loadUserPrefs, parsePref } from '../src/user-prefs.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const dir = mkdtempSync(join(tmpdir(), 'prefs-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('user preferences', () => {
+  test('parses command values', () => {
+    assert.deepEqual(parsePref('voice', 'Nova'), { value: 'nova' });
+    assert.ok(parsePref('voice', 'robot').error);
+    assert.deepEqual(parsePref('speed', '1,5x'), { value: 1.5 });
+    assert.ok(parsePref('speed', '3').error);
+    assert.deepEqual(parsePref('language', 'EN'), { value: 'en' });
+    assert.deepEqual(parsePref('language', 'auto'), { value: 'auto' });
+    assert.ok(parsePref('language', 'english').error);
+    assert.deepEqual(parsePref('answers', 'short'), { value: 'short' });
+    assert.equal(parsePref('color', 'red').error, 'prefs.badKey');
+  });
+
+  test('persists per user and clears fields', () => {
+    const file = join(dir, 'nested', 'prefs.json');
+    const prefs = loadUserPrefs(file);
+    prefs.set('u1', 'voice', 'nova');
+    prefs.set('u1', 'speed', 1.2);
+    prefs.set('u2', 'language', 'en');
+    prefs.set('u1', 'voice', null);
+
+    const reloaded = loadUserPrefs(file);
+    assert.deepEqual(reloaded.get('u1'), { speed: 1.2 });
+    assert.deepEqual(reloaded.get('u3'), {});
+
+    assert.equal(reloaded.reset('u2'), true);
+    assert.equal(reloaded.reset('u2'), false);
+    assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')), { u1: { speed: 1.2 } });
+  });
+});
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { configureLogger } from '../src/logger.js';
+import { createUtteranceArchive, listArchivedUtterances } from '../src/utterance-archive.js';
+import { waitFor } from './helpers/fake-voice.js';
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const dir = mkdtempSync(join(tmpdir(), 'utterance-archive-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('utterance archive', () => {
+  test('keeps only the newest maxEntries .wav/.json pairs', async () => {
+    const archive = createUtteranceArchive({ dir, maxEntries: 3, maxAgeDays: 0 });
+    const pcm = Buffer.alloc(3840);
+
+    for (let i = 1; i <= 6; i += 1) {
+      await archive.save(`turn${i}`, { pcm, sampleRate: 48000, channels: 2, meta: { speechEndedAt: i } });
+      // Distinct mtimes, and each save's prune done before the next
+      await delay(20);
+    }
+
+    const expected = ['turn4.json', 'turn4.wav', 'turn5.json', 'turn5.wav', 'turn6.json', 'turn6.wav'];
+    await waitFor(() => readdirSync(dir).length === expected.length, { message: 'archive pruned' });
+    assert.deepEqual(readdirSync(dir).sort(), expected);
+
+    const metas = await listArchivedUtterances(dir);
+    assert.deepEqual(metas.map((m) => m.id), ['turn6', 'turn5', 'turn4']);
+  });
+});
@@ -0,0 +1,459 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { configureLogger } from '../src/logger.js';
+import { createMetrics } from '../src/metrics.js';
+import { createReminders } from '../src/reminders.js';
+import { createTtsCache } from '../src/tts-cache.js';
+import { createUsageLedger } from '../src/usage-ledger.js';
+import { createVad } from '../src/vad.js';
+import { speechWav } from './helpers/audio-fixtures.js';
+import { ALLOWED_USERS, startBridge } from './helpers/bridge.js';
+import { createFakeVoice, waitFor } from './helpers/fake-voice.js';
+import { startMockOpenAI } from './helpers/mock-openai.js';
+
+// Whole voice turns without Discord or OpenAI: fake receiver -> pipeline -> mock STT ->
+// real bridge (openai backend) -> mock chat -> mock TTS -> captured player.
+
+configureLogger({ service: 'test', level: process.env.LOG_LEVEL || 'error' });
+
+const SILENCE_MS = 400;
+
+let mock;
+let bridge;
+let createVoicePipeline;
+let nextUser = 0;
+
+before(async () => {
+  mock = await startMockOpenAI();
+  bridge = await startBridge({ BRIDGE_BACKEND: 'openai', OPENAI_BASE_URL: mock.url, OPENAI_API_KEY: 'test-key' });
+  // The STT/TTS modules read these when first imported
+  process.env.OPENAI_BASE_URL = mock.url;
+  process.env.OPENAI_API_KEY = 'test-key';
+  process.env.STT_PROVIDERS = 'openai';
+  process.env.TTS_PROVIDER = 'openai';
+  ({ createVoicePipeline } = await import('../src/voice-pipeline.js'));
+});
+
+after(async () => {
+  await bridge?.stop();
+  await mock?.close();
+});
+
+beforeEach(() => mock.reset());
+
+function settings(overrides = {}) {
+  return {
+    ttsVoice: 'alloy',
+    ttsModel: 'gpt-4o-mini-tts',
+    locale: 'it',
+    sttLanguage: 'it',
+    sttPrompt: '',
+    silenceMs: SILENCE_MS,
+    minUtteranceMs: 300,
+    maxUtteranceMs: 15000,
+    vad: {},
+    bridge: { endpoint: `${bridge.url}/respond`, streamEndpoint: '', agentId: '' },
+    persona: '',
+    rateLimit: { windowMs: 60000, sttMax: 10, ttsMax: 10 },
+    transcript: { channelId: '', thread: false, enabled: false },
+    archive: false,
+    ...overrides
+  };
+}
+
+// One pipeline + session + speaking user per test, so VADs and rate limits start fresh.
+// `prefs`: the speaking user's preferences (src/user-prefs.js)
+function createHarness({
+  playMs,
+  listenMode = 'always',
+  usage = null,
+  ttsCache = null,
+  prefs = {},
+  reminders = null,
+  conversation = 'user',
+  members = [],
+  ...overrides
+} = {}) {
+  const metrics = createMetrics({ prefix: 'voice_bot_' });
+  const voice = createFakeVoice({ playMs });
+  const vads = new Map();
+  const userId = ALLOWED_USERS[nextUser++ % ALLOWED_USERS.length];
+  const pipeline = createVoicePipeline({
+    metrics,
+    getUserVad: (state, userId) => {
+      if (!vads.has(userId)) vads.set(userId, createVad({}, state.settings.vad));
+      return vads.get(userId);
+    },
+    memberRoleIds: () => [],
+    subscribe: voice.subscribe,
+    play: voice.play,
+    usage,
+    ttsCache,
+    prefsFor: (id) => (id === userId ? prefs : {}),
+    reminders,
+    channelMembers: () => members
+  });
+  const state = pipeline.createSession({
+    connection: voice.connection,
+    player: voice.player,
+    guildId: 'g1',
+    channelId: 'c1',
+    settings: settings(overrides),
+    listenMode,
+    conversation
+  });
+  pipeline.startRecording(state, userId);
+
+  return {
+    pipeline,
+    voice,
+    state,
+    userId,
+    say: (wav) => voice.say(userId, wav),
+    // Value of a labelled series in the Prometheus output (0 when absent)
+    metric(series) {
+      const line = metrics.render().split('\n').find((l) => l.startsWith(`${series} `));
+      return line ? Number(line.slice(series.length + 1)) : 0;
+    },
+    waitForTurns(n, outcome) {
+      return waitFor(() => this.metric(`voice_bot_turns_total{outcome="${outcome}"}`) >= n, {
+        message: `${n} turn(s) with outcome ${outcome}`
+      });
+    },
+    close() {
+      pipeline.cleanupRecording(state, userId);
+      state.queue.clear();
+      state.queue.skip();
+    }
+  };
+}
+
+describe('voice pipeline', () => {
+  test('segments an utterance and speaks the bridge reply', async (t) => {
+    const h = createHarness();
+    t.after(() => h.close());
+    mock.transcripts.push('come stai oggi');
+
+    await h.say(speechWav(1000));
+    await h.waitForTurns(1, 'reply');
+
+    const [stt] = mock.requestsTo('/v1/audio/transcriptions');
+    assert.ok(stt, 'utterance was transcribed');
+    // A WAV upload (16kHz mono with ffmpeg, the original format without) plus the channel's language
+    assert.ok(stt.body.includes('WAVEfmt '));
+    assert.match(stt.body.toString('latin1'), /name="language"\r\n\r\nit\r\n/);
+
+    const [chat] = mock.requestsTo('/v1/chat/completions');
+    assert.equal(chat.body.messages.at(-1).content, 'come stai oggi');
+    assert.equal(chat.body.stream, true);
+
+    assert.deepEqual(
+      h.voice.played.map((p) => [p.text, p.userId]),
+      [['Risposta a: come stai oggi.', h.userId]]
+    );
+    assert.equal(h.metric('voice_bot_first_audio_seconds_count'), 1);
+  });
+
+  test('ignores blips shorter than minUtteranceMs', async (t) => {
+    const h = createHarness();
+    t.after(() => h.close());
+
+    await h.say(speechWav(120));
+    await delay(SILENCE_MS * 3);
+
+    assert.equal(mock.requestsTo('/v1/audio/transcriptions').length, 0);
+    assert.equal(h.voice.played.length, 0);
+  });
+
+  test('splits speech separated by silence into separate turns', async (t) => {
+    const h = createHarness();
+    t.after(() => h.close());
+    mock.transcripts.push('prima domanda', 'seconda domanda');
+
+    await h.say(speechWav(800));
+    await delay(SILENCE_MS * 2.5);
+    await h.say(speechWav(800));
+    await h.waitForTurns(2, 'reply');
+
+    const asked = mock.requestsTo('/v1/chat/completions').map((r) => r.body.messages.at(-1).content);
+    assert.deepEqual(asked, ['prima domanda', 'seconda domanda']);
+    // The bridge kept the first exchange in the user's memory thread
+    const second = mock.requestsTo('/v1/chat/completions')[1].body.messages.map((m) => m.content);
+    assert.ok(second.includes('Risposta a: prima domanda.'));
+  });
+
+  test('rate limits speech-to-text per user', async (t) => {
+    const h = createHarness({ rateLimit: { windowMs: 60000, sttMax: 1, ttsMax: 10 } });
+    t.after(() => h.close());
+    mock.transcripts.push('una volta', 'due volte');
+
+    await h.say(speechWav(800));
+    await delay(SILENCE_MS * 2.5);
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'rate_limited');
+    await h.waitForTurns(1, 'reply');
+
+    assert.equal(mock.requestsTo('/v1/audio/transcriptions').length, 1);
+    assert.equal(h.metric('voice_bot_rate_limit_hits_total{kind="stt"}'), 1);
+    assert.equal(h.voice.played.length, 1);
+  });
+
+  test('barge-in cuts the reply and answers the new utterance', async (t) => {
+    const h = createHarness({ playMs: 5000 });
+    t.after(() => h.close());
+    mock.transcripts.push('raccontami una storia', 'basta così grazie');
+
+    await h.say(speechWav(800));
+    await waitFor(() => h.voice.player.state.status === 'playing', { message: 'reply playback' });
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(2, 'reply');
+
+    assert.equal(h.metric('voice_bot_barge_ins_total'), 1);
+    assert.equal(h.voice.played.length, 2);
+    assert.equal(h.voice.played[0].interrupted, true);
+    assert.equal(h.voice.played[1].text, 'Risposta a: basta così grazie.');
+  });
+
+  test('speaking again cancels the turn still waiting for the bridge', async (t) => {
+    const h = createHarness();
+    t.after(() => h.close());
+    mock.transcripts.push('prima domanda', 'anzi seconda domanda');
+    mock.chatDelayMs = 1500;
+
+    await h.say(speechWav(800));
+    await waitFor(() => mock.requestsTo('/v1/chat/completions').length === 1, { message: 'first chat request' });
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'reply');
+
+    assert.equal(h.metric('voice_bot_turns_total{outcome="cancelled"}'), 1);
+    assert.deepEqual(
+      h.voice.played.map((p) => p.text),
+      ['Risposta a: anzi seconda domanda.']
+    );
+    // The bridge dropped the cancelled turn: it is not in the memory thread
+    const [, second] = mock.requestsTo('/v1/chat/completions');
+    assert.ok(!second.body.messages.some((m) => m.content.includes('prima domanda')));
+  });
+
+  test('a blip too short to be an utterance does not cancel the turn in progress', async (t) => {
+    const h = createHarness();
+    t.after(() => h.close());
+    mock.transcripts.push('prima domanda');
+    mock.chatDelayMs = 1500;
+
+    await h.say(speechWav(800));
+    await waitFor(() => mock.requestsTo('/v1/chat/completions').length === 1, { message: 'first chat request' });
+    await h.say(speechWav(120));
+    await h.waitForTurns(1, 'reply');
+
+    assert.equal(h.metric('voice_bot_turns_total{outcome="cancelled"}'), 0);
+    assert.equal(mock.requestsTo('/v1/audio/transcriptions').length, 1);
+    assert.deepEqual(
+      h.voice.played.map((p) => p.text),
+      ['Risposta a: prima domanda.']
+    );
+  });
+
+  test('group mode tells the bridge who speaks, who is present and what was said', async (t) => {
+    const other = ALLOWED_USERS[nextUser++ % ALLOWED_USERS.length];
+    const members = [{ id: other, name: 'Bob' }];
+    const h = createHarness({ conversation: 'group', members });
+    members.push({ id: h.userId, name: 'Anna' });
+    t.after(() => {
+      h.pipeline.cleanupRecording(h.state, other);
+      h.close();
+    });
+    mock.transcripts.push('io prendo la margherita', 'e io cosa prendo');
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'reply');
+    h.pipeline.startRecording(h.state, other);
+    await h.voice.say(other, speechWav(800));
+    await h.waitForTurns(2, 'reply');
+
+    const [first, second] = mock.requestsTo('/v1/chat/completions').map((r) => r.body.messages);
+    assert.equal(first.at(-1).content, 'Anna: io prendo la margherita');
+    assert.equal(second.at(-1).content, 'Bob: e io cosa prendo');
+    // One thread for the channel, and a system prompt naming who is there and what they said
+    assert.ok(second.some((m) => m.content === 'Anna: io prendo la margherita'));
+    assert.match(second[0].content, /sono presenti: Bob, Anna/);
+    // (the mock chat echoes the whole last message)
+    assert.match(second[0].content, /\nAnna: io prendo la margherita\nAssistente: Risposta a: Anna: io prendo/);
+    assert.doesNotMatch(second[0].content, /Bob: e io cosa prendo/);
+  });
+
+  test('speaks a streamed reply sentence by sentence', async (t) => {
+    const h = createHarness();
+    t.after(() => h.close());
+    mock.transcripts.push('dimmi due cose');
+    const chatReply = mock.chatReply;
+    mock.chatReply = () => 'Questa è la prima frase lunga. Questa invece è la seconda frase.';
+    t.after(() => (mock.chatReply = chatReply));
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'reply');
+
+    assert.deepEqual(
+      h.voice.played.map((p) => p.text),
+      ['Questa è la prima frase lunga.', 'Questa invece è la seconda frase.']
+    );
+    assert.equal(mock.requestsTo('/v1/audio/speech').length, 2);
+  });
+
+  test("speaks the bridge's error reply when the backend fails", async (t) => {
+    const h = createHarness();
+    t.after(() => h.close());
+    mock.transcripts.push('ci sei');
+    mock.failNext('/v1/chat/completions', 503);
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'bridge_error');
+
+    assert.deepEqual(
+      h.voice.played.map((p) => p.text),
+      ["L'assistente non risponde in questo momento, riprova tra poco."]
+    );
+    // Not something the assistant said in the conversation
+    assert.ok(!h.state.recent.some((line) => line.bot));
+  });
+
+  test('wake mode only answers utterances starting with the wake phrase', async (t) => {
+    const h = createHarness({ listenMode: 'wake' });
+    t.after(() => h.close());
+    mock.transcripts.push('che tempo fa', 'niko che tempo fa');
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'not_addressed');
+    assert.equal(mock.requestsTo('/v1/chat/completions').length, 0);
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'reply');
+    assert.equal(mock.requestsTo('/v1/chat/completions')[0].body.messages.at(-1).content, 'che tempo fa');
+  });
+
+  test('"stop" is a voice command, not a question for the bridge', async (t) => {
+    const h = createHarness();
+    t.after(() => h.close());
+    mock.transcripts.push('stop');
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'command');
+
+    assert.equal(mock.requestsTo('/v1/chat/completions').length, 0);
+    assert.equal(h.voice.played.length, 0);
+  });
+
+  test('stores reminders from the bridge and lists and cancels them by voice', async (t) => {
+    const reminders = createReminders({ file: '', onDue: () => {} });
+    const h = createHarness({ reminders });
+    t.after(() => h.close());
+    const spoken = () => mock.requestsTo('/v1/audio/speech').map((r) => r.body.input);
+
+    mock.transcripts.push('ricordami tra 10 minuti di bere');
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'reply');
+    const [entry] = reminders.list();
+    const { guildId, channelId, userId, text, locale } = entry;
+    assert.deepEqual(
+      { guildId, channelId, userId, text, locale },
+      { guildId: 'g1', channelId: 'c1', userId: h.userId, text: 'bere', locale: 'it' }
+    );
+    assert.match(spoken().at(-1), /^Va bene, te lo ricordo alle /);
+    assert.equal(mock.requestsTo('/v1/chat/completions').length, 0);
+
+    mock.transcripts.push('Quali promemoria ho?');
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'command');
+    assert.match(spoken().at(-1), new RegExp(`^I tuoi promemoria:\nNumero ${entry.id}, alle \\d+:\\d{2}: bere\\.$`));
+
+    mock.transcripts.push(`cancella il promemoria ${entry.id}`);
+    await h.say(speechWav(800));
+    await h.waitForTurns(2, 'command');
+    assert.equal(spoken().at(-1), `Promemoria numero ${entry.id} cancellato.`);
+    assert.deepEqual(reminders.list(), []);
+  });
+
+  test('records spend and stops answering past a budget cap without free providers', async (t) => {
+    const usage = createUsageLedger({ file: '', budgets: { daily: 0, monthly: 0, userDaily: 0.0001 } });
+    const h = createHarness({ usage });
+    t.after(() => h.close());
+    mock.transcripts.push('quanto costa', 'e adesso');
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'reply');
+
+    const spent = usage.totals({ userId: h.userId });
+    assert.ok(spent.sttSeconds > 0.5);
+    assert.equal(spent.ttsChars, 'Risposta a: quanto costa.'.length);
+    assert.equal(spent.chatOutputTokens, 4);
+    assert.ok(spent.cost > 0.0001);
+
+    // Only billed providers are configured here, so the cap means no more answers
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'over_budget');
+    await waitFor(() => h.voice.played.length === 2, { message: 'budget notice' });
+
+    assert.match(h.voice.played[1].text, /^Ho raggiunto il tuo budget di oggi: non posso più rispondere/);
+    assert.equal(mock.requestsTo('/v1/audio/transcriptions').length, 1);
+    assert.equal(mock.requestsTo('/v1/chat/completions').length, 1);
+  });
+
+  test('plays cached phrases without calling TTS', async (t) => {
+    const dir = mkdtempSync(join(tmpdir(), 'tts-cache-'));
+    const usage = createUsageLedger({ file: '', budgets: {} });
+    const ttsCache = createTtsCache({ dir });
+    const h = createHarness({ usage, ttsCache });
+    t.after(() => {
+      h.close();
+      rmSync(dir, { recursive: true, force: true });
+    });
+    const key = ttsCache.keyFor({ provider: 'openai', model: 'gpt-4o-mini-tts', voice: 'alloy', text: 'Prova audio.' });
+    await ttsCache.put(key, Buffer.from('TTS:Prova audio.'));
+
+    // Same phrase modulo case and spacing
+    await (await h.pipeline.speak(h.state, '  prova   AUDIO.', h.userId, { kind: 'say' })).done;
+    assert.deepEqual(
+      h.voice.played.map((p) => [p.text, p.cached]),
+      [['Prova audio.', true]]
+    );
+    assert.equal(mock.requestsTo('/v1/audio/speech').length, 0);
+    assert.equal(usage.totals().ttsChars, 0);
+
+    // Another voice is another entry
+    await (await h.pipeline.speak(h.state, 'Prova audio.', h.userId, { kind: 'say', voice: 'nova' })).done;
+    assert.equal(h.voice.played[1].cached, false);
+    assert.equal(mock.requestsTo('/v1/audio/speech').length, 1);
+    assert.equal(h.metric('voice_bot_tts_cache_total{result="hit"}'), 1);
+    assert.equal(h.metric('voice_bot_tts_cache_total{result="miss"}'), 1);
+  });
+
+  test("applies the user's voice, speed, language and answer length", async (t) => {
+    const h = createHarness({
+      sttPrompt: 'Conversazione in italiano.',
+      prefs: { voice: 'nova', speed: 1.25, language: 'en', answers: 'short' }
+    });
+    t.after(() => h.close());
+    mock.transcripts.push('how are you');
+
+    await h.say(speechWav(800));
+    await h.waitForTurns(1, 'reply');
+
+    // English hint, and the channel's Italian prompt left out
+    const stt = mock.requestsTo('/v1/audio/transcriptions')[0].body.toString('latin1');
+    assert.match(stt, /name="language"\r\n\r\nen\r\n/);
+    assert.doesNotMatch(stt, /name="prompt"/);
+
+    const [chat] = mock.requestsTo('/v1/chat/completions');
+    assert.match(chat.body.messages[0].content, /SOLO in inglese, in modo naturale, in una o due frasi brevi/);
+    assert.equal(chat.body.max_tokens, 120);
+
+    const [tts] = mock.requestsTo('/v1/audio/speech');
+    assert.equal(tts.body.voice, 'nova');
+    assert.equal(tts.body.speed, 1.25);
+  });
+});